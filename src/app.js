@@ -1,4033 +1,7473 @@
-import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import { requireAuth } from "./middlewares/auth.js";
-import { supabaseAdmin } from "./supabaseAdmin.js";
+import { criarRequireAuth } from "./middlewares/auth.js";
+import { requirePermission } from "./middlewares/permissao.js";
+import { identificarRequisicao } from "./middlewares/requisicao.js";
+import { criarIdempotencia } from "./middlewares/idempotencia.js";
+import { validarRequisicao } from "./middlewares/validacao.js";
+import {
+  rotaAsync,
+  rotaNaoEncontrada,
+  tratarErros,
+} from "./middlewares/erros.js";
+import { criarClienteSupabase } from "./supabaseAdmin.js";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
-
-const app = express();
-
-app.set("trust proxy", 1);
-
-app.use(
-  helmet({
-    crossOriginResourcePolicy: { policy: "cross-origin" },
-  }),
-);
-
-app.use(express.json({ limit: "200kb" }));
-
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 300,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    ok: false,
-    error: "Muitas requisições. Tente novamente mais tarde.",
-  },
-});
-
-app.use(limiter);
-
-const allowedOrigins = (process.env.CORS_ORIGIN || "")
-  .split(",")
-  .map((s) => s.trim())
-  .filter(Boolean);
-
-app.use(
-  cors({
-    origin: (origin, callback) => {
-      if (!origin || origin === "null") return callback(null, true);
-      if (allowedOrigins.length === 0) return callback(null, true);
-      if (allowedOrigins.includes(origin)) return callback(null, true);
-
-      console.log("❌ CORS BLOQUEADO:", origin, "permitidos:", allowedOrigins);
-      return callback(new Error(`CORS bloqueado para: ${origin}`));
-    },
-    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
-    credentials: false,
-  }),
-);
+import { gerarCsv, gerarXlsx, lerPlanilha } from "./utils/planilha.js";
+import { gerarRemessaCnab240 } from "./utils/cnab240.js";
+import { gerarHoleritePdf } from "./utils/holerite.js";
+import archiver from "archiver";
+import caminhoSwaggerUi from "swagger-ui-dist/absolute-path.js";
+import { validarChavePix } from "./utils/pix.js";
+import {
+  formatarCnpj,
+  formatarCpf,
+  isCnpjValido,
+  isCpfValido,
+  somenteDigitos,
+} from "./utils/documentos.js";
+import { esquema, v, validar } from "./utils/validacao.js";
+import { criarCache } from "./utils/cache.js";
+import { executarEtapas } from "./utils/transacao.js";
+import { logger } from "./utils/logger.js";
+import {
+  ErroApi,
+  ErroConflito,
+  ErroNaoEncontrado,
+  ErroPeriodoFechado,
+  ErroSemPermissao,
+  ErroValidacao,
+} from "./utils/erros.js";
+import { conferirDocumentacao, gerarOpenApi } from "./utils/openapi.js";
+import {
+  PERMISSOES,
+  niveisComPermissao,
+  permissoesDoUsuario,
+  temPermissao,
+} from "./utils/permissoes.js";
 
 // ==================================================
-// HELPERS
+// APP
+// - criarApp monta uma app nova a cada chamada: rotas,
+//   caches, rate limit e especificação são dela, e todo
+//   acesso a dados passa pelo cliente recebido (o real,
+//   das envs, ou um como test/support/supabaseMemoria.js)
+// - quem sobe o servidor é src/server.js
 // ==================================================
-// --------------------------------------------------
-// REGRA DE VISIBILIDADE DE FUNCIONÁRIOS
-// - admin vê tudo
-// - outros usuários NÃO veem função "EQUIPE ENGENHARIA"
-// --------------------------------------------------
+export function criarApp({
+  supabase: supabaseAdmin = criarClienteSupabase(),
+} = {}) {
+  const app = express();
+  const requireAuth = criarRequireAuth(supabaseAdmin);
+  const aceitarIdempotencia = criarIdempotencia(supabaseAdmin);
+
+  app.set("trust proxy", 1);
+
+  app.use(identificarRequisicao);
 
-function limitarTexto(v, max) {
-  if (v === undefined || v === null) return null;
+  app.use(
+    helmet({
+      crossOriginResourcePolicy: { policy: "cross-origin" },
+    }),
+  );
+
+  app.use(express.json({ limit: "200kb" }));
+
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next) =>
+      next(
+        new ErroApi("Muitas requisições. Tente novamente mais tarde.", {
+          status: 429,
+          code: "MUITAS_REQUISICOES",
+        }),
+      ),
+  });
 
-  let s = String(v).trim();
+  app.use(limiter);
+
+  const allowedOrigins = (process.env.CORS_ORIGIN || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  app.use(
+    cors({
+      origin: (origin, callback) => {
+        if (!origin || origin === "null") return callback(null, true);
+        if (allowedOrigins.length === 0) return callback(null, true);
+        if (allowedOrigins.includes(origin)) return callback(null, true);
+
+        logger.aviso("CORS bloqueado", { origin, permitidos: allowedOrigins });
+        return callback(
+          new ErroSemPermissao(`CORS bloqueado para: ${origin}`, {
+            code: "CORS_BLOQUEADO",
+          }),
+        );
+      },
+      methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+      allowedHeaders: [
+        "Content-Type",
+        "Authorization",
+        "X-Request-Id",
+        "Idempotency-Key",
+      ],
+      exposedHeaders: ["X-Request-Id", "Idempotent-Replayed"],
+      credentials: false,
+    }),
+  );
 
-  if (!s) return null;
+  // ==================================================
+  // HELPERS
+  // ==================================================
+  // --------------------------------------------------
+  // REGRA DE VISIBILIDADE DE FUNCIONÁRIOS
+  // - obras:irrestrito (admin) vê tudo
+  // - outros usuários NÃO veem função "EQUIPE ENGENHARIA"
+  // --------------------------------------------------
+
+  function isEquipeEngenharia(funcao) {
+    return (
+      String(funcao || "")
+        .trim()
+        .toUpperCase() === "EQUIPE ENGENHARIA"
+    );
+  }
 
-  if (s.length > max) {
-    s = s.slice(0, max);
+  function podeVerFuncionario(usuario, funcionario) {
+    if (temAcessoIrrestrito(usuario)) return true;
+    return !isEquipeEngenharia(funcionario?.funcao);
   }
 
-  return s;
-}
+  // a mesma regra como grupo .or() das listagens feitas no banco
+  function ouFuncionariosVisiveis(usuario) {
+    if (temAcessoIrrestrito(usuario)) return null;
+    return 'funcao.is.null,funcao.not.ilike."EQUIPE ENGENHARIA"';
+  }
 
-function isEquipeEngenharia(funcao) {
-  return (
-    String(funcao || "")
-      .trim()
-      .toUpperCase() === "EQUIPE ENGENHARIA"
+  function isUuid(v) {
+    if (!v) return false;
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+      String(v).trim(),
+    );
+  }
+
+  // --------------------------------------------------
+  // ESQUEMAS DE VALIDAÇÃO COMUNS
+  // - regras em utils/validacao.js; aplicados pelo
+  //   middleware validarRequisicao (400 com a lista
+  //   { campo, mensagem } de todos os erros)
+  // --------------------------------------------------
+  const SITUACOES = ["ativo", "inativo"];
+  const NIVEIS_ACESSO = ["admin", "financeiro", "encarregado", "consulta"];
+
+  const esquemaId = esquema({ id: v.uuid({ obrigatorio: true }) });
+
+  function verificarPeriodo(campoInicio, campoFim) {
+    return (dados) =>
+      dados[campoInicio] &&
+      dados[campoFim] &&
+      dados[campoInicio] > dados[campoFim]
+        ? [
+            {
+              campo: campoFim,
+              mensagem: `${campoFim} precisa ser maior ou igual a ${campoInicio}`,
+            },
+          ]
+        : [];
+  }
+
+  const esquemaPeriodo = esquema(
+    {
+      inicio: v.data({ obrigatorio: true }),
+      fim: v.data({ obrigatorio: true }),
+    },
+    verificarPeriodo("inicio", "fim"),
   );
-}
 
-function podeVerFuncionario(usuario, funcionario) {
-  if (isAdmin(usuario)) return true;
-  return !isEquipeEngenharia(funcionario?.funcao);
-}
+  // --------------------------------------------------
+  // ESQUEMA DE FUNCIONÁRIO
+  // - mesmo esquema para POST, PUT e PATCH
+  // - parcial (PATCH): só os campos enviados
+  // - cpf/cnpj/rg guardados só com dígitos; cpf e cnpj
+  //   precisam ter dígito verificador válido
+  // - cnpj só para quem tem razão social (empreiteiro PJ)
+  // --------------------------------------------------
+  function verificarFuncionario(f) {
+    return f.cnpj && !f.razao_social
+      ? [
+          {
+            campo: "cnpj",
+            mensagem: "CNPJ só pode ser informado junto com a razão social",
+          },
+        ]
+      : [];
+  }
 
-function isUuid(v) {
-  if (!v) return false;
-  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
-    String(v).trim(),
+  const esquemaFuncionario = esquema(
+    {
+      nome: v.texto({
+        max: 120,
+        obrigatorio: true,
+        mensagem: "Informe o nome do funcionário",
+      }),
+      funcao: v.texto({ max: 80 }),
+      razao_social: v.texto({ max: 150 }),
+      titular_conta: v.texto({ max: 150 }),
+      banco: v.texto({ max: 80 }),
+      agencia: v.texto({ max: 20 }),
+      conta: v.texto({ max: 30 }),
+      chave_pix: v.texto({ max: 120 }),
+      chave_pix_tipo: v.texto({ max: 30 }),
+      tipo_chave_pix: v.texto({ max: 30 }),
+      observacao: v.texto({ max: 1000 }),
+      valor_diaria: v.numero({ min: 0 }),
+      cpf: v.digitos({ checar: isCpfValido, mensagem: "CPF inválido" }),
+      cnpj: v.digitos({ checar: isCnpjValido, mensagem: "CNPJ inválido" }),
+      rg: v.digitos({ max: 20 }),
+      situacao: v.opcao(SITUACOES, { padrao: "ativo" }),
+    },
+    (dados, { parcial }) => (parcial ? [] : verificarFuncionario(dados)),
   );
-}
 
-function normValorDiaria(v) {
-  if (v === undefined || v === null || v === "") return null;
-  const s = String(v).trim().replace(",", ".");
-  const n = Number(s);
-  if (!Number.isFinite(n) || n < 0) return NaN;
-  return n;
-}
+  // tipo_chave_pix é o nome antigo de chave_pix_tipo; valor_diaria
+  // ausente fica fora do payload: PUT sem ele mantém o valor atual e
+  // não grava vigência
+  function montarFuncionario(dados) {
+    const { tipo_chave_pix, ...payload } = dados;
 
-function normSituacao(v, fallback = "ativo") {
-  const s = String(v || fallback)
-    .toLowerCase()
-    .trim();
-  return s === "inativo" ? "inativo" : "ativo";
-}
+    if (payload.valor_diaria === null) delete payload.valor_diaria;
 
-function normChavePixTipo(body) {
-  const v = body?.chave_pix_tipo ?? body?.tipo_chave_pix;
-  if (v === undefined || v === null) return null;
+    if (tipo_chave_pix !== undefined && !payload.chave_pix_tipo) {
+      payload.chave_pix_tipo = tipo_chave_pix;
+    }
 
-  const s = String(v).trim();
-  return s === "" ? null : s;
-}
+    return payload;
+  }
 
-function deny(res, mensagem = "Sem permissão para esta ação") {
-  return res.status(403).json({ ok: false, error: mensagem });
-}
+  function erroCpfDuplicado() {
+    return new ErroConflito(
+      "Já existe um funcionário com este CPF cadastrado",
+      {
+        code: "CPF_DUPLICADO",
+      },
+    );
+  }
 
-function limparObjetoParaLog(obj) {
-  if (obj === null || obj === undefined) return null;
+  function limparObjetoParaLog(obj) {
+    if (obj === null || obj === undefined) return null;
 
-  const proibidos = new Set([
-    "senha",
-    "password",
-    "access_token",
-    "refresh_token",
-    "token",
-    "authorization",
-  ]);
+    const proibidos = new Set([
+      "senha",
+      "password",
+      "access_token",
+      "refresh_token",
+      "token",
+      "authorization",
+    ]);
 
-  if (Array.isArray(obj)) {
-    return obj.map((item) => limparObjetoParaLog(item));
-  }
+    if (Array.isArray(obj)) {
+      return obj.map((item) => limparObjetoParaLog(item));
+    }
 
-  if (typeof obj === "object") {
-    const out = {};
-    for (const [key, value] of Object.entries(obj)) {
-      if (proibidos.has(String(key).toLowerCase())) continue;
-      out[key] = limparObjetoParaLog(value);
+    if (typeof obj === "object") {
+      const out = {};
+      for (const [key, value] of Object.entries(obj)) {
+        if (proibidos.has(String(key).toLowerCase())) continue;
+        out[key] = limparObjetoParaLog(value);
+      }
+      return out;
     }
-    return out;
-  }
 
-  return obj;
-}
+    return obj;
+  }
 
-function jsonIgual(a, b) {
-  return JSON.stringify(a) === JSON.stringify(b);
-}
+  function jsonIgual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
 
-function gerarDiferencas(antes, depois) {
-  const a = limparObjetoParaLog(antes || {});
-  const d = limparObjetoParaLog(depois || {});
+  function gerarDiferencas(antes, depois) {
+    const a = limparObjetoParaLog(antes || {});
+    const d = limparObjetoParaLog(depois || {});
 
-  const keys = new Set([...Object.keys(a || {}), ...Object.keys(d || {})]);
-  const dif = {};
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(d || {})]);
+    const dif = {};
 
-  for (const key of keys) {
-    const va = a?.[key] ?? null;
-    const vd = d?.[key] ?? null;
+    for (const key of keys) {
+      const va = a?.[key] ?? null;
+      const vd = d?.[key] ?? null;
 
-    if (!jsonIgual(va, vd)) {
-      dif[key] = {
-        antes: va,
-        depois: vd,
-      };
+      if (!jsonIgual(va, vd)) {
+        dif[key] = {
+          antes: va,
+          depois: vd,
+        };
+      }
     }
+
+    return Object.keys(dif).length ? dif : null;
   }
 
-  return Object.keys(dif).length ? dif : null;
-}
+  // Lançamentos em lote (diárias, ajustes): compara linha a linha
+  // pela chave e devolve só as que mudaram, com as diferenças de
+  // cada uma junto da chave, para o log.
+  function diferencasPorLinha(antes, depois, { chave, campos }) {
+    const id = (r) => chave.map((c) => r[c]).join("_");
+    const selecionar = (r) =>
+      r ? Object.fromEntries(campos.map((c) => [c, r[c] ?? null])) : null;
+
+    const anteriores = new Map((antes || []).map((r) => [id(r), r]));
+    const out = { antes: [], depois: [], diferencas: [] };
+
+    (depois || []).forEach((d) => {
+      const a = anteriores.get(id(d)) || null;
+      const dif = gerarDiferencas(selecionar(a), selecionar(d));
+      if (!dif) return;
+
+      const linha = Object.fromEntries(chave.map((c) => [c, d[c]]));
+      if (a) out.antes.push(a);
+      out.depois.push(d);
+      out.diferencas.push({ ...linha, diferencas: dif });
+    });
 
-function getClientIp(req) {
-  const xf = req.headers["x-forwarded-for"];
-  if (xf) return String(xf).split(",")[0].trim();
-  return req.ip || null;
-}
+    return out;
+  }
 
-function normalizarTexto(v) {
-  return String(v || "")
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .trim()
-    .replace(/\s+/g, " ")
-    .toUpperCase();
-}
+  function aplicarDiferencas(estado, diferencas) {
+    const out = { ...(estado || {}) };
 
-function isObraEquipeEngenharia(obra) {
-  const nome = normalizarTexto(obra?.nome);
-  return nome === "EQUIPE ENGENHARIA";
-}
+    for (const [key, dif] of Object.entries(diferencas || {})) {
+      out[key] = dif?.depois ?? null;
+    }
 
-async function registrarLog({
-  req,
-  usuario = null,
-  acao,
-  tabela = null,
-  registro_id = null,
-  antes = null,
-  depois = null,
-  observacao = null,
-}) {
-  try {
-    const antesLimpo = limparObjetoParaLog(antes);
-    const depoisLimpo = limparObjetoParaLog(depois);
-
-    const payload = {
-      usuario_id: usuario?.id || req?.authUser?.id || null,
-      usuario_nome: usuario?.nome || null,
-      usuario_email: usuario?.email || null,
-      nivel_acesso: usuario?.nivel_acesso || null,
-
-      acao: String(acao || "").trim(),
-      tabela: tabela ? String(tabela).trim() : null,
-      registro_id: registro_id ? String(registro_id).trim() : null,
-
-      antes: antesLimpo,
-      depois: depoisLimpo,
-      diferencas: gerarDiferencas(antesLimpo, depoisLimpo),
-
-      rota: req?.originalUrl || req?.url || null,
-      metodo: req?.method || null,
-
-      ip: getClientIp(req),
-      navegador: req?.headers?.["user-agent"] || null,
-      observacao: observacao ? String(observacao).trim() : null,
-    };
+    return out;
+  }
+
+  // --------------------------------------------------
+  // CURSOR DE PAGINAÇÃO
+  // - opaco para o front: base64url de { v: valor, id }
+  // --------------------------------------------------
+  function encodeCursor(valor, id) {
+    return Buffer.from(JSON.stringify({ v: valor, id })).toString("base64url");
+  }
 
-    const { error } = await supabaseAdmin.from("logs_sistema").insert(payload);
+  function decodeCursor(cursor) {
+    if (!cursor) return null;
 
-    if (error) {
-      console.error("Erro ao registrar log:", error);
+    try {
+      const obj = JSON.parse(
+        Buffer.from(String(cursor), "base64url").toString("utf8"),
+      );
+      if (!obj || obj.id === undefined || obj.v === undefined) return null;
+      return obj;
+    } catch {
+      return null;
     }
-  } catch (err) {
-    console.error("Falha inesperada ao registrar log:", err);
   }
-}
 
-// ==================================================
-// PERMISSÕES
-// ==================================================
-async function getUsuarioLogado(authUserId) {
-  const { data, error } = await supabaseAdmin
-    .from("cadastro_user")
-    .select("id, nome, email, nivel_acesso, situacao")
-    .eq("id", authUserId)
-    .single();
+  function normLimit(v, padrao = 50, max = 200) {
+    const n = Number.parseInt(String(v ?? ""), 10);
+    if (!Number.isFinite(n) || n <= 0) return padrao;
+    return Math.min(n, max);
+  }
 
-  if (error || !data) {
-    throw new Error("USUARIO_NAO_ENCONTRADO");
+  // --------------------------------------------------
+  // LISTAGEM: BUSCA, FILTROS, ORDENAÇÃO E PAGINAÇÃO
+  // - tudo vira filtro da consulta (o banco devolve só
+  //   a página e o total com count: "exact")
+  // - ?q= busca sem acento/caixa na coluna gerada
+  //   "busca" (migration 012), que junta os campos de
+  //   `busca` da rota
+  // - filtros exatos (sem caixa) por campo
+  // - ?sort=campo ou ?sort=-campo (decrescente), com id
+  //   de desempate
+  // - ?limit= e ?cursor= (keyset sobre a ordenação);
+  //   sem limit devolve a lista inteira, como antes
+  // - as regras de visibilidade entram na consulta que a
+  //   rota monta, para o total bater com o que o usuário
+  //   pode ver
+  // - exclusaoLogica: ?excluidos=incluir|somente (padrão:
+  //   registros com deleted_at ficam de fora)
+  // --------------------------------------------------
+  const OPCOES_EXCLUIDOS = ["nao", "incluir", "somente"];
+
+  // o cursor volta do cliente e entra no filtro .or(): id tem de ser
+  // uuid e o valor, um texto/número/nulo (vai entre aspas, escapado)
+  function cursorValido(cursor) {
+    return (
+      isUuid(cursor.id) &&
+      (cursor.v === null || ["string", "number"].includes(typeof cursor.v))
+    );
   }
 
-  return data;
-}
+  function parseListagem(
+    query,
+    { busca = [], filtros = [], ordenacao, padrao, exclusaoLogica = false },
+  ) {
+    const sortRaw = String(query?.sort || padrao).trim();
+    const desc = sortRaw.startsWith("-");
+    const campo = desc ? sortRaw.slice(1) : sortRaw;
+
+    const erros = [];
+
+    if (!ordenacao.includes(campo)) {
+      erros.push({
+        campo: "sort",
+        mensagem: `sort inválido (use: ${ordenacao.join(
+          ", ",
+        )}; prefixo - para decrescente)`,
+      });
+    }
 
-function getNivel(usuario) {
-  return String(usuario?.nivel_acesso || "")
-    .trim()
-    .toLowerCase();
-}
+    const cursorRaw = query?.cursor;
+    const cursor = decodeCursor(cursorRaw);
+    if (cursorRaw && !(cursor && cursorValido(cursor))) {
+      erros.push({ campo: "cursor", mensagem: "cursor inválido" });
+    }
 
-function isAdmin(usuario) {
-  return getNivel(usuario) === "admin";
-}
+    const hasLimit =
+      query?.limit !== undefined && String(query.limit).trim() !== "";
+    if (hasLimit && !/^[1-9]\d*$/.test(String(query.limit).trim())) {
+      erros.push({
+        campo: "limit",
+        mensagem: "limit precisa ser inteiro maior que 0",
+      });
+    }
 
-function isFinanceiro(usuario) {
-  return getNivel(usuario) === "financeiro";
-}
+    const excluidos = exclusaoLogica
+      ? String(query?.excluidos || "nao")
+          .trim()
+          .toLowerCase()
+      : null;
+    if (excluidos && !OPCOES_EXCLUIDOS.includes(excluidos)) {
+      erros.push({
+        campo: "excluidos",
+        mensagem: `excluidos inválido (use: ${OPCOES_EXCLUIDOS.join(", ")})`,
+      });
+    }
 
-function isEncarregado(usuario) {
-  return getNivel(usuario) === "encarregado";
-}
+    if (erros.length) return { erros };
 
-function isConsulta(usuario) {
-  return getNivel(usuario) === "consulta";
-}
+    const valoresFiltro = {};
+    for (const f of filtros) {
+      const v = String(query?.[f] ?? "")
+        .trim()
+        .replace(/\s+/g, " ");
+      if (v) valoresFiltro[f] = v;
+    }
+
+    return {
+      listagem: {
+        q: normalizarTexto(query?.q) || null,
+        busca,
+        filtros: valoresFiltro,
+        sort: { campo, desc },
+        limit: hasLimit ? normLimit(query.limit) : null,
+        cursor,
+        excluidos,
+      },
+    };
+  }
 
-// --------------------------------------------------
-// NOVA REGRA DE ACESSO À OBRA
-// - admin: acessa tudo
-// - encarregado: acessa todas as obras
-// - exceção: "EQUIPE ENGENHARIA" só admin
-// --------------------------------------------------
-async function usuarioPodeAcessarObra(usuario, obraId) {
-  if (!isUuid(obraId)) return false;
+  // % e _ do texto do usuário são literais no ilike
+  function escaparLike(texto) {
+    return String(texto).replace(/[\\%_]/g, "\\$&");
+  }
 
-  const obra = await getObraById(obraId);
-  if (!obra) return false;
+  // valor entre aspas para os filtros do .or() do PostgREST
+  function valorOu(valor) {
+    return `"${String(valor).replace(/[\\"]/g, "\\$&")}"`;
+  }
 
-  if (isAdmin(usuario)) return true;
+  // o PostgREST aceita um .or() só por consulta; com mais de um
+  // grupo (visibilidade, busca, cursor) vão todos dentro de and(...)
+  function aplicarOu(query, grupos) {
+    const lista = grupos.filter(Boolean);
+    if (!lista.length) return query;
+    if (lista.length === 1) return query.or(lista[0]);
+    return query.or(`and(${lista.map((g) => `or(${g})`).join(",")})`);
+  }
 
-  if (isObraEquipeEngenharia(obra)) return false;
+  function grupoBusca(q) {
+    const grupos = [`busca.ilike.${valorOu(`%${escaparLike(q)}%`)}`];
 
-  if (isEncarregado(usuario)) return true;
-  if (isFinanceiro(usuario)) return true;
+    // CPF/RG guardados só com dígitos: "123.456" também encontra
+    const qDigitos = q.replace(/\D/g, "");
+    if (qDigitos.length >= 3 && qDigitos !== q) {
+      grupos.push(`busca.ilike.${valorOu(`%${qDigitos}%`)}`);
+    }
 
-  return false;
-}
+    return grupos.join(",");
+  }
 
-async function filtrarObrasVisiveis(usuario, obras) {
-  const lista = Array.isArray(obras) ? obras : [];
+  // linhas depois do cursor na ordem (campo, id); nulos ficam no fim
+  // do crescente e no começo do decrescente, como no order do Postgres
+  function grupoCursor({ campo, desc }, { v, id }) {
+    const op = desc ? "lt" : "gt";
+    const depoisDoId = `id.${op}.${valorOu(id)}`;
+
+    if (v === null) {
+      return desc
+        ? `${campo}.not.is.null,and(${campo}.is.null,${depoisDoId})`
+        : `and(${campo}.is.null,${depoisDoId})`;
+    }
+
+    return [
+      `${campo}.${op}.${valorOu(v)}`,
+      desc ? null : `${campo}.is.null`,
+      `and(${campo}.eq.${valorOu(v)},${depoisDoId})`,
+    ]
+      .filter(Boolean)
+      .join(",");
+  }
 
-  if (isAdmin(usuario)) return lista;
+  function filtrarListagem(query, listagem, ou, comCursor) {
+    const { q, filtros, sort, cursor, excluidos } = listagem;
+    let consulta = query;
 
-  return lista.filter((obra) => !isObraEquipeEngenharia(obra));
-}
+    if (excluidos === "nao") consulta = consulta.is("deleted_at", null);
+    if (excluidos === "somente") {
+      consulta = consulta.not("deleted_at", "is", null);
+    }
 
-async function getIdsObrasVisiveisUsuario(usuario) {
-  const { data, error } = await supabaseAdmin
-    .from("cadastro_obra")
-    .select("id, nome");
+    for (const [campo, valor] of Object.entries(filtros)) {
+      consulta = consulta.ilike(campo, escaparLike(valor));
+    }
 
-  if (error) {
-    console.error("getIdsObrasVisiveisUsuario error:", error);
-    return [];
+    return aplicarOu(consulta, [
+      ...ou,
+      q ? grupoBusca(q) : null,
+      comCursor && cursor ? grupoCursor(sort, cursor) : null,
+    ]);
   }
 
-  const visiveis = await filtrarObrasVisiveis(usuario, data || []);
-  return visiveis.map((o) => o.id);
-}
+  // montar(opcoesSelect) devolve a consulta da rota (select + filtros
+  // de visibilidade); ou = grupos .or() extras de visibilidade.
+  // Retorna { data: { data, total, next_cursor }, error }
+  async function listarPagina(listagem, montar, { ou = [] } = {}) {
+    const { sort, limit, cursor } = listagem;
+
+    let consulta = filtrarListagem(
+      montar({ count: "exact" }),
+      listagem,
+      ou,
+      true,
+    )
+      .order(sort.campo, { ascending: !sort.desc })
+      .order("id", { ascending: !sort.desc });
+
+    // uma linha a mais diz se há próxima página
+    if (limit) consulta = consulta.limit(limit + 1);
+
+    const { data, error, count } = await consulta;
+    if (error) return { data: null, error };
+
+    const linhas = data || [];
+    const pagina = limit ? linhas.slice(0, limit) : linhas;
+    const ultimo = pagina[pagina.length - 1];
+    const next_cursor =
+      limit && linhas.length > limit && ultimo
+        ? encodeCursor(ultimo[sort.campo] ?? null, ultimo.id)
+        : null;
 
-async function getEquipeObraById(id) {
-  const { data, error } = await supabaseAdmin
-    .from("equipe_obra")
-    .select("*")
-    .eq("id", id)
-    .single();
+    // com cursor o count acima é só do que vem depois dele
+    let total = count;
+    if (cursor) {
+      const r = await filtrarListagem(
+        montar({ count: "exact", head: true }),
+        listagem,
+        ou,
+        false,
+      );
+      if (r.error) return { data: null, error: r.error };
+      total = r.count;
+    }
 
-  if (error) return null;
-  return data;
-}
-async function getEmpreiteiroById(id) {
-  const { data, error } = await supabaseAdmin
-    .from("cadastro_empreiteiro")
-    .select("*")
-    .eq("id", id)
-    .single();
-
-  if (error) return null;
-  return data;
-}
+    return { data: { data: pagina, total, next_cursor }, error: null };
+  }
 
-async function getEmpreitaById(id) {
-  const { data, error } = await supabaseAdmin
-    .from("empreitas")
-    .select("*")
-    .eq("id", id)
-    .single();
+  const PAGINA_VAZIA = { data: [], total: 0, next_cursor: null };
 
-  if (error) return null;
-  return data;
-}
+  function getClientIp(req) {
+    const xf = req.headers["x-forwarded-for"];
+    if (xf) return String(xf).split(",")[0].trim();
+    return req.ip || null;
+  }
 
-async function getFuncionarioById(id) {
-  const { data, error } = await supabaseAdmin
-    .from("cadastro_func")
-    .select("*")
-    .eq("id", id)
-    .single();
+  function normalizarTexto(v) {
+    return String(v || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .trim()
+      .replace(/\s+/g, " ")
+      .toUpperCase();
+  }
 
-  if (error) return null;
-  return data;
-}
+  function isObraEquipeEngenharia(obra) {
+    const nome = normalizarTexto(obra?.nome);
+    return nome === "EQUIPE ENGENHARIA";
+  }
 
-async function getUsuarioById(id) {
-  const { data, error } = await supabaseAdmin
-    .from("cadastro_user")
-    .select("*")
-    .eq("id", id)
-    .single();
+  async function registrarLog({
+    req,
+    usuario = null,
+    acao,
+    tabela = null,
+    registro_id = null,
+    antes = null,
+    depois = null,
+    diferencas,
+    observacao = null,
+  }) {
+    try {
+      const antesLimpo = limparObjetoParaLog(antes);
+      const depoisLimpo = limparObjetoParaLog(depois);
+
+      const payload = {
+        usuario_id: usuario?.id || req?.authUser?.id || null,
+        usuario_nome: usuario?.nome || null,
+        usuario_email: usuario?.email || null,
+        nivel_acesso: usuario?.nivel_acesso || null,
+
+        acao: String(acao || "").trim(),
+        tabela: tabela ? String(tabela).trim() : null,
+        registro_id: registro_id ? String(registro_id).trim() : null,
+
+        antes: antesLimpo,
+        depois: depoisLimpo,
+        diferencas:
+          diferencas === undefined
+            ? gerarDiferencas(antesLimpo, depoisLimpo)
+            : limparObjetoParaLog(diferencas),
+
+        rota: req?.originalUrl || req?.url || null,
+        metodo: req?.method || null,
+
+        ip: getClientIp(req),
+        navegador: req?.headers?.["user-agent"] || null,
+        request_id: req?.id || null,
+        observacao: observacao ? String(observacao).trim() : null,
+      };
 
-  if (error) return null;
-  return data;
-}
+      const { error } = await supabaseAdmin
+        .from("logs_sistema")
+        .insert(payload);
 
-async function getObraById(id) {
-  const { data, error } = await supabaseAdmin
-    .from("cadastro_obra")
-    .select("*")
-    .eq("id", id)
-    .single();
+      if (error) {
+        logger.erro("Erro ao registrar log:", error);
+      }
+    } catch (err) {
+      logger.erro("Falha inesperada ao registrar log:", err);
+    }
+  }
 
-  if (error) return null;
-  return data;
-}
+  // ==================================================
+  // CACHE DE CONSULTAS
+  // - obras, funcionários e atribuições lidos na
+  //   requisição ficam em req.memo (uma consulta por
+  //   requisição) e por alguns segundos em memória
+  // - rotas que alteram esses cadastros chamam
+  //   esquecerObra / esquecerFuncionario /
+  //   esquecerAtribuicoes
+  // - getObraById / getFuncionarioById sempre leem do
+  //   banco (antes/depois dos logs) e renovam o cache
+  // ==================================================
+  const CACHE_CONSULTAS_TTL_MS = 30_000;
+
+  const cacheObras = criarCache({ ttlMs: CACHE_CONSULTAS_TTL_MS });
+  const cacheFuncionarios = criarCache({ ttlMs: CACHE_CONSULTAS_TTL_MS });
+  const cacheAtribuicoes = criarCache({ ttlMs: CACHE_CONSULTAS_TTL_MS });
+
+  function memoDaRequisicao(req, nome) {
+    if (!req) return new Map();
+    req.memo = req.memo || {};
+    req.memo[nome] = req.memo[nome] || new Map();
+    return req.memo[nome];
+  }
 
-async function getQuinzenaById(id) {
-  const { data, error } = await supabaseAdmin
-    .from("cadastro_quinzena")
-    .select("*")
-    .eq("id", id)
-    .single();
+  // Map id -> linha (null se não existe); busca só o que não
+  // está na requisição nem no cache, numa única consulta.
+  async function carregarPorIds(tabela, cache, ids, req) {
+    const memo = memoDaRequisicao(req, tabela);
+    const unicos = [...new Set((ids || []).filter(isUuid))];
+    const faltando = [];
 
-  if (error) return null;
-  return data;
-}
+    for (const id of unicos) {
+      if (memo.has(id)) continue;
 
-// --------------------------------------------------
-// ENRIQUECIMENTO
-// --------------------------------------------------
-async function enrichEquipeRowsWithNames(rows) {
-  const out = rows || [];
-  const funcIds = [
-    ...new Set(out.map((r) => r.funcionario_id).filter(Boolean)),
-  ];
+      const emCache = cache.get(id);
+      if (emCache) memo.set(id, emCache);
+      else faltando.push(id);
+    }
 
-  if (funcIds.length === 0) {
-    return out.map((r) => ({
-      ...r,
-      funcionario_nome: null,
-      funcionario_funcao: null,
-      funcionario_valor_diaria: 0,
-      valor_diaria: 0,
-    }));
+    if (faltando.length) {
+      const { data, error } = await supabaseAdmin
+        .from(tabela)
+        .select("*")
+        .in("id", faltando);
+
+      // falha do banco não pode virar "não existe" (404/403)
+      if (error) {
+        logger.erro(`carregarPorIds(${tabela}) error:`, error);
+        throw new ErroApi("Falha ao consultar o banco de dados");
+      }
+
+      (data || []).forEach((row) => {
+        memo.set(row.id, row);
+        cache.set(row.id, row);
+      });
+      faltando.forEach((id) => {
+        if (!memo.has(id)) memo.set(id, null);
+      });
+    }
+
+    return new Map(unicos.map((id) => [id, memo.get(id) || null]));
   }
 
-  const { data: funcs, error: errF } = await supabaseAdmin
-    .from("cadastro_func")
-    .select("id, nome, funcao, situacao, valor_diaria")
-    .in("id", funcIds);
+  function getObrasPorIds(ids, req = null) {
+    return carregarPorIds("cadastro_obra", cacheObras, ids, req);
+  }
 
-  if (errF) {
-    console.error("enrichEquipeRowsWithNames cadastro_func error:", errF);
-    return out.map((r) => ({
-      ...r,
-      funcionario_nome: null,
-      funcionario_funcao: null,
-      funcionario_valor_diaria: 0,
-      valor_diaria: 0,
-    }));
+  function getFuncionariosPorIds(ids, req = null) {
+    return carregarPorIds("cadastro_func", cacheFuncionarios, ids, req);
   }
 
-  const map = {};
-  (funcs || []).forEach((f) => (map[f.id] = f));
+  // responsável pode ter mudado: descarta todas as atribuições
+  function esquecerObra(id) {
+    cacheObras.apagar(id);
+    cacheAtribuicoes.limpar();
+  }
 
-  return out.map((r) => {
-    const vd = Number(map[r.funcionario_id]?.valor_diaria || 0);
-    return {
-      ...r,
-      funcionario_nome: map[r.funcionario_id]?.nome || null,
-      funcionario_funcao: map[r.funcionario_id]?.funcao || null,
-      funcionario_valor_diaria: vd,
-      valor_diaria: vd,
-    };
-  });
-}
+  function esquecerFuncionario(id) {
+    cacheFuncionarios.apagar(id);
+  }
 
-async function enrichEquipeRowsWithObraNames(rows) {
-  const out = rows || [];
-  const obraIds = [...new Set(out.map((r) => r.obra_id).filter(Boolean))];
+  function esquecerAtribuicoes(usuarioId) {
+    cacheAtribuicoes.apagar(usuarioId);
+  }
 
-  if (obraIds.length === 0) {
-    return out.map((r) => ({
-      ...r,
-      obra_nome: null,
-      obra_situacao: null,
-    }));
+  // ==================================================
+  // PERMISSÕES
+  // - o que cada nível pode fazer está na matriz de
+  //   utils/permissoes.js; as rotas exigem a permissão
+  //   com requirePermission e aqui fica só o escopo
+  //   (quais obras/funcionários o usuário enxerga)
+  // ==================================================
+  function temAcessoIrrestrito(usuario) {
+    return temPermissao(usuario, "obras:irrestrito");
   }
 
-  const { data: obras, error: errO } = await supabaseAdmin
-    .from("cadastro_obra")
-    .select("id, nome, situacao")
-    .in("id", obraIds);
+  // --------------------------------------------------
+  // REGRA DE ACESSO À OBRA
+  // - obras:irrestrito (admin): acessa tudo
+  // - "EQUIPE ENGENHARIA" fica oculta para os demais
+  // - obras:nao_atribuidas (financeiro): demais obras
+  // - sem ela (encarregado): só obras em que é o
+  //   responsável ou está atribuído em obra_usuario
+  // - se o usuário pode ou não mexer na obra é decidido
+  //   pela permissão da rota
+  // --------------------------------------------------
+  async function getIdsObrasAtribuidas(usuarioId, req = null) {
+    const memo = memoDaRequisicao(req, "obra_usuario");
+    if (memo.has(usuarioId)) return memo.get(usuarioId);
+
+    const emCache = cacheAtribuicoes.get(usuarioId);
+    if (emCache) {
+      memo.set(usuarioId, emCache);
+      return emCache;
+    }
+
+    const [responsavel, atribuidas] = await Promise.all([
+      supabaseAdmin
+        .from("cadastro_obra")
+        .select("id")
+        .eq("responsavel", usuarioId),
+      supabaseAdmin
+        .from("obra_usuario")
+        .select("obra_id")
+        .eq("usuario_id", usuarioId),
+    ]);
+
+    if (responsavel.error || atribuidas.error) {
+      logger.erro(
+        "getIdsObrasAtribuidas error:",
+        responsavel.error || atribuidas.error,
+      );
+      throw new ErroApi("Falha ao verificar obras do usuário");
+    }
+
+    const ids = new Set([
+      ...(responsavel.data || []).map((o) => o.id),
+      ...(atribuidas.data || []).map((a) => a.obra_id),
+    ]);
 
-  if (errO) {
-    console.error("enrichEquipeRowsWithObraNames cadastro_obra error:", errO);
-    return out.map((r) => ({
-      ...r,
-      obra_nome: null,
-      obra_situacao: null,
-    }));
+    memo.set(usuarioId, ids);
+    cacheAtribuicoes.set(usuarioId, ids);
+    return ids;
   }
 
-  const map = {};
-  (obras || []).forEach((o) => (map[o.id] = o));
+  // true só se o usuário da requisição acessa todas as obras
+  // (obra excluída não recebe lançamentos nem alterações);
+  // lista vazia não toca obra nenhuma, então passa
+  async function usuarioPodeAcessarObras(req, obraIds) {
+    const ids = [...new Set(obraIds || [])];
+    if (!ids.length) return true;
+    if (!ids.every(isUuid)) return false;
 
-  return out.map((r) => ({
-    ...r,
-    obra_nome: map[r.obra_id]?.nome || null,
-    obra_situacao: map[r.obra_id]?.situacao || null,
-  }));
-}
+    const obras = await getObrasPorIds(ids, req);
+    if ([...obras.values()].some((o) => !o || o.deleted_at)) return false;
 
-// ==================================================
-// HEALTH
-// ==================================================
-app.get("/health", (req, res) => {
-  res.json({ ok: true, name: "CNX API", time: new Date().toISOString() });
-});
+    const visiveis = await filtrarObrasVisiveis(
+      req.usuario,
+      [...obras.values()],
+      req,
+    );
+    return visiveis.length === ids.length;
+  }
 
-// ==================================================
-// /me
-// ==================================================
-app.get("/me", requireAuth, async (req, res) => {
-  try {
-    const authId = req.authUser.id;
+  async function usuarioPodeAcessarObra(req, obraId) {
+    return usuarioPodeAcessarObras(req, [obraId]);
+  }
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_user")
-      .select("id, nome, email, nivel_acesso, situacao")
-      .eq("id", authId)
-      .single();
+  async function filtrarObrasVisiveis(usuario, obras, req = null) {
+    const lista = Array.isArray(obras) ? obras : [];
 
-    if (error) {
-      console.error("GET /me error:", error);
-      return res
-        .status(404)
-        .json({ ok: false, error: "Perfil não encontrado no cadastro_user" });
-    }
+    if (temAcessoIrrestrito(usuario)) return lista;
 
-    await registrarLog({
-      req,
-      usuario: data,
-      acao: "VIEW",
-      tabela: "cadastro_user",
-      registro_id: data.id,
-      depois: data,
-      observacao: "Usuário consultou o próprio perfil (/me)",
-    });
+    const semEngenharia = lista.filter((obra) => !isObraEquipeEngenharia(obra));
+    if (temPermissao(usuario, "obras:nao_atribuidas")) return semEngenharia;
+    if (!semEngenharia.length) return [];
 
-    return res.json({ ok: true, data });
-  } catch (err) {
-    console.error("GET /me exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    const atribuidas = await getIdsObrasAtribuidas(usuario.id, req);
+    return semEngenharia.filter((obra) => atribuidas.has(obra.id));
   }
-});
 
-// ==================================================
-// USUÁRIOS RESPONSÁVEIS
-// ==================================================
-app.get("/usuarios/responsaveis", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-
-    if (!(isAdmin(usuario) || isFinanceiro(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou financeiro pode listar responsáveis",
-      );
-    }
+  // filtrarObrasVisiveis como filtro da consulta de cadastro_obra,
+  // para as listagens paginadas no banco; null = nenhuma obra visível
+  async function filtroObrasVisiveis(usuario, req = null) {
+    if (temAcessoIrrestrito(usuario)) return (q) => q;
 
+    const semEngenharia = (q) => q.not("nome", "ilike", "EQUIPE ENGENHARIA");
+    if (temPermissao(usuario, "obras:nao_atribuidas")) return semEngenharia;
+
+    const atribuidas = [...(await getIdsObrasAtribuidas(usuario.id, req))];
+    if (!atribuidas.length) return null;
+    return (q) => semEngenharia(q).in("id", atribuidas);
+  }
+
+  async function getIdsObrasVisiveisUsuario(usuario, req = null) {
     const { data, error } = await supabaseAdmin
-      .from("cadastro_user")
-      .select("id, auth_user_id, nome, email, nivel_acesso, situacao")
-      .eq("situacao", "ativo")
-      .in("nivel_acesso", ["encarregado", "admin"])
-      .order("nome", { ascending: true });
+      .from("cadastro_obra")
+      .select("id, nome");
 
     if (error) {
-      console.error("GET /usuarios/responsaveis error:", error);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao listar responsáveis",
-      });
+      logger.erro("getIdsObrasVisiveisUsuario error:", error);
+      throw new ErroApi("Falha ao verificar obras do usuário");
     }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "cadastro_user",
-      depois: { total: (data || []).length },
-      observacao: "Listou usuários responsáveis",
-    });
+    const visiveis = await filtrarObrasVisiveis(usuario, data || [], req);
+    return visiveis.map((o) => o.id);
+  }
+
+  async function getEquipeObraById(id) {
+    const { data, error } = await supabaseAdmin
+      .from("equipe_obra")
+      .select("*")
+      .eq("id", id)
+      .single();
 
-    return res.json({ ok: true, data: data || [] });
-  } catch (err) {
-    console.error("GET /usuarios/responsaveis exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    if (error) return null;
+    return data;
   }
-});
+  async function getEmpreiteiroById(id) {
+    const { data, error } = await supabaseAdmin
+      .from("cadastro_empreiteiro")
+      .select("*")
+      .eq("id", id)
+      .single();
 
-// ==================================================
-// USUÁRIOS CRUD
-// ==================================================
-app.get("/usuarios", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+    if (error) return null;
+    return data;
+  }
 
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode listar usuários");
-    }
+  async function getEmpreitaById(id) {
+    const { data, error } = await supabaseAdmin
+      .from("empreitas")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (error) return null;
+    return data;
+  }
 
+  async function getFuncionarioById(id) {
     const { data, error } = await supabaseAdmin
-      .from("cadastro_user")
-      .select("id, nome, email, nivel_acesso, situacao")
-      .order("nome", { ascending: true });
+      .from("cadastro_func")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
 
     if (error) {
-      console.error("GET /usuarios error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao listar usuários" });
+      logger.erro("getFuncionarioById error:", error);
+      throw new ErroApi("Falha ao consultar o banco de dados");
     }
+    if (data) cacheFuncionarios.set(id, data);
+    return data;
+  }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "cadastro_user",
-      depois: { total: (data || []).length },
-      observacao: "Listou usuários",
-    });
+  async function getUsuarioById(id) {
+    const { data, error } = await supabaseAdmin
+      .from("cadastro_user")
+      .select("*")
+      .eq("id", id)
+      .single();
 
-    return res.json({ ok: true, data: data || [] });
-  } catch (err) {
-    console.error("GET /usuarios exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    if (error) return null;
+    return data;
   }
-});
 
-app.get("/usuarios/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = req.params.id;
+  async function getObraById(id) {
+    const { data, error } = await supabaseAdmin
+      .from("cadastro_obra")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
 
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode consultar usuário");
+    if (error) {
+      logger.erro("getObraById error:", error);
+      throw new ErroApi("Falha ao consultar o banco de dados");
     }
+    if (data) cacheObras.set(id, data);
+    return data;
+  }
 
+  // null só quando não existe: falha do banco não vira 404
+  async function getQuinzenaById(id) {
     const { data, error } = await supabaseAdmin
-      .from("cadastro_user")
-      .select("id, nome, email, nivel_acesso, situacao, observacao")
+      .from("cadastro_quinzena")
+      .select("*")
       .eq("id", id)
-      .single();
+      .maybeSingle();
 
     if (error) {
-      console.error("GET /usuarios/:id error:", error);
-      return res
-        .status(404)
-        .json({ ok: false, error: "Usuário não encontrado" });
+      logger.erro("getQuinzenaById error:", error);
+      throw new ErroApi("Falha ao consultar quinzena");
     }
+    return data;
+  }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "VIEW",
-      tabela: "cadastro_user",
-      registro_id: id,
-      depois: data,
-      observacao: "Consultou usuário",
-    });
-
-    return res.json({ ok: true, data });
-  } catch (err) {
-    console.error("GET /usuarios/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+  // --------------------------------------------------
+  // QUINZENA FECHADA
+  // - lançamentos (diárias, ajustes, empreitas) com data
+  //   dentro de quinzena fechada não podem ser alterados
+  // - só admin reabre
+  // --------------------------------------------------
+  function isQuinzenaFechada(quinzena) {
+    return String(quinzena?.status || "").toLowerCase() === "fechada";
   }
-});
 
-app.post("/usuarios", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+  async function getQuinzenaFechadaPorDatas(datas) {
+    const lista = [
+      ...new Set(
+        (datas || []).map((d) => String(d || "").trim()).filter(Boolean),
+      ),
+    ].sort();
+
+    if (!lista.length) return null;
+
+    const { data, error } = await supabaseAdmin
+      .from("cadastro_quinzena")
+      .select("id, nome, data_inicio, data_fim, status")
+      .eq("status", "fechada")
+      .is("deleted_at", null)
+      .lte("data_inicio", lista[lista.length - 1])
+      .gte("data_fim", lista[0]);
 
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode criar usuários");
+    if (error) {
+      logger.erro("getQuinzenaFechadaPorDatas error:", error);
+      throw new ErroApi("Falha ao verificar quinzenas fechadas");
     }
 
-    const nome = limitarTexto(req.body?.nome, 120);
-    const email = limitarTexto(req.body?.email, 160);
-    const senha = limitarTexto(req.body?.senha, 120);
-    const nivel_acesso = limitarTexto(
-      req.body?.nivel_acesso || "encarregado",
-      30,
+    return (
+      (data || []).find((q) =>
+        lista.some((d) => d >= q.data_inicio && d <= q.data_fim),
+      ) || null
     );
-    const observacao = limitarTexto(req.body?.observacao, 1000);
-    const situacao = normSituacao(req.body?.situacao, "ativo");
+  }
 
-    if (!nome)
-      return res.status(400).json({ ok: false, error: "nome é obrigatório" });
-    if (!email)
-      return res.status(400).json({ ok: false, error: "email é obrigatório" });
+  // --------------------------------------------------
+  // EXCLUSÃO LÓGICA
+  // - DELETE marca deleted_at/deleted_by; ?definitivo=true
+  //   apaga a linha (registros:excluir_definitivo), mas só
+  //   se nenhum lançamento/cadastro ainda aponta para ela
+  // - POST /.../:id/restaurar desfaz a exclusão lógica
+  // --------------------------------------------------
+  const esquemaExclusao = esquema({
+    definitivo: v.booleano({ padrao: false }),
+  });
 
-    if (!senha || senha.length < 6) {
-      return res.status(400).json({
-        ok: false,
-        error: "senha precisa ter pelo menos 6 caracteres",
-      });
-    }
+  const EXCLUSAO_LOGICA = {
+    cadastro_func: {
+      nome: "Funcionário",
+      genero: "o",
+      dependentes: [
+        ["lanc_diarias", "funcionario_id", "id, obra_id, data, qtd"],
+        ["lanc_diarias_ajustes", "funcionario_id", "id, obra_id, data_inicio"],
+        ["empreitas", "funcionario_id", "id, obra_id, data_pagamento, valor"],
+        ["equipe_obra", "funcionario_id", "id, obra_id, situacao"],
+      ],
+    },
+    cadastro_obra: {
+      nome: "Obra",
+      genero: "a",
+      dependentes: [
+        ["lanc_diarias", "obra_id", "id, funcionario_id, data, qtd"],
+        ["lanc_diarias_ajustes", "obra_id", "id, funcionario_id, data_inicio"],
+        ["empreitas", "obra_id", "id, funcionario_id, data_pagamento, valor"],
+        ["equipe_obra", "obra_id", "id, funcionario_id, situacao"],
+      ],
+    },
+    cadastro_quinzena: {
+      nome: "Quinzena",
+      genero: "a",
+      dependentes: [
+        ["remessa_pagamento", "quinzena_id", "id, nsa, data_pagamento"],
+      ],
+    },
+    cadastro_user: {
+      nome: "Usuário",
+      genero: "o",
+      dependentes: [
+        ["cadastro_obra", "responsavel", "id, nome"],
+        ["cadastro_quinzena", "fechada_por", "id, nome"],
+        ["remessa_pagamento", "created_by", "id, nsa, quinzena_id"],
+      ],
+    },
+  };
 
-    const { data: created, error: createErr } =
-      await supabaseAdmin.auth.admin.createUser({
-        email,
-        password: senha,
-        email_confirm: true,
-      });
+  const LIMITE_DEPENDENTES = 20;
 
-    if (createErr) {
-      console.error("POST /usuarios createUser error:", createErr);
-      return res.status(409).json({
-        ok: false,
-        error: "Já existe um usuário com esse e-mail",
-      });
-    }
+  // { tabela: { total, registros } } só com as tabelas que bloqueiam
+  async function listarDependentes(tabela, id) {
+    const deps = EXCLUSAO_LOGICA[tabela].dependentes;
 
-    const newAuthId = created?.user?.id;
-    if (!newAuthId) {
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao criar usuário no Auth" });
-    }
-
-    const row = {
-      id: newAuthId,
-      auth_user_id: newAuthId,
-      nome,
-      email,
-      nivel_acesso,
-      situacao,
-      observacao,
-    };
+    const resultados = await Promise.all(
+      deps.map(([dep, coluna, campos]) =>
+        supabaseAdmin
+          .from(dep)
+          .select(campos, { count: "exact" })
+          .eq(coluna, id)
+          .limit(LIMITE_DEPENDENTES),
+      ),
+    );
 
-    const { error: insertErr } = await supabaseAdmin
-      .from("cadastro_user")
-      .insert(row);
+    const dependentes = {};
 
-    if (insertErr) {
-      console.error("POST /usuarios insert cadastro_user error:", insertErr);
+    resultados.forEach(({ data, count, error }, i) => {
+      const [dep] = deps[i];
 
-      try {
-        await supabaseAdmin.auth.admin.deleteUser(newAuthId);
-      } catch (e) {
-        console.warn("Rollback deleteUser failed:", e);
+      if (error) {
+        logger.erro(`listarDependentes(${dep}) error:`, error);
+        throw new ErroApi("Falha ao verificar registros dependentes");
       }
 
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao salvar cadastro_user" });
-    }
-
-    const novo = await getUsuarioById(newAuthId);
-
-    await registrarLog({
-      req,
-      usuario,
-      acao: "INSERT",
-      tabela: "cadastro_user",
-      registro_id: newAuthId,
-      depois: novo || row,
-      observacao: `Criou usuário ${nome}`,
+      if (count) dependentes[dep] = { total: count, registros: data || [] };
     });
 
-    return res.status(201).json({ ok: true, data: { id: newAuthId } });
-  } catch (err) {
-    console.error("POST /usuarios exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
-
-app.patch("/usuarios/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = req.params.id;
-
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode editar usuários");
-    }
-
-    const antes = await getUsuarioById(id);
-
-    const patch = {
-      ...(req.body?.nome !== undefined
-        ? { nome: String(req.body.nome).trim() }
-        : {}),
-      ...(req.body?.nivel_acesso !== undefined
-        ? { nivel_acesso: String(req.body.nivel_acesso).trim() }
-        : {}),
-      ...(req.body?.situacao !== undefined
-        ? { situacao: normSituacao(req.body.situacao) }
-        : {}),
-      ...(req.body?.observacao !== undefined
-        ? {
-            observacao: req.body.observacao
-              ? String(req.body.observacao).trim()
-              : null,
-          }
-        : {}),
-    };
-
-    const novoEmail =
-      req.body?.email !== undefined
-        ? String(req.body.email || "").trim()
-        : null;
-
-    const novaSenha =
-      req.body?.senha !== undefined
-        ? String(req.body.senha || "").trim()
-        : null;
-
-    if (novoEmail) patch.email = novoEmail;
+    return dependentes;
+  }
 
-    if (Object.keys(patch).length > 0) {
-      const { error: upErr } = await supabaseAdmin
-        .from("cadastro_user")
-        .update(patch)
-        .eq("id", id);
+  // Confere se o DELETE pode seguir; se não, lança o erro da resposta.
+  function conferirExclusao(req, tabela, antes) {
+    const { nome, genero } = EXCLUSAO_LOGICA[tabela];
+    const { definitivo } = req.validado.query;
 
-      if (upErr) {
-        console.error("PATCH /usuarios/:id update cadastro_user error:", upErr);
-        return res
-          .status(500)
-          .json({ ok: false, error: "Falha ao atualizar usuário" });
-      }
+    if (!antes) {
+      throw new ErroNaoEncontrado(`${nome} não encontrad${genero}`);
     }
 
-    if (novoEmail || novaSenha) {
-      const payloadAuth = {};
-      if (novoEmail) payloadAuth.email = novoEmail;
-      if (novaSenha) {
-        if (novaSenha.length < 6) {
-          return res.status(400).json({
-            ok: false,
-            error: "senha precisa ter pelo menos 6 caracteres",
-          });
-        }
-        payloadAuth.password = novaSenha;
-      }
-
-      const { error: authErr } = await supabaseAdmin.auth.admin.updateUserById(
-        id,
-        payloadAuth,
+    if (
+      definitivo &&
+      !temPermissao(req.usuario, "registros:excluir_definitivo")
+    ) {
+      throw new ErroSemPermissao(
+        `Sem permissão para ${PERMISSOES["registros:excluir_definitivo"]}`,
+        { detalhes: { permissao: "registros:excluir_definitivo" } },
       );
-
-      if (authErr) {
-        console.error("PATCH /usuarios/:id update Auth error:", authErr);
-        return res.status(200).json({
-          ok: true,
-          warning: "Atualizou cadastro_user, mas falhou ao atualizar Auth",
-        });
-      }
     }
 
-    const depois = await getUsuarioById(id);
-
-    await registrarLog({
-      req,
-      usuario,
-      acao: "PATCH",
-      tabela: "cadastro_user",
-      registro_id: id,
-      antes,
-      depois,
-      observacao: "Atualizou usuário",
-    });
-
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("PATCH /usuarios/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    if (!definitivo && antes.deleted_at) {
+      throw new ErroConflito(`${nome} já está excluíd${genero}`, {
+        code: "JA_EXCLUIDO",
+      });
+    }
   }
-});
 
-app.delete("/usuarios/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = req.params.id;
+  // PUT/PATCH: o registro precisa existir e não estar excluído
+  function conferirAlteracao(tabela, antes) {
+    const { nome, genero } = EXCLUSAO_LOGICA[tabela];
 
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode excluir usuários");
+    if (!antes) {
+      throw new ErroNaoEncontrado(`${nome} não encontrad${genero}`);
     }
 
-    const antes = await getUsuarioById(id);
-
-    const { error: delRowErr } = await supabaseAdmin
-      .from("cadastro_user")
-      .delete()
-      .eq("id", id);
-
-    if (delRowErr) {
-      console.error(
-        "DELETE /usuarios/:id delete cadastro_user error:",
-        delRowErr,
+    if (antes.deleted_at) {
+      throw new ErroConflito(
+        `${nome} está excluíd${genero}; restaure antes de alterar`,
+        { code: "REGISTRO_EXCLUIDO" },
       );
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao deletar cadastro_user" });
-    }
-
-    const { error: delAuthErr } = await supabaseAdmin.auth.admin.deleteUser(id);
-
-    await registrarLog({
-      req,
-      usuario,
-      acao: "DELETE",
-      tabela: "cadastro_user",
-      registro_id: id,
-      antes,
-      depois: null,
-      observacao: delAuthErr
-        ? "Usuário removido de cadastro_user, mas falhou no Auth"
-        : "Usuário excluído",
-    });
-
-    if (delAuthErr) {
-      console.error("DELETE /usuarios/:id delete Auth error:", delAuthErr);
-      return res.status(200).json({
-        ok: true,
-        warning: "Deletou cadastro_user, mas falhou ao deletar no Auth",
-      });
     }
-
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("DELETE /usuarios/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
   }
-});
 
-// ==================================================
-// RELATÓRIO PAGAMENTO
-// ==================================================
-app.get("/relatorios/pagamento", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+  // { error } ou { dependentes } quando a exclusão definitiva é barrada
+  async function excluirRegistro(req, tabela, id) {
+    if (req.validado.query.definitivo) {
+      const dependentes = await listarDependentes(tabela, id);
+      if (Object.keys(dependentes).length) return { dependentes };
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode acessar relatório de pagamento",
-      );
+      const { error } = await supabaseAdmin.from(tabela).delete().eq("id", id);
+      return { error };
     }
 
-    const inicio = String(req.query?.inicio || "").trim();
-    const fim = String(req.query?.fim || "").trim();
-
-    if (!inicio || !fim) {
-      return res.status(400).json({
-        ok: false,
-        error: "Informe inicio e fim no formato YYYY-MM-DD",
-      });
-    }
+    const { error } = await supabaseAdmin
+      .from(tabela)
+      .update({
+        deleted_at: new Date().toISOString(),
+        deleted_by: req.usuario.id,
+      })
+      .eq("id", id);
 
-    let obraIdsPermitidas = null;
+    return { error };
+  }
 
-    if (!isAdmin(usuario)) {
-      obraIdsPermitidas = await getIdsObrasVisiveisUsuario(usuario);
+  function erroDependentes(tabela, dependentes) {
+    const { nome, genero } = EXCLUSAO_LOGICA[tabela];
 
-      if (!obraIdsPermitidas.length) {
-        await registrarLog({
-          req,
-          usuario,
-          acao: "VIEW",
-          tabela: "relatorios_pagamento",
-          depois: { inicio, fim, total_funcionarios: 0, total_obras: 0 },
-          observacao: "Consultou relatório de pagamento sem obras visíveis",
-        });
+    return new ErroConflito(
+      `${nome} ainda tem registros vinculados (${Object.keys(dependentes).join(
+        ", ",
+      )}) e não pode ser excluíd${genero} definitivamente`,
+      { code: "REGISTROS_VINCULADOS", detalhes: { dependentes } },
+    );
+  }
 
-        return res.json({
-          ok: true,
-          funcionarios: [],
-          diarias: [],
-          ajustes: [],
-          empreitas: [],
-        });
-      }
-    }
+  // Restaura e devolve { antes, depois }; lança 404/409/500 se não deu.
+  async function restaurarRegistro(tabela, id) {
+    const { nome, genero } = EXCLUSAO_LOGICA[tabela];
 
-    let qDiarias = supabaseAdmin
-      .from("lanc_diarias")
-      .select("obra_id, funcionario_id, data, qtd, valor_diaria_aplicado")
-      .gte("data", inicio)
-      .lte("data", fim);
+    const { data: antes, error: antesErr } = await supabaseAdmin
+      .from(tabela)
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
 
-    if (obraIdsPermitidas) {
-      qDiarias = qDiarias.in("obra_id", obraIdsPermitidas);
+    if (antesErr) {
+      logger.erro(`restaurarRegistro(${tabela}) select error:`, antesErr);
+      throw new ErroApi(`Falha ao restaurar ${nome.toLowerCase()}`);
     }
 
-    const { data: diarias, error: errDiarias } = await qDiarias;
-
-    if (errDiarias) {
-      console.error("GET /relatorios/pagamento diarias error:", errDiarias);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao buscar diárias" });
+    if (!antes) {
+      throw new ErroNaoEncontrado(`${nome} não encontrad${genero}`);
     }
 
-    let qAjustes = supabaseAdmin
-      .from("lanc_diarias_ajustes")
-      .select(
-        "obra_id, funcionario_id, data_inicio, reembolso, adiantamento, observacao, valor",
-      )
-      .gte("data_inicio", inicio)
-      .lte("data_inicio", fim);
-
-    if (obraIdsPermitidas) {
-      qAjustes = qAjustes.in("obra_id", obraIdsPermitidas);
+    if (!antes.deleted_at) {
+      throw new ErroConflito(`${nome} não está excluíd${genero}`, {
+        code: "NAO_EXCLUIDO",
+      });
     }
 
-    const { data: ajustes, error: errAj } = await qAjustes;
+    const { data: depois, error } = await supabaseAdmin
+      .from(tabela)
+      .update({ deleted_at: null, deleted_by: null })
+      .eq("id", id)
+      .select("*")
+      .single();
 
-    if (errAj) {
-      console.error("GET /relatorios/pagamento ajustes error:", errAj);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao buscar ajustes (reembolso/adiantamento)",
-      });
+    if (error) {
+      logger.erro(`restaurarRegistro(${tabela}) error:`, error);
+      throw new ErroApi(`Falha ao restaurar ${nome.toLowerCase()}`);
     }
 
-    let qEmpreitas = supabaseAdmin
-      .from("empreitas")
-      .select("obra_id, funcionario_id, data_pagamento, valor")
-      .gte("data_pagamento", inicio)
-      .lte("data_pagamento", fim);
+    return { antes, depois };
+  }
 
-    if (obraIdsPermitidas) {
-      qEmpreitas = qEmpreitas.in("obra_id", obraIdsPermitidas);
-    }
+  // --------------------------------------------------
+  // ENRIQUECIMENTO
+  // --------------------------------------------------
+  async function enrichEquipeRowsWithNames(rows, req = null) {
+    const out = rows || [];
+    const funcs = await getFuncionariosPorIds(
+      out.map((r) => r.funcionario_id),
+      req,
+    );
 
-    const { data: empreitas, error: errEmp } = await qEmpreitas;
+    return out.map((r) => {
+      const f = funcs.get(r.funcionario_id);
+      const vd = Number(f?.valor_diaria || 0);
+      return {
+        ...r,
+        funcionario_nome: f?.nome || null,
+        funcionario_funcao: f?.funcao || null,
+        funcionario_valor_diaria: vd,
+        valor_diaria: vd,
+      };
+    });
+  }
 
-    if (errEmp) {
-      console.error("GET /relatorios/pagamento empreitas error:", errEmp);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao buscar empreitas" });
-    }
+  async function enrichEquipeRowsWithObraNames(rows, req = null) {
+    const out = rows || [];
+    const obras = await getObrasPorIds(
+      out.map((r) => r.obra_id),
+      req,
+    );
 
-    const funcIdsSet = new Set();
+    return out.map((r) => ({
+      ...r,
+      obra_nome: obras.get(r.obra_id)?.nome || null,
+      obra_situacao: obras.get(r.obra_id)?.situacao || null,
+    }));
+  }
 
-    (diarias || []).forEach((r) => {
-      if (r?.funcionario_id) funcIdsSet.add(r.funcionario_id);
-    });
+  // ==================================================
+  // HEALTH
+  // ==================================================
+  app.get("/health", (req, res) => {
+    res.json({ ok: true, name: "CNX API", time: new Date().toISOString() });
+  });
 
-    (ajustes || []).forEach((r) => {
-      if (r?.funcionario_id) funcIdsSet.add(r.funcionario_id);
-    });
+  // ==================================================
+  // /me
+  // ==================================================
+  app.get(
+    "/me",
+    requireAuth,
+    rotaAsync(async (req, res) => {
+      const data = req.usuario;
 
-    (empreitas || []).forEach((r) => {
-      if (r?.funcionario_id) funcIdsSet.add(r.funcionario_id);
-    });
+      await registrarLog({
+        req,
+        usuario: data,
+        acao: "VIEW",
+        tabela: "cadastro_user",
+        registro_id: data.id,
+        depois: data,
+        observacao: "Usuário consultou o próprio perfil (/me)",
+      });
 
-    const funcIds = [...funcIdsSet];
-    let funcionarios = [];
+      return res.json({
+        ok: true,
+        data: { ...data, permissoes: permissoesDoUsuario(data) },
+      });
+    }),
+  );
 
-    if (funcIds.length > 0) {
-      const { data: funcs, error: errFunc } = await supabaseAdmin
-        .from("cadastro_func")
-        .select(
-          "id, nome, funcao, razao_social, titular_conta, cpf, banco, agencia, conta, chave_pix_tipo, chave_pix, situacao",
-        )
-        .in("id", funcIds)
+  // ==================================================
+  // USUÁRIOS RESPONSÁVEIS
+  // ==================================================
+  app.get(
+    "/usuarios/responsaveis",
+    requireAuth,
+    requirePermission("usuarios:responsaveis"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { data, error } = await supabaseAdmin
+        .from("cadastro_user")
+        .select("id, auth_user_id, nome, email, nivel_acesso, situacao")
+        .eq("situacao", "ativo")
+        .is("deleted_at", null)
+        .in("nivel_acesso", ["encarregado", "admin"])
         .order("nome", { ascending: true });
 
-      if (errFunc) {
-        console.error("GET /relatorios/pagamento funcionarios error:", errFunc);
-        return res
-          .status(500)
-          .json({ ok: false, error: "Falha ao listar funcionários" });
+      if (error) {
+        logger.erro("GET /usuarios/responsaveis error:", error);
+        throw new ErroApi("Falha ao listar responsáveis");
       }
 
-      funcionarios = funcs || [];
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "cadastro_user",
+        depois: { total: (data || []).length },
+        observacao: "Listou usuários responsáveis",
+      });
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "VIEW",
-      tabela: "relatorios_pagamento",
-      depois: {
-        inicio,
-        fim,
-        total_funcionarios: funcionarios.length,
-        total_diarias: (diarias || []).length,
-        total_ajustes: (ajustes || []).length,
-        total_empreitas: (empreitas || []).length,
-        total_obras: obraIdsPermitidas ? obraIdsPermitidas.length : null,
-      },
-      observacao:
-        "Consultou relatório de pagamento filtrado por funcionários com movimento",
-    });
+      return res.json({ ok: true, data: data || [] });
+    }),
+  );
 
-    return res.json({
-      ok: true,
-      funcionarios,
-      diarias: diarias || [],
-      ajustes: ajustes || [],
-      empreitas: empreitas || [],
-    });
-  } catch (err) {
-    console.error("GET /relatorios/pagamento exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+  // ==================================================
+  // USUÁRIOS CRUD
+  // ==================================================
+  const camposUsuario = {
+    nome: v.texto({ max: 120, obrigatorio: true }),
+    email: v.email({ obrigatorio: true }),
+    nivel_acesso: v.opcao(NIVEIS_ACESSO, { padrao: "encarregado" }),
+    situacao: v.opcao(SITUACOES, { padrao: "ativo" }),
+    observacao: v.texto({ max: 1000 }),
+  };
+
+  // --------------------------------------------------
+  // USUÁRIO INATIVO
+  // - requireAuth já barra o access token ainda válido
+  // - no Auth o usuário fica banido: o Supabase revoga
+  //   as sessões (refresh tokens) e impede novo login
+  // --------------------------------------------------
+  const BAN_USUARIO_INATIVO = "876000h";
+
+  function duracaoBloqueio(situacao) {
+    return situacao === "inativo" ? BAN_USUARIO_INATIVO : "none";
   }
-});
 
-// ==================================================
-// FUNCIONÁRIOS CRUD
-// ==================================================
-app.get("/funcionarios", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+  function isEmailEmUso(error) {
+    return error?.code === "email_exists" || error?.status === 422;
+  }
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_func")
-      .select(
-        "id, nome, funcao, cpf, rg, situacao, valor_diaria, chave_pix_tipo, chave_pix",
-      )
-      .order("nome", { ascending: true });
+  async function sincronizarBloqueioAuth(id, situacao) {
+    const { error } = await supabaseAdmin.auth.admin.updateUserById(id, {
+      ban_duration: duracaoBloqueio(situacao),
+    });
 
     if (error) {
-      console.error("GET /funcionarios error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao listar funcionários" });
+      logger.erro("sincronizarBloqueioAuth error:", error);
     }
 
-    // aplica regra
-    const filtrados = (data || []).filter((f) =>
-      podeVerFuncionario(usuario, f),
-    );
-
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "cadastro_func",
-      depois: { total: filtrados.length },
-      observacao: "Listou funcionários com regra de visibilidade",
-    });
-
-    return res.json({ ok: true, data: filtrados });
-  } catch (err) {
-    console.error("GET /funcionarios exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    return !error;
   }
-});
-
-app.get("/funcionarios/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = req.params.id;
 
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "ID inválido" });
-    }
+  const esquemaUsuarioNovo = esquema({
+    ...camposUsuario,
+    senha: v.texto({ min: 6, max: 120, obrigatorio: true }),
+  });
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_func")
-      .select("*")
-      .eq("id", id)
-      .single();
+  // e-mail/senha em branco na edição = manter os atuais
+  const esquemaUsuarioEdicao = esquema({
+    ...camposUsuario,
+    email: v.email(),
+    senha: v.texto({ min: 6, max: 120 }),
+  });
 
-    if (error) {
-      console.error("GET /funcionarios/:id error:", error);
-      return res
-        .status(404)
-        .json({ ok: false, error: "Funcionário não encontrado" });
-    }
+  const LISTAGEM_USUARIOS = {
+    busca: ["nome", "email"],
+    filtros: ["situacao", "nivel_acesso"],
+    ordenacao: ["nome", "email", "nivel_acesso", "situacao"],
+    padrao: "nome",
+    exclusaoLogica: true,
+  };
+
+  app.get(
+    "/usuarios",
+    requireAuth,
+    requirePermission("usuarios:read"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { listagem, erros } = parseListagem(req.query, LISTAGEM_USUARIOS);
+      if (erros) throw new ErroValidacao(erros);
+
+      const { data: pagina, error } = await listarPagina(listagem, (opcoes) =>
+        supabaseAdmin
+          .from("cadastro_user")
+          .select(
+            "id, nome, email, nivel_acesso, situacao, deleted_at",
+            opcoes,
+          ),
+      );
 
-    // aplica regra de acesso
-    if (!podeVerFuncionario(usuario, data)) {
-      return res
-        .status(403)
-        .json({ ok: false, error: "Acesso não permitido a este funcionário" });
-    }
+      if (error) {
+        logger.erro("GET /usuarios error:", error);
+        throw new ErroApi("Falha ao listar usuários");
+      }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "VIEW",
-      tabela: "cadastro_func",
-      depois: data,
-      observacao: "Visualizou funcionário",
-    });
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "cadastro_user",
+        depois: { total: pagina.total, retornados: pagina.data.length },
+        observacao: "Listou usuários",
+      });
 
-    return res.json({ ok: true, data });
-  } catch (err) {
-    console.error("GET /funcionarios/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      return res.json({ ok: true, ...pagina });
+    }),
+  );
 
-app.post("/funcionarios", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+  app.get(
+    "/usuarios/:id",
+    requireAuth,
+    requirePermission("usuarios:read"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode cadastrar funcionário",
-      );
-    }
+      const { data, error } = await supabaseAdmin
+        .from("cadastro_user")
+        .select("id, nome, email, nivel_acesso, situacao, observacao")
+        .eq("id", id)
+        .single();
 
-    const vdi = normValorDiaria(req.body?.valor_diaria);
-    if (Number.isNaN(vdi)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "valor_diaria inválido" });
-    }
-
-    const payload = {
-      nome: limitarTexto(req.body?.nome, 120),
-      funcao: limitarTexto(req.body?.funcao, 80),
-      valor_diaria: vdi ?? 0,
-      cpf: req.body?.cpf
-        ? String(req.body.cpf).replace(/\D/g, "").slice(0, 20)
-        : null,
-      rg: req.body?.rg
-        ? String(req.body.rg).replace(/\D/g, "").slice(0, 20)
-        : null,
-      situacao: normSituacao(req.body?.situacao, "ativo"),
-      razao_social: limitarTexto(req.body?.razao_social, 150),
-      titular_conta: limitarTexto(req.body?.titular_conta, 150),
-      banco: limitarTexto(req.body?.banco, 80),
-      agencia: limitarTexto(req.body?.agencia, 20),
-      conta: limitarTexto(req.body?.conta, 30),
-      chave_pix_tipo: limitarTexto(normChavePixTipo(req.body), 30),
-      chave_pix: limitarTexto(req.body?.chave_pix, 120),
-      observacao: limitarTexto(req.body?.observacao, 1000),
-    };
+      if (error) {
+        logger.erro("GET /usuarios/:id error:", error);
+        throw new ErroNaoEncontrado("Usuário não encontrado");
+      }
 
-    if (!payload.nome) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Informe o nome do funcionário" });
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "cadastro_user",
+        registro_id: id,
+        depois: data,
+        observacao: "Consultou usuário",
+      });
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_func")
-      .insert(payload)
-      .select("id")
-      .single();
+      return res.json({ ok: true, data });
+    }),
+  );
 
-    if (error) {
-      if (error.code === "23505") {
-        return res.status(400).json({
-          ok: false,
-          error: "Já existe um funcionário com este CPF cadastrado",
-        });
+  app.get(
+    "/usuarios/:id/permissoes",
+    requireAuth,
+    requirePermission("permissoes:read"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const alvo = await getUsuarioById(id);
+      if (!alvo) {
+        throw new ErroNaoEncontrado("Usuário não encontrado");
       }
 
-      console.error("POST /funcionarios error:", error);
+      const permissoes = permissoesDoUsuario(alvo);
 
-      return res.status(500).json({
-        ok: false,
-        error: "Erro ao salvar funcionário",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "cadastro_user",
+        registro_id: id,
+        depois: { nivel_acesso: alvo.nivel_acesso, permissoes },
+        observacao: "Consultou permissões do usuário",
       });
-    }
 
-    const novo = await getFuncionarioById(data.id);
+      return res.json({
+        ok: true,
+        data: {
+          usuario: {
+            id: alvo.id,
+            nome: alvo.nome,
+            email: alvo.email,
+            nivel_acesso: alvo.nivel_acesso,
+            situacao: alvo.situacao,
+          },
+          permissoes: permissoes.map((p) => ({
+            permissao: p,
+            descricao: PERMISSOES[p],
+          })),
+          negadas: Object.keys(PERMISSOES).filter(
+            (p) => !permissoes.includes(p),
+          ),
+        },
+      });
+    }),
+  );
+
+  app.get(
+    "/usuarios/:id/obras",
+    requireAuth,
+    requirePermission("obras:atribuir"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const alvo = await getUsuarioById(id);
+      if (!alvo) {
+        throw new ErroNaoEncontrado("Usuário não encontrado");
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("cadastro_obra")
+        .select("id, nome, cidade, uf, situacao, responsavel")
+        .is("deleted_at", null)
+        .order("nome", { ascending: true });
+
+      if (error) {
+        logger.erro("GET /usuarios/:id/obras error:", error);
+        throw new ErroApi("Falha ao listar obras");
+      }
+
+      const visiveis = await filtrarObrasVisiveis(alvo, data || [], req);
+      const atribuidas = await getIdsObrasAtribuidas(id, req);
+
+      // origem: por que o usuário enxerga a obra
+      const obras = visiveis.map((o) => ({
+        ...o,
+        origem:
+          o.responsavel === id
+            ? "responsavel"
+            : atribuidas.has(o.id)
+            ? "atribuida"
+            : "nivel",
+      }));
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "obra_usuario",
+        registro_id: id,
+        depois: { total: obras.length },
+        observacao: "Listou obras visíveis ao usuário",
+      });
+
+      return res.json({ ok: true, data: obras });
+    }),
+  );
+
+  app.post(
+    "/usuarios",
+    requireAuth,
+    requirePermission("usuarios:write"),
+    validarRequisicao({ body: esquemaUsuarioNovo }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { nome, email, senha, nivel_acesso, observacao, situacao } =
+        req.validado.body;
+
+      const row = {
+        nome,
+        email,
+        nivel_acesso,
+        situacao,
+        observacao,
+      };
+
+      // Auth primeiro (o id vem dele); se o cadastro_user falhar,
+      // o login criado é apagado.
+      const {
+        data: etapas,
+        error,
+        etapa,
+        pendentes,
+      } = await executarEtapas([
+        {
+          nome: "auth",
+          executar: async () => {
+            const { data, error } = await supabaseAdmin.auth.admin.createUser({
+              email,
+              password: senha,
+              email_confirm: true,
+              ...(situacao === "inativo"
+                ? { ban_duration: BAN_USUARIO_INATIVO }
+                : {}),
+            });
+
+            if (!error && !data?.user?.id) {
+              return { error: new Error("Auth não devolveu o id do usuário") };
+            }
+            return { data: data?.user?.id, error };
+          },
+          desfazer: (authId) => supabaseAdmin.auth.admin.deleteUser(authId),
+        },
+        {
+          nome: "cadastro_user",
+          executar: ([authId]) =>
+            supabaseAdmin
+              .from("cadastro_user")
+              .insert({ id: authId, auth_user_id: authId, ...row }),
+        },
+      ]);
+
+      if (error) {
+        logger.erro(`POST /usuarios ${etapa} error:`, error);
+
+        if (etapa === "auth") {
+          throw isEmailEmUso(error)
+            ? new ErroConflito("Já existe um usuário com esse e-mail", {
+                code: "EMAIL_EM_USO",
+              })
+            : new ErroApi("Falha ao criar usuário no Auth");
+        }
+
+        throw new ErroApi(
+          pendentes.length
+            ? `Falha ao salvar cadastro_user e ao desfazer o login criado no Auth; remova ${email} do Auth antes de tentar de novo`
+            : "Falha ao salvar cadastro_user",
+        );
+      }
+
+      const [newAuthId] = etapas;
+
+      const novo = await getUsuarioById(newAuthId);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "INSERT",
+        tabela: "cadastro_user",
+        registro_id: newAuthId,
+        depois: novo || { id: newAuthId, ...row },
+        observacao: `Criou usuário ${nome}`,
+      });
+
+      return res.status(201).json({ ok: true, data: { id: newAuthId } });
+    }),
+  );
+
+  app.patch(
+    "/usuarios/:id",
+    requireAuth,
+    requirePermission("usuarios:write"),
+    validarRequisicao({
+      params: esquemaId,
+      body: esquemaUsuarioEdicao,
+      parcial: true,
+    }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const antes = await getUsuarioById(id);
+
+      if (!antes) {
+        throw new ErroNaoEncontrado("Usuário não encontrado");
+      }
+
+      const {
+        email: novoEmail,
+        senha: novaSenha,
+        ...patch
+      } = req.validado.body;
+
+      if (novoEmail) patch.email = novoEmail;
+
+      // usuário excluído segue bloqueado no Auth até ser restaurado
+      const mudouSituacao =
+        patch.situacao &&
+        patch.situacao !== antes?.situacao &&
+        !antes?.deleted_at;
+
+      const payloadAuth = {};
+      if (novoEmail) payloadAuth.email = novoEmail;
+      if (novaSenha) payloadAuth.password = novaSenha;
+      if (mudouSituacao) {
+        payloadAuth.ban_duration = duracaoBloqueio(patch.situacao);
+      }
+
+      // cadastro_user e Auth mudam juntos: se o Auth falhar, o
+      // cadastro_user volta aos valores de antes.
+      const etapas = [];
+
+      if (Object.keys(patch).length > 0) {
+        etapas.push({
+          nome: "cadastro_user",
+          executar: () =>
+            supabaseAdmin.from("cadastro_user").update(patch).eq("id", id),
+          desfazer: () =>
+            supabaseAdmin
+              .from("cadastro_user")
+              .update(
+                Object.fromEntries(
+                  Object.keys(patch).map((k) => [k, antes[k] ?? null]),
+                ),
+              )
+              .eq("id", id),
+        });
+      }
+
+      if (Object.keys(payloadAuth).length > 0) {
+        etapas.push({
+          nome: "auth",
+          executar: () =>
+            supabaseAdmin.auth.admin.updateUserById(id, payloadAuth),
+        });
+      }
+
+      const { error, etapa, pendentes } = await executarEtapas(etapas);
+
+      if (error) {
+        logger.erro(`PATCH /usuarios/:id ${etapa} error:`, error);
+
+        if (etapa === "cadastro_user") {
+          throw new ErroApi("Falha ao atualizar usuário");
+        }
+
+        if (isEmailEmUso(error) && !pendentes.length) {
+          throw new ErroConflito("Já existe um usuário com esse e-mail", {
+            code: "EMAIL_EM_USO",
+          });
+        }
+
+        throw new ErroApi(
+          pendentes.length
+            ? "Falha ao atualizar o Auth e ao desfazer a alteração em cadastro_user; confira o cadastro do usuário"
+            : "Falha ao atualizar o login no Auth; nenhuma alteração foi salva",
+        );
+      }
+
+      if (mudouSituacao && patch.situacao === "inativo") {
+        await registrarLog({
+          req,
+          usuario,
+          acao: "LOGOUT",
+          tabela: "cadastro_user",
+          registro_id: id,
+          antes: { situacao: antes.situacao },
+          depois: { situacao: patch.situacao },
+          observacao: `Encerrou as sessões de ${
+            antes.nome || id
+          } (usuário inativado)`,
+        });
+      }
+
+      const depois = await getUsuarioById(id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "PATCH",
+        tabela: "cadastro_user",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: "Atualizou usuário",
+      });
+
+      return res.json({ ok: true });
+    }),
+  );
+
+  app.delete(
+    "/usuarios/:id",
+    requireAuth,
+    requirePermission("usuarios:write"),
+    validarRequisicao({ params: esquemaId, query: esquemaExclusao }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+      const { definitivo } = req.validado.query;
+
+      const antes = await getUsuarioById(id);
+
+      conferirExclusao(req, "cadastro_user", antes);
+
+      const { error: delRowErr, dependentes } = await excluirRegistro(
+        req,
+        "cadastro_user",
+        id,
+      );
+
+      if (dependentes) {
+        throw erroDependentes("cadastro_user", dependentes);
+      }
+
+      if (delRowErr) {
+        logger.erro(
+          "DELETE /usuarios/:id delete cadastro_user error:",
+          delRowErr,
+        );
+        throw new ErroApi("Falha ao deletar cadastro_user");
+      }
+
+      if (!definitivo) {
+        // excluído = bloqueado no Auth, como um inativo
+        const bloqueou = await sincronizarBloqueioAuth(id, "inativo");
+
+        await registrarLog({
+          req,
+          usuario,
+          acao: "DELETE",
+          tabela: "cadastro_user",
+          registro_id: id,
+          antes,
+          depois: await getUsuarioById(id),
+          observacao: bloqueou
+            ? "Usuário excluído e sessões encerradas"
+            : "Usuário excluído, mas falhou ao encerrar as sessões no Auth",
+        });
+
+        return res.json(
+          bloqueou
+            ? { ok: true }
+            : {
+                ok: true,
+                warning:
+                  "Usuário excluído, mas falhou ao encerrar as sessões no Auth",
+              },
+        );
+      }
+
+      const { error: delAuthErr } = await supabaseAdmin.auth.admin.deleteUser(
+        id,
+      );
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "cadastro_user",
+        registro_id: id,
+        antes,
+        depois: null,
+        observacao: delAuthErr
+          ? "Usuário removido de cadastro_user, mas falhou no Auth"
+          : "Usuário excluído definitivamente",
+      });
+
+      if (delAuthErr) {
+        logger.erro("DELETE /usuarios/:id delete Auth error:", delAuthErr);
+        return res.status(200).json({
+          ok: true,
+          warning: "Deletou cadastro_user, mas falhou ao deletar no Auth",
+        });
+      }
+
+      return res.json({ ok: true });
+    }),
+  );
+
+  app.post(
+    "/usuarios/:id/restaurar",
+    requireAuth,
+    requirePermission("usuarios:write"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const restaurado = await restaurarRegistro("cadastro_user", id);
+
+      // volta a situação que tinha; inativo continua bloqueado
+      const liberou = await sincronizarBloqueioAuth(
+        id,
+        restaurado.depois.situacao,
+      );
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "RESTAURAR",
+        tabela: "cadastro_user",
+        registro_id: id,
+        ...restaurado,
+        observacao: "Restaurou usuário excluído",
+      });
+
+      if (!liberou) {
+        return res.json({
+          ok: true,
+          data: restaurado.depois,
+          warning: "Usuário restaurado, mas falhou ao liberar o login no Auth",
+        });
+      }
+
+      return res.json({ ok: true, data: restaurado.depois });
+    }),
+  );
+
+  // ==================================================
+  // RELATÓRIO PAGAMENTO
+  // ==================================================
+  // --------------------------------------------------
+  // CÁLCULO DE PAGAMENTO
+  // - tudo em centavos inteiros para o arredondamento
+  //   ser o mesmo em todas as telas
+  // - cada lançamento de diária é arredondado isoladamente
+  //   (qtd × valor_diaria_aplicado)
+  // - líquido = diárias + reembolso - adiantamento + empreitas
+  // --------------------------------------------------
+  function toCentavos(v) {
+    const n = Number(v ?? 0);
+    if (!Number.isFinite(n)) return 0;
+    return Math.round(n * 100);
+  }
+
+  function novoTotalPagamento() {
+    return {
+      qtd_diarias: 0,
+      diarias_centavos: 0,
+      reembolso_centavos: 0,
+      adiantamento_centavos: 0,
+      empreitas_centavos: 0,
+      liquido_centavos: 0,
+    };
+  }
+
+  function somarTotalPagamento(total, parcial) {
+    total.qtd_diarias += parcial.qtd_diarias || 0;
+    total.diarias_centavos += parcial.diarias_centavos || 0;
+    total.reembolso_centavos += parcial.reembolso_centavos || 0;
+    total.adiantamento_centavos += parcial.adiantamento_centavos || 0;
+    total.empreitas_centavos += parcial.empreitas_centavos || 0;
+    total.liquido_centavos =
+      total.diarias_centavos +
+      total.reembolso_centavos -
+      total.adiantamento_centavos +
+      total.empreitas_centavos;
+    return total;
+  }
+
+  function fecharTotalPagamento(total) {
+    return {
+      ...total,
+      qtd_diarias: Math.round(total.qtd_diarias * 100) / 100,
+    };
+  }
+
+  function calcularPagamento({
+    funcionarios = [],
+    obras = [],
+    diarias = [],
+    ajustes = [],
+    empreitas = [],
+  }) {
+    const mapaFunc = {};
+    funcionarios.forEach((f) => (mapaFunc[f.id] = f));
+
+    const mapaObra = {};
+    obras.forEach((o) => (mapaObra[o.id] = o));
+
+    // porFunc[funcionario_id][obra_id] = total
+    const porFunc = {};
+
+    function parcela(funcionarioId, obraId) {
+      if (!porFunc[funcionarioId]) porFunc[funcionarioId] = {};
+      if (!porFunc[funcionarioId][obraId]) {
+        porFunc[funcionarioId][obraId] = novoTotalPagamento();
+      }
+      return porFunc[funcionarioId][obraId];
+    }
+
+    diarias.forEach((r) => {
+      if (!r?.funcionario_id) return;
+      const qtd = Number(r.qtd || 0);
+      somarTotalPagamento(parcela(r.funcionario_id, r.obra_id), {
+        qtd_diarias: qtd,
+        diarias_centavos: Math.round(qtd * toCentavos(r.valor_diaria_aplicado)),
+      });
+    });
+
+    ajustes.forEach((r) => {
+      if (!r?.funcionario_id) return;
+      somarTotalPagamento(parcela(r.funcionario_id, r.obra_id), {
+        reembolso_centavos: toCentavos(r.reembolso),
+        adiantamento_centavos: toCentavos(r.adiantamento),
+      });
+    });
+
+    empreitas.forEach((r) => {
+      if (!r?.funcionario_id) return;
+      somarTotalPagamento(parcela(r.funcionario_id, r.obra_id), {
+        empreitas_centavos: toCentavos(r.valor),
+      });
+    });
+
+    const totais = novoTotalPagamento();
+    const porObra = {};
+
+    const listaFuncionarios = Object.entries(porFunc).map(
+      ([funcionarioId, obrasFunc]) => {
+        const totalFunc = novoTotalPagamento();
+
+        const detalheObras = Object.entries(obrasFunc)
+          .map(([obraId, total]) => {
+            somarTotalPagamento(totalFunc, total);
+
+            if (!porObra[obraId]) {
+              porObra[obraId] = {
+                ...novoTotalPagamento(),
+                funcionarios: new Set(),
+              };
+            }
+            somarTotalPagamento(porObra[obraId], total);
+            porObra[obraId].funcionarios.add(funcionarioId);
+
+            return {
+              obra_id: obraId,
+              obra_nome: mapaObra[obraId]?.nome || null,
+              ...fecharTotalPagamento(total),
+            };
+          })
+          .sort((a, b) =>
+            String(a.obra_nome || "").localeCompare(String(b.obra_nome || "")),
+          );
+
+        somarTotalPagamento(totais, totalFunc);
+
+        return {
+          ...(mapaFunc[funcionarioId] || { nome: null }),
+          id: funcionarioId,
+          ...fecharTotalPagamento(totalFunc),
+          obras: detalheObras,
+        };
+      },
+    );
+
+    listaFuncionarios.sort((a, b) =>
+      String(a.nome || "").localeCompare(String(b.nome || "")),
+    );
+
+    const listaObras = Object.entries(porObra)
+      .map(([obraId, { funcionarios: funcs, ...total }]) => ({
+        obra_id: obraId,
+        obra_nome: mapaObra[obraId]?.nome || null,
+        total_funcionarios: funcs.size,
+        ...fecharTotalPagamento(total),
+      }))
+      .sort((a, b) =>
+        String(a.obra_nome || "").localeCompare(String(b.obra_nome || "")),
+      );
+
+    return {
+      funcionarios: listaFuncionarios,
+      obras: listaObras,
+      totais: {
+        total_funcionarios: listaFuncionarios.length,
+        total_obras: listaObras.length,
+        ...fecharTotalPagamento(totais),
+      },
+    };
+  }
+
+  // --------------------------------------------------
+  // MOVIMENTO DO PERÍODO
+  // - diárias, ajustes e empreitas entre inicio e fim,
+  //   restritos às obras visíveis ao usuário
+  // - retorna { data, error } no mesmo formato do supabase
+  // --------------------------------------------------
+  async function carregarMovimentoPagamento(
+    usuario,
+    inicio,
+    fim,
+    {
+      funcionarioId = null,
+      incluirExcluidos = true,
+      todasAsObras = false,
+    } = {},
+  ) {
+    let obraIdsPermitidas = null;
+
+    if (!todasAsObras && !temAcessoIrrestrito(usuario)) {
+      obraIdsPermitidas = await getIdsObrasVisiveisUsuario(usuario);
+
+      if (!obraIdsPermitidas.length) {
+        return {
+          data: {
+            obraIdsPermitidas,
+            funcionarios: [],
+            obras: [],
+            diarias: [],
+            ajustes: [],
+            empreitas: [],
+          },
+          error: null,
+        };
+      }
+    }
+
+    let qDiarias = supabaseAdmin
+      .from("lanc_diarias")
+      .select("obra_id, funcionario_id, data, qtd, valor_diaria_aplicado")
+      .gte("data", inicio)
+      .lte("data", fim);
+
+    if (obraIdsPermitidas) {
+      qDiarias = qDiarias.in("obra_id", obraIdsPermitidas);
+    }
+
+    if (funcionarioId) {
+      qDiarias = qDiarias.eq("funcionario_id", funcionarioId);
+    }
+
+    const { data: diarias, error: errDiarias } = await qDiarias;
+
+    if (errDiarias) {
+      logger.erro("carregarMovimentoPagamento diarias error:", errDiarias);
+      return { data: null, error: "Falha ao buscar diárias" };
+    }
+
+    let qAjustes = supabaseAdmin
+      .from("lanc_diarias_ajustes")
+      .select(
+        "obra_id, funcionario_id, data_inicio, reembolso, adiantamento, observacao, valor",
+      )
+      .gte("data_inicio", inicio)
+      .lte("data_inicio", fim);
+
+    if (obraIdsPermitidas) {
+      qAjustes = qAjustes.in("obra_id", obraIdsPermitidas);
+    }
+
+    if (funcionarioId) {
+      qAjustes = qAjustes.eq("funcionario_id", funcionarioId);
+    }
+
+    const { data: ajustes, error: errAj } = await qAjustes;
+
+    if (errAj) {
+      logger.erro("carregarMovimentoPagamento ajustes error:", errAj);
+      return {
+        data: null,
+        error: "Falha ao buscar ajustes (reembolso/adiantamento)",
+      };
+    }
+
+    let qEmpreitas = supabaseAdmin
+      .from("empreitas")
+      .select("obra_id, funcionario_id, data_pagamento, valor")
+      .gte("data_pagamento", inicio)
+      .lte("data_pagamento", fim);
+
+    if (obraIdsPermitidas) {
+      qEmpreitas = qEmpreitas.in("obra_id", obraIdsPermitidas);
+    }
+
+    if (funcionarioId) {
+      qEmpreitas = qEmpreitas.eq("funcionario_id", funcionarioId);
+    }
+
+    const { data: empreitas, error: errEmp } = await qEmpreitas;
+
+    if (errEmp) {
+      logger.erro("carregarMovimentoPagamento empreitas error:", errEmp);
+      return { data: null, error: "Falha ao buscar empreitas" };
+    }
+
+    const funcIdsSet = new Set();
+    const obraIdsSet = new Set();
+
+    [...(diarias || []), ...(ajustes || []), ...(empreitas || [])].forEach(
+      (r) => {
+        if (r?.funcionario_id) funcIdsSet.add(r.funcionario_id);
+        if (r?.obra_id) obraIdsSet.add(r.obra_id);
+      },
+    );
+
+    const funcIds = [...funcIdsSet];
+    let funcionarios = [];
+
+    if (funcIds.length > 0) {
+      const { data: funcs, error: errFunc } = await supabaseAdmin
+        .from("cadastro_func")
+        .select(
+          "id, nome, funcao, razao_social, titular_conta, cpf, cnpj, banco, agencia, conta, chave_pix_tipo, chave_pix, situacao, deleted_at",
+        )
+        .in("id", funcIds)
+        .order("nome", { ascending: true });
+
+      if (errFunc) {
+        logger.erro("carregarMovimentoPagamento funcionarios error:", errFunc);
+        return { data: null, error: "Falha ao listar funcionários" };
+      }
+
+      funcionarios = funcs || [];
+    }
+
+    const obraIds = [...obraIdsSet];
+    let obras = [];
+
+    if (obraIds.length > 0) {
+      const { data: obrasData, error: errObras } = await supabaseAdmin
+        .from("cadastro_obra")
+        .select("id, nome, deleted_at")
+        .in("id", obraIds);
+
+      if (errObras) {
+        logger.erro("carregarMovimentoPagamento obras error:", errObras);
+        return { data: null, error: "Falha ao listar obras" };
+      }
+
+      obras = obrasData || [];
+    }
+
+    const movimento = {
+      funcionarios,
+      obras,
+      diarias: diarias || [],
+      ajustes: ajustes || [],
+      empreitas: empreitas || [],
+    };
+
+    return {
+      data: {
+        obraIdsPermitidas,
+        ...(incluirExcluidos ? movimento : semExcluidos(movimento)),
+      },
+      error: null,
+    };
+  }
+
+  // --------------------------------------------------
+  // RELATÓRIOS SEM EXCLUÍDOS
+  // - tira funcionários e obras com deleted_at e os
+  //   lançamentos ligados a eles
+  // - remessa e holerites não usam: o que foi lançado
+  //   precisa ser pago mesmo após a exclusão
+  // --------------------------------------------------
+  function semExcluidos({ funcionarios, obras, diarias, ajustes, empreitas }) {
+    const excluidos = new Set(
+      [...funcionarios, ...obras].filter((r) => r.deleted_at).map((r) => r.id),
+    );
+
+    if (!excluidos.size) {
+      return { funcionarios, obras, diarias, ajustes, empreitas };
+    }
+
+    const ativo = (r) =>
+      !excluidos.has(r.funcionario_id) && !excluidos.has(r.obra_id);
+
+    return {
+      funcionarios: funcionarios.filter((f) => !excluidos.has(f.id)),
+      obras: obras.filter((o) => !excluidos.has(o.id)),
+      diarias: diarias.filter(ativo),
+      ajustes: ajustes.filter(ativo),
+      empreitas: empreitas.filter(ativo),
+    };
+  }
+
+  // --------------------------------------------------
+  // HOLERITE
+  // - lançamentos de um funcionário dentro do movimento já
+  //   carregado, com os mesmos arredondamentos do cálculo
+  // --------------------------------------------------
+  function montarDadosHolerite(movimento, funcionario, inicio, fim) {
+    const mapaObra = {};
+    movimento.obras.forEach((o) => (mapaObra[o.id] = o.nome));
+
+    const doFuncionario = (r) => r.funcionario_id === funcionario.id;
+    const diarias = movimento.diarias.filter(doFuncionario);
+    const ajustes = movimento.ajustes.filter(doFuncionario);
+    const empreitas = movimento.empreitas.filter(doFuncionario);
+
+    const resumo = calcularPagamento({
+      funcionarios: [funcionario],
+      obras: movimento.obras,
+      diarias,
+      ajustes,
+      empreitas,
+    });
+
+    return {
+      empresaNome: process.env.EMPRESA_NOME || "CNX",
+      funcionario,
+      inicio,
+      fim,
+      diarias: diarias
+        .map((r) => {
+          const qtd = Number(r.qtd || 0);
+          const valorDiaria = toCentavos(r.valor_diaria_aplicado);
+          return {
+            data: r.data,
+            obra_nome: mapaObra[r.obra_id] || null,
+            qtd,
+            valor_diaria_centavos: valorDiaria,
+            valor_centavos: Math.round(qtd * valorDiaria),
+          };
+        })
+        .filter((d) => d.qtd > 0)
+        .sort(
+          (a, b) =>
+            a.data.localeCompare(b.data) ||
+            String(a.obra_nome || "").localeCompare(String(b.obra_nome || "")),
+        ),
+      ajustes: ajustes
+        .map((r) => ({
+          data_inicio: r.data_inicio,
+          obra_nome: mapaObra[r.obra_id] || null,
+          reembolso_centavos: toCentavos(r.reembolso),
+          adiantamento_centavos: toCentavos(r.adiantamento),
+        }))
+        .filter((a) => a.reembolso_centavos || a.adiantamento_centavos)
+        .sort((a, b) => a.data_inicio.localeCompare(b.data_inicio)),
+      empreitas: empreitas
+        .map((r) => ({
+          data_pagamento: r.data_pagamento,
+          obra_nome: mapaObra[r.obra_id] || null,
+          valor_centavos: toCentavos(r.valor),
+        }))
+        .sort((a, b) => a.data_pagamento.localeCompare(b.data_pagamento)),
+      totais: resumo.funcionarios[0] || resumo.totais,
+    };
+  }
+
+  function nomeArquivoHolerite(funcionario, inicio, fim) {
+    const nome = normalizarTexto(funcionario.nome || "funcionario")
+      .replace(/[^A-Z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+    return `holerite_${nome}_${String(funcionario.id).slice(
+      0,
+      8,
+    )}_${inicio}_${fim}.pdf`;
+  }
+
+  // --------------------------------------------------
+  // EXPORTAÇÃO CSV / XLSX
+  // - uma linha por funcionário + linha de TOTAL
+  // - layout de colunas fixo: o financeiro monta fórmulas
+  //   em cima dele, então só acrescentar no final
+  // --------------------------------------------------
+  const COLUNAS_EXPORTACAO_PAGAMENTO = [
+    { key: "periodo_inicio", titulo: "Início", tipo: "data" },
+    { key: "periodo_fim", titulo: "Fim", tipo: "data" },
+    { key: "nome", titulo: "Nome", largura: 32 },
+    { key: "funcao", titulo: "Função", largura: 20 },
+    { key: "cpf", titulo: "CPF", largura: 16 },
+    { key: "razao_social", titulo: "Razão social", largura: 28 },
+    { key: "titular_conta", titulo: "Titular da conta", largura: 28 },
+    { key: "banco", titulo: "Banco" },
+    { key: "agencia", titulo: "Agência" },
+    { key: "conta", titulo: "Conta" },
+    { key: "chave_pix_tipo", titulo: "Tipo chave PIX" },
+    { key: "chave_pix", titulo: "Chave PIX", largura: 30 },
+    { key: "obras", titulo: "Obras", largura: 40 },
+    { key: "qtd_diarias", titulo: "Qtd. diárias", tipo: "numero", casas: 1 },
+    { key: "diarias_centavos", titulo: "Diárias (R$)", tipo: "moeda" },
+    { key: "reembolso_centavos", titulo: "Reembolso (R$)", tipo: "moeda" },
+    {
+      key: "adiantamento_centavos",
+      titulo: "Adiantamento (R$)",
+      tipo: "moeda",
+    },
+    { key: "empreitas_centavos", titulo: "Empreitas (R$)", tipo: "moeda" },
+    { key: "liquido_centavos", titulo: "Líquido (R$)", tipo: "moeda" },
+    { key: "cnpj", titulo: "CNPJ", largura: 20 },
+  ];
+
+  const esquemaExportacao = esquema(
+    {
+      ...esquemaPeriodo.campos,
+      format: v.opcao(["json", "csv", "xlsx"], { padrao: "json" }),
+      excluidos: v.opcao(["nao", "incluir"], { padrao: "nao" }),
+    },
+    esquemaPeriodo.verificar,
+  );
+
+  const esquemaRelatorioPagamento = esquema(
+    {
+      ...esquemaExportacao.campos,
+      modo: v.opcao(["calculado"]),
+    },
+    esquemaExportacao.verificar,
+  );
+
+  function linhasExportacaoPagamento(resumo, inicio, fim) {
+    const linhas = resumo.funcionarios.map((f) => ({
+      ...f,
+      cpf: f.cpf ? formatarCpf(f.cpf) : null,
+      cnpj: f.cnpj ? formatarCnpj(f.cnpj) : null,
+      periodo_inicio: inicio,
+      periodo_fim: fim,
+      obras: f.obras
+        .map((o) => o.obra_nome)
+        .filter(Boolean)
+        .join(", "),
+    }));
+
+    linhas.push({
+      ...resumo.totais,
+      periodo_inicio: inicio,
+      periodo_fim: fim,
+      nome: "TOTAL",
+    });
+
+    return linhas;
+  }
+
+  async function enviarPlanilha(
+    res,
+    { formato, nomeArquivo, planilha, colunas, linhas },
+  ) {
+    const arquivo = String(nomeArquivo).replace(/[^\w.-]+/g, "_");
+
+    if (formato === "xlsx") {
+      const buffer = await gerarXlsx(colunas, linhas, { planilha });
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${arquivo}.xlsx"`,
+      );
+      return res.send(buffer);
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${arquivo}.csv"`,
+    );
+    return res.send(gerarCsv(colunas, linhas));
+  }
+
+  app.get(
+    "/relatorios/pagamento",
+    requireAuth,
+    requirePermission("relatorios:pagamento:read"),
+    validarRequisicao({ query: esquemaRelatorioPagamento }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const {
+        inicio,
+        fim,
+        modo,
+        format: formato,
+        excluidos,
+      } = req.validado.query;
+
+      const { data: movimento, error: errMov } =
+        await carregarMovimentoPagamento(usuario, inicio, fim, {
+          incluirExcluidos: excluidos === "incluir",
+        });
+
+      if (errMov) {
+        throw new ErroApi(errMov);
+      }
+
+      const { obraIdsPermitidas, funcionarios, diarias, ajustes, empreitas } =
+        movimento;
+
+      if (obraIdsPermitidas && !obraIdsPermitidas.length) {
+        await registrarLog({
+          req,
+          usuario,
+          acao: "VIEW",
+          tabela: "relatorios_pagamento",
+          depois: { inicio, fim, total_funcionarios: 0, total_obras: 0 },
+          observacao: "Consultou relatório de pagamento sem obras visíveis",
+        });
+      } else {
+        await registrarLog({
+          req,
+          usuario,
+          acao: "VIEW",
+          tabela: "relatorios_pagamento",
+          depois: {
+            inicio,
+            fim,
+            modo: modo || null,
+            formato,
+            total_funcionarios: funcionarios.length,
+            total_diarias: diarias.length,
+            total_ajustes: ajustes.length,
+            total_empreitas: empreitas.length,
+            total_obras: obraIdsPermitidas ? obraIdsPermitidas.length : null,
+          },
+          observacao:
+            "Consultou relatório de pagamento filtrado por funcionários com movimento",
+        });
+      }
+
+      if (formato !== "json") {
+        return enviarPlanilha(res, {
+          formato,
+          nomeArquivo: `pagamento_${inicio}_${fim}`,
+          planilha: "Pagamento",
+          colunas: COLUNAS_EXPORTACAO_PAGAMENTO,
+          linhas: linhasExportacaoPagamento(
+            calcularPagamento(movimento),
+            inicio,
+            fim,
+          ),
+        });
+      }
+
+      if (modo === "calculado") {
+        return res.json({
+          ok: true,
+          inicio,
+          fim,
+          resumo: calcularPagamento(movimento),
+        });
+      }
+
+      return res.json({
+        ok: true,
+        funcionarios,
+        diarias,
+        ajustes,
+        empreitas,
+      });
+    }),
+  );
+
+  // ==================================================
+  // FUNCIONÁRIOS CRUD
+  // ==================================================
+  const esquemaCheckCpf = {
+    params: esquema({ cpf: v.digitos({ obrigatorio: true }) }),
+    query: esquema({ ignorar_id: v.uuid() }),
+  };
+
+  const LISTAGEM_FUNCIONARIOS = {
+    busca: ["nome", "funcao", "cpf"],
+    filtros: ["situacao", "funcao"],
+    ordenacao: ["nome", "funcao", "situacao", "valor_diaria"],
+    padrao: "nome",
+    exclusaoLogica: true,
+  };
+
+  app.get(
+    "/funcionarios",
+    requireAuth,
+    requirePermission("funcionarios:read"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { listagem, erros } = parseListagem(
+        req.query,
+        LISTAGEM_FUNCIONARIOS,
+      );
+      if (erros) throw new ErroValidacao(erros);
+
+      const { data: pagina, error } = await listarPagina(
+        listagem,
+        (opcoes) =>
+          supabaseAdmin
+            .from("cadastro_func")
+            .select(
+              "id, nome, funcao, cpf, rg, situacao, valor_diaria, chave_pix_tipo, chave_pix, deleted_at",
+              opcoes,
+            ),
+        { ou: [ouFuncionariosVisiveis(usuario)] },
+      );
+
+      if (error) {
+        logger.erro("GET /funcionarios error:", error);
+        throw new ErroApi("Falha ao listar funcionários");
+      }
+
+      // o valor vigente só das linhas da página
+      pagina.data = await comValorVigente(pagina.data);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "cadastro_func",
+        depois: { total: pagina.total, retornados: pagina.data.length },
+        observacao: "Listou funcionários com regra de visibilidade",
+      });
+
+      return res.json({ ok: true, ...pagina });
+    }),
+  );
+
+  app.get(
+    "/funcionarios/check-cpf/:cpf",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    validarRequisicao(esquemaCheckCpf),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const cpf = req.validado.params.cpf || "";
+      const ignorarId = req.validado.query.ignorar_id;
+
+      if (!isCpfValido(cpf)) {
+        return res.json({
+          ok: true,
+          data: {
+            cpf,
+            cpf_formatado: formatarCpf(cpf),
+            valido: false,
+            disponivel: false,
+            funcionario: null,
+          },
+        });
+      }
+
+      let q = supabaseAdmin
+        .from("cadastro_func")
+        .select("id, nome, funcao, situacao")
+        .eq("cpf", cpf)
+        .limit(1);
+
+      if (ignorarId) q = q.neq("id", ignorarId);
+
+      const { data, error } = await q;
+
+      if (error) {
+        logger.erro("GET /funcionarios/check-cpf/:cpf error:", error);
+        throw new ErroApi("Falha ao verificar CPF");
+      }
+
+      const existente = (data || [])[0] || null;
+
+      return res.json({
+        ok: true,
+        data: {
+          cpf,
+          cpf_formatado: formatarCpf(cpf),
+          valido: true,
+          disponivel: !existente,
+          // quem não pode ver o funcionário só fica sabendo que o CPF está em uso
+          funcionario:
+            existente && podeVerFuncionario(usuario, existente)
+              ? existente
+              : null,
+        },
+      });
+    }),
+  );
+
+  app.get(
+    "/funcionarios/:id",
+    requireAuth,
+    requirePermission("funcionarios:read"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const { data: registro, error } = await supabaseAdmin
+        .from("cadastro_func")
+        .select("*")
+        .eq("id", id)
+        .single();
+
+      if (error) {
+        logger.erro("GET /funcionarios/:id error:", error);
+        throw new ErroNaoEncontrado("Funcionário não encontrado");
+      }
+
+      // aplica regra de acesso
+      if (!podeVerFuncionario(usuario, registro)) {
+        throw new ErroSemPermissao("Acesso não permitido a este funcionário");
+      }
+
+      const [data] = await comValorVigente([registro]);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "cadastro_func",
+        depois: data,
+        observacao: "Visualizou funcionário",
+      });
+
+      return res.json({
+        ok: true,
+        data: {
+          ...data,
+          cpf_formatado: data.cpf ? formatarCpf(data.cpf) : null,
+          cnpj_formatado: data.cnpj ? formatarCnpj(data.cnpj) : null,
+        },
+      });
+    }),
+  );
+
+  app.get(
+    "/funcionarios/:id/holerite",
+    requireAuth,
+    requirePermission("holerites:read"),
+    validarRequisicao({ params: esquemaId, query: esquemaPeriodo }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { id } = req.validado.params;
+      const { inicio, fim } = req.validado.query;
+
+      const funcionario = await getFuncionarioById(id);
+      if (!funcionario) {
+        throw new ErroNaoEncontrado("Funcionário não encontrado");
+      }
+
+      if (!podeVerFuncionario(usuario, funcionario)) {
+        throw new ErroSemPermissao("Acesso não permitido a este funcionário");
+      }
+
+      // só entram lançamentos de obras que o usuário pode acessar
+      const { data: movimento, error: errMov } =
+        await carregarMovimentoPagamento(usuario, inicio, fim, {
+          funcionarioId: id,
+        });
+
+      if (errMov) {
+        throw new ErroApi(errMov);
+      }
+
+      const dados = montarDadosHolerite(movimento, funcionario, inicio, fim);
+      const pdf = await gerarHoleritePdf(dados);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "cadastro_func",
+        registro_id: id,
+        depois: {
+          inicio,
+          fim,
+          liquido_centavos: dados.totais.liquido_centavos,
+        },
+        observacao: `Gerou holerite de ${funcionario.nome}`,
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="${nomeArquivoHolerite(
+          funcionario,
+          inicio,
+          fim,
+        ).replace(/[^\w.-]+/g, "_")}"`,
+      );
+      return res.send(pdf);
+    }),
+  );
+
+  app.post(
+    "/funcionarios",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    validarRequisicao({ body: esquemaFuncionario }),
+    aceitarIdempotencia,
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const payload = {
+        valor_diaria: 0,
+        ...montarFuncionario(req.validado.body),
+      };
+
+      const { data, error } = await supabaseAdmin
+        .from("cadastro_func")
+        .insert(payload)
+        .select("id")
+        .single();
+
+      if (error) {
+        if (error.code === "23505") {
+          throw erroCpfDuplicado();
+        }
+
+        logger.erro("POST /funcionarios error:", error);
+
+        throw new ErroApi("Erro ao salvar funcionário");
+      }
+
+      // sem o histórico o cadastro não fica: o valor só vale com vigência
+      if (payload.valor_diaria > 0) {
+        const { error: histErr } = await registrarValorDiaria(
+          data.id,
+          payload.valor_diaria,
+          hojeISO(),
+          { usuarioId: usuario.id, observacao: "Cadastro do funcionário" },
+        );
+
+        if (histErr) {
+          const { error: desfazerErr } = await supabaseAdmin
+            .from("cadastro_func")
+            .delete()
+            .eq("id", data.id);
+
+          if (desfazerErr) {
+            logger.erro("POST /funcionarios desfazer error:", desfazerErr);
+          }
+          throw new ErroApi("Erro ao salvar funcionário");
+        }
+      }
+
+      const novo = await getFuncionarioById(data.id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "INSERT",
+        tabela: "cadastro_func",
+        registro_id: data.id,
+        depois: novo || payload,
+        observacao: `Criou funcionário ${payload.nome}`,
+      });
+
+      return res.status(201).json({ ok: true, data });
+    }),
+  );
+
+  // --------------------------------------------------
+  // IMPORTAÇÃO DE FUNCIONÁRIOS (CSV / XLSX)
+  // - corpo = arquivo cru; linha 1 = cabeçalho com os
+  //   nomes dos campos (aceita acentos e alguns apelidos)
+  // - cada linha passa pelo esquemaFuncionario, como no
+  //   POST /funcionarios
+  // - dry_run (padrão) só devolve a prévia; sem ele, grava
+  //   tudo numa transação, e só se nenhuma linha tiver erro
+  // - obra_id opcional: vincula todos à equipe da obra
+  // --------------------------------------------------
+  const MAX_LINHAS_IMPORTACAO = 500;
+
+  const TIPOS_PLANILHA = [
+    "text/csv",
+    "text/plain",
+    "application/octet-stream",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ];
+
+  const COLUNAS_IMPORTACAO = {
+    nome: ["nome", "nome_completo", "funcionario"],
+    funcao: ["funcao", "cargo"],
+    razao_social: ["razao_social"],
+    titular_conta: ["titular_conta", "titular", "titular_da_conta"],
+    banco: ["banco"],
+    agencia: ["agencia"],
+    conta: ["conta", "conta_corrente"],
+    chave_pix: ["chave_pix", "pix"],
+    chave_pix_tipo: [
+      "chave_pix_tipo",
+      "tipo_chave_pix",
+      "tipo_pix",
+      "tipo_da_chave_pix",
+    ],
+    observacao: ["observacao", "observacoes", "obs"],
+    valor_diaria: ["valor_diaria", "diaria", "valor_da_diaria"],
+    cpf: ["cpf"],
+    cnpj: ["cnpj"],
+    rg: ["rg"],
+    situacao: ["situacao"],
+  };
+
+  const esquemaImportacao = esquema({
+    dry_run: v.booleano({ padrao: true }),
+    obra_id: v.uuid(),
+  });
+
+  function chaveColuna(nome) {
+    return normalizarTexto(nome)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+  }
+
+  // índice da coluna -> campo do funcionário (null = ignorada)
+  function mapearColunas(cabecalho) {
+    const apelidos = new Map();
+    for (const [campo, nomes] of Object.entries(COLUNAS_IMPORTACAO)) {
+      nomes.forEach((n) => apelidos.set(n, campo));
+    }
+
+    const usados = new Set();
+    const ignoradas = [];
+
+    const campos = cabecalho.map((nome) => {
+      const campo = apelidos.get(chaveColuna(nome));
+      if (!campo || usados.has(campo)) {
+        if (nome) ignoradas.push(nome);
+        return null;
+      }
+      usados.add(campo);
+      return campo;
+    });
+
+    return { campos, ignoradas };
+  }
+
+  // Ajustes de planilha antes do esquema: CPF/CNPJ numérico
+  // perde os zeros à esquerda e a diária pode vir "R$ 1.234,50".
+  function valorImportado(campo, bruto) {
+    if (bruto === null || bruto === undefined) return undefined;
+
+    if (typeof bruto === "number" && (campo === "cpf" || campo === "cnpj")) {
+      return String(bruto).padStart(campo === "cpf" ? 11 : 14, "0");
+    }
+
+    if (campo === "valor_diaria" && typeof bruto === "string") {
+      const s = bruto.replace(/R\$/i, "").replace(/\s+/g, "");
+      return s.includes(",") ? s.replace(/\./g, "") : s;
+    }
+
+    return bruto;
+  }
+
+  async function montarImportacao(planilha) {
+    const { campos, ignoradas } = mapearColunas(planilha.cabecalho);
+
+    const linhas = planilha.linhas.map(({ numero, valores }) => {
+      const entrada = {};
+      campos.forEach((campo, i) => {
+        if (campo) entrada[campo] = valorImportado(campo, valores[i]);
+      });
+
+      const { dados, erros } = validar(esquemaFuncionario, entrada);
+
+      return {
+        linha: numero,
+        nome: dados.nome ?? entrada.nome ?? null,
+        cpf: dados.cpf ?? null,
+        erros,
+        payload: erros.length ? null : montarFuncionario(dados),
+      };
+    });
+
+    const porCpf = new Map();
+    linhas.forEach((l) => {
+      if (!l.cpf) return;
+      if (!porCpf.has(l.cpf)) porCpf.set(l.cpf, []);
+      porCpf.get(l.cpf).push(l);
+    });
+
+    for (const repetidas of porCpf.values()) {
+      if (repetidas.length < 2) continue;
+      const numeros = repetidas.map((l) => l.linha).join(", ");
+      repetidas.forEach((l) =>
+        l.erros.push({
+          campo: "cpf",
+          mensagem: `CPF repetido na planilha (linhas ${numeros})`,
+        }),
+      );
+    }
+
+    // excluídos também contam: o CPF continua único no banco
+    if (porCpf.size) {
+      const { data, error } = await supabaseAdmin
+        .from("cadastro_func")
+        .select("id, nome, cpf, deleted_at")
+        .in("cpf", [...porCpf.keys()]);
+
+      if (error) return { error };
+
+      (data || []).forEach((f) =>
+        porCpf.get(f.cpf)?.forEach((l) =>
+          l.erros.push({
+            campo: "cpf",
+            mensagem: f.deleted_at
+              ? `CPF já cadastrado para ${f.nome} (excluído; restaure o cadastro)`
+              : `CPF já cadastrado para ${f.nome}`,
+          }),
+        ),
+      );
+    }
+
+    const comErro = linhas.filter((l) => l.erros.length).length;
+
+    return {
+      linhas,
+      previa: {
+        total: linhas.length,
+        validos: linhas.length - comErro,
+        com_erro: comErro,
+        colunas_ignoradas: ignoradas,
+        linhas: linhas.map(({ payload, ...l }) => l),
+      },
+    };
+  }
+
+  app.post(
+    "/funcionarios/importar",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    express.raw({ type: TIPOS_PLANILHA, limit: "2mb" }),
+    validarRequisicao({ query: esquemaImportacao }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { dry_run, obra_id } = req.validado.query;
+
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        throw new ErroValidacao(
+          "Envie a planilha (CSV ou XLSX) no corpo da requisição",
+        );
+      }
+
+      let obra = null;
+      if (obra_id) {
+        if (!temPermissao(usuario, "equipe:write")) {
+          throw new ErroSemPermissao(
+            "Sem permissão para alterar equipe por obra",
+          );
+        }
+
+        obra = await getObraById(obra_id);
+        if (!obra || obra.deleted_at) {
+          throw new ErroNaoEncontrado("Obra não encontrada");
+        }
+
+        const pode = await usuarioPodeAcessarObra(req, obra_id);
+        if (!pode) {
+          throw new ErroSemPermissao("Você não pode alterar esta obra");
+        }
+      }
+
+      let planilha;
+      try {
+        planilha = await lerPlanilha(req.body);
+      } catch (err) {
+        logger.erro("POST /funcionarios/importar leitura error:", err);
+        throw new ErroValidacao("Não foi possível ler a planilha");
+      }
+
+      if (!planilha.linhas.length) {
+        throw new ErroValidacao("A planilha não tem funcionários");
+      }
+
+      if (planilha.linhas.length > MAX_LINHAS_IMPORTACAO) {
+        throw new ErroValidacao(
+          `A planilha pode ter no máximo ${MAX_LINHAS_IMPORTACAO} funcionários`,
+        );
+      }
+
+      const { campos } = mapearColunas(planilha.cabecalho);
+      if (!campos.includes("nome")) {
+        throw new ErroValidacao("A planilha precisa de uma coluna nome");
+      }
+
+      const { linhas, previa, error } = await montarImportacao(planilha);
+
+      if (error) {
+        logger.erro("POST /funcionarios/importar cpf error:", error);
+        throw new ErroApi("Falha ao verificar CPFs cadastrados");
+      }
+
+      if (dry_run) {
+        await registrarLog({
+          req,
+          usuario,
+          acao: "VIEW",
+          tabela: "cadastro_func",
+          depois: {
+            total: previa.total,
+            validos: previa.validos,
+            com_erro: previa.com_erro,
+            obra_id: obra_id || null,
+          },
+          observacao: `Validou importação de ${previa.total} funcionário(s)`,
+        });
+
+        return res.json({ ok: true, data: { dry_run: true, ...previa } });
+      }
+
+      if (previa.com_erro) {
+        throw new ErroValidacao(
+          "A planilha tem linhas com erro; nada foi importado",
+          {
+            code: "PLANILHA_COM_ERROS",
+            detalhes: { data: { dry_run: false, ...previa } },
+          },
+        );
+      }
+
+      const { data: ids, error: rpcErr } = await supabaseAdmin.rpc(
+        "importar_funcionarios",
+        {
+          p_funcionarios: linhas.map((l) => l.payload),
+          p_obra_id: obra_id || null,
+          p_usuario_id: usuario.id,
+        },
+      );
+
+      if (rpcErr) {
+        if (rpcErr.code === "23505") {
+          throw erroCpfDuplicado();
+        }
+
+        logger.erro("POST /funcionarios/importar rpc error:", rpcErr);
+        throw new ErroApi("Erro ao importar funcionários");
+      }
+
+      const importados = (ids || []).map((r) =>
+        typeof r === "object" ? r.importar_funcionarios : r,
+      );
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "INSERT",
+        tabela: "cadastro_func",
+        depois: {
+          ids: importados,
+          obra_id: obra_id || null,
+          funcionarios: linhas.map((l) => l.payload),
+        },
+        observacao: obra
+          ? `Importou ${importados.length} funcionário(s) na obra ${obra.nome}`
+          : `Importou ${importados.length} funcionário(s)`,
+      });
+
+      return res.status(201).json({
+        ok: true,
+        data: {
+          importados: importados.length,
+          ids: importados,
+          obra_id: obra_id || null,
+        },
+      });
+    }),
+  );
+
+  app.put(
+    "/funcionarios/:id",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    validarRequisicao({ params: esquemaId, body: esquemaFuncionario }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { id } = req.validado.params;
+      const antes = await getFuncionarioById(id);
+      conferirAlteracao("cadastro_func", antes);
+
+      const payload = montarFuncionario(req.validado.body);
+
+      const atualizacao = await atualizarFuncionario(req, antes, payload);
+      if (atualizacao.error) {
+        throw erroAtualizarFuncionario("PUT /funcionarios/:id", atualizacao);
+      }
+
+      const depois = await getFuncionarioById(id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "UPDATE",
+        tabela: "cadastro_func",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: "Atualizou funcionário",
+      });
+
+      return res.json({ ok: true });
+    }),
+  );
+
+  app.patch(
+    "/funcionarios/:id",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    validarRequisicao({
+      params: esquemaId,
+      body: esquemaFuncionario,
+      parcial: true,
+    }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { id } = req.validado.params;
+      const antes = await getFuncionarioById(id);
+      conferirAlteracao("cadastro_func", antes);
+
+      const patch = montarFuncionario(req.validado.body);
+
+      if (Object.keys(patch).length === 0) {
+        throw new ErroValidacao("Nada para atualizar");
+      }
+
+      const erros = verificarFuncionario({ ...(antes || {}), ...patch });
+      if (erros.length) throw new ErroValidacao(erros);
+
+      const atualizacao = await atualizarFuncionario(req, antes, patch);
+      if (atualizacao.error) {
+        throw erroAtualizarFuncionario("PATCH /funcionarios/:id", atualizacao);
+      }
+
+      const depois = await getFuncionarioById(id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "PATCH",
+        tabela: "cadastro_func",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: "Atualizou parcialmente funcionário",
+      });
+
+      return res.json({ ok: true });
+    }),
+  );
+
+  app.delete(
+    "/funcionarios/:id",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    validarRequisicao({ params: esquemaId, query: esquemaExclusao }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { id } = req.validado.params;
+      const { definitivo } = req.validado.query;
+      const antes = await getFuncionarioById(id);
+
+      conferirExclusao(req, "cadastro_func", antes);
+
+      const { error, dependentes } = await excluirRegistro(
+        req,
+        "cadastro_func",
+        id,
+      );
+
+      if (dependentes) {
+        throw erroDependentes("cadastro_func", dependentes);
+      }
+
+      if (error) {
+        logger.erro("DELETE /funcionarios/:id error:", error);
+        throw new ErroApi("Falha ao deletar funcionário");
+      }
+
+      esquecerFuncionario(id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "cadastro_func",
+        registro_id: id,
+        antes,
+        depois: definitivo ? null : await getFuncionarioById(id),
+        observacao: definitivo
+          ? "Excluiu funcionário definitivamente"
+          : "Excluiu funcionário",
+      });
+
+      return res.json({ ok: true });
+    }),
+  );
+
+  app.post(
+    "/funcionarios/:id/restaurar",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const restaurado = await restaurarRegistro("cadastro_func", id);
+
+      esquecerFuncionario(id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "RESTAURAR",
+        tabela: "cadastro_func",
+        registro_id: id,
+        ...restaurado,
+        observacao: "Restaurou funcionário excluído",
+      });
+
+      return res.json({ ok: true, data: restaurado.depois });
+    }),
+  );
+
+  // ==================================================
+  // VALOR DA DIÁRIA POR VIGÊNCIA
+  // - funcionario_valor_diaria guarda o histórico; cada
+  //   valor vale de vigencia_inicio até a próxima vigência
+  // - cadastro_func.valor_diaria é o valor da última
+  //   gravação; reajuste agendado não o atualiza sozinho,
+  //   então as leituras (GET) resolvem o vigente de hoje
+  //   pelo histórico, sem escrever nada
+  // - POST/PUT/PATCH de funcionário que mudam valor_diaria
+  //   registram uma vigência a partir de hoje
+  // ==================================================
+  function hojeISO() {
+    return new Date().toLocaleDateString("sv-SE", {
+      timeZone: "America/Sao_Paulo",
+    });
+  }
+
+  // Copia para o cadastro o valor vigente hoje; só nas rotas de escrita
+  async function aplicarValoresDiariaVigentes() {
+    const { data, error } = await supabaseAdmin.rpc(
+      "aplicar_valores_diaria_vigentes",
+    );
+
+    if (error) {
+      logger.erro("aplicarValoresDiariaVigentes error:", error);
+      return;
+    }
+
+    if (data) cacheFuncionarios.limpar();
+  }
+
+  // Map funcionario_id -> vigências em ordem crescente
+  async function carregarHistoricoValores(funcIds, ateData) {
+    const { data, error } = await supabaseAdmin
+      .from("funcionario_valor_diaria")
+      .select("funcionario_id, valor_diaria, vigencia_inicio")
+      .in("funcionario_id", funcIds)
+      .lte("vigencia_inicio", ateData)
+      .order("vigencia_inicio", { ascending: true });
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "INSERT",
-      tabela: "cadastro_func",
-      registro_id: data.id,
-      depois: novo || payload,
-      observacao: `Criou funcionário ${payload.nome}`,
+    if (error) {
+      logger.erro("carregarHistoricoValores error:", error);
+      throw new ErroApi("Falha ao carregar histórico de valores da diária");
+    }
+
+    const mapa = new Map();
+    (data || []).forEach((h) => {
+      if (!mapa.has(h.funcionario_id)) mapa.set(h.funcionario_id, []);
+      mapa.get(h.funcionario_id).push(h);
+    });
+    return mapa;
+  }
+
+  function valorVigente(historico, data) {
+    let vigente = null;
+    for (const h of historico || []) {
+      if (h.vigencia_inicio > data) break;
+      vigente = Number(h.valor_diaria);
+    }
+    return vigente;
+  }
+
+  // GET: troca valor_diaria pelo vigente hoje (sem histórico, fica o do cadastro)
+  async function comValorVigente(funcionarios) {
+    if (!funcionarios.length) return funcionarios;
+
+    const hoje = hojeISO();
+    const historicos = await carregarHistoricoValores(
+      funcionarios.map((f) => f.id),
+      hoje,
+    );
+
+    return funcionarios.map((f) => {
+      const vigente = valorVigente(historicos.get(f.id), hoje);
+      return vigente === null ? f : { ...f, valor_diaria: vigente };
+    });
+  }
+
+  // mesma data de vigência = correção do valor (upsert)
+  async function registrarValorDiaria(
+    funcionarioId,
+    valor,
+    vigencia,
+    { usuarioId = null, observacao = null } = {},
+  ) {
+    const { data, error } = await supabaseAdmin
+      .from("funcionario_valor_diaria")
+      .upsert(
+        {
+          funcionario_id: funcionarioId,
+          valor_diaria: valor,
+          vigencia_inicio: vigencia,
+          observacao,
+          created_by: usuarioId,
+        },
+        { onConflict: "funcionario_id,vigencia_inicio" },
+      )
+      .select("*")
+      .single();
+
+    if (error) {
+      logger.erro("registrarValorDiaria error:", error);
+    }
+
+    return { data, error };
+  }
+
+  // Lançamento de diárias: sem valor informado usa o vigente na
+  // data; valor diferente do vigente é aceito, mas vai para o log.
+  async function resolverValoresDiaria(registros, req) {
+    const funcIds = [...new Set(registros.map((r) => r.funcionario_id))];
+    const ateData = registros.map((r) => r.data).sort()[registros.length - 1];
+
+    const [historicos, funcionarios] = await Promise.all([
+      carregarHistoricoValores(funcIds, ateData),
+      getFuncionariosPorIds(funcIds, req),
+    ]);
+
+    const erros = [];
+    const sobrescritos = [];
+
+    registros.forEach((r, i) => {
+      const funcionario = funcionarios.get(r.funcionario_id);
+      const historico = historicos.get(r.funcionario_id);
+
+      // sem histórico nenhum: vale o valor do cadastro
+      const vigente = historico
+        ? valorVigente(historico, r.data)
+        : Number(funcionario?.valor_diaria || 0) || null;
+
+      if (r.valor_diaria_aplicado === null) {
+        if (!vigente) {
+          erros.push({
+            campo: `registros[${i}].valor_diaria_aplicado`,
+            mensagem: `${
+              funcionario?.nome || "Funcionário"
+            } não tem valor de diária vigente em ${
+              r.data
+            }; informe valor_diaria_aplicado`,
+          });
+        } else {
+          r.valor_diaria_aplicado = vigente;
+        }
+        return;
+      }
+
+      if (toCentavos(r.valor_diaria_aplicado) !== toCentavos(vigente)) {
+        sobrescritos.push({
+          obra_id: r.obra_id,
+          funcionario_id: r.funcionario_id,
+          data: r.data,
+          valor_vigente: vigente,
+          valor_aplicado: r.valor_diaria_aplicado,
+        });
+      }
     });
 
-    return res.status(201).json({ ok: true, data });
-  } catch (err) {
-    console.error("POST /funcionarios exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    return { erros, sobrescritos };
   }
-});
 
-app.put("/funcionarios/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+  // PUT/PATCH: cadastro e vigência do valor novo (a partir de hoje)
+  // andam juntos; se o histórico falhar, o cadastro volta ao que era
+  async function atualizarFuncionario(req, antes, payload) {
+    const etapas = [
+      {
+        nome: "cadastro",
+        executar: () =>
+          supabaseAdmin
+            .from("cadastro_func")
+            .update(payload)
+            .eq("id", antes.id),
+        desfazer: () =>
+          supabaseAdmin
+            .from("cadastro_func")
+            .update(
+              Object.fromEntries(
+                Object.keys(payload).map((k) => [k, antes[k] ?? null]),
+              ),
+            )
+            .eq("id", antes.id),
+      },
+    ];
 
     if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
+      payload.valor_diaria !== undefined &&
+      toCentavos(payload.valor_diaria) !== toCentavos(antes.valor_diaria)
     ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode cadastrar funcionário",
+      etapas.push({
+        nome: "historico",
+        executar: () =>
+          registrarValorDiaria(antes.id, payload.valor_diaria, hojeISO(), {
+            usuarioId: req.usuario.id,
+            observacao: "Alterado no cadastro do funcionário",
+          }),
+      });
+    }
+
+    const r = await executarEtapas(etapas);
+    esquecerFuncionario(antes.id);
+    return r;
+  }
+
+  function erroAtualizarFuncionario(rota, { error, etapa, pendentes }) {
+    if (etapa === "cadastro" && error.code === "23505") {
+      return erroCpfDuplicado();
+    }
+
+    logger.erro(`${rota} ${etapa} error:`, error);
+    if (pendentes.length) {
+      logger.erro(`${rota} compensação pendente:`, pendentes);
+    }
+    return new ErroApi("Falha ao atualizar funcionário");
+  }
+
+  const esquemaValorDiaria = esquema({
+    valor_diaria: v.numero({ min: 0, obrigatorio: true }),
+    vigencia_inicio: v.data({ obrigatorio: true }),
+    observacao: v.texto({ max: 1000 }),
+  });
+
+  const esquemaVigencia = esquema({
+    id: v.uuid({ obrigatorio: true }),
+    vigencia_id: v.uuid({ obrigatorio: true }),
+  });
+
+  app.get(
+    "/funcionarios/:id/valor-diaria",
+    requireAuth,
+    requirePermission("funcionarios:read"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const funcionario = await getFuncionarioById(id);
+      if (!funcionario) {
+        throw new ErroNaoEncontrado("Funcionário não encontrado");
+      }
+
+      if (!podeVerFuncionario(usuario, funcionario)) {
+        throw new ErroSemPermissao("Acesso não permitido a este funcionário");
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("funcionario_valor_diaria")
+        .select("*")
+        .eq("funcionario_id", id)
+        .order("vigencia_inicio", { ascending: true });
+
+      if (error) {
+        logger.erro("GET /funcionarios/:id/valor-diaria error:", error);
+        throw new ErroApi("Falha ao listar valores da diária");
+      }
+
+      const hoje = hojeISO();
+      const historico = data || [];
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "funcionario_valor_diaria",
+        registro_id: id,
+        depois: { total: historico.length },
+        observacao: "Listou histórico do valor da diária",
+      });
+
+      return res.json({
+        ok: true,
+        data: {
+          vigente: valorVigente(historico, hoje),
+          proximo: historico.find((h) => h.vigencia_inicio > hoje) || null,
+          historico,
+        },
+      });
+    }),
+  );
+
+  app.post(
+    "/funcionarios/:id/valor-diaria",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    validarRequisicao({ params: esquemaId, body: esquemaValorDiaria }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+      const { valor_diaria, vigencia_inicio, observacao } = req.validado.body;
+
+      const funcionario = await getFuncionarioById(id);
+      conferirAlteracao("cadastro_func", funcionario);
+
+      if (!podeVerFuncionario(usuario, funcionario)) {
+        throw new ErroSemPermissao("Acesso não permitido a este funcionário");
+      }
+
+      // lançamentos guardam o valor aplicado, mas a vigência não
+      // pode começar dentro de período já fechado
+      const fechada = await getQuinzenaFechadaPorDatas([vigencia_inicio]);
+      if (fechada) {
+        throw new ErroPeriodoFechado(fechada);
+      }
+
+      const { data: existente, error: errExist } = await supabaseAdmin
+        .from("funcionario_valor_diaria")
+        .select("*")
+        .eq("funcionario_id", id)
+        .eq("vigencia_inicio", vigencia_inicio)
+        .maybeSingle();
+
+      if (errExist) {
+        logger.erro("POST /funcionarios/:id/valor-diaria error:", errExist);
+        throw new ErroApi("Falha ao salvar valor da diária");
+      }
+
+      const { data, error } = await registrarValorDiaria(
+        id,
+        valor_diaria,
+        vigencia_inicio,
+        { usuarioId: usuario.id, observacao },
       );
+
+      if (error) {
+        throw new ErroApi("Falha ao salvar valor da diária");
+      }
+
+      if (vigencia_inicio <= hojeISO()) {
+        await aplicarValoresDiariaVigentes();
+        esquecerFuncionario(id);
+      }
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: existente ? "UPDATE" : "INSERT",
+        tabela: "funcionario_valor_diaria",
+        registro_id: data.id,
+        antes: existente || null,
+        depois: data,
+        observacao:
+          vigencia_inicio > hojeISO()
+            ? `Agendou diária de ${funcionario.nome} a partir de ${vigencia_inicio}`
+            : `Definiu diária de ${funcionario.nome} a partir de ${vigencia_inicio}`,
+      });
+
+      return res.status(existente ? 200 : 201).json({ ok: true, data });
+    }),
+  );
+
+  app.delete(
+    "/funcionarios/:id/valor-diaria/:vigencia_id",
+    requireAuth,
+    requirePermission("funcionarios:write"),
+    validarRequisicao({ params: esquemaVigencia }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id, vigencia_id } = req.validado.params;
+
+      const { data: antes, error: antesErr } = await supabaseAdmin
+        .from("funcionario_valor_diaria")
+        .select("*")
+        .eq("id", vigencia_id)
+        .eq("funcionario_id", id)
+        .maybeSingle();
+
+      if (antesErr) {
+        logger.erro("DELETE /funcionarios/:id/valor-diaria error:", antesErr);
+        throw new ErroApi("Falha ao cancelar valor da diária");
+      }
+
+      if (!antes) {
+        throw new ErroNaoEncontrado("Vigência não encontrada");
+      }
+
+      if (antes.vigencia_inicio <= hojeISO()) {
+        throw new ErroConflito(
+          "Só é possível cancelar valores que ainda não começaram a valer",
+        );
+      }
+
+      const { error } = await supabaseAdmin
+        .from("funcionario_valor_diaria")
+        .delete()
+        .eq("id", vigencia_id);
+
+      if (error) {
+        logger.erro("DELETE /funcionarios/:id/valor-diaria error:", error);
+        throw new ErroApi("Falha ao cancelar valor da diária");
+      }
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "funcionario_valor_diaria",
+        registro_id: vigencia_id,
+        antes,
+        depois: null,
+        observacao: "Cancelou valor de diária agendado",
+      });
+
+      return res.json({ ok: true });
+    }),
+  );
+
+  // ==================================================
+  // EQUIPE POR OBRA
+  // ==================================================
+  const esquemaEquipeObra = esquema({
+    obra_id: v.uuid({ obrigatorio: true }),
+    funcionario_id: v.uuid({ obrigatorio: true }),
+    situacao: v.opcao(SITUACOES, { padrao: "ativo" }),
+    observacao: v.texto({ max: 1000 }),
+  });
+
+  app.get(
+    "/equipe-obra",
+    requireAuth,
+    requirePermission("equipe:read"),
+    validarRequisicao({
+      query: esquema({ obra_id: v.uuid({ obrigatorio: true }) }),
+    }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { obra_id: obraId } = req.validado.query;
+
+      const pode = await usuarioPodeAcessarObra(req, obraId);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode acessar esta obra");
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("equipe_obra")
+        .select("id, obra_id, funcionario_id, situacao, observacao, created_at")
+        .eq("obra_id", obraId)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.erro("GET /equipe-obra error:", error);
+        throw new ErroApi("Falha ao listar equipe");
+      }
+
+      const enriched = await enrichEquipeRowsWithNames(data || [], req);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "equipe_obra",
+        depois: { obra_id: obraId, total: enriched.length },
+        observacao: "Listou equipe da obra",
+      });
+
+      return res.json({ ok: true, data: enriched });
+    }),
+  );
+
+  app.post(
+    "/equipe-obra",
+    requireAuth,
+    requirePermission("equipe:write"),
+    validarRequisicao({ body: esquemaEquipeObra }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { obra_id, funcionario_id, situacao, observacao } =
+        req.validado.body;
+
+      const pode = await usuarioPodeAcessarObra(req, obra_id);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode alterar esta obra");
+      }
+
+      const { data: existente, error: selErr } = await supabaseAdmin
+        .from("equipe_obra")
+        .select("*")
+        .eq("obra_id", obra_id)
+        .eq("funcionario_id", funcionario_id)
+        .order("created_at", { ascending: false })
+        .limit(1);
+
+      if (selErr) {
+        logger.erro("POST /equipe-obra select existente error:", selErr);
+        throw new ErroApi("Falha ao verificar vínculo");
+      }
+
+      if (existente && existente.length > 0) {
+        const id = existente[0].id;
+        const antes = existente[0];
+
+        const { error: upErr } = await supabaseAdmin
+          .from("equipe_obra")
+          .update({ situacao, observacao })
+          .eq("id", id);
+
+        if (upErr) {
+          logger.erro("POST /equipe-obra update error:", upErr);
+          throw new ErroApi("Falha ao atualizar vínculo");
+        }
+
+        const depois = await getEquipeObraById(id);
+
+        await registrarLog({
+          req,
+          usuario,
+          acao: "UPDATE",
+          tabela: "equipe_obra",
+          registro_id: id,
+          antes,
+          depois,
+          observacao: "Atualizou vínculo equipe_obra via upsert manual",
+        });
+
+        return res.status(200).json({ ok: true, data: { id, updated: true } });
+      } else {
+        const { data: ins, error: insErr } = await supabaseAdmin
+          .from("equipe_obra")
+          .insert({ obra_id, funcionario_id, situacao, observacao })
+          .select("id")
+          .single();
+
+        if (insErr) {
+          logger.erro("POST /equipe-obra insert error:", insErr);
+          throw new ErroApi("Falha ao criar vínculo");
+        }
+
+        const depois = await getEquipeObraById(ins.id);
+
+        await registrarLog({
+          req,
+          usuario,
+          acao: "INSERT",
+          tabela: "equipe_obra",
+          registro_id: ins.id,
+          depois,
+          observacao: "Criou vínculo equipe_obra",
+        });
+
+        return res.status(201).json({ ok: true, data: ins });
+      }
+    }),
+  );
+
+  app.delete(
+    "/equipe-obra/:id",
+    requireAuth,
+    requirePermission("equipe:write"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const vinculo = await getEquipeObraById(id);
+      if (!vinculo) {
+        throw new ErroNaoEncontrado("Vínculo não encontrado");
+      }
+
+      const pode = await usuarioPodeAcessarObra(req, vinculo.obra_id);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode alterar esta obra");
+      }
+
+      const { error } = await supabaseAdmin
+        .from("equipe_obra")
+        .update({ situacao: "inativo" })
+        .eq("id", id);
+
+      if (error) {
+        logger.erro("DELETE /equipe-obra/:id error:", error);
+        throw new ErroApi("Falha ao remover vínculo");
+      }
+
+      const depois = await getEquipeObraById(id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "equipe_obra",
+        registro_id: id,
+        antes: vinculo,
+        depois,
+        observacao: "Inativou vínculo equipe_obra",
+      });
+
+      return res.json({ ok: true });
+    }),
+  );
+  // ==================================================
+  // EMPREITEIROS CRUD
+  // ==================================================
+  const nomeEmpreiteiro = v.texto({
+    max: 150,
+    maiusculo: true,
+    obrigatorio: true,
+    mensagem: "Informe o nome do empreiteiro",
+  });
+
+  const esquemaEmpreiteiroNovo = esquema({
+    nome: nomeEmpreiteiro,
+    funcionarios_ids: v.lista(v.uuid({ obrigatorio: true }), {
+      min: 1,
+      unicos: true,
+      mensagem: "Informe ao menos um funcionário",
+    }),
+  });
+
+  // lista vazia no PUT exclui o empreiteiro
+  const esquemaEmpreiteiroEdicao = esquema({
+    nome: nomeEmpreiteiro,
+    funcionarios_ids: v.lista(v.uuid({ obrigatorio: true }), {
+      unicos: true,
+      obrigatorio: false,
+      padrao: () => [],
+    }),
+  });
+
+  // Grava (ou, com lista vazia, exclui) numa transação: a função
+  // salvar_empreiteiro confere os funcionários com a linha travada.
+  async function salvarEmpreiteiro(id, nome, funcionariosIds) {
+    const { data, error } = await supabaseAdmin.rpc("salvar_empreiteiro", {
+      p_id: id,
+      p_nome: nome,
+      p_funcionarios_ids: funcionariosIds,
+    });
+
+    if (!error) return { data, error: null };
+    if (error.code === "P0002") return { data: null, naoEncontrado: true };
+    if (error.message?.includes("funcionarios_invalidos")) {
+      return { data: null, funcionariosInvalidos: true };
     }
+    return { data: null, error };
+  }
+
+  function erroFuncionariosEmpreiteiro() {
+    return new ErroValidacao(
+      "Um ou mais funcionários informados não existem ou não podem ser vinculados",
+    );
+  }
+
+  const LISTAGEM_EMPREITEIROS = {
+    busca: ["nome"],
+    ordenacao: ["nome", "created_at"],
+    padrao: "nome",
+  };
+
+  app.get(
+    "/empreiteiros",
+    requireAuth,
+    requirePermission("empreiteiros:read"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { listagem, erros } = parseListagem(
+        req.query,
+        LISTAGEM_EMPREITEIROS,
+      );
+      if (erros) throw new ErroValidacao(erros);
+
+      const { data: pagina, error } = await listarPagina(listagem, (opcoes) =>
+        supabaseAdmin
+          .from("cadastro_empreiteiro")
+          .select("id, nome, funcionarios_ids, created_at", opcoes),
+      );
+
+      if (error) {
+        logger.erro("GET /empreiteiros error:", error);
+        throw new ErroApi("Falha ao listar empreiteiros");
+      }
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "cadastro_empreiteiro",
+        depois: { total: pagina.total, retornados: pagina.data.length },
+        observacao: "Listou empreiteiros",
+      });
+
+      return res.json({ ok: true, ...pagina });
+    }),
+  );
+
+  app.get(
+    "/empreiteiros/:id",
+    requireAuth,
+    requirePermission("empreiteiros:read"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const data = await getEmpreiteiroById(id);
+
+      if (!data) {
+        throw new ErroNaoEncontrado("Empreiteiro não encontrado");
+      }
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "cadastro_empreiteiro",
+        registro_id: id,
+        depois: data,
+        observacao: "Consultou empreiteiro",
+      });
+
+      return res.json({ ok: true, data });
+    }),
+  );
+
+  app.post(
+    "/empreiteiros",
+    requireAuth,
+    requirePermission("empreiteiros:write"),
+    validarRequisicao({ body: esquemaEmpreiteiroNovo }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { nome, funcionarios_ids } = req.validado.body;
+
+      const { data: funcionarios, error: funcErr } = await supabaseAdmin
+        .from("cadastro_func")
+        .select("id, nome, funcao, situacao")
+        .in("id", funcionarios_ids);
+
+      if (funcErr) {
+        logger.erro("POST /empreiteiros validate funcionarios error:", funcErr);
+        throw new ErroApi("Falha ao validar funcionários");
+      }
+
+      const funcionariosValidos = (funcionarios || []).filter((f) =>
+        podeVerFuncionario(usuario, f),
+      );
+
+      if (funcionariosValidos.length !== funcionarios_ids.length) {
+        throw erroFuncionariosEmpreiteiro();
+      }
+
+      const payload = { nome, funcionarios_ids };
+
+      const {
+        data: salvo,
+        error,
+        funcionariosInvalidos,
+      } = await salvarEmpreiteiro(null, nome, funcionarios_ids);
+
+      if (funcionariosInvalidos) {
+        throw erroFuncionariosEmpreiteiro();
+      }
+
+      if (error) {
+        logger.erro("POST /empreiteiros error:", error);
+        throw new ErroApi("Erro ao salvar empreiteiro");
+      }
+
+      const data = { id: salvo.id };
+      const depois = await getEmpreiteiroById(data.id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "INSERT",
+        tabela: "cadastro_empreiteiro",
+        registro_id: data.id,
+        depois,
+        observacao: `Criou empreiteiro ${payload.nome}`,
+      });
+
+      return res.status(201).json({ ok: true, data });
+    }),
+  );
+  app.put(
+    "/empreiteiros/:id",
+    requireAuth,
+    requirePermission("empreiteiros:write"),
+    validarRequisicao({ params: esquemaId, body: esquemaEmpreiteiroEdicao }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+      const { nome, funcionarios_ids } = req.validado.body;
+
+      const antes = await getEmpreiteiroById(id);
+
+      if (!antes) {
+        throw new ErroNaoEncontrado("Empreiteiro não encontrado");
+      }
+
+      if (funcionarios_ids.length > 0) {
+        const { data: funcionarios, error: funcErr } = await supabaseAdmin
+          .from("cadastro_func")
+          .select("id, nome, funcao, situacao")
+          .in("id", funcionarios_ids);
+
+        if (funcErr) {
+          logger.erro(
+            "PUT /empreiteiros/:id validate funcionarios error:",
+            funcErr,
+          );
+          throw new ErroApi("Falha ao validar funcionários");
+        }
+
+        const funcionariosValidos = (funcionarios || []).filter((f) =>
+          podeVerFuncionario(usuario, f),
+        );
+
+        if (funcionariosValidos.length !== funcionarios_ids.length) {
+          throw erroFuncionariosEmpreiteiro();
+        }
+      }
+
+      const payload = { nome, funcionarios_ids };
 
-    const id = req.params.id;
-    const antes = await getFuncionarioById(id);
-
-    const nome = String(req.body?.nome || "").trim();
-    if (!nome) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Informe o nome do funcionário" });
-    }
-
-    const vdi = normValorDiaria(req.body?.valor_diaria);
-    if (Number.isNaN(vdi)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "valor_diaria inválido" });
-    }
-
-    const payload = {
-      nome,
-      funcao: req.body?.funcao ? String(req.body.funcao).trim() : null,
-      valor_diaria: vdi,
-      rg: req.body?.rg ? String(req.body.rg).replace(/\D/g, "") : null,
-      cpf: req.body?.cpf ? String(req.body.cpf).replace(/\D/g, "") : null,
-      situacao: normSituacao(req.body?.situacao, "ativo"),
-      razao_social: req.body?.razao_social
-        ? String(req.body.razao_social).trim()
-        : null,
-      titular_conta: req.body?.titular_conta
-        ? String(req.body.titular_conta).trim()
-        : null,
-      banco: req.body?.banco ? String(req.body.banco).trim() : null,
-      agencia: req.body?.agencia ? String(req.body.agencia).trim() : null,
-      conta: req.body?.conta ? String(req.body.conta).trim() : null,
-      chave_pix_tipo: normChavePixTipo(req.body),
-      chave_pix: req.body?.chave_pix ? String(req.body.chave_pix).trim() : null,
-      observacao: req.body?.observacao
-        ? String(req.body.observacao).trim()
-        : null,
-    };
+      // Se removeu todos os funcionários, exclui o empreiteiro do banco.
+      const {
+        data: salvo,
+        error,
+        naoEncontrado,
+        funcionariosInvalidos,
+      } = await salvarEmpreiteiro(id, nome, funcionarios_ids);
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_func")
-      .update(payload)
-      .eq("id", id);
+      if (naoEncontrado) {
+        throw new ErroNaoEncontrado("Empreiteiro não encontrado");
+      }
 
-    if (error) {
-      console.error("PUT /funcionarios/:id error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao atualizar funcionário" });
-    }
+      if (funcionariosInvalidos) {
+        throw erroFuncionariosEmpreiteiro();
+      }
 
-    const depois = await getFuncionarioById(id);
+      if (error) {
+        logger.erro("PUT /empreiteiros/:id error:", error);
+        throw new ErroApi("Erro ao atualizar empreiteiro");
+      }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "UPDATE",
-      tabela: "cadastro_func",
-      registro_id: id,
-      antes,
-      depois,
-      observacao: "Atualizou funcionário",
-    });
+      if (salvo.excluido) {
+        await registrarLog({
+          req,
+          usuario,
+          acao: "DELETE",
+          tabela: "cadastro_empreiteiro",
+          registro_id: id,
+          antes,
+          depois: null,
+          observacao: `Excluiu empreiteiro ${antes.nome} porque ficou sem funcionários vinculados`,
+        });
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("PUT /funcionarios/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+        return res.json({
+          ok: true,
+          deleted: true,
+          message: "Empreiteiro excluído porque não possui mais funcionários.",
+        });
+      }
 
-app.patch("/funcionarios/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      const depois = await getEmpreiteiroById(id);
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode cadastrar funcionário",
-      );
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "UPDATE",
+        tabela: "cadastro_empreiteiro",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: `Atualizou empreiteiro ${payload.nome}`,
+      });
 
-    const id = req.params.id;
-    const antes = await getFuncionarioById(id);
-
-    const patch = {
-      ...(req.body?.nome !== undefined
-        ? { nome: String(req.body.nome).trim() }
-        : {}),
-      ...(req.body?.funcao !== undefined
-        ? { funcao: req.body.funcao ? String(req.body.funcao).trim() : null }
-        : {}),
-      ...(req.body?.cpf !== undefined
-        ? { cpf: req.body.cpf ? String(req.body.cpf).replace(/\D/g, "") : null }
-        : {}),
-      ...(req.body?.rg !== undefined
-        ? { rg: req.body.rg ? String(req.body.rg).replace(/\D/g, "") : null }
-        : {}),
-      ...(req.body?.situacao !== undefined
-        ? { situacao: normSituacao(req.body.situacao) }
-        : {}),
-      ...(req.body?.razao_social !== undefined
-        ? {
-            razao_social: req.body.razao_social
-              ? String(req.body.razao_social).trim()
-              : null,
-          }
-        : {}),
-      ...(req.body?.titular_conta !== undefined
-        ? {
-            titular_conta: req.body.titular_conta
-              ? String(req.body.titular_conta).trim()
-              : null,
-          }
-        : {}),
-      ...(req.body?.banco !== undefined
-        ? { banco: req.body.banco ? String(req.body.banco).trim() : null }
-        : {}),
-      ...(req.body?.agencia !== undefined
-        ? { agencia: req.body.agencia ? String(req.body.agencia).trim() : null }
-        : {}),
-      ...(req.body?.conta !== undefined
-        ? { conta: req.body.conta ? String(req.body.conta).trim() : null }
-        : {}),
-      ...(req.body?.chave_pix_tipo !== undefined ||
-      req.body?.tipo_chave_pix !== undefined
-        ? { chave_pix_tipo: normChavePixTipo(req.body) }
-        : {}),
-      ...(req.body?.chave_pix !== undefined
-        ? {
-            chave_pix: req.body.chave_pix
-              ? String(req.body.chave_pix).trim()
-              : null,
-          }
-        : {}),
-      ...(req.body?.observacao !== undefined
-        ? {
-            observacao: req.body.observacao
-              ? String(req.body.observacao).trim()
-              : null,
-          }
-        : {}),
-    };
+      return res.json({ ok: true, data: { id } });
+    }),
+  );
 
-    if (Object.keys(patch).length === 0) {
-      return res.status(400).json({ ok: false, error: "Nada para atualizar" });
-    }
+  // =====================================================
+  // DIÁRIAS
+  // =====================================================
+  const esquemaDiariasPeriodo = esquema(
+    {
+      obra_id: v.uuid({ obrigatorio: true }),
+      data_inicio: v.data({ obrigatorio: true }),
+      data_fim: v.data({ obrigatorio: true }),
+    },
+    verificarPeriodo("data_inicio", "data_fim"),
+  );
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_func")
-      .update(patch)
-      .eq("id", id);
+  // cada lançamento individual só pode ir de 0,0 até 1,0
+  const esquemaLancDiarias = esquema({
+    registros: v.lista(
+      v.objeto(
+        esquema({
+          obra_id: v.uuid({ obrigatorio: true }),
+          funcionario_id: v.uuid({ obrigatorio: true }),
+          data: v.data({ obrigatorio: true }),
+          qtd: v.numero({
+            min: 0,
+            max: 1,
+            obrigatorio: true,
+            mensagem: "A diária precisa estar entre 0,0 e 1,0",
+          }),
+          // sem valor: usa o vigente na data (histórico do funcionário)
+          valor_diaria_aplicado: v.numero({ maiorQue: 0 }),
+        }),
+      ),
+      { min: 1, mensagem: "Envie { registros: [...] }" },
+    ),
+  });
 
-    if (error) {
-      console.error("PATCH /funcionarios/:id error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao atualizar funcionário" });
-    }
+  app.get(
+    "/lanc-diarias",
+    requireAuth,
+    requirePermission("diarias:read"),
+    validarRequisicao({ query: esquemaDiariasPeriodo }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    const depois = await getFuncionarioById(id);
+      const { obra_id, data_inicio, data_fim } = req.validado.query;
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "PATCH",
-      tabela: "cadastro_func",
-      registro_id: id,
-      antes,
-      depois,
-      observacao: "Atualizou parcialmente funcionário",
-    });
+      const pode = await usuarioPodeAcessarObra(req, obra_id);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode acessar esta obra");
+      }
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("PATCH /funcionarios/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const { data, error } = await supabaseAdmin
+        .from("lanc_diarias")
+        .select("obra_id, funcionario_id, data, qtd, valor_diaria_aplicado")
+        .eq("obra_id", obra_id)
+        .gte("data", data_inicio)
+        .lte("data", data_fim);
 
-app.delete("/funcionarios/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      if (error) {
+        logger.erro("GET /lanc-diarias error:", error);
+        throw new ErroApi("Erro ao buscar diárias");
+      }
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode cadastrar funcionário",
-      );
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "lanc_diarias",
+        depois: { obra_id, data_inicio, data_fim, total: (data || []).length },
+        observacao: "Listou diárias por período",
+      });
 
-    const id = req.params.id;
-    const antes = await getFuncionarioById(id);
+      return res.json({ ok: true, data: data || [] });
+    }),
+  );
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_func")
-      .delete()
-      .eq("id", id);
+  app.post(
+    "/lanc-diarias",
+    requireAuth,
+    requirePermission("diarias:write"),
+    validarRequisicao({ body: esquemaLancDiarias }),
+    aceitarIdempotencia,
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    if (error) {
-      console.error("DELETE /funcionarios/:id error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao deletar funcionário" });
-    }
+      const normalized = req.validado.body.registros;
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "DELETE",
-      tabela: "cadastro_func",
-      registro_id: id,
-      antes,
-      depois: null,
-      observacao: "Excluiu funcionário",
-    });
+      const obraIds = [...new Set(normalized.map((r) => r.obra_id))];
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("DELETE /funcionarios/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const pode = await usuarioPodeAcessarObras(req, obraIds);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode lançar diárias nesta obra");
+      }
 
-// ==================================================
-// EQUIPE POR OBRA
-// ==================================================
-app.get("/equipe-obra", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const obraId = String(req.query?.obra_id || "").trim();
+      const fechada = await getQuinzenaFechadaPorDatas(
+        normalized.map((r) => r.data),
+      );
+      if (fechada) {
+        throw new ErroPeriodoFechado(fechada);
+      }
 
-    if (!isUuid(obraId)) {
-      return res.status(400).json({
-        ok: false,
-        error: "obra_id inválido (precisa ser UUID)",
-      });
-    }
+      const { erros: errosValor, sobrescritos } = await resolverValoresDiaria(
+        normalized,
+        req,
+      );
+      if (errosValor.length) {
+        throw new ErroValidacao(errosValor);
+      }
 
-    if (isConsulta(usuario)) {
-      return deny(res, "Usuário somente consulta não acessa equipe por obra");
-    }
+      // ==================================================
+      // NOVA VALIDAÇÃO:
+      // funcionário não pode passar de 1,0 diária somando
+      // todas as obras no mesmo dia.
+      // ==================================================
+
+      const funcIds = [...new Set(normalized.map((r) => r.funcionario_id))];
+      const datas = [...new Set(normalized.map((r) => r.data))];
+
+      const { data: existentes, error: errExistentes } = await supabaseAdmin
+        .from("lanc_diarias")
+        .select("obra_id, funcionario_id, data, qtd, valor_diaria_aplicado")
+        .in("funcionario_id", funcIds)
+        .in("data", datas);
+
+      if (errExistentes) {
+        logger.erro(
+          "POST /lanc-diarias buscar existentes error:",
+          errExistentes,
+        );
+        throw new ErroApi("Erro ao validar diárias já lançadas");
+      }
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado acessa equipe por obra",
+      const obrasExistentes = await getObrasPorIds(
+        (existentes || [])
+          .map((r) => r.obra_id)
+          .concat(normalized.map((r) => r.obra_id)),
+        req,
       );
-    }
 
-    const pode = await usuarioPodeAcessarObra(usuario, obraId);
-    if (!pode) {
-      return deny(res, "Você não pode acessar esta obra");
-    }
+      const mapaObras = {};
+      obrasExistentes.forEach((o, id) => {
+        if (o) mapaObras[id] = o.nome;
+      });
 
-    const { data, error } = await supabaseAdmin
-      .from("equipe_obra")
-      .select("id, obra_id, funcionario_id, situacao, observacao, created_at")
-      .eq("obra_id", obraId)
-      .order("created_at", { ascending: true });
+      const mapaPayload = {};
 
-    if (error) {
-      console.error("GET /equipe-obra error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao listar equipe" });
-    }
+      normalized.forEach((r) => {
+        const chave = `${r.funcionario_id}_${r.data}_${r.obra_id}`;
+        mapaPayload[chave] = r;
+      });
 
-    const enriched = await enrichEquipeRowsWithNames(data || []);
+      const somaPorFuncionarioDia = {};
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "equipe_obra",
-      depois: { obra_id: obraId, total: enriched.length },
-      observacao: "Listou equipe da obra",
-    });
+      // Soma o que já existe no banco, exceto os registros que serão substituídos
+      // pelo payload atual.
+      (existentes || []).forEach((r) => {
+        const chaveRegistro = `${r.funcionario_id}_${r.data}_${r.obra_id}`;
 
-    return res.json({ ok: true, data: enriched });
-  } catch (err) {
-    console.error("GET /equipe-obra exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+        if (mapaPayload[chaveRegistro]) {
+          return;
+        }
 
-app.post("/equipe-obra", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+        const chaveDia = `${r.funcionario_id}_${r.data}`;
 
-    if (isConsulta(usuario)) {
-      return deny(
-        res,
-        "Usuário somente consulta não pode alterar equipe por obra",
-      );
-    }
+        if (!somaPorFuncionarioDia[chaveDia]) {
+          somaPorFuncionarioDia[chaveDia] = {
+            total: 0,
+            detalhes: [],
+          };
+        }
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode alterar equipe por obra",
-      );
-    }
+        somaPorFuncionarioDia[chaveDia].total += Number(r.qtd || 0);
 
-    const obra_id = String(req.body?.obra_id || "").trim();
-    const funcionario_id = String(req.body?.funcionario_id || "").trim();
+        if (Number(r.qtd || 0) > 0) {
+          somaPorFuncionarioDia[chaveDia].detalhes.push({
+            obra_id: r.obra_id,
+            obra_nome: mapaObras[r.obra_id] || "obra não identificada",
+            qtd: Number(r.qtd || 0),
+          });
+        }
+      });
 
-    if (!isUuid(obra_id)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "obra_id inválido (UUID)" });
-    }
-    if (!isUuid(funcionario_id)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "funcionario_id inválido (UUID)" });
-    }
+      // Soma o que está vindo agora do front.
+      normalized.forEach((r) => {
+        const chaveDia = `${r.funcionario_id}_${r.data}`;
 
-    const pode = await usuarioPodeAcessarObra(usuario, obra_id);
-    if (!pode) {
-      return deny(res, "Você não pode alterar esta obra");
-    }
+        if (!somaPorFuncionarioDia[chaveDia]) {
+          somaPorFuncionarioDia[chaveDia] = {
+            total: 0,
+            detalhes: [],
+          };
+        }
 
-    const situacao = normSituacao(req.body?.situacao, "ativo");
-    const observacao = req.body?.observacao
-      ? String(req.body.observacao).trim()
-      : null;
+        somaPorFuncionarioDia[chaveDia].total += Number(r.qtd || 0);
 
-    const { data: existente, error: selErr } = await supabaseAdmin
-      .from("equipe_obra")
-      .select("*")
-      .eq("obra_id", obra_id)
-      .eq("funcionario_id", funcionario_id)
-      .order("created_at", { ascending: false })
-      .limit(1);
+        if (Number(r.qtd || 0) > 0) {
+          somaPorFuncionarioDia[chaveDia].detalhes.push({
+            obra_id: r.obra_id,
+            obra_nome: mapaObras[r.obra_id] || "obra atual",
+            qtd: Number(r.qtd || 0),
+          });
+        }
+      });
 
-    if (selErr) {
-      console.error("POST /equipe-obra select existente error:", selErr);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao verificar vínculo" });
-    }
+      for (const [chaveDia, info] of Object.entries(somaPorFuncionarioDia)) {
+        if (info.total > 1.000001) {
+          const [funcionarioId, data] = chaveDia.split("_");
+
+          const funcionarios = await getFuncionariosPorIds(
+            [funcionarioId],
+            req,
+          );
+          const funcionario = funcionarios.get(funcionarioId);
+          const nomeFuncionario = funcionario?.nome || "Funcionário";
+
+          const detalhe = info.detalhes
+            .map(
+              (d) =>
+                `${d.qtd.toFixed(1).replace(".", ",")} na obra ${d.obra_nome}`,
+            )
+            .join(" + ");
+
+          throw new ErroConflito(
+            `${nomeFuncionario} já possui lançamento no dia ${data}: ${detalhe}. O total diário não pode ultrapassar 1,0. Altere o lançamento existente antes de salvar.`,
+            { code: "DIARIA_EXCEDE_LIMITE" },
+          );
+        }
+      }
 
-    if (existente && existente.length > 0) {
-      const id = existente[0].id;
-      const antes = existente[0];
+      const alteracoes = diferencasPorLinha(
+        (existentes || []).filter(
+          (r) => mapaPayload[`${r.funcionario_id}_${r.data}_${r.obra_id}`],
+        ),
+        normalized,
+        {
+          chave: ["obra_id", "funcionario_id", "data"],
+          campos: ["qtd", "valor_diaria_aplicado"],
+        },
+      );
 
-      const { error: upErr } = await supabaseAdmin
-        .from("equipe_obra")
-        .update({ situacao, observacao })
-        .eq("id", id);
+      const { error } = await supabaseAdmin
+        .from("lanc_diarias")
+        .upsert(normalized, { onConflict: "obra_id,funcionario_id,data" });
 
-      if (upErr) {
-        console.error("POST /equipe-obra update error:", upErr);
-        return res
-          .status(500)
-          .json({ ok: false, error: "Falha ao atualizar vínculo" });
+      if (error) {
+        logger.erro("POST /lanc-diarias error:", error);
+        throw new ErroApi("Erro ao salvar diárias");
       }
 
-      const depois = await getEquipeObraById(id);
-
       await registrarLog({
         req,
         usuario,
-        acao: "UPDATE",
-        tabela: "equipe_obra",
-        registro_id: id,
-        antes,
-        depois,
-        observacao: "Atualizou vínculo equipe_obra via upsert manual",
+        acao: "UPSERT",
+        tabela: "lanc_diarias",
+        antes: alteracoes.antes,
+        depois: alteracoes.depois,
+        diferencas: alteracoes.diferencas.length ? alteracoes.diferencas : null,
+        observacao: `Salvou ${normalized.length} registro(s) de diárias (${alteracoes.diferencas.length} alterado(s))`,
       });
 
-      return res.status(200).json({ ok: true, data: { id, updated: true } });
-    } else {
-      const { data: ins, error: insErr } = await supabaseAdmin
-        .from("equipe_obra")
-        .insert({ obra_id, funcionario_id, situacao, observacao })
-        .select("id")
-        .single();
+      if (sobrescritos.length) {
+        await registrarLog({
+          req,
+          usuario,
+          acao: "VALOR_DIARIA_MANUAL",
+          tabela: "lanc_diarias",
+          depois: sobrescritos,
+          observacao: `${sobrescritos.length} diária(s) lançada(s) com valor diferente do vigente`,
+        });
 
-      if (insErr) {
-        console.error("POST /equipe-obra insert error:", insErr);
-        return res
-          .status(500)
-          .json({ ok: false, error: "Falha ao criar vínculo" });
+        return res.json({ ok: true, sobrescritos });
       }
 
-      const depois = await getEquipeObraById(ins.id);
+      return res.json({ ok: true });
+    }),
+  );
 
-      await registrarLog({
-        req,
-        usuario,
-        acao: "INSERT",
-        tabela: "equipe_obra",
-        registro_id: ins.id,
-        depois,
-        observacao: "Criou vínculo equipe_obra",
-      });
+  // Chaves (obra_id, funcionario_id, data) agrupadas por obra +
+  // funcionário: cada grupo vira um filtro eq/eq/in(datas)
+  function agruparPorObraFuncionario(chaves, campoData = "data") {
+    const grupos = new Map();
 
-      return res.status(201).json({ ok: true, data: ins });
-    }
-  } catch (err) {
-    console.error("POST /equipe-obra exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    chaves.forEach((r) => {
+      const chave = `${r.obra_id}_${r.funcionario_id}`;
+      if (!grupos.has(chave)) {
+        grupos.set(chave, {
+          obra_id: r.obra_id,
+          funcionario_id: r.funcionario_id,
+          datas: new Set(),
+        });
+      }
+      grupos.get(chave).datas.add(r[campoData]);
+    });
+
+    return [...grupos.values()];
   }
-});
 
-app.delete("/equipe-obra/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = String(req.params.id || "").trim();
+  async function carregarLinhasPorChaves(tabela, colunas, chaves, campoData) {
+    const linhas = [];
 
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+    for (const grupo of agruparPorObraFuncionario(chaves, campoData)) {
+      const { data, error } = await supabaseAdmin
+        .from(tabela)
+        .select(colunas)
+        .eq("obra_id", grupo.obra_id)
+        .eq("funcionario_id", grupo.funcionario_id)
+        .in(campoData, [...grupo.datas]);
 
-    if (isConsulta(usuario)) {
-      return deny(
-        res,
-        "Usuário somente consulta não pode remover equipe por obra",
-      );
+      if (error) return { data: null, error };
+      linhas.push(...(data || []));
     }
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode remover equipe por obra",
-      );
-    }
+    return { data: linhas, error: null };
+  }
 
-    const vinculo = await getEquipeObraById(id);
-    if (!vinculo) {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Vínculo não encontrado" });
-    }
+  // DELETE /lanc-diarias: ou uma lista de chaves
+  // { registros: [{ obra_id, funcionario_id, data }] } ou um
+  // período de um funcionário numa obra
+  // { obra_id, funcionario_id, data_inicio, data_fim }
+  const esquemaExcluirDiarias = esquema(
+    {
+      registros: v.lista(
+        v.objeto(
+          esquema({
+            obra_id: v.uuid({ obrigatorio: true }),
+            funcionario_id: v.uuid({ obrigatorio: true }),
+            data: v.data({ obrigatorio: true }),
+          }),
+        ),
+        { max: 500, obrigatorio: false },
+      ),
+      obra_id: v.uuid(),
+      funcionario_id: v.uuid(),
+      data_inicio: v.data(),
+      data_fim: v.data(),
+    },
+    (dados) => {
+      const periodo = ["obra_id", "funcionario_id", "data_inicio", "data_fim"];
+
+      if (dados.registros?.length) {
+        return periodo.some((c) => dados[c])
+          ? [
+              {
+                campo: "registros",
+                mensagem: "Envie registros ou um período, não os dois",
+              },
+            ]
+          : [];
+      }
 
-    const pode = await usuarioPodeAcessarObra(usuario, vinculo.obra_id);
-    if (!pode) {
-      return deny(res, "Você não pode alterar esta obra");
-    }
+      const faltando = periodo.filter((c) => !dados[c]);
+      if (faltando.length) {
+        return faltando.map((campo) => ({
+          campo,
+          mensagem: `${campo} é obrigatório (ou envie { registros: [...] })`,
+        }));
+      }
 
-    const { error } = await supabaseAdmin
-      .from("equipe_obra")
-      .update({ situacao: "inativo" })
-      .eq("id", id);
+      return verificarPeriodo("data_inicio", "data_fim")(dados);
+    },
+  );
 
-    if (error) {
-      console.error("DELETE /equipe-obra/:id error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao remover vínculo" });
-    }
+  app.delete(
+    "/lanc-diarias",
+    requireAuth,
+    requirePermission("diarias:write"),
+    validarRequisicao({ body: esquemaExcluirDiarias }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    const depois = await getEquipeObraById(id);
+      const { registros, ...periodo } = req.validado.body;
+      const chaves = registros?.length ? registros : null;
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "DELETE",
-      tabela: "equipe_obra",
-      registro_id: id,
-      antes: vinculo,
-      depois,
-      observacao: "Inativou vínculo equipe_obra",
-    });
+      const obraIds = chaves
+        ? [...new Set(chaves.map((r) => r.obra_id))]
+        : [periodo.obra_id];
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("DELETE /equipe-obra/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
-// ==================================================
-// EMPREITEIROS CRUD
-// ==================================================
-app.get("/empreiteiros", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      const pode = await usuarioPodeAcessarObras(req, obraIds);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode excluir diárias nesta obra");
+      }
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode listar empreiteiros",
+      // um filtro só (os grupos viram and(...) dentro de um .or()), para
+      // a exclusão sair num único DELETE: ou apaga tudo ou nada
+      const filtrar = (query) =>
+        chaves
+          ? query.or(
+              agruparPorObraFuncionario(chaves)
+                .map(
+                  (g) =>
+                    `and(obra_id.eq.${g.obra_id},funcionario_id.eq.${
+                      g.funcionario_id
+                    },data.in.(${[...g.datas].join(",")}))`,
+                )
+                .join(","),
+            )
+          : query
+              .eq("obra_id", periodo.obra_id)
+              .eq("funcionario_id", periodo.funcionario_id)
+              .gte("data", periodo.data_inicio)
+              .lte("data", periodo.data_fim);
+
+      const { data: existentes, error: existentesErr } = await filtrar(
+        supabaseAdmin.from("lanc_diarias").select("data"),
       );
-    }
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_empreiteiro")
-      .select("id, nome, funcionarios_ids, created_at")
-      .order("nome", { ascending: true });
+      if (existentesErr) {
+        logger.erro("DELETE /lanc-diarias select error:", existentesErr);
+        throw new ErroApi("Erro ao buscar diárias");
+      }
 
-    if (error) {
-      console.error("GET /empreiteiros error:", error);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao listar empreiteiros",
-      });
-    }
+      const fechada = await getQuinzenaFechadaPorDatas(
+        (existentes || []).map((r) => r.data),
+      );
+      if (fechada) {
+        throw new ErroPeriodoFechado(fechada);
+      }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "cadastro_empreiteiro",
-      depois: { total: (data || []).length },
-      observacao: "Listou empreiteiros",
-    });
+      // o "antes" do log são as linhas que o DELETE devolveu, não as
+      // da consulta acima (algo pode ter mudado entre as duas)
+      const { data: excluidas, error } = await filtrar(
+        supabaseAdmin.from("lanc_diarias").delete(),
+      ).select("obra_id, funcionario_id, data, qtd, valor_diaria_aplicado");
 
-    return res.json({ ok: true, data: data || [] });
-  } catch (err) {
-    console.error("GET /empreiteiros exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      if (error) {
+        logger.erro("DELETE /lanc-diarias error:", error);
+        throw new ErroApi("Erro ao excluir diárias");
+      }
 
-app.get("/empreiteiros/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = String(req.params.id || "").trim();
+      const antes = excluidas || [];
+      if (!antes.length) {
+        throw new ErroNaoEncontrado("Nenhum lançamento encontrado");
+      }
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode consultar empreiteiro",
-      );
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "lanc_diarias",
+        antes,
+        depois: null,
+        observacao: chaves
+          ? `Excluiu ${antes.length} registro(s) de diárias`
+          : `Excluiu ${antes.length} registro(s) de diárias de ${periodo.data_inicio} a ${periodo.data_fim}`,
+      });
 
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+      const encontrados = new Set(
+        antes.map((r) => `${r.obra_id}_${r.funcionario_id}_${r.data}`),
+      );
+      const naoEncontrados = (chaves || []).filter(
+        (r) => !encontrados.has(`${r.obra_id}_${r.funcionario_id}_${r.data}`),
+      );
 
-    const data = await getEmpreiteiroById(id);
+      return res.json({
+        ok: true,
+        data: { excluidos: antes.length, nao_encontrados: naoEncontrados },
+      });
+    }),
+  );
 
-    if (!data) {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Empreiteiro não encontrado" });
-    }
+  // =====================================================
+  // AJUSTES DIÁRIAS
+  // =====================================================
+  const esquemaAjustesSemana = esquema({
+    obra_id: v.uuid({ obrigatorio: true }),
+    data_inicio: v.data({ obrigatorio: true }),
+  });
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "VIEW",
-      tabela: "cadastro_empreiteiro",
-      registro_id: id,
-      depois: data,
-      observacao: "Consultou empreiteiro",
-    });
+  const esquemaDiariasAjustes = esquema({
+    ajustes: v.lista(
+      v.objeto(
+        esquema({
+          obra_id: v.uuid({ obrigatorio: true }),
+          funcionario_id: v.uuid({ obrigatorio: true }),
+          data_inicio: v.data({ obrigatorio: true }),
+          reembolso_centavos: v.numero({ min: 0, padrao: 0 }),
+          adiantamento_centavos: v.numero({ min: 0, padrao: 0 }),
+          valor: v.numero({ min: 0, padrao: 0 }),
+          observacao: v.texto({ max: 1000 }),
+        }),
+      ),
+      { min: 1, mensagem: "Envie { ajustes: [...] }" },
+    ),
+  });
 
-    return res.json({ ok: true, data });
-  } catch (err) {
-    console.error("GET /empreiteiros/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+  app.get(
+    "/diarias-ajustes",
+    requireAuth,
+    requirePermission("diarias:read"),
+    validarRequisicao({ query: esquemaAjustesSemana }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { obra_id, data_inicio } = req.validado.query;
 
-app.post("/empreiteiros", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      const pode = await usuarioPodeAcessarObra(req, obra_id);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode acessar esta obra");
+      }
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode cadastrar empreiteiro",
-      );
-    }
+      const { data, error } = await supabaseAdmin
+        .from("lanc_diarias_ajustes")
+        .select(
+          "obra_id, funcionario_id, data_inicio, reembolso, adiantamento, observacao, valor",
+        )
+        .eq("obra_id", obra_id)
+        .eq("data_inicio", data_inicio);
 
-    const nome = limitarTexto(req.body?.nome, 150);
-    const funcionarios_ids_raw = Array.isArray(req.body?.funcionarios_ids)
-      ? req.body.funcionarios_ids
-      : null;
+      if (error) {
+        logger.erro("GET /diarias-ajustes error:", error);
+        throw new ErroApi("Erro ao buscar ajustes");
+      }
 
-    if (!nome) {
-      return res.status(400).json({
-        ok: false,
-        error: "Informe o nome do empreiteiro",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "lanc_diarias_ajustes",
+        depois: { obra_id, data_inicio, total: (data || []).length },
+        observacao: "Listou ajustes de diárias",
       });
-    }
 
-    if (!funcionarios_ids_raw || funcionarios_ids_raw.length === 0) {
-      return res.status(400).json({
-        ok: false,
-        error: "Informe ao menos um funcionário",
-      });
-    }
+      return res.json({ ok: true, data: data || [] });
+    }),
+  );
 
-    const funcionarios_ids = [
-      ...new Set(
-        funcionarios_ids_raw
-          .map((id) => String(id || "").trim())
-          .filter(Boolean),
-      ),
-    ];
+  app.post(
+    "/diarias-ajustes",
+    requireAuth,
+    requirePermission("diarias:write"),
+    validarRequisicao({ body: esquemaDiariasAjustes }),
+    aceitarIdempotencia,
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const normalized = req.validado.body.ajustes.map(
+        ({ reembolso_centavos, adiantamento_centavos, ...a }) => ({
+          ...a,
+          reembolso: reembolso_centavos / 100,
+          adiantamento: adiantamento_centavos / 100,
+        }),
+      );
 
-    for (const funcionarioId of funcionarios_ids) {
-      if (!isUuid(funcionarioId)) {
-        return res.status(400).json({
-          ok: false,
-          error: `funcionario_id inválido: ${funcionarioId}`,
-        });
+      const obraIds = [...new Set(normalized.map((a) => a.obra_id))];
+      const pode = await usuarioPodeAcessarObras(req, obraIds);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode salvar ajustes nesta obra");
       }
-    }
 
-    const { data: funcionarios, error: funcErr } = await supabaseAdmin
-      .from("cadastro_func")
-      .select("id, nome, funcao, situacao")
-      .in("id", funcionarios_ids);
+      const fechada = await getQuinzenaFechadaPorDatas(
+        normalized.map((a) => a.data_inicio),
+      );
+      if (fechada) {
+        throw new ErroPeriodoFechado(fechada);
+      }
+
+      const { data: existentes, error: antesErr } =
+        await carregarLinhasPorChaves(
+          "lanc_diarias_ajustes",
+          "obra_id, funcionario_id, data_inicio, reembolso, adiantamento, observacao, valor",
+          normalized,
+          "data_inicio",
+        );
+
+      if (antesErr) {
+        logger.erro("POST /diarias-ajustes buscar existentes error:", antesErr);
+        throw new ErroApi("Erro ao buscar ajustes já lançados");
+      }
 
-    if (funcErr) {
-      console.error("POST /empreiteiros validate funcionarios error:", funcErr);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao validar funcionários",
+      const alteracoes = diferencasPorLinha(existentes, normalized, {
+        chave: ["obra_id", "funcionario_id", "data_inicio"],
+        campos: ["reembolso", "adiantamento", "valor", "observacao"],
       });
-    }
 
-    const funcionariosValidos = (funcionarios || []).filter((f) =>
-      podeVerFuncionario(usuario, f),
-    );
+      const { error } = await supabaseAdmin
+        .from("lanc_diarias_ajustes")
+        .upsert(normalized, {
+          onConflict: "obra_id,funcionario_id,data_inicio",
+        });
+
+      if (error) {
+        logger.erro("POST /diarias-ajustes error:", error);
+        throw new ErroApi("Erro ao salvar ajustes");
+      }
 
-    if (funcionariosValidos.length !== funcionarios_ids.length) {
-      return res.status(400).json({
-        ok: false,
-        error:
-          "Um ou mais funcionários informados não existem ou não podem ser vinculados",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "UPSERT",
+        tabela: "lanc_diarias_ajustes",
+        antes: alteracoes.antes,
+        depois: alteracoes.depois,
+        diferencas: alteracoes.diferencas.length ? alteracoes.diferencas : null,
+        observacao: `Salvou ${normalized.length} ajuste(s) de diárias (${alteracoes.diferencas.length} alterado(s))`,
       });
-    }
 
-    const payload = {
-      nome: String(nome).trim().toUpperCase(),
-      funcionarios_ids,
-    };
+      return res.json({ ok: true });
+    }),
+  );
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_empreiteiro")
-      .insert(payload)
-      .select("id")
-      .single();
+  // =====================================================
+  // GRADE DE DIÁRIAS (OBRA x QUINZENA)
+  // - junta equipe, lançamentos e ajustes da obra numa
+  //   resposta só, com todos os dias do período
+  // - entra quem está ativo na equipe e também quem saiu
+  //   mas tem lançamento no período (na_equipe = false)
+  // - em cada dia: o que o funcionário já tem em outras
+  //   obras, com a mesma soma que o POST /lanc-diarias
+  //   valida (excede = passa de 1,0 no dia)
+  // =====================================================
+  const esquemaGrade = esquema({
+    quinzena_id: v.uuid({ obrigatorio: true }),
+  });
 
-    if (error) {
-      console.error("POST /empreiteiros error:", error);
-      return res.status(500).json({
-        ok: false,
-        error: "Erro ao salvar empreiteiro",
-      });
+  function diasDoPeriodo(inicio, fim) {
+    const dias = [];
+    const d = new Date(`${inicio}T00:00:00Z`);
+    const ultimo = new Date(`${fim}T00:00:00Z`);
+
+    while (d <= ultimo) {
+      dias.push(d.toISOString().slice(0, 10));
+      d.setUTCDate(d.getUTCDate() + 1);
     }
 
-    const depois = await getEmpreiteiroById(data.id);
+    return dias;
+  }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "INSERT",
-      tabela: "cadastro_empreiteiro",
-      registro_id: data.id,
-      depois,
-      observacao: `Criou empreiteiro ${payload.nome}`,
-    });
+  app.get(
+    "/obras/:id/grade",
+    requireAuth,
+    requirePermission("diarias:read"),
+    validarRequisicao({ params: esquemaId, query: esquemaGrade }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    return res.status(201).json({ ok: true, data });
-  } catch (err) {
-    console.error("POST /empreiteiros exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
-app.put("/empreiteiros/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = String(req.params.id || "").trim();
+      const { id } = req.validado.params;
+      const { quinzena_id } = req.validado.query;
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode atualizar empreiteiro",
-      );
-    }
+      const obra = await getObraById(id);
+      if (!obra || obra.deleted_at) {
+        throw new ErroNaoEncontrado("Obra não encontrada");
+      }
 
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+      const pode = await usuarioPodeAcessarObra(req, id);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode acessar esta obra");
+      }
 
-    const antes = await getEmpreiteiroById(id);
+      const quinzena = await getQuinzenaById(quinzena_id);
+      if (!quinzena || quinzena.deleted_at) {
+        throw new ErroNaoEncontrado("Quinzena não encontrada");
+      }
 
-    if (!antes) {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Empreiteiro não encontrado" });
-    }
+      const { data_inicio: inicio, data_fim: fim } = quinzena;
+
+      const [equipeRes, lancRes, ajustesRes] = await Promise.all([
+        supabaseAdmin
+          .from("equipe_obra")
+          .select("funcionario_id")
+          .eq("obra_id", id)
+          .eq("situacao", "ativo"),
+        supabaseAdmin
+          .from("lanc_diarias")
+          .select("funcionario_id, data, qtd, valor_diaria_aplicado")
+          .eq("obra_id", id)
+          .gte("data", inicio)
+          .lte("data", fim),
+        supabaseAdmin
+          .from("lanc_diarias_ajustes")
+          .select(
+            "funcionario_id, data_inicio, reembolso, adiantamento, observacao, valor",
+          )
+          .eq("obra_id", id)
+          .gte("data_inicio", inicio)
+          .lte("data_inicio", fim),
+      ]);
+
+      const falha = equipeRes.error || lancRes.error || ajustesRes.error;
+      if (falha) {
+        logger.erro("GET /obras/:id/grade error:", falha);
+        throw new ErroApi("Erro ao montar grade de diárias");
+      }
 
-    const nome = limitarTexto(req.body?.nome, 150);
+      const naEquipe = new Set(
+        (equipeRes.data || []).map((e) => e.funcionario_id),
+      );
+      const funcIds = [
+        ...new Set([
+          ...naEquipe,
+          ...(lancRes.data || []).map((l) => l.funcionario_id),
+        ]),
+      ];
+
+      let outras = [];
+      let historico = new Map();
+
+      if (funcIds.length) {
+        const { data, error } = await supabaseAdmin
+          .from("lanc_diarias")
+          .select("obra_id, funcionario_id, data, qtd")
+          .in("funcionario_id", funcIds)
+          .neq("obra_id", id)
+          .gt("qtd", 0)
+          .gte("data", inicio)
+          .lte("data", fim);
+
+        if (error) {
+          logger.erro("GET /obras/:id/grade outras obras error:", error);
+          throw new ErroApi("Erro ao buscar diárias em outras obras");
+        }
 
-    if (!nome) {
-      return res.status(400).json({
-        ok: false,
-        error: "Informe o nome do empreiteiro",
-      });
-    }
+        outras = data || [];
 
-    const funcionarios_ids_raw = Array.isArray(req.body?.funcionarios_ids)
-      ? req.body.funcionarios_ids
-      : [];
+        historico = await carregarHistoricoValores(funcIds, fim);
+      }
 
-    const funcionarios_ids = [
-      ...new Set(
-        funcionarios_ids_raw
-          .map((funcionarioId) => String(funcionarioId || "").trim())
-          .filter(Boolean),
-      ),
-    ];
+      const [funcionarios, obrasOutras] = await Promise.all([
+        getFuncionariosPorIds(funcIds, req),
+        getObrasPorIds(
+          outras.map((o) => o.obra_id),
+          req,
+        ),
+      ]);
 
-    // Se removeu todos os funcionários, exclui o empreiteiro do banco.
-    if (funcionarios_ids.length === 0) {
-      const { error: delErr } = await supabaseAdmin
-        .from("cadastro_empreiteiro")
-        .delete()
-        .eq("id", id);
+      const lancPorChave = new Map(
+        (lancRes.data || []).map((l) => [`${l.funcionario_id}_${l.data}`, l]),
+      );
 
-      if (delErr) {
-        console.error("PUT /empreiteiros/:id delete vazio error:", delErr);
-        return res.status(500).json({
-          ok: false,
-          error: "Erro ao excluir empreiteiro sem funcionários",
+      const outrasPorChave = new Map();
+      outras.forEach((o) => {
+        const chave = `${o.funcionario_id}_${o.data}`;
+        if (!outrasPorChave.has(chave)) outrasPorChave.set(chave, []);
+        outrasPorChave.get(chave).push({
+          obra_id: o.obra_id,
+          obra_nome:
+            obrasOutras.get(o.obra_id)?.nome || "obra não identificada",
+          qtd: Number(o.qtd || 0),
         });
-      }
+      });
+
+      const dias = diasDoPeriodo(inicio, fim);
+
+      const linhas = funcIds
+        .map((funcionarioId) => funcionarios.get(funcionarioId))
+        .filter((f) => f && podeVerFuncionario(usuario, f))
+        .map((f) => {
+          let totalQtd = 0;
+          let totalCentavos = 0;
+
+          const diasFuncionario = dias.map((data) => {
+            const lanc = lancPorChave.get(`${f.id}_${data}`);
+            const emOutras = outrasPorChave.get(`${f.id}_${data}`) || [];
+            const qtd = lanc ? Number(lanc.qtd || 0) : null;
+            const valor = lanc ? Number(lanc.valor_diaria_aplicado || 0) : null;
+            const qtdOutras = emOutras.reduce((s, o) => s + o.qtd, 0);
+
+            if (qtd) {
+              totalQtd += qtd;
+              // mesmo arredondamento por lançamento do calcularPagamento
+              totalCentavos += Math.round(qtd * toCentavos(valor));
+            }
+
+            return {
+              data,
+              qtd,
+              valor_diaria_aplicado: valor,
+              valor_vigente: valorVigente(historico.get(f.id), data),
+              outras_obras: emOutras,
+              qtd_outras_obras: qtdOutras,
+              em_outra_obra: emOutras.length > 0,
+              excede: qtdOutras + (qtd || 0) > 1.000001,
+            };
+          });
+
+          return {
+            funcionario_id: f.id,
+            nome: f.nome,
+            funcao: f.funcao || null,
+            valor_diaria: Number(f.valor_diaria || 0),
+            na_equipe: naEquipe.has(f.id),
+            dias: diasFuncionario,
+            ajustes: (ajustesRes.data || []).filter(
+              (a) => a.funcionario_id === f.id,
+            ),
+            total_qtd: Math.round(totalQtd * 100) / 100,
+            total_valor: totalCentavos / 100,
+          };
+        })
+        .sort((a, b) => String(a.nome).localeCompare(String(b.nome), "pt-BR"));
 
       await registrarLog({
         req,
         usuario,
-        acao: "DELETE",
-        tabela: "cadastro_empreiteiro",
+        acao: "VIEW",
+        tabela: "lanc_diarias",
         registro_id: id,
-        antes,
-        depois: null,
-        observacao: `Excluiu empreiteiro ${antes.nome} porque ficou sem funcionários vinculados`,
+        depois: { obra_id: id, quinzena_id, total: linhas.length },
+        observacao: `Consultou grade de diárias da obra ${obra.nome} na quinzena ${quinzena.nome}`,
       });
 
       return res.json({
         ok: true,
-        deleted: true,
-        message: "Empreiteiro excluído porque não possui mais funcionários.",
+        data: {
+          obra: { id: obra.id, nome: obra.nome },
+          quinzena: {
+            id: quinzena.id,
+            nome: quinzena.nome,
+            data_inicio: inicio,
+            data_fim: fim,
+          },
+          quinzena_fechada: isQuinzenaFechada(quinzena),
+          dias,
+          funcionarios: linhas,
+        },
       });
-    }
+    }),
+  );
 
-    for (const funcionarioId of funcionarios_ids) {
-      if (!isUuid(funcionarioId)) {
-        return res.status(400).json({
-          ok: false,
-          error: `funcionario_id inválido: ${funcionarioId}`,
-        });
+  // =====================================================
+  // FUNCIONÁRIOS VINCULADOS
+  // =====================================================
+  app.get(
+    "/funcionarios-vinculados",
+    requireAuth,
+    requirePermission("equipe:read"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { data, error } = await supabaseAdmin
+        .from("equipe_obra")
+        .select("obra_id, funcionario_id, situacao");
+
+      if (error) {
+        logger.erro("GET /funcionarios-vinculados error:", error);
+        throw new ErroApi("Erro ao buscar vínculos");
       }
-    }
 
-    const { data: funcionarios, error: funcErr } = await supabaseAdmin
-      .from("cadastro_func")
-      .select("id, nome, funcao, situacao")
-      .in("id", funcionarios_ids);
+      const withNames = await enrichEquipeRowsWithNames(data || [], req);
+      const withObras = await enrichEquipeRowsWithObraNames(withNames, req);
 
-    if (funcErr) {
-      console.error(
-        "PUT /empreiteiros/:id validate funcionarios error:",
-        funcErr,
+      const filtrados = await filtrarObrasVisiveis(
+        usuario,
+        (withObras || []).map((r) => ({
+          id: r.obra_id,
+          nome: r.obra_nome,
+        })),
+        req,
       );
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao validar funcionários",
+
+      const idsPermitidos = new Set((filtrados || []).map((o) => o.id));
+
+      const out = (withObras || [])
+        .filter((r) => idsPermitidos.has(r.obra_id))
+        .map((r) => ({
+          id: r.funcionario_id,
+          nome: r.funcionario_nome,
+          funcao: r.funcionario_funcao,
+          valor_diaria: Number(
+            r.funcionario_valor_diaria || r.valor_diaria || 0,
+          ),
+          obra_id: r.obra_id,
+          obra_nome: r.obra_nome,
+          situacao: r.situacao,
+        }));
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "equipe_obra",
+        depois: { total: out.length },
+        observacao: "Listou funcionários vinculados",
       });
-    }
 
-    const funcionariosValidos = (funcionarios || []).filter((f) =>
-      podeVerFuncionario(usuario, f),
-    );
+      return res.json({ ok: true, data: out });
+    }),
+  );
+
+  app.get(
+    "/equipe-obra/todas",
+    requireAuth,
+    requirePermission("equipe:todas"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { data, error } = await supabaseAdmin
+        .from("equipe_obra")
+        .select("obra_id, funcionario_id, situacao");
+
+      if (error) {
+        logger.erro("Erro GET /equipe-obra/todas:", error);
+        throw new ErroApi("Erro ao buscar equipe_obra (todas).");
+      }
 
-    if (funcionariosValidos.length !== funcionarios_ids.length) {
-      return res.status(400).json({
-        ok: false,
-        error:
-          "Um ou mais funcionários informados não existem ou não podem ser vinculados",
+      const withNames = await enrichEquipeRowsWithNames(data || [], req);
+      const withObras = await enrichEquipeRowsWithObraNames(withNames, req);
+
+      const enriched = (withObras || []).map((r) => ({
+        obra_id: r.obra_id,
+        funcionario_id: r.funcionario_id,
+        situacao: r.situacao,
+        obra_nome: r.obra_nome || null,
+        obra_situacao: r.obra_situacao || null,
+        funcionario_nome: r.funcionario_nome || null,
+        funcionario_funcao: r.funcionario_funcao || null,
+        valor_diaria: Number(r.funcionario_valor_diaria || r.valor_diaria || 0),
+      }));
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "equipe_obra",
+        depois: { total: enriched.length },
+        observacao: "Listou todas as equipes",
       });
-    }
 
-    const payload = {
-      nome: String(nome).trim().toUpperCase(),
-      funcionarios_ids,
-    };
+      return res.json({ ok: true, data: enriched });
+    }),
+  );
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_empreiteiro")
-      .update(payload)
-      .eq("id", id);
+  // ==================================================
+  // EMPREITAS CRUD
+  // ==================================================
+  const esquemaFiltroEmpreitas = esquema(
+    {
+      inicio: v.data(),
+      fim: v.data(),
+      obra_id: v.uuid(),
+      funcionario_id: v.uuid(),
+    },
+    verificarPeriodo("inicio", "fim"),
+  );
 
-    if (error) {
-      console.error("PUT /empreiteiros/:id error:", error);
-      return res.status(500).json({
-        ok: false,
-        error: "Erro ao atualizar empreiteiro",
+  const esquemaEmpreita = esquema({
+    obra_id: v.uuid({ obrigatorio: true }),
+    funcionario_id: v.uuid({ obrigatorio: true }),
+    data_pagamento: v.data({ obrigatorio: true }),
+    valor: v.numero({ maiorQue: 0, obrigatorio: true }),
+    descricao: v.texto({ max: 1000 }),
+  });
+
+  const LISTAGEM_EMPREITAS = {
+    busca: ["descricao"],
+    ordenacao: ["data_pagamento", "valor", "created_at"],
+    padrao: "data_pagamento",
+  };
+
+  app.get(
+    "/empreitas",
+    requireAuth,
+    requirePermission("empreitas:read"),
+    validarRequisicao({ query: esquemaFiltroEmpreitas }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { inicio, fim, obra_id, funcionario_id } = req.validado.query;
+
+      const { listagem, erros } = parseListagem(req.query, LISTAGEM_EMPREITAS);
+      if (erros) throw new ErroValidacao(erros);
+
+      let permitidas = null;
+
+      if (obra_id) {
+        const pode = await usuarioPodeAcessarObra(req, obra_id);
+        if (!pode) {
+          throw new ErroSemPermissao("Você não pode acessar esta obra");
+        }
+      } else if (!temAcessoIrrestrito(usuario)) {
+        permitidas = await getIdsObrasVisiveisUsuario(usuario, req);
+
+        if (!permitidas.length) {
+          return res.json({ ok: true, ...PAGINA_VAZIA });
+        }
+      }
+
+      const { data: pagina, error } = await listarPagina(listagem, (opcoes) => {
+        let q = supabaseAdmin
+          .from("empreitas")
+          .select(
+            "id, obra_id, funcionario_id, data_pagamento, valor, descricao, created_at",
+            opcoes,
+          );
+
+        if (obra_id) q = q.eq("obra_id", obra_id);
+        if (permitidas) q = q.in("obra_id", permitidas);
+        if (funcionario_id) q = q.eq("funcionario_id", funcionario_id);
+        if (inicio) q = q.gte("data_pagamento", inicio);
+        if (fim) q = q.lte("data_pagamento", fim);
+
+        return q;
       });
-    }
 
-    const depois = await getEmpreiteiroById(id);
+      if (error) {
+        logger.erro("GET /empreitas error:", error);
+        throw new ErroApi("Falha ao listar empreitas");
+      }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "UPDATE",
-      tabela: "cadastro_empreiteiro",
-      registro_id: id,
-      antes,
-      depois,
-      observacao: `Atualizou empreiteiro ${payload.nome}`,
-    });
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "empreitas",
+        depois: {
+          total: pagina.total,
+          retornados: pagina.data.length,
+          inicio,
+          fim,
+          obra_id,
+          funcionario_id,
+        },
+        observacao: "Listou empreitas",
+      });
 
-    return res.json({ ok: true, data: { id } });
-  } catch (err) {
-    console.error("PUT /empreiteiros/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      return res.json({ ok: true, ...pagina });
+    }),
+  );
+
+  app.get(
+    "/empreitas/:id",
+    requireAuth,
+    requirePermission("empreitas:read"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const { data, error } = await supabaseAdmin
+        .from("empreitas")
+        .select("*")
+        .eq("id", id)
+        .single();
 
-// =====================================================
-// DIÁRIAS
-// =====================================================
-app.get("/lanc-diarias", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      if (error) {
+        logger.erro("GET /empreitas/:id error:", error);
+        throw new ErroNaoEncontrado("Empreita não encontrada");
+      }
 
-    const obra_id = String(req.query?.obra_id || "").trim();
-    const data_inicio = String(req.query?.data_inicio || "").trim();
-    const data_fim = String(req.query?.data_fim || "").trim();
+      const pode = await usuarioPodeAcessarObra(req, data.obra_id);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode acessar esta obra");
+      }
 
-    if (!isUuid(obra_id) || !data_inicio || !data_fim) {
-      return res.status(400).json({
-        ok: false,
-        error: "Parâmetros obrigatórios: obra_id(UUID), data_inicio, data_fim",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "empreitas",
+        registro_id: id,
+        depois: data,
+        observacao: "Consultou empreita",
       });
-    }
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode acessar diárias",
-      );
-    }
+      return res.json({ ok: true, data });
+    }),
+  );
 
-    const pode = await usuarioPodeAcessarObra(usuario, obra_id);
-    if (!pode) {
-      return deny(res, "Você não pode acessar esta obra");
-    }
+  app.post(
+    "/empreitas",
+    requireAuth,
+    requirePermission("empreitas:write"),
+    validarRequisicao({ body: esquemaEmpreita }),
+    aceitarIdempotencia,
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    const { data, error } = await supabaseAdmin
-      .from("lanc_diarias")
-      .select("obra_id, funcionario_id, data, qtd, valor_diaria_aplicado")
-      .eq("obra_id", obra_id)
-      .gte("data", data_inicio)
-      .lte("data", data_fim);
+      const { obra_id, data_pagamento } = req.validado.body;
 
-    if (error) {
-      console.error("GET /lanc-diarias error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Erro ao buscar diárias" });
-    }
+      const pode = await usuarioPodeAcessarObra(req, obra_id);
+      if (!pode) {
+        throw new ErroSemPermissao("Você não pode lançar empreita nesta obra");
+      }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "lanc_diarias",
-      depois: { obra_id, data_inicio, data_fim, total: (data || []).length },
-      observacao: "Listou diárias por período",
-    });
+      const fechada = await getQuinzenaFechadaPorDatas([data_pagamento]);
+      if (fechada) {
+        throw new ErroPeriodoFechado(fechada);
+      }
 
-    return res.json({ ok: true, data: data || [] });
-  } catch (e) {
-    console.error("GET /lanc-diarias exception:", e);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const payload = {
+        ...req.validado.body,
+        created_by: req.authUser?.id || null,
+      };
 
-app.post("/lanc-diarias", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      const { data, error } = await supabaseAdmin
+        .from("empreitas")
+        .insert(payload)
+        .select("id")
+        .single();
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode lançar diárias",
-      );
-    }
+      if (error) {
+        logger.erro("POST /empreitas error:", error);
+        throw new ErroApi("Falha ao salvar empreita");
+      }
 
-    const registros = req.body?.registros;
+      const depois = await getEmpreitaById(data.id);
 
-    if (!Array.isArray(registros) || registros.length === 0) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Envie { registros: [...] }" });
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "INSERT",
+        tabela: "empreitas",
+        registro_id: data.id,
+        depois,
+        observacao: "Criou empreita",
+      });
 
-    const normalized = registros.map((r) => {
-      const obra_id = String(r.obra_id || "").trim();
-      const funcionario_id = String(r.funcionario_id || "").trim();
-      const data = String(r.data || "").trim();
+      return res.status(201).json({ ok: true, data });
+    }),
+  );
 
-      if (!isUuid(obra_id) || !isUuid(funcionario_id) || !data) {
-        throw new Error(
-          "Registro inválido: obra_id/funcionario_id(UUID) e data são obrigatórios.",
-        );
+  app.put(
+    "/empreitas/:id",
+    requireAuth,
+    requirePermission("empreitas:write"),
+    validarRequisicao({ params: esquemaId, body: esquemaEmpreita }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const antes = await getEmpreitaById(id);
+      if (!antes) {
+        throw new ErroNaoEncontrado("Empreita não encontrada");
+      }
+
+      const podeAntes = await usuarioPodeAcessarObra(req, antes.obra_id);
+      if (!podeAntes) {
+        throw new ErroSemPermissao("Você não pode editar esta empreita");
       }
 
-      const qtd = Number(r.qtd);
-      const vda = Number(r.valor_diaria_aplicado);
+      const payload = req.validado.body;
+      const { obra_id, data_pagamento } = payload;
 
-      if (!Number.isFinite(qtd)) {
-        throw new Error("qtd inválido.");
+      const podeNovaObra = await usuarioPodeAcessarObra(req, obra_id);
+      if (!podeNovaObra) {
+        throw new ErroSemPermissao(
+          "Você não pode mover/editar empreita nesta obra",
+        );
       }
 
-      // NOVA REGRA:
-      // cada lançamento individual só pode ir de 0,0 até 1,0
-      if (qtd < 0 || qtd > 1) {
-        throw new Error("A diária precisa estar entre 0,0 e 1,0.");
+      const fechada = await getQuinzenaFechadaPorDatas([
+        antes.data_pagamento,
+        data_pagamento,
+      ]);
+      if (fechada) {
+        throw new ErroPeriodoFechado(fechada);
       }
 
-      if (!Number.isFinite(vda) || vda <= 0) {
-        throw new Error("valor_diaria_aplicado inválido.");
+      const { error } = await supabaseAdmin
+        .from("empreitas")
+        .update(payload)
+        .eq("id", id);
+
+      if (error) {
+        logger.erro("PUT /empreitas/:id error:", error);
+        throw new ErroApi("Falha ao atualizar empreita");
       }
 
-      return {
-        obra_id,
-        funcionario_id,
-        data,
-        qtd,
-        valor_diaria_aplicado: vda,
-      };
-    });
+      const depois = await getEmpreitaById(id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "UPDATE",
+        tabela: "empreitas",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: "Atualizou empreita",
+      });
 
-    const obraIds = [...new Set(normalized.map((r) => r.obra_id))];
+      return res.json({ ok: true });
+    }),
+  );
 
-    for (const obraId of obraIds) {
-      const pode = await usuarioPodeAcessarObra(usuario, obraId);
+  app.delete(
+    "/empreitas/:id",
+    requireAuth,
+    requirePermission("empreitas:write"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const antes = await getEmpreitaById(id);
+      if (!antes) {
+        throw new ErroNaoEncontrado("Empreita não encontrada");
+      }
 
+      const pode = await usuarioPodeAcessarObra(req, antes.obra_id);
       if (!pode) {
-        return deny(res, "Você não pode lançar diárias nesta obra");
+        throw new ErroSemPermissao("Você não pode excluir esta empreita");
       }
-    }
 
-    // ==================================================
-    // NOVA VALIDAÇÃO:
-    // funcionário não pode passar de 1,0 diária somando
-    // todas as obras no mesmo dia.
-    // ==================================================
+      const fechada = await getQuinzenaFechadaPorDatas([antes.data_pagamento]);
+      if (fechada) {
+        throw new ErroPeriodoFechado(fechada);
+      }
 
-    const funcIds = [...new Set(normalized.map((r) => r.funcionario_id))];
-    const datas = [...new Set(normalized.map((r) => r.data))];
+      const { error } = await supabaseAdmin
+        .from("empreitas")
+        .delete()
+        .eq("id", id);
 
-    const { data: existentes, error: errExistentes } = await supabaseAdmin
-      .from("lanc_diarias")
-      .select("obra_id, funcionario_id, data, qtd")
-      .in("funcionario_id", funcIds)
-      .in("data", datas);
+      if (error) {
+        logger.erro("DELETE /empreitas/:id error:", error);
+        throw new ErroApi("Falha ao excluir empreita");
+      }
 
-    if (errExistentes) {
-      console.error(
-        "POST /lanc-diarias buscar existentes error:",
-        errExistentes,
-      );
-      return res.status(500).json({
-        ok: false,
-        error: "Erro ao validar diárias já lançadas",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "empreitas",
+        registro_id: id,
+        antes,
+        depois: null,
+        observacao: "Excluiu empreita",
       });
-    }
 
-    const { data: obrasExistentes, error: errObrasExistentes } =
-      await supabaseAdmin
-        .from("cadastro_obra")
-        .select("id, nome")
-        .in("id", [
-          ...new Set(
-            (existentes || [])
-              .map((r) => r.obra_id)
-              .concat(normalized.map((r) => r.obra_id))
-              .filter(Boolean),
-          ),
-        ]);
+      return res.json({ ok: true });
+    }),
+  );
 
-    if (errObrasExistentes) {
-      console.error(
-        "POST /lanc-diarias buscar obras error:",
-        errObrasExistentes,
-      );
-    }
+  // ==================================================
+  // OBRAS CRUD
+  // ==================================================
+  // mesmo esquema para POST, PUT e PATCH (parcial)
+  const esquemaObra = esquema({
+    nome: v.texto({
+      max: 120,
+      obrigatorio: true,
+      mensagem: "Informe o nome da obra",
+    }),
+    endereco: v.texto({ max: 180 }),
+    cidade: v.texto({ max: 80 }),
+    uf: v.texto({ max: 2, maiusculo: true }),
+    responsavel: v.uuid({ obrigatorio: true }),
+    situacao: v.opcao(SITUACOES, { padrao: "ativo" }),
+    observacao: v.texto({ max: 1000 }),
+  });
 
-    const mapaObras = {};
-    (obrasExistentes || []).forEach((o) => {
-      mapaObras[o.id] = o.nome;
-    });
+  // responsável precisa existir em cadastro_user e estar ativo
+  async function validarResponsavelObra(responsavel) {
+    const { data: respUser, error: respErr } = await supabaseAdmin
+      .from("cadastro_user")
+      .select("id, situacao, deleted_at")
+      .eq("id", responsavel)
+      .single();
 
-    const mapaPayload = {};
+    if (respErr || !respUser || respUser.deleted_at) {
+      throw new ErroValidacao([
+        { campo: "responsavel", mensagem: "Responsável não encontrado" },
+      ]);
+    }
 
-    normalized.forEach((r) => {
-      const chave = `${r.funcionario_id}_${r.data}_${r.obra_id}`;
-      mapaPayload[chave] = r;
-    });
+    if (String(respUser.situacao || "").toLowerCase() !== "ativo") {
+      throw new ErroValidacao([
+        {
+          campo: "responsavel",
+          mensagem: "O responsável selecionado está inativo",
+        },
+      ]);
+    }
+  }
 
-    const somaPorFuncionarioDia = {};
+  const LISTAGEM_OBRAS = {
+    busca: ["nome", "cidade"],
+    filtros: ["situacao", "uf"],
+    ordenacao: ["nome", "cidade", "uf", "situacao"],
+    padrao: "nome",
+    exclusaoLogica: true,
+  };
+
+  app.get(
+    "/obras",
+    requireAuth,
+    requirePermission("obras:read"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { listagem, erros } = parseListagem(req.query, LISTAGEM_OBRAS);
+      if (erros) throw new ErroValidacao(erros);
+
+      const visiveis = await filtroObrasVisiveis(usuario, req);
+      if (!visiveis) {
+        return res.json({ ok: true, ...PAGINA_VAZIA });
+      }
 
-    // Soma o que já existe no banco, exceto os registros que serão substituídos
-    // pelo payload atual.
-    (existentes || []).forEach((r) => {
-      const chaveRegistro = `${r.funcionario_id}_${r.data}_${r.obra_id}`;
+      const { data: pagina, error } = await listarPagina(listagem, (opcoes) =>
+        visiveis(
+          supabaseAdmin
+            .from("cadastro_obra")
+            .select(
+              "id, nome, cidade, uf, situacao, responsavel, deleted_at",
+              opcoes,
+            ),
+        ),
+      );
 
-      if (mapaPayload[chaveRegistro]) {
-        return;
+      if (error) {
+        logger.erro("GET /obras error:", error);
+        throw new ErroApi("Falha ao listar obras");
       }
 
-      const chaveDia = `${r.funcionario_id}_${r.data}`;
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "cadastro_obra",
+        depois: { total: pagina.total, retornados: pagina.data.length },
+        observacao: "Listou obras visíveis ao usuário",
+      });
+
+      return res.json({ ok: true, ...pagina });
+    }),
+  );
+
+  app.get(
+    "/obras/todas",
+    requireAuth,
+    requirePermission("obras:todas"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { listagem, erros } = parseListagem(req.query, LISTAGEM_OBRAS);
+      if (erros) throw new ErroValidacao(erros);
+
+      const { data: pagina, error } = await listarPagina(listagem, (opcoes) =>
+        supabaseAdmin
+          .from("cadastro_obra")
+          .select(
+            "id, nome, cidade, uf, situacao, responsavel, deleted_at",
+            opcoes,
+          ),
+      );
 
-      if (!somaPorFuncionarioDia[chaveDia]) {
-        somaPorFuncionarioDia[chaveDia] = {
-          total: 0,
-          detalhes: [],
-        };
+      if (error) {
+        logger.erro("GET /obras/todas error:", error);
+        throw new ErroApi("Falha ao listar obras (todas)");
       }
 
-      somaPorFuncionarioDia[chaveDia].total += Number(r.qtd || 0);
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "cadastro_obra",
+        depois: { total: pagina.total, retornados: pagina.data.length },
+        observacao: "Listou todas as obras",
+      });
 
-      if (Number(r.qtd || 0) > 0) {
-        somaPorFuncionarioDia[chaveDia].detalhes.push({
-          obra_id: r.obra_id,
-          obra_nome: mapaObras[r.obra_id] || "obra não identificada",
-          qtd: Number(r.qtd || 0),
-        });
-      }
-    });
+      return res.json({ ok: true, ...pagina });
+    }),
+  );
 
-    // Soma o que está vindo agora do front.
-    normalized.forEach((r) => {
-      const chaveDia = `${r.funcionario_id}_${r.data}`;
+  app.get(
+    "/obras/:id",
+    requireAuth,
+    requirePermission("obras:read"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      // excluída não é "sem acesso": 404 para todos (admin inclusive)
+      const data = await getObraById(id);
+      if (!data || data.deleted_at) {
+        throw new ErroNaoEncontrado("Obra não encontrada");
+      }
 
-      if (!somaPorFuncionarioDia[chaveDia]) {
-        somaPorFuncionarioDia[chaveDia] = {
-          total: 0,
-          detalhes: [],
-        };
+      const pode = await usuarioPodeAcessarObra(req, id);
+      if (!pode) {
+        throw new ErroSemPermissao(
+          "Você não tem permissão para acessar esta obra",
+        );
       }
 
-      somaPorFuncionarioDia[chaveDia].total += Number(r.qtd || 0);
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "cadastro_obra",
+        registro_id: id,
+        depois: data,
+        observacao: "Consultou obra",
+      });
+
+      return res.json({ ok: true, data });
+    }),
+  );
+
+  app.post(
+    "/obras",
+    requireAuth,
+    requirePermission("obras:create"),
+    validarRequisicao({ body: esquemaObra }),
+    aceitarIdempotencia,
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const payload = req.validado.body;
+
+      await validarResponsavelObra(payload.responsavel);
 
-      if (Number(r.qtd || 0) > 0) {
-        somaPorFuncionarioDia[chaveDia].detalhes.push({
-          obra_id: r.obra_id,
-          obra_nome: mapaObras[r.obra_id] || "obra atual",
-          qtd: Number(r.qtd || 0),
-        });
+      const { data, error } = await supabaseAdmin
+        .from("cadastro_obra")
+        .insert(payload)
+        .select("id")
+        .single();
+
+      if (error) {
+        logger.erro("POST /obras error:", error);
+        throw new ErroApi("Falha ao salvar obra");
       }
-    });
 
-    for (const [chaveDia, info] of Object.entries(somaPorFuncionarioDia)) {
-      if (info.total > 1.000001) {
-        const [funcionarioId, data] = chaveDia.split("_");
+      esquecerObra(data.id);
+      const depois = await getObraById(data.id);
 
-        const funcionario = await getFuncionarioById(funcionarioId);
-        const nomeFuncionario = funcionario?.nome || "Funcionário";
+      await registrarLog({
+        req,
+        usuario,
+        acao: "INSERT",
+        tabela: "cadastro_obra",
+        registro_id: data.id,
+        depois,
+        observacao: `Criou obra ${payload.nome}`,
+      });
 
-        const detalhe = info.detalhes
-          .map(
-            (d) =>
-              `${d.qtd.toFixed(1).replace(".", ",")} na obra ${d.obra_nome}`,
-          )
-          .join(" + ");
+      return res.status(201).json({ ok: true, data });
+    }),
+  );
 
-        return res.status(409).json({
-          ok: false,
-          error: `${nomeFuncionario} já possui lançamento no dia ${data}: ${detalhe}. O total diário não pode ultrapassar 1,0. Altere o lançamento existente antes de salvar.`,
-        });
-      }
-    }
+  app.put(
+    "/obras/:id",
+    requireAuth,
+    requirePermission("obras:update"),
+    validarRequisicao({ params: esquemaId, body: esquemaObra }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    const antes = null;
+      const { id } = req.validado.params;
+      const antes = await getObraById(id);
+      conferirAlteracao("cadastro_obra", antes);
 
-    const { error } = await supabaseAdmin
-      .from("lanc_diarias")
-      .upsert(normalized, { onConflict: "obra_id,funcionario_id,data" });
+      const payload = req.validado.body;
 
-    if (error) {
-      console.error("POST /lanc-diarias error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Erro ao salvar diárias" });
-    }
+      await validarResponsavelObra(payload.responsavel);
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "UPSERT",
-      tabela: "lanc_diarias",
-      depois: normalized,
-      antes,
-      observacao: `Salvou ${normalized.length} registro(s) de diárias`,
-    });
+      const { error } = await supabaseAdmin
+        .from("cadastro_obra")
+        .update(payload)
+        .eq("id", id);
 
-    return res.json({ ok: true });
-  } catch (e) {
-    console.error("POST /lanc-diarias exception:", e);
-    return res
-      .status(400)
-      .json({ ok: false, error: e.message || "Erro ao processar diárias" });
-  }
-});
+      if (error) {
+        logger.erro("PUT /obras/:id error:", error);
+        throw new ErroApi("Falha ao atualizar obra");
+      }
 
-// =====================================================
-// AJUSTES DIÁRIAS
-// =====================================================
-app.get("/diarias-ajustes", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const obra_id = String(req.query?.obra_id || "").trim();
-    const data_inicio = String(req.query?.data_inicio || "").trim();
+      esquecerObra(id);
+      const depois = await getObraById(id);
 
-    if (!isUuid(obra_id) || !data_inicio) {
-      return res.status(400).json({
-        ok: false,
-        error: "Parâmetros obrigatórios: obra_id(UUID), data_inicio",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "UPDATE",
+        tabela: "cadastro_obra",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: "Atualizou obra",
       });
-    }
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode acessar ajustes de diárias",
-      );
-    }
+      return res.json({ ok: true });
+    }),
+  );
 
-    const pode = await usuarioPodeAcessarObra(usuario, obra_id);
-    if (!pode) {
-      return deny(res, "Você não pode acessar esta obra");
-    }
+  app.patch(
+    "/obras/:id",
+    requireAuth,
+    requirePermission("obras:update"),
+    validarRequisicao({ params: esquemaId, body: esquemaObra, parcial: true }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    const { data, error } = await supabaseAdmin
-      .from("lanc_diarias_ajustes")
-      .select(
-        "obra_id, funcionario_id, data_inicio, reembolso, adiantamento, observacao, valor",
-      )
-      .eq("obra_id", obra_id)
-      .eq("data_inicio", data_inicio);
+      const { id } = req.validado.params;
+      const antes = await getObraById(id);
+      conferirAlteracao("cadastro_obra", antes);
 
-    if (error) {
-      console.error("GET /diarias-ajustes error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Erro ao buscar ajustes" });
-    }
+      const patch = req.validado.body;
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "lanc_diarias_ajustes",
-      depois: { obra_id, data_inicio, total: (data || []).length },
-      observacao: "Listou ajustes de diárias",
-    });
+      if (patch.responsavel) await validarResponsavelObra(patch.responsavel);
 
-    return res.json({ ok: true, data: data || [] });
-  } catch (e) {
-    console.error("GET /diarias-ajustes exception:", e);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      if (Object.keys(patch).length === 0) {
+        throw new ErroValidacao("Nada para atualizar");
+      }
 
-app.post("/diarias-ajustes", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      const { error } = await supabaseAdmin
+        .from("cadastro_obra")
+        .update(patch)
+        .eq("id", id);
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode salvar ajustes de diárias",
-      );
-    }
+      if (error) {
+        logger.erro("PATCH /obras/:id error:", error);
+        throw new ErroApi("Falha ao atualizar obra");
+      }
 
-    const ajustes = req.body?.ajustes;
-    if (!Array.isArray(ajustes)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Envie { ajustes: [...] }" });
-    }
+      esquecerObra(id);
+      const depois = await getObraById(id);
 
-    const normalized = ajustes.map((a) => {
-      const obra_id = String(a.obra_id || "").trim();
-      const funcionario_id = String(a.funcionario_id || "").trim();
-      const data_inicio = String(a.data_inicio || "").trim();
+      await registrarLog({
+        req,
+        usuario,
+        acao: "PATCH",
+        tabela: "cadastro_obra",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: "Atualizou parcialmente obra",
+      });
 
-      if (!isUuid(obra_id) || !isUuid(funcionario_id) || !data_inicio) {
-        throw new Error(
-          "Ajuste inválido: obra_id/funcionario_id(UUID) e data_inicio são obrigatórios.",
-        );
-      }
+      return res.json({ ok: true });
+    }),
+  );
 
-      const reembolso_centavos = Number(a.reembolso_centavos ?? 0);
-      const adiantamento_centavos = Number(a.adiantamento_centavos ?? 0);
+  app.delete(
+    "/obras/:id",
+    requireAuth,
+    requirePermission("obras:delete"),
+    validarRequisicao({ params: esquemaId, query: esquemaExclusao }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-      if (!Number.isFinite(reembolso_centavos) || reembolso_centavos < 0) {
-        throw new Error("reembolso_centavos inválido.");
-      }
+      const { id } = req.validado.params;
+      const { definitivo } = req.validado.query;
+      const antes = await getObraById(id);
 
-      if (
-        !Number.isFinite(adiantamento_centavos) ||
-        adiantamento_centavos < 0
-      ) {
-        throw new Error("adiantamento_centavos inválido.");
-      }
+      conferirExclusao(req, "cadastro_obra", antes);
 
-      const reembolso = reembolso_centavos / 100;
-      const adiantamento = adiantamento_centavos / 100;
+      const { error, dependentes } = await excluirRegistro(
+        req,
+        "cadastro_obra",
+        id,
+      );
 
-      const valor = Number(a.valor ?? 0);
-      if (!Number.isFinite(valor) || valor < 0) {
-        throw new Error("valor (diária) inválido.");
+      if (dependentes) {
+        throw erroDependentes("cadastro_obra", dependentes);
       }
 
-      const observacao =
-        a.observacao !== undefined && a.observacao !== null
-          ? String(a.observacao).trim()
-          : null;
-
-      return {
-        obra_id,
-        funcionario_id,
-        data_inicio,
-        reembolso,
-        adiantamento,
-        observacao,
-        valor,
-      };
-    });
-
-    const obraIds = [...new Set(normalized.map((a) => a.obra_id))];
-    for (const obraId of obraIds) {
-      const pode = await usuarioPodeAcessarObra(usuario, obraId);
-      if (!pode) {
-        return deny(res, "Você não pode salvar ajustes nesta obra");
+      if (error) {
+        logger.erro("DELETE /obras/:id error:", error);
+        throw new ErroApi("Falha ao excluir obra");
       }
-    }
 
-    const { error } = await supabaseAdmin
-      .from("lanc_diarias_ajustes")
-      .upsert(normalized, { onConflict: "obra_id,funcionario_id,data_inicio" });
+      esquecerObra(id);
 
-    if (error) {
-      console.error("POST /diarias-ajustes error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: error.message || "Erro ao salvar ajustes" });
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "cadastro_obra",
+        registro_id: id,
+        antes,
+        depois: definitivo ? null : await getObraById(id),
+        observacao: definitivo
+          ? "Excluiu obra definitivamente"
+          : "Excluiu obra",
+      });
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "UPSERT",
-      tabela: "lanc_diarias_ajustes",
-      depois: normalized,
-      observacao: `Salvou ${normalized.length} ajuste(s) de diárias`,
-    });
+      return res.json({ ok: true });
+    }),
+  );
 
-    return res.json({ ok: true });
-  } catch (e) {
-    console.error("POST /diarias-ajustes exception:", e);
-    return res
-      .status(400)
-      .json({ ok: false, error: e.message || "Erro ao processar ajustes" });
-  }
-});
+  app.post(
+    "/obras/:id/restaurar",
+    requireAuth,
+    requirePermission("obras:delete"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
 
-// =====================================================
-// FUNCIONÁRIOS VINCULADOS
-// =====================================================
-app.get("/funcionarios-vinculados", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      const restaurado = await restaurarRegistro("cadastro_obra", id);
 
-    if (isConsulta(usuario)) {
-      return deny(res, "Usuário somente consulta não acessa vínculos por obra");
-    }
+      esquecerObra(id);
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode acessar vínculos por obra",
-      );
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "RESTAURAR",
+        tabela: "cadastro_obra",
+        registro_id: id,
+        ...restaurado,
+        observacao: "Restaurou obra excluída",
+      });
 
-    const { data, error } = await supabaseAdmin
-      .from("equipe_obra")
-      .select("obra_id, funcionario_id, situacao");
+      return res.json({ ok: true, data: restaurado.depois });
+    }),
+  );
 
-    if (error) {
-      console.error("GET /funcionarios-vinculados error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Erro ao buscar vínculos" });
-    }
+  // --------------------------------------------------
+  // ATRIBUIÇÃO DE USUÁRIOS À OBRA
+  // - o responsável (cadastro_obra.responsavel) já tem
+  //   acesso; aqui ficam os demais usuários da obra
+  // --------------------------------------------------
+  const esquemaObraUsuario = esquema({
+    id: v.uuid({ obrigatorio: true }),
+    usuario_id: v.uuid({ obrigatorio: true }),
+  });
 
-    const withNames = await enrichEquipeRowsWithNames(data || []);
-    const withObras = await enrichEquipeRowsWithObraNames(withNames);
+  const esquemaAtribuicao = esquema({
+    usuario_id: v.uuid({ obrigatorio: true }),
+  });
 
-    const filtrados = await filtrarObrasVisiveis(
-      usuario,
-      (withObras || []).map((r) => ({
-        id: r.obra_id,
-        nome: r.obra_nome,
-      })),
-    );
+  app.get(
+    "/obras/:id/usuarios",
+    requireAuth,
+    requirePermission("obras:atribuir"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      const obra = await getObraById(id);
+      conferirAlteracao("cadastro_obra", obra);
+
+      const { data, error } = await supabaseAdmin
+        .from("obra_usuario")
+        .select("id, usuario_id, created_at")
+        .eq("obra_id", id)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.erro("GET /obras/:id/usuarios error:", error);
+        throw new ErroApi("Falha ao listar usuários da obra");
+      }
 
-    const idsPermitidos = new Set((filtrados || []).map((o) => o.id));
+      const ids = [
+        ...new Set([
+          obra.responsavel,
+          ...(data || []).map((a) => a.usuario_id),
+        ]),
+      ].filter(Boolean);
+
+      const { data: users, error: usersErr } = ids.length
+        ? await supabaseAdmin
+            .from("cadastro_user")
+            .select("id, nome, email, nivel_acesso, situacao")
+            .in("id", ids)
+        : { data: [], error: null };
+
+      if (usersErr) {
+        logger.erro("GET /obras/:id/usuarios users error:", usersErr);
+        throw new ErroApi("Falha ao listar usuários da obra");
+      }
 
-    const out = (withObras || [])
-      .filter((r) => idsPermitidos.has(r.obra_id))
-      .map((r) => ({
-        id: r.funcionario_id,
-        nome: r.funcionario_nome,
-        funcao: r.funcionario_funcao,
-        valor_diaria: Number(r.funcionario_valor_diaria || r.valor_diaria || 0),
-        obra_id: r.obra_id,
-        obra_nome: r.obra_nome,
-        situacao: r.situacao,
+      const porId = new Map((users || []).map((u) => [u.id, u]));
+
+      const atribuidos = (data || []).map((a) => ({
+        id: a.id,
+        usuario_id: a.usuario_id,
+        nome: porId.get(a.usuario_id)?.nome || null,
+        email: porId.get(a.usuario_id)?.email || null,
+        nivel_acesso: porId.get(a.usuario_id)?.nivel_acesso || null,
+        situacao: porId.get(a.usuario_id)?.situacao || null,
+        created_at: a.created_at,
       }));
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "equipe_obra",
-      depois: { total: out.length },
-      observacao: "Listou funcionários vinculados",
-    });
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "obra_usuario",
+        registro_id: id,
+        depois: { total: atribuidos.length },
+        observacao: "Listou usuários atribuídos à obra",
+      });
 
-    return res.json({ ok: true, data: out });
-  } catch (e) {
-    console.error("GET /funcionarios-vinculados exception:", e);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      return res.json({
+        ok: true,
+        data: {
+          obra: { id: obra.id, nome: obra.nome },
+          responsavel: porId.get(obra.responsavel) || null,
+          atribuidos,
+        },
+      });
+    }),
+  );
 
-app.get("/equipe-obra/todas", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+  app.post(
+    "/obras/:id/usuarios",
+    requireAuth,
+    requirePermission("obras:atribuir"),
+    validarRequisicao({ params: esquemaId, body: esquemaAtribuicao }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+      const { usuario_id } = req.validado.body;
+
+      const obra = await getObraById(id);
+      conferirAlteracao("cadastro_obra", obra);
+
+      const alvo = await getUsuarioById(usuario_id);
+      if (!alvo) {
+        throw new ErroValidacao([
+          { campo: "usuario_id", mensagem: "Usuário não encontrado" },
+        ]);
+      }
 
-    if (!(isAdmin(usuario) || isFinanceiro(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou financeiro pode ver todas as equipes",
-      );
-    }
+      if (String(alvo.situacao || "").toLowerCase() !== "ativo") {
+        throw new ErroValidacao([
+          {
+            campo: "usuario_id",
+            mensagem: "O usuário selecionado está inativo",
+          },
+        ]);
+      }
 
-    const { data, error } = await supabaseAdmin
-      .from("equipe_obra")
-      .select("obra_id, funcionario_id, situacao");
+      if (obra.responsavel === usuario_id) {
+        throw new ErroConflito("Este usuário já é o responsável pela obra");
+      }
 
-    if (error) {
-      console.error("Erro GET /equipe-obra/todas:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Erro ao buscar equipe_obra (todas)." });
-    }
-
-    const withNames = await enrichEquipeRowsWithNames(data || []);
-    const withObras = await enrichEquipeRowsWithObraNames(withNames);
-
-    const enriched = (withObras || []).map((r) => ({
-      obra_id: r.obra_id,
-      funcionario_id: r.funcionario_id,
-      situacao: r.situacao,
-      obra_nome: r.obra_nome || null,
-      obra_situacao: r.obra_situacao || null,
-      funcionario_nome: r.funcionario_nome || null,
-      funcionario_funcao: r.funcionario_funcao || null,
-      valor_diaria: Number(r.funcionario_valor_diaria || r.valor_diaria || 0),
-    }));
+      const { data, error } = await supabaseAdmin
+        .from("obra_usuario")
+        .insert({ obra_id: id, usuario_id, created_by: usuario.id })
+        .select("*")
+        .single();
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "equipe_obra",
-      depois: { total: enriched.length },
-      observacao: "Listou todas as equipes",
-    });
+      if (error) {
+        if (error.code === "23505") {
+          throw new ErroConflito("Este usuário já está atribuído à obra");
+        }
 
-    return res.json({ ok: true, data: enriched });
-  } catch (e) {
-    console.error("Falha GET /equipe-obra/todas:", e);
-    return res.status(500).json({ ok: false, error: "Erro interno." });
-  }
-});
+        logger.erro("POST /obras/:id/usuarios error:", error);
+        throw new ErroApi("Falha ao atribuir usuário à obra");
+      }
 
-// ==================================================
-// EMPREITAS CRUD
-// ==================================================
-app.get("/empreitas", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const { inicio, fim, obra_id, funcionario_id } = req.query;
-
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode acessar empreitas",
-      );
-    }
+      esquecerAtribuicoes(usuario_id);
 
-    let q = supabaseAdmin
-      .from("empreitas")
-      .select(
-        "id, obra_id, funcionario_id, data_pagamento, valor, descricao, created_at",
-      )
-      .order("data_pagamento", { ascending: true })
-      .order("created_at", { ascending: true });
+      await registrarLog({
+        req,
+        usuario,
+        acao: "INSERT",
+        tabela: "obra_usuario",
+        registro_id: data.id,
+        antes: null,
+        depois: data,
+        observacao: `Atribuiu ${alvo.nome || alvo.email} à obra ${obra.nome}`,
+      });
+
+      return res.status(201).json({ ok: true, data });
+    }),
+  );
 
-    if (obra_id) {
-      if (!isUuid(obra_id)) {
-        return res
-          .status(400)
-          .json({ ok: false, error: "obra_id inválido (UUID)" });
+  app.delete(
+    "/obras/:id/usuarios/:usuario_id",
+    requireAuth,
+    requirePermission("obras:atribuir"),
+    validarRequisicao({ params: esquemaObraUsuario }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id, usuario_id } = req.validado.params;
+
+      const { data: antes, error: antesErr } = await supabaseAdmin
+        .from("obra_usuario")
+        .select("*")
+        .eq("obra_id", id)
+        .eq("usuario_id", usuario_id)
+        .maybeSingle();
+
+      if (antesErr) {
+        logger.erro("DELETE /obras/:id/usuarios error:", antesErr);
+        throw new ErroApi("Falha ao remover atribuição");
       }
 
-      const pode = await usuarioPodeAcessarObra(usuario, obra_id);
-      if (!pode) {
-        return deny(res, "Você não pode acessar esta obra");
+      if (!antes) {
+        throw new ErroNaoEncontrado("Usuário não está atribuído a esta obra");
       }
 
-      q = q.eq("obra_id", obra_id);
-    } else if (!isAdmin(usuario)) {
-      const permitidas = await getIdsObrasVisiveisUsuario(usuario);
+      const { error } = await supabaseAdmin
+        .from("obra_usuario")
+        .delete()
+        .eq("id", antes.id);
 
-      if (!permitidas.length) {
-        return res.json({ ok: true, data: [] });
+      if (error) {
+        logger.erro("DELETE /obras/:id/usuarios error:", error);
+        throw new ErroApi("Falha ao remover atribuição");
       }
 
-      q = q.in("obra_id", permitidas);
-    }
+      esquecerAtribuicoes(usuario_id);
 
-    if (funcionario_id) {
-      if (!isUuid(funcionario_id)) {
-        return res
-          .status(400)
-          .json({ ok: false, error: "funcionario_id inválido (UUID)" });
-      }
-      q = q.eq("funcionario_id", funcionario_id);
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "obra_usuario",
+        registro_id: antes.id,
+        antes,
+        depois: null,
+        observacao: "Removeu usuário da obra",
+      });
 
-    if (inicio) q = q.gte("data_pagamento", String(inicio));
-    if (fim) q = q.lte("data_pagamento", String(fim));
+      return res.json({ ok: true });
+    }),
+  );
 
-    const { data, error } = await q;
+  // ==================================================
+  // QUINZENAS CRUD
+  // ==================================================
+  const esquemaQuinzena = esquema(
+    {
+      nome: v.texto({
+        max: 120,
+        obrigatorio: true,
+        mensagem: "Informe o nome da quinzena",
+      }),
+      data_inicio: v.data({ obrigatorio: true }),
+      data_fim: v.data({ obrigatorio: true }),
+    },
+    verificarPeriodo("data_inicio", "data_fim"),
+  );
 
-    if (error) {
-      console.error("GET /empreitas error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao listar empreitas" });
-    }
+  const LISTAGEM_QUINZENAS = {
+    busca: ["nome"],
+    filtros: ["status"],
+    ordenacao: ["data_inicio", "data_fim", "nome"],
+    padrao: "data_inicio",
+    exclusaoLogica: true,
+  };
+
+  app.get(
+    "/quinzenas",
+    requireAuth,
+    requirePermission("quinzenas:read"),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { listagem, erros } = parseListagem(req.query, LISTAGEM_QUINZENAS);
+      if (erros) throw new ErroValidacao(erros);
+
+      const { data: pagina, error } = await listarPagina(listagem, (opcoes) =>
+        supabaseAdmin
+          .from("cadastro_quinzena")
+          .select(
+            "id, nome, data_inicio, data_fim, status, fechada_em, fechada_por, created_at, updated_at, deleted_at",
+            opcoes,
+          ),
+      );
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "empreitas",
-      depois: {
-        total: (data || []).length,
-        inicio: inicio || null,
-        fim: fim || null,
-        obra_id: obra_id || null,
-        funcionario_id: funcionario_id || null,
-      },
-      observacao: "Listou empreitas",
-    });
+      if (error) {
+        logger.erro("GET /quinzenas error:", error);
+        throw new ErroApi("Falha ao listar quinzenas");
+      }
 
-    return res.json({ ok: true, data: data || [] });
-  } catch (err) {
-    console.error("GET /empreitas exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "cadastro_quinzena",
+        depois: { total: pagina.total, retornados: pagina.data.length },
+        observacao: "Listou quinzenas",
+      });
 
-app.get("/empreitas/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = req.params.id;
+      return res.json({ ok: true, ...pagina });
+    }),
+  );
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode consultar empreita",
-      );
-    }
+  app.post(
+    "/quinzenas",
+    requireAuth,
+    requirePermission("quinzenas:write"),
+    validarRequisicao({ body: esquemaQuinzena }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    const { data, error } = await supabaseAdmin
-      .from("empreitas")
-      .select("*")
-      .eq("id", id)
-      .single();
+      const payload = req.validado.body;
+      const { nome, data_inicio, data_fim } = payload;
 
-    if (error) {
-      console.error("GET /empreitas/:id error:", error);
-      return res
-        .status(404)
-        .json({ ok: false, error: "Empreita não encontrada" });
-    }
+      const { data: existente, error: errExist } = await supabaseAdmin
+        .from("cadastro_quinzena")
+        .select("id")
+        .eq("data_inicio", data_inicio)
+        .eq("data_fim", data_fim)
+        .is("deleted_at", null)
+        .limit(1);
+
+      if (errExist) {
+        logger.erro("POST /quinzenas check existente error:", errExist);
+        throw new ErroApi("Falha ao validar quinzena existente");
+      }
 
-    const pode = await usuarioPodeAcessarObra(usuario, data.obra_id);
-    if (!pode) {
-      return deny(res, "Você não pode acessar esta obra");
-    }
+      if (existente && existente.length > 0) {
+        throw new ErroConflito(
+          "Já existe uma quinzena com esse mesmo período",
+          {
+            code: "QUINZENA_DUPLICADA",
+          },
+        );
+      }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "VIEW",
-      tabela: "empreitas",
-      registro_id: id,
-      depois: data,
-      observacao: "Consultou empreita",
-    });
+      const { data, error } = await supabaseAdmin
+        .from("cadastro_quinzena")
+        .insert(payload)
+        .select("id, nome, data_inicio, data_fim, created_at, updated_at")
+        .single();
 
-    return res.json({ ok: true, data });
-  } catch (err) {
-    console.error("GET /empreitas/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      if (error) {
+        logger.erro("POST /quinzenas error:", error);
+        throw new ErroApi("Falha ao cadastrar quinzena");
+      }
 
-app.post("/empreitas", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      const depois = await getQuinzenaById(data.id);
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode lançar empreita",
-      );
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "INSERT",
+        tabela: "cadastro_quinzena",
+        registro_id: data.id,
+        depois,
+        observacao: `Criou quinzena ${nome}`,
+      });
 
-    const obra_id = req.body?.obra_id;
-    const funcionario_id = req.body?.funcionario_id;
-    const data_pagamento = req.body?.data_pagamento;
-    const valorRaw = req.body?.valor;
-    const descricao = limitarTexto(req.body?.descricao, 1000);
+      return res.status(201).json({ ok: true, data });
+    }),
+  );
 
-    if (!isUuid(obra_id)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "obra_id é obrigatório (UUID)" });
-    }
+  app.put(
+    "/quinzenas/:id",
+    requireAuth,
+    requirePermission("quinzenas:write"),
+    validarRequisicao({ params: esquemaId, body: esquemaQuinzena }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    const pode = await usuarioPodeAcessarObra(usuario, obra_id);
-    if (!pode) {
-      return deny(res, "Você não pode lançar empreita nesta obra");
-    }
+      const { id } = req.validado.params;
+      const antes = await getQuinzenaById(id);
+      conferirAlteracao("cadastro_quinzena", antes);
 
-    if (!isUuid(funcionario_id)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "funcionario_id é obrigatório (UUID)" });
-    }
+      const payload = req.validado.body;
+      const { data_inicio, data_fim } = payload;
 
-    if (!data_pagamento) {
-      return res.status(400).json({
-        ok: false,
-        error: "data_pagamento é obrigatória (YYYY-MM-DD)",
-      });
-    }
+      if (isQuinzenaFechada(antes)) {
+        throw new ErroPeriodoFechado(antes);
+      }
 
-    const valor = Number(valorRaw);
-    if (!Number.isFinite(valor) || valor < 0) {
-      return res.status(400).json({ ok: false, error: "valor inválido" });
-    }
+      const { data: existente, error: errExist } = await supabaseAdmin
+        .from("cadastro_quinzena")
+        .select("id")
+        .eq("data_inicio", data_inicio)
+        .eq("data_fim", data_fim)
+        .neq("id", id)
+        .is("deleted_at", null)
+        .limit(1);
+
+      if (errExist) {
+        logger.erro("PUT /quinzenas/:id check existente error:", errExist);
+        throw new ErroApi("Falha ao validar quinzena existente");
+      }
 
-    const payload = {
-      obra_id,
-      funcionario_id,
-      data_pagamento: String(data_pagamento),
-      valor,
-      descricao,
-      created_by: req.authUser?.id || null,
-    };
+      if (existente && existente.length > 0) {
+        throw new ErroConflito(
+          "Já existe outra quinzena com esse mesmo período",
+          {
+            code: "QUINZENA_DUPLICADA",
+          },
+        );
+      }
 
-    const { data, error } = await supabaseAdmin
-      .from("empreitas")
-      .insert(payload)
-      .select("id")
-      .single();
+      const { error } = await supabaseAdmin
+        .from("cadastro_quinzena")
+        .update(payload)
+        .eq("id", id);
 
-    if (error) {
-      console.error("POST /empreitas error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao salvar empreita" });
-    }
+      if (error) {
+        logger.erro("PUT /quinzenas/:id error:", error);
+        throw new ErroApi("Falha ao atualizar quinzena");
+      }
+
+      const depois = await getQuinzenaById(id);
+
+      await registrarLog({
+        req,
+        usuario,
+        acao: "UPDATE",
+        tabela: "cadastro_quinzena",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: "Atualizou quinzena",
+      });
 
-    const depois = await getEmpreitaById(data.id);
+      return res.json({ ok: true });
+    }),
+  );
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "INSERT",
-      tabela: "empreitas",
-      registro_id: data.id,
-      depois,
-      observacao: "Criou empreita",
-    });
+  app.delete(
+    "/quinzenas/:id",
+    requireAuth,
+    requirePermission("quinzenas:delete"),
+    validarRequisicao({ params: esquemaId, query: esquemaExclusao }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    return res.status(201).json({ ok: true, data });
-  } catch (err) {
-    console.error("POST /empreitas exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const { id } = req.validado.params;
+      const { definitivo } = req.validado.query;
+      const antes = await getQuinzenaById(id);
 
-app.put("/empreitas/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = String(req.params.id || "").trim();
+      conferirExclusao(req, "cadastro_quinzena", antes);
 
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+      if (isQuinzenaFechada(antes)) {
+        throw new ErroPeriodoFechado(antes);
+      }
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode editar empreita",
+      const { error, dependentes } = await excluirRegistro(
+        req,
+        "cadastro_quinzena",
+        id,
       );
-    }
 
-    const antes = await getEmpreitaById(id);
-    if (!antes) {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Empreita não encontrada" });
-    }
+      if (dependentes) {
+        throw erroDependentes("cadastro_quinzena", dependentes);
+      }
 
-    const podeAntes = await usuarioPodeAcessarObra(usuario, antes.obra_id);
-    if (!podeAntes) {
-      return deny(res, "Você não pode editar esta empreita");
-    }
+      if (error) {
+        logger.erro("DELETE /quinzenas/:id error:", error);
+        throw new ErroApi("Falha ao excluir quinzena");
+      }
 
-    const obra_id = String(req.body?.obra_id || "").trim();
-    const funcionario_id = String(req.body?.funcionario_id || "").trim();
-    const data_pagamento = String(req.body?.data_pagamento || "").trim();
-    const valor = Number(req.body?.valor || 0);
-    const descricao = limitarTexto(req.body?.descricao, 1000);
+      await registrarLog({
+        req,
+        usuario,
+        acao: "DELETE",
+        tabela: "cadastro_quinzena",
+        registro_id: id,
+        antes,
+        depois: definitivo ? null : await getQuinzenaById(id),
+        observacao: definitivo
+          ? "Excluiu quinzena definitivamente"
+          : "Excluiu quinzena",
+      });
 
-    if (!isUuid(obra_id)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "obra_id inválido (UUID)" });
-    }
+      return res.json({ ok: true });
+    }),
+  );
 
-    if (!isUuid(funcionario_id)) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "funcionario_id inválido (UUID)" });
-    }
+  app.post(
+    "/quinzenas/:id/restaurar",
+    requireAuth,
+    requirePermission("quinzenas:delete"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+      const { id } = req.validado.params;
+
+      // outra quinzena com as mesmas datas pode ter sido criada depois
+      const quinzena = await getQuinzenaById(id);
+      if (quinzena?.deleted_at) {
+        const { data: existente, error: errExist } = await supabaseAdmin
+          .from("cadastro_quinzena")
+          .select("id")
+          .eq("data_inicio", quinzena.data_inicio)
+          .eq("data_fim", quinzena.data_fim)
+          .neq("id", id)
+          .is("deleted_at", null)
+          .limit(1);
+
+        if (errExist) {
+          logger.erro("POST /quinzenas/:id/restaurar check error:", errExist);
+          throw new ErroApi("Falha ao validar quinzena");
+        }
 
-    if (!data_pagamento) {
-      return res.status(400).json({
-        ok: false,
-        error: "data_pagamento é obrigatória",
-      });
-    }
+        if (existente && existente.length > 0) {
+          throw new ErroConflito(
+            "Já existe outra quinzena com esse mesmo período",
+            {
+              code: "QUINZENA_DUPLICADA",
+            },
+          );
+        }
+      }
 
-    if (!Number.isFinite(valor) || valor <= 0) {
-      return res.status(400).json({
-        ok: false,
-        error: "valor inválido",
-      });
-    }
+      const restaurado = await restaurarRegistro("cadastro_quinzena", id);
 
-    const podeNovaObra = await usuarioPodeAcessarObra(usuario, obra_id);
-    if (!podeNovaObra) {
-      return deny(res, "Você não pode mover/editar empreita nesta obra");
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "RESTAURAR",
+        tabela: "cadastro_quinzena",
+        registro_id: id,
+        ...restaurado,
+        observacao: "Restaurou quinzena excluída",
+      });
 
-    const payload = {
-      obra_id,
-      funcionario_id,
-      data_pagamento,
-      valor,
-      descricao,
-    };
+      return res.json({ ok: true, data: restaurado.depois });
+    }),
+  );
 
-    const { error } = await supabaseAdmin
-      .from("empreitas")
-      .update(payload)
-      .eq("id", id);
+  app.post(
+    "/quinzenas/:id/fechar",
+    requireAuth,
+    requirePermission("quinzenas:fechar"),
+    validarRequisicao({
+      params: esquemaId,
+      body: esquema({ observacao: v.texto({ max: 1000 }) }),
+    }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { id } = req.validado.params;
+      const { observacao } = req.validado.body;
+
+      const antes = await getQuinzenaById(id);
+      if (!antes || antes.deleted_at) {
+        throw new ErroNaoEncontrado("Quinzena não encontrada");
+      }
 
-    if (error) {
-      console.error("PUT /empreitas/:id error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao atualizar empreita" });
-    }
+      if (isQuinzenaFechada(antes)) {
+        throw new ErroConflito("Esta quinzena já está fechada");
+      }
 
-    const depois = await getEmpreitaById(id);
+      const payload = {
+        status: "fechada",
+        fechada_em: new Date().toISOString(),
+        fechada_por: usuario.id,
+      };
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "UPDATE",
-      tabela: "empreitas",
-      registro_id: id,
-      antes,
-      depois,
-      observacao: "Atualizou empreita",
-    });
+      const { error } = await supabaseAdmin
+        .from("cadastro_quinzena")
+        .update(payload)
+        .eq("id", id);
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("PUT /empreitas/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      if (error) {
+        logger.erro("POST /quinzenas/:id/fechar error:", error);
+        throw new ErroApi("Falha ao fechar quinzena");
+      }
 
-app.delete("/empreitas/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = String(req.params.id || "").trim();
+      const depois = await getQuinzenaById(id);
 
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+      await registrarLog({
+        req,
+        usuario,
+        acao: "FECHAR",
+        tabela: "cadastro_quinzena",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: observacao
+          ? `Fechou quinzena ${antes.nome}: ${observacao}`
+          : `Fechou quinzena ${antes.nome}`,
+      });
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode excluir empreita",
-      );
-    }
+      return res.json({ ok: true, data: depois });
+    }),
+  );
 
-    const antes = await getEmpreitaById(id);
-    if (!antes) {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Empreita não encontrada" });
-    }
+  app.post(
+    "/quinzenas/:id/reabrir",
+    requireAuth,
+    requirePermission("quinzenas:reabrir"),
+    validarRequisicao({
+      params: esquemaId,
+      body: esquema({
+        motivo: v.texto({
+          max: 1000,
+          obrigatorio: true,
+          mensagem: "Informe o motivo da reabertura",
+        }),
+      }),
+    }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { id } = req.validado.params;
+      const { motivo } = req.validado.body;
+
+      const antes = await getQuinzenaById(id);
+      if (!antes || antes.deleted_at) {
+        throw new ErroNaoEncontrado("Quinzena não encontrada");
+      }
 
-    const pode = await usuarioPodeAcessarObra(usuario, antes.obra_id);
-    if (!pode) {
-      return deny(res, "Você não pode excluir esta empreita");
-    }
+      if (!isQuinzenaFechada(antes)) {
+        throw new ErroConflito("Esta quinzena não está fechada");
+      }
 
-    const { error } = await supabaseAdmin
-      .from("empreitas")
-      .delete()
-      .eq("id", id);
+      const payload = {
+        status: "aberta",
+        fechada_em: null,
+        fechada_por: null,
+      };
 
-    if (error) {
-      console.error("DELETE /empreitas/:id error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao excluir empreita" });
-    }
+      const { error } = await supabaseAdmin
+        .from("cadastro_quinzena")
+        .update(payload)
+        .eq("id", id);
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "DELETE",
-      tabela: "empreitas",
-      registro_id: id,
-      antes,
-      depois: null,
-      observacao: "Excluiu empreita",
-    });
+      if (error) {
+        logger.erro("POST /quinzenas/:id/reabrir error:", error);
+        throw new ErroApi("Falha ao reabrir quinzena");
+      }
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("DELETE /empreitas/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const depois = await getQuinzenaById(id);
 
-// ==================================================
-// OBRAS CRUD
-// ==================================================
-app.get("/obras", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      await registrarLog({
+        req,
+        usuario,
+        acao: "REABRIR",
+        tabela: "cadastro_quinzena",
+        registro_id: id,
+        antes,
+        depois,
+        observacao: `Reabriu quinzena ${antes.nome}. Motivo: ${motivo}`,
+      });
 
-    if (isConsulta(usuario)) {
-      return deny(res, "Usuário somente consulta não acessa obras");
-    }
+      return res.json({ ok: true, data: depois });
+    }),
+  );
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou encarregado pode acessar obras",
-      );
+  // ==================================================
+  // REMESSA DE PAGAMENTO (CNAB 240 PIX/TED)
+  // ==================================================
+  // --------------------------------------------------
+  // - valor pago = líquido calculado da quinzena
+  // - com chave PIX válida: PIX; sem chave e com banco,
+  //   agência e conta: TED; senão o funcionário fica com
+  //   erro e bloqueia a geração (a não ser que o financeiro
+  //   peça para ignorar os inválidos)
+  // --------------------------------------------------
+  function separarDigitoVerificador(v, { dvObrigatorio = true } = {}) {
+    const s = String(v || "").trim();
+    if (!s) return null;
+
+    const partes = s.split(/[-\s]/).filter(Boolean);
+
+    if (partes.length >= 2) {
+      return {
+        numero: somenteDigitos(partes.slice(0, -1).join("")),
+        dv: String(partes[partes.length - 1])
+          .toUpperCase()
+          .slice(0, 1),
+      };
     }
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_obra")
-      .select("id, nome, cidade, uf, situacao, responsavel")
-      .order("nome", { ascending: true });
-
-    if (error) {
-      console.error("GET /obras error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao listar obras" });
-    }
+    const dig = somenteDigitos(s);
+    if (!dig) return null;
+    if (!dvObrigatorio) return { numero: dig, dv: "" };
+    if (dig.length < 2) return null;
 
-    const obrasVisiveis = await filtrarObrasVisiveis(usuario, data || []);
+    return { numero: dig.slice(0, -1), dv: dig.slice(-1) };
+  }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "cadastro_obra",
-      depois: { total: (obrasVisiveis || []).length },
-      observacao: "Listou obras visíveis ao usuário",
+  function getConfigRemessa() {
+    const agencia = separarDigitoVerificador(process.env.CNAB_AGENCIA, {
+      dvObrigatorio: false,
     });
+    const conta = separarDigitoVerificador(process.env.CNAB_CONTA);
+
+    const config = {
+      banco: somenteDigitos(process.env.CNAB_BANCO).slice(0, 3),
+      banco_nome: process.env.CNAB_BANCO_NOME || "",
+      convenio: process.env.CNAB_CONVENIO || "",
+      agencia: agencia?.numero || "",
+      agencia_dv: agencia?.dv || "",
+      conta: conta?.numero || "",
+      conta_dv: conta?.dv || "",
+      cnpj: somenteDigitos(process.env.EMPRESA_CNPJ),
+      nome: process.env.EMPRESA_NOME || "",
+    };
+
+    const faltando = [];
+    if (config.banco.length !== 3) faltando.push("CNAB_BANCO");
+    if (!config.convenio) faltando.push("CNAB_CONVENIO");
+    if (!config.agencia) faltando.push("CNAB_AGENCIA");
+    if (!config.conta) faltando.push("CNAB_CONTA");
+    if (!isCnpjValido(config.cnpj)) faltando.push("EMPRESA_CNPJ");
+    if (!config.nome) faltando.push("EMPRESA_NOME");
 
-    return res.json({ ok: true, data: obrasVisiveis || [] });
-  } catch (err) {
-    console.error("GET /obras exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    return { config, faltando };
   }
-});
 
-app.get("/obras/todas", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+  function validarFuncionarioRemessa(f) {
+    const erros = [];
+    // empreiteiro PJ recebe no CNPJ da razão social
+    const documento = somenteDigitos(f.cnpj || f.cpf);
+    const base = {
+      funcionario_id: f.id,
+      nome: f.nome,
+      liquido_centavos: f.liquido_centavos,
+      forma: null,
+      chave_pix_tipo: null,
+      erros,
+    };
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador ou financeiro pode ver todas as obras",
-      );
+    if (f.liquido_centavos <= 0) {
+      return { ...base, ignorado: true, aviso: "Sem valor líquido a pagar" };
     }
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_obra")
-      .select("id, nome, cidade, uf, situacao, responsavel")
-      .order("nome", { ascending: true });
-
-    if (error) {
-      console.error("GET /obras/todas error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao listar obras (todas)" });
+    if (!isCpfValido(documento) && !isCnpjValido(documento)) {
+      erros.push("CPF/CNPJ do favorecido ausente ou inválido");
     }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "cadastro_obra",
-      depois: { total: (data || []).length },
-      observacao: "Listou todas as obras",
-    });
+    const pagamento = {
+      nome: f.titular_conta || f.nome,
+      documento,
+      valor_centavos: f.liquido_centavos,
+      seu_numero: String(f.id).replace(/-/g, "").slice(0, 20),
+    };
 
-    return res.json({ ok: true, data: data || [] });
-  } catch (err) {
-    console.error("GET /obras/todas exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+    if (f.chave_pix) {
+      const pix = validarChavePix(f.chave_pix_tipo, f.chave_pix);
 
-app.get("/obras/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-    const id = String(req.params.id || "").trim();
+      if (!pix.ok) {
+        erros.push(pix.erro);
+        return { ...base, chave_pix_tipo: pix.tipo };
+      }
 
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
+      return {
+        ...base,
+        forma: "PIX",
+        chave_pix_tipo: pix.tipo,
+        pagamento: erros.length
+          ? null
+          : {
+              ...pagamento,
+              forma: "PIX",
+              pix: { tipo: pix.tipo, chave: pix.chave },
+            },
+      };
     }
 
-    if (isConsulta(usuario)) {
-      return deny(res, "Usuário somente consulta não acessa obra");
-    }
+    const codigoBanco = /^\s*(\d{3})/.exec(String(f.banco || ""))?.[1];
+    const agencia = separarDigitoVerificador(f.agencia, {
+      dvObrigatorio: false,
+    });
+    const conta = separarDigitoVerificador(f.conta);
 
-    if (!(isAdmin(usuario) || isEncarregado(usuario))) {
-      return deny(res, "Apenas administrador ou encarregado pode acessar obra");
+    if (!f.banco && !f.agencia && !f.conta) {
+      erros.push("Sem chave PIX e sem dados bancários");
+      return base;
     }
 
-    const data = await getObraById(id);
-    if (!data) {
-      return res.status(404).json({ ok: false, error: "Obra não encontrada" });
-    }
+    if (!codigoBanco) erros.push("Banco sem código de 3 dígitos para TED");
+    if (!agencia) erros.push("Agência ausente ou inválida para TED");
+    if (!conta) erros.push("Conta ausente ou inválida para TED");
 
-    const pode = await usuarioPodeAcessarObra(usuario, id);
-    if (!pode) {
-      return deny(res, "Você não tem permissão para acessar esta obra");
-    }
+    return {
+      ...base,
+      forma: "TED",
+      pagamento: erros.length
+        ? null
+        : {
+            ...pagamento,
+            forma: "TED",
+            banco: {
+              codigo: codigoBanco,
+              agencia: agencia.numero,
+              agencia_dv: agencia.dv,
+              conta: conta.numero,
+              conta_dv: conta.dv,
+            },
+          },
+    };
+  }
 
-    await registrarLog({
-      req,
+  // A folha da remessa é a quinzena inteira, não só as obras que quem
+  // gera enxerga (financeiro não vê a equipe de engenharia, mas paga).
+  // Os totais e o arquivo levam todos; o detalhe por funcionário
+  // (visiveis) só quem o usuário enxerga: quem é da EQUIPE ENGENHARIA
+  // ou trabalhou numa obra oculta entra só na contagem de ocultos.
+  async function montarRemessaQuinzena(usuario, quinzena, req = null) {
+    const { data: movimento, error } = await carregarMovimentoPagamento(
       usuario,
-      acao: "VIEW",
-      tabela: "cadastro_obra",
-      registro_id: id,
-      depois: data,
-      observacao: "Consultou obra",
-    });
+      quinzena.data_inicio,
+      quinzena.data_fim,
+      { todasAsObras: true },
+    );
 
-    return res.json({ ok: true, data });
-  } catch (err) {
-    console.error("GET /obras/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+    if (error) return { data: null, error };
 
-app.post("/obras", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+    const resumo = calcularPagamento(movimento);
+    const itens = resumo.funcionarios.map(validarFuncionarioRemessa);
+    const validos = itens.filter((i) => i.pagamento);
+    const comErro = itens.filter((i) => i.erros.length);
 
-    if (!(isAdmin(usuario) || isFinanceiro(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou financeiro pode cadastrar obra",
+    const obrasVisiveis = new Set(
+      (await filtrarObrasVisiveis(usuario, movimento.obras, req)).map(
+        (o) => o.id,
+      ),
+    );
+    const visiveis = itens.filter((_, i) => {
+      const f = resumo.funcionarios[i];
+      return (
+        podeVerFuncionario(usuario, f) &&
+        f.obras.every((o) => obrasVisiveis.has(o.obra_id))
       );
-    }
-
-    const nome = limitarTexto(req.body?.nome, 120);
-    const endereco = limitarTexto(req.body?.endereco, 180);
-    const cidade = limitarTexto(req.body?.cidade, 80);
-    const uf = limitarTexto(req.body?.uf, 2)?.toUpperCase() || null;
-    const responsavel = String(req.body?.responsavel || "").trim();
-    const observacao = limitarTexto(req.body?.observacao, 1000);
-    const situacao = normSituacao(req.body?.situacao, "ativo");
-
-    if (!nome) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Informe o nome da obra" });
-    }
-
-    if (!isUuid(responsavel)) {
-      return res.status(400).json({
-        ok: false,
-        error: "responsavel é obrigatório e precisa ser UUID",
-      });
-    }
-
-    const { data: respUser, error: respErr } = await supabaseAdmin
-      .from("cadastro_user")
-      .select("id, nome, situacao, nivel_acesso")
-      .eq("id", responsavel)
-      .single();
-
-    if (respErr || !respUser) {
-      return res.status(400).json({
-        ok: false,
-        error: "Responsável não encontrado",
-      });
-    }
-
-    if (String(respUser.situacao || "").toLowerCase() !== "ativo") {
-      return res.status(400).json({
-        ok: false,
-        error: "O responsável selecionado está inativo",
-      });
-    }
+    });
 
-    const payload = {
-      nome,
-      endereco,
-      cidade,
-      uf,
-      responsavel,
-      situacao,
-      observacao,
+    return {
+      data: {
+        itens,
+        visiveis,
+        pagamentos: validos.map((i) => i.pagamento),
+        resumo: {
+          total_funcionarios: itens.length,
+          total_ocultos: itens.length - visiveis.length,
+          total_validos: validos.length,
+          total_com_erro: comErro.length,
+          total_ignorados: itens.filter((i) => i.ignorado).length,
+          total_pix: validos.filter((i) => i.forma === "PIX").length,
+          total_ted: validos.filter((i) => i.forma === "TED").length,
+          valor_remessa_centavos: validos.reduce(
+            (acc, i) => acc + i.liquido_centavos,
+            0,
+          ),
+        },
+      },
+      error: null,
     };
+  }
+
+  const esquemaRemessa = esquema({
+    data_pagamento: v.data({ obrigatorio: true }),
+    ignorar_invalidos: v.booleano({ padrao: false }),
+    reemitir: v.booleano({ padrao: false }),
+  });
 
+  // remessa vigente (não substituída) da quinzena, se já foi gerada
+  async function getRemessaVigente(quinzenaId) {
     const { data, error } = await supabaseAdmin
-      .from("cadastro_obra")
-      .insert(payload)
-      .select("id")
-      .single();
+      .from("remessa_pagamento")
+      .select("id, nsa, data_pagamento, created_at")
+      .eq("quinzena_id", quinzenaId)
+      .is("substituida_em", null)
+      .maybeSingle();
 
     if (error) {
-      console.error("POST /obras error:", error);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao salvar obra",
-      });
+      logger.erro("getRemessaVigente error:", error);
+      throw new ErroApi("Falha ao verificar remessas da quinzena");
     }
 
-    const depois = await getObraById(data.id);
-
-    await registrarLog({
-      req,
-      usuario,
-      acao: "INSERT",
-      tabela: "cadastro_obra",
-      registro_id: data.id,
-      depois,
-      observacao: `Criou obra ${nome}`,
-    });
-
-    return res.status(201).json({ ok: true, data });
-  } catch (err) {
-    console.error("POST /obras exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    return data;
   }
-});
-
-app.put("/obras/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
-
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode editar obra");
-    }
 
-    const id = String(req.params.id || "").trim();
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
-
-    const antes = await getObraById(id);
+  function erroRemessaExistente(remessa) {
+    return new ErroConflito(
+      `A quinzena já tem a remessa NSA ${remessa.nsa}; envie reemitir: true para gerar uma nova no lugar dela`,
+      { code: "REMESSA_JA_GERADA", detalhes: { remessa } },
+    );
+  }
 
-    const nome = String(req.body?.nome || "").trim();
-    const endereco = req.body?.endereco
-      ? String(req.body.endereco).trim()
-      : null;
-    const cidade = req.body?.cidade ? String(req.body.cidade).trim() : null;
-    const uf = req.body?.uf ? String(req.body.uf).trim().toUpperCase() : null;
-    const responsavel = String(req.body?.responsavel || "").trim();
-    const situacao = normSituacao(req.body?.situacao, "ativo");
-    const observacao = req.body?.observacao
-      ? String(req.body.observacao).trim()
-      : null;
+  app.get(
+    "/quinzenas/:id/remessa/validacao",
+    requireAuth,
+    requirePermission("remessa:gerar"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    if (!nome) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Informe o nome da obra" });
-    }
+      const { id } = req.validado.params;
 
-    if (!isUuid(responsavel)) {
-      return res.status(400).json({
-        ok: false,
-        error: "responsavel é obrigatório e precisa ser UUID",
-      });
-    }
+      const quinzena = await getQuinzenaById(id);
+      if (!quinzena) {
+        throw new ErroNaoEncontrado("Quinzena não encontrada");
+      }
 
-    const { data: respUser, error: respErr } = await supabaseAdmin
-      .from("cadastro_user")
-      .select("id, nome, situacao")
-      .eq("id", responsavel)
-      .single();
+      const { data, error } = await montarRemessaQuinzena(
+        usuario,
+        quinzena,
+        req,
+      );
+      if (error) throw new ErroApi(error);
 
-    if (respErr || !respUser) {
-      return res.status(400).json({
-        ok: false,
-        error: "Responsável não encontrado",
-      });
-    }
+      const { faltando } = getConfigRemessa();
 
-    if (String(respUser.situacao || "").toLowerCase() !== "ativo") {
-      return res.status(400).json({
-        ok: false,
-        error: "O responsável selecionado está inativo",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "cadastro_quinzena",
+        registro_id: id,
+        depois: data.resumo,
+        observacao: `Validou remessa de pagamento da quinzena ${quinzena.nome}`,
       });
-    }
-
-    const payload = {
-      nome,
-      endereco,
-      cidade,
-      uf,
-      responsavel,
-      situacao,
-      observacao,
-    };
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_obra")
-      .update(payload)
-      .eq("id", id);
-
-    if (error) {
-      console.error("PUT /obras/:id error:", error);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao atualizar obra",
+      return res.json({
+        ok: true,
+        data: {
+          quinzena,
+          quinzena_fechada: isQuinzenaFechada(quinzena),
+          configuracao_pendente: faltando,
+          ...data.resumo,
+          funcionarios: data.visiveis.map(({ pagamento, ...item }) => item),
+        },
       });
-    }
-
-    const depois = await getObraById(id);
-
-    await registrarLog({
-      req,
-      usuario,
-      acao: "UPDATE",
-      tabela: "cadastro_obra",
-      registro_id: id,
-      antes,
-      depois,
-      observacao: "Atualizou obra",
-    });
-
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("PUT /obras/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+    }),
+  );
 
-app.patch("/obras/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+  app.post(
+    "/quinzenas/:id/remessa",
+    requireAuth,
+    requirePermission("remessa:gerar"),
+    validarRequisicao({ params: esquemaId, body: esquemaRemessa }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { id } = req.validado.params;
+      const {
+        data_pagamento,
+        ignorar_invalidos: ignorarInvalidos,
+        reemitir,
+      } = req.validado.body;
+
+      const quinzena = await getQuinzenaById(id);
+      if (!quinzena) {
+        throw new ErroNaoEncontrado("Quinzena não encontrada");
+      }
 
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode editar obra");
-    }
+      if (!isQuinzenaFechada(quinzena)) {
+        throw new ErroConflito(
+          "Feche a quinzena antes de gerar a remessa de pagamento",
+        );
+      }
 
-    const id = String(req.params.id || "").trim();
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+      const anterior = await getRemessaVigente(id);
+      if (anterior && !reemitir) throw erroRemessaExistente(anterior);
 
-    const antes = await getObraById(id);
+      const { config, faltando } = getConfigRemessa();
+      if (faltando.length) {
+        logger.erro("POST /quinzenas/:id/remessa config faltando:", faltando);
+        throw new ErroApi(
+          `Configuração da remessa incompleta: ${faltando.join(", ")}`,
+        );
+      }
 
-    const patch = {
-      ...(req.body?.nome !== undefined
-        ? { nome: String(req.body.nome || "").trim() }
-        : {}),
-      ...(req.body?.endereco !== undefined
-        ? {
-            endereco: req.body.endereco
-              ? String(req.body.endereco).trim()
-              : null,
-          }
-        : {}),
-      ...(req.body?.cidade !== undefined
-        ? { cidade: req.body.cidade ? String(req.body.cidade).trim() : null }
-        : {}),
-      ...(req.body?.uf !== undefined
-        ? { uf: req.body.uf ? String(req.body.uf).trim().toUpperCase() : null }
-        : {}),
-      ...(req.body?.situacao !== undefined
-        ? { situacao: normSituacao(req.body.situacao) }
-        : {}),
-      ...(req.body?.observacao !== undefined
-        ? {
-            observacao: req.body.observacao
-              ? String(req.body.observacao).trim()
-              : null,
-          }
-        : {}),
-    };
+      const { data, error } = await montarRemessaQuinzena(
+        usuario,
+        quinzena,
+        req,
+      );
+      if (error) throw new ErroApi(error);
+
+      const comErro = data.itens.filter((i) => i.erros.length);
+
+      if (comErro.length && !ignorarInvalidos) {
+        const visiveis = data.visiveis.filter((i) => i.erros.length);
+
+        throw new ErroApi(
+          `${comErro.length} funcionário(s) com dados de pagamento inválidos`,
+          {
+            status: 422,
+            code: "PAGAMENTOS_INVALIDOS",
+            detalhes: {
+              data: visiveis.map(({ pagamento, ...item }) => item),
+              ocultos: comErro.length - visiveis.length,
+            },
+          },
+        );
+      }
 
-    if (req.body?.responsavel !== undefined) {
-      const responsavel = String(req.body.responsavel || "").trim();
+      if (!data.pagamentos.length) {
+        throw new ErroValidacao("Nenhum pagamento válido para gerar remessa");
+      }
 
-      if (!isUuid(responsavel)) {
-        return res.status(400).json({
-          ok: false,
-          error: "responsavel inválido (UUID)",
+      // o índice único parcial (003) barra duas vigentes mesmo em
+      // requisições simultâneas; a anterior volta se o insert falhar
+      const etapas = [];
+      if (anterior) {
+        etapas.push({
+          nome: "substituir",
+          executar: () =>
+            supabaseAdmin
+              .from("remessa_pagamento")
+              .update({ substituida_em: new Date().toISOString() })
+              .eq("id", anterior.id)
+              .is("substituida_em", null),
+          desfazer: () =>
+            supabaseAdmin
+              .from("remessa_pagamento")
+              .update({ substituida_em: null })
+              .eq("id", anterior.id),
         });
       }
+      etapas.push({
+        nome: "inserir",
+        executar: () =>
+          supabaseAdmin
+            .from("remessa_pagamento")
+            .insert({
+              quinzena_id: id,
+              data_pagamento,
+              total_funcionarios: data.pagamentos.length,
+              valor_total_centavos: data.resumo.valor_remessa_centavos,
+              created_by: usuario.id,
+            })
+            .select("id, nsa")
+            .single(),
+      });
 
-      const { data: respUser, error: respErr } = await supabaseAdmin
-        .from("cadastro_user")
-        .select("id, situacao")
-        .eq("id", responsavel)
-        .single();
+      const {
+        data: feitas,
+        error: errRemessa,
+        pendentes,
+      } = await executarEtapas(etapas);
 
-      if (respErr || !respUser) {
-        return res.status(400).json({
-          ok: false,
-          error: "Responsável não encontrado",
+      if (errRemessa) {
+        logger.erro("POST /quinzenas/:id/remessa error:", errRemessa, {
+          pendentes,
         });
-      }
 
-      if (String(respUser.situacao || "").toLowerCase() !== "ativo") {
-        return res.status(400).json({
-          ok: false,
-          error: "O responsável selecionado está inativo",
-        });
+        const vigente =
+          errRemessa.code === "23505" ? await getRemessaVigente(id) : null;
+        if (vigente) throw erroRemessaExistente(vigente);
+        throw new ErroApi("Falha ao registrar remessa");
       }
 
-      patch.responsavel = responsavel;
-    }
-
-    if (Object.keys(patch).length === 0) {
-      return res.status(400).json({ ok: false, error: "Nada para atualizar" });
-    }
+      const remessa = feitas[feitas.length - 1];
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_obra")
-      .update(patch)
-      .eq("id", id);
+      const arquivo = gerarRemessaCnab240({
+        empresa: config,
+        pagamentos: data.pagamentos,
+        dataPagamento: data_pagamento,
+        nsa: remessa.nsa,
+      });
 
-    if (error) {
-      console.error("PATCH /obras/:id error:", error);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao atualizar obra",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "REMESSA",
+        tabela: "remessa_pagamento",
+        registro_id: remessa.id,
+        depois: {
+          quinzena_id: id,
+          nsa: remessa.nsa,
+          data_pagamento,
+          ...data.resumo,
+          ignorados_por_erro: comErro.map((i) => i.funcionario_id),
+          substituiu: anterior ? { id: anterior.id, nsa: anterior.nsa } : null,
+        },
+        observacao: `Gerou remessa CNAB 240 da quinzena ${quinzena.nome}`,
       });
-    }
 
-    const depois = await getObraById(id);
+      res.setHeader("Content-Type", "text/plain; charset=us-ascii");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="REMESSA_${remessa.nsa}_${quinzena.data_inicio}_${quinzena.data_fim}.rem"`,
+      );
+      return res.send(arquivo);
+    }),
+  );
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "PATCH",
-      tabela: "cadastro_obra",
-      registro_id: id,
-      antes,
-      depois,
-      observacao: "Atualizou parcialmente obra",
-    });
+  // ==================================================
+  // HOLERITES DA QUINZENA (ZIP)
+  // ==================================================
+  app.get(
+    "/quinzenas/:id/holerites",
+    requireAuth,
+    requirePermission("holerites:read"),
+    validarRequisicao({ params: esquemaId }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const { id } = req.validado.params;
+
+      const quinzena = await getQuinzenaById(id);
+      if (!quinzena) {
+        throw new ErroNaoEncontrado("Quinzena não encontrada");
+      }
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("PATCH /obras/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const { data_inicio: inicio, data_fim: fim } = quinzena;
 
-app.delete("/obras/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      const { data: movimento, error: errMov } =
+        await carregarMovimentoPagamento(usuario, inicio, fim);
 
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode excluir obra");
-    }
+      if (errMov) {
+        throw new ErroApi(errMov);
+      }
 
-    const id = String(req.params.id || "").trim();
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+      const funcionarios = movimento.funcionarios.filter((f) =>
+        podeVerFuncionario(usuario, f),
+      );
 
-    const antes = await getObraById(id);
+      if (!funcionarios.length) {
+        throw new ErroNaoEncontrado(
+          "Nenhum funcionário com movimento nesta quinzena",
+        );
+      }
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_obra")
-      .delete()
-      .eq("id", id);
+      // gera todos os PDFs antes de começar a responder, para um erro
+      // no meio não deixar um ZIP truncado
+      const arquivos = [];
+      for (const funcionario of funcionarios) {
+        const dados = montarDadosHolerite(movimento, funcionario, inicio, fim);
+        arquivos.push({
+          nome: nomeArquivoHolerite(funcionario, inicio, fim),
+          pdf: await gerarHoleritePdf(dados),
+        });
+      }
 
-    if (error) {
-      console.error("DELETE /obras/:id error:", error);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao excluir obra",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "cadastro_quinzena",
+        registro_id: id,
+        depois: { inicio, fim, total_holerites: arquivos.length },
+        observacao: `Gerou holerites da quinzena ${quinzena.nome}`,
       });
-    }
-
-    await registrarLog({
-      req,
-      usuario,
-      acao: "DELETE",
-      tabela: "cadastro_obra",
-      registro_id: id,
-      antes,
-      depois: null,
-      observacao: "Excluiu obra",
-    });
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("DELETE /obras/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const zip = archiver("zip", { zlib: { level: 9 } });
 
-// ==================================================
-// QUINZENAS CRUD
-// ==================================================
-app.get("/quinzenas", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      zip.on("error", (err) => {
+        logger.erro("GET /quinzenas/:id/holerites zip error:", err);
+        res.destroy(err);
+      });
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode listar quinzenas",
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="holerites_${inicio}_${fim}.zip"`,
       );
-    }
-
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_quinzena")
-      .select("id, nome, data_inicio, data_fim, created_at, updated_at")
-      .order("data_inicio", { ascending: true });
 
-    if (error) {
-      console.error("GET /quinzenas error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao listar quinzenas" });
-    }
+      zip.pipe(res);
+      arquivos.forEach((a) => zip.append(a.pdf, { name: a.nome }));
+      await zip.finalize();
+    }),
+  );
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "LIST",
-      tabela: "cadastro_quinzena",
-      depois: { total: (data || []).length },
-      observacao: "Listou quinzenas",
-    });
+  // ==================================================
+  // RELATÓRIO POR OBRAS
+  // ==================================================
+  app.get(
+    "/relatorios/obras",
+    requireAuth,
+    requirePermission("relatorios:obras:read"),
+    validarRequisicao({ query: esquemaExportacao }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    return res.json({ ok: true, data: data || [] });
-  } catch (err) {
-    console.error("GET /quinzenas exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const { inicio, fim, format: formato, excluidos } = req.validado.query;
 
-app.post("/quinzenas", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      let qObras = supabaseAdmin
+        .from("cadastro_obra")
+        .select("id, nome, cidade, uf, situacao, responsavel")
+        .order("nome", { ascending: true });
 
-    if (!(isAdmin(usuario) || isFinanceiro(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou financeiro pode cadastrar quinzena",
-      );
-    }
+      if (excluidos !== "incluir") qObras = qObras.is("deleted_at", null);
 
-    const nome = limitarTexto(req.body?.nome, 120);
-    const data_inicio = limitarTexto(req.body?.data_inicio, 10);
-    const data_fim = limitarTexto(req.body?.data_fim, 10);
+      const { data: obras, error: errObras } = await qObras;
 
-    if (!nome) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Informe o nome da quinzena" });
-    }
+      if (errObras) {
+        logger.erro("GET /relatorios/obras obras error:", errObras);
+        throw new ErroApi("Falha ao listar obras do relatório");
+      }
 
-    if (!data_inicio || !data_fim) {
-      return res.status(400).json({
-        ok: false,
-        error: "Informe data_inicio e data_fim",
-      });
-    }
+      const obrasVisiveis = await filtrarObrasVisiveis(
+        usuario,
+        obras || [],
+        req,
+      );
 
-    if (data_inicio > data_fim) {
-      return res.status(400).json({
-        ok: false,
-        error: "A data início não pode ser maior que a data fim",
-      });
-    }
+      const obrasList = (obrasVisiveis || []).filter(
+        (o) => String(o.situacao || "ativo").toLowerCase() === "ativo",
+      );
 
-    const { data: existente, error: errExist } = await supabaseAdmin
-      .from("cadastro_quinzena")
-      .select("id")
-      .eq("data_inicio", data_inicio)
-      .eq("data_fim", data_fim)
-      .limit(1);
+      const obraIds = obrasList.map((o) => o.id);
 
-    if (errExist) {
-      console.error("POST /quinzenas check existente error:", errExist);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao validar quinzena existente",
-      });
-    }
+      if (!obraIds.length) {
+        await registrarLog({
+          req,
+          usuario,
+          acao: "VIEW",
+          tabela: "relatorios_obras",
+          depois: { inicio, fim, total_obras: 0 },
+          observacao: "Consultou relatório por obras sem obras disponíveis",
+        });
 
-    if (existente && existente.length > 0) {
-      return res.status(409).json({
-        ok: false,
-        error: "Já existe uma quinzena com esse mesmo período",
-      });
-    }
+        if (formato !== "json") {
+          return enviarPlanilha(res, {
+            formato,
+            nomeArquivo: `obras_${inicio}_${fim}`,
+            planilha: "Obras",
+            colunas: COLUNAS_EXPORTACAO_PAGAMENTO,
+            linhas: linhasExportacaoPagamento(
+              calcularPagamento({}),
+              inicio,
+              fim,
+            ),
+          });
+        }
 
-    const payload = {
-      nome,
-      data_inicio,
-      data_fim,
-    };
+        return res.json({
+          ok: true,
+          obras: [],
+          funcionarios: [],
+          diarias: [],
+          ajustes: [],
+          empreitas: [],
+        });
+      }
 
-    const { data, error } = await supabaseAdmin
-      .from("cadastro_quinzena")
-      .insert(payload)
-      .select("id, nome, data_inicio, data_fim, created_at, updated_at")
-      .single();
+      const { data: diarias, error: errDiarias } = await supabaseAdmin
+        .from("lanc_diarias")
+        .select("obra_id, funcionario_id, data, qtd, valor_diaria_aplicado")
+        .in("obra_id", obraIds)
+        .gte("data", inicio)
+        .lte("data", fim);
 
-    if (error) {
-      console.error("POST /quinzenas error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao cadastrar quinzena" });
-    }
+      if (errDiarias) {
+        logger.erro("GET /relatorios/obras diarias error:", errDiarias);
+        throw new ErroApi("Falha ao buscar diárias do relatório");
+      }
 
-    const depois = await getQuinzenaById(data.id);
+      const { data: ajustes, error: errAjustes } = await supabaseAdmin
+        .from("lanc_diarias_ajustes")
+        .select("obra_id, funcionario_id, data_inicio, reembolso, adiantamento")
+        .in("obra_id", obraIds)
+        .gte("data_inicio", inicio)
+        .lte("data_inicio", fim);
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "INSERT",
-      tabela: "cadastro_quinzena",
-      registro_id: data.id,
-      depois,
-      observacao: `Criou quinzena ${nome}`,
-    });
+      if (errAjustes) {
+        logger.erro("GET /relatorios/obras ajustes error:", errAjustes);
+        throw new ErroApi("Falha ao buscar ajustes do relatório");
+      }
 
-    return res.status(201).json({ ok: true, data });
-  } catch (err) {
-    console.error("POST /quinzenas exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const { data: empreitas, error: errEmpreitas } = await supabaseAdmin
+        .from("empreitas")
+        .select("obra_id, funcionario_id, data_pagamento, valor")
+        .in("obra_id", obraIds)
+        .gte("data_pagamento", inicio)
+        .lte("data_pagamento", fim);
 
-app.put("/quinzenas/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      if (errEmpreitas) {
+        logger.erro("GET /relatorios/obras empreitas error:", errEmpreitas);
+        throw new ErroApi("Falha ao buscar empreitas do relatório");
+      }
 
-    if (!(isAdmin(usuario) || isFinanceiro(usuario))) {
-      return deny(
-        res,
-        "Apenas administrador ou financeiro pode editar quinzena",
+      const funcIdsSet = new Set();
+      (diarias || []).forEach(
+        (r) => r?.funcionario_id && funcIdsSet.add(r.funcionario_id),
+      );
+      (ajustes || []).forEach(
+        (r) => r?.funcionario_id && funcIdsSet.add(r.funcionario_id),
+      );
+      (empreitas || []).forEach(
+        (r) => r?.funcionario_id && funcIdsSet.add(r.funcionario_id),
       );
-    }
-
-    const id = String(req.params.id || "").trim();
-    const antes = await getQuinzenaById(id);
-
-    const nome = String(req.body?.nome || "").trim();
-    const data_inicio = String(req.body?.data_inicio || "").trim();
-    const data_fim = String(req.body?.data_fim || "").trim();
 
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+      const funcIds = [...funcIdsSet];
+      let funcionarios = [];
 
-    if (!nome) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Informe o nome da quinzena" });
-    }
+      if (funcIds.length > 0) {
+        const { data: funcs, error: errFuncs } = await supabaseAdmin
+          .from("cadastro_func")
+          .select(
+            "id, nome, funcao, razao_social, titular_conta, cpf, cnpj, rg, banco, agencia, conta, chave_pix_tipo, chave_pix, situacao, deleted_at",
+          )
+          .in("id", funcIds)
+          .order("nome", { ascending: true });
 
-    if (!data_inicio || !data_fim) {
-      return res.status(400).json({
-        ok: false,
-        error: "Informe data_inicio e data_fim",
-      });
-    }
+        if (errFuncs) {
+          logger.erro("GET /relatorios/obras funcionarios error:", errFuncs);
+          throw new ErroApi("Falha ao listar funcionários do relatório");
+        }
 
-    if (data_inicio > data_fim) {
-      return res.status(400).json({
-        ok: false,
-        error: "A data início não pode ser maior que a data fim",
-      });
-    }
+        funcionarios = funcs || [];
+      }
 
-    const { data: existente, error: errExist } = await supabaseAdmin
-      .from("cadastro_quinzena")
-      .select("id")
-      .eq("data_inicio", data_inicio)
-      .eq("data_fim", data_fim)
-      .neq("id", id)
-      .limit(1);
+      const movimento = {
+        funcionarios,
+        obras: obrasList,
+        diarias: diarias || [],
+        ajustes: ajustes || [],
+        empreitas: empreitas || [],
+      };
+      const relatorio =
+        excluidos === "incluir" ? movimento : semExcluidos(movimento);
 
-    if (errExist) {
-      console.error("PUT /quinzenas/:id check existente error:", errExist);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao validar quinzena existente",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "VIEW",
+        tabela: "relatorios_obras",
+        depois: {
+          inicio,
+          fim,
+          total_obras: relatorio.obras.length,
+          total_funcionarios: relatorio.funcionarios.length,
+          total_diarias: relatorio.diarias.length,
+          total_ajustes: relatorio.ajustes.length,
+          total_empreitas: relatorio.empreitas.length,
+          formato,
+        },
+        observacao: "Consultou relatório por obras",
       });
-    }
 
-    if (existente && existente.length > 0) {
-      return res.status(409).json({
-        ok: false,
-        error: "Já existe outra quinzena com esse mesmo período",
-      });
-    }
+      if (formato !== "json") {
+        return enviarPlanilha(res, {
+          formato,
+          nomeArquivo: `obras_${inicio}_${fim}`,
+          planilha: "Obras",
+          colunas: COLUNAS_EXPORTACAO_PAGAMENTO,
+          linhas: linhasExportacaoPagamento(
+            calcularPagamento(relatorio),
+            inicio,
+            fim,
+          ),
+        });
+      }
 
-    const payload = {
-      nome,
-      data_inicio,
-      data_fim,
-    };
+      return res.json({ ok: true, ...relatorio });
+    }),
+  );
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_quinzena")
-      .update(payload)
-      .eq("id", id);
+  // ==================================================
+  // LOGS DO SISTEMA (AUDITORIA)
+  // ==================================================
+  const esquemaFiltroLogs = esquema(
+    {
+      usuario_id: v.uuid(),
+      tabela: v.texto({ max: 80 }),
+      registro_id: v.texto({ max: 80 }),
+      acao: v.texto({ max: 30, maiusculo: true }),
+      rota: v.texto({ max: 200 }),
+      request_id: v.texto({ max: 128 }),
+      inicio: v.dataHora(),
+      fim: v.dataHora(),
+      limit: v.numero({ inteiro: true, min: 1 }),
+      cursor: v.texto(),
+    },
+    verificarPeriodo("inicio", "fim"),
+  );
 
-    if (error) {
-      console.error("PUT /quinzenas/:id error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao atualizar quinzena" });
-    }
+  // o cursor volta do cliente e entra no filtro .or() do PostgREST:
+  // só passa created_at ISO e id uuid (aspas/vírgulas mudariam o filtro)
+  const DATA_HORA_ISO =
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})?$/;
 
-    const depois = await getQuinzenaById(id);
+  function decodeCursorLogs(cursor) {
+    const obj = decodeCursor(cursor);
+    if (!obj) return null;
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "UPDATE",
-      tabela: "cadastro_quinzena",
-      registro_id: id,
-      antes,
-      depois,
-      observacao: "Atualizou quinzena",
-    });
+    const valido =
+      typeof obj.v === "string" &&
+      DATA_HORA_ISO.test(obj.v) &&
+      !Number.isNaN(Date.parse(obj.v)) &&
+      isUuid(obj.id);
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("PUT /quinzenas/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
+    return valido ? obj : null;
   }
-});
-
-app.delete("/quinzenas/:id", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
 
-    if (!isAdmin(usuario)) {
-      return deny(res, "Apenas administrador pode excluir quinzena");
-    }
-
-    const id = String(req.params.id || "").trim();
-    if (!isUuid(id)) {
-      return res.status(400).json({ ok: false, error: "id inválido (UUID)" });
-    }
+  const esquemaHistoricoRegistro = esquema({
+    tabela: v.texto({ max: 80, obrigatorio: true }),
+    id: v.texto({ max: 80, obrigatorio: true }),
+  });
 
-    const antes = await getQuinzenaById(id);
+  app.get(
+    "/logs",
+    requireAuth,
+    requirePermission("logs:read"),
+    validarRequisicao({ query: esquemaFiltroLogs }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
+
+      const {
+        usuario_id,
+        tabela,
+        registro_id,
+        acao,
+        rota,
+        request_id,
+        inicio,
+        fim,
+      } = req.validado.query;
+      const limit = normLimit(req.validado.query.limit);
 
-    const { error } = await supabaseAdmin
-      .from("cadastro_quinzena")
-      .delete()
-      .eq("id", id);
+      const cursor = decodeCursorLogs(req.validado.query.cursor);
+      if (req.validado.query.cursor && !cursor) {
+        throw new ErroValidacao([
+          { campo: "cursor", mensagem: "cursor inválido" },
+        ]);
+      }
 
-    if (error) {
-      console.error("DELETE /quinzenas/:id error:", error);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Falha ao excluir quinzena" });
-    }
+      let q = supabaseAdmin
+        .from("logs_sistema")
+        .select(
+          "id, created_at, usuario_id, usuario_nome, usuario_email, nivel_acesso, acao, tabela, registro_id, antes, depois, diferencas, rota, metodo, ip, navegador, observacao, request_id",
+        )
+        .order("created_at", { ascending: false })
+        .order("id", { ascending: false })
+        .limit(limit + 1);
+
+      if (usuario_id) q = q.eq("usuario_id", usuario_id);
+      if (tabela) q = q.eq("tabela", tabela);
+      if (registro_id) q = q.eq("registro_id", registro_id);
+      if (acao) q = q.eq("acao", acao);
+      if (rota) q = q.ilike("rota", `%${rota}%`);
+      if (request_id) q = q.eq("request_id", request_id);
+      if (inicio) q = q.gte("created_at", inicio);
+      if (fim) {
+        q = q.lte(
+          "created_at",
+          fim.length === 10 ? `${fim}T23:59:59.999` : fim,
+        );
+      }
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "DELETE",
-      tabela: "cadastro_quinzena",
-      registro_id: id,
-      antes,
-      depois: null,
-      observacao: "Excluiu quinzena",
-    });
+      if (cursor) {
+        q = q.or(
+          `created_at.lt."${cursor.v}",and(created_at.eq."${cursor.v}",id.lt."${cursor.id}")`,
+        );
+      }
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("DELETE /quinzenas/:id exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+      const { data, error } = await q;
 
-// ==================================================
-// RELATÓRIO POR OBRAS
-// ==================================================
-app.get("/relatorios/obras", requireAuth, async (req, res) => {
-  try {
-    const usuario = await getUsuarioLogado(req.authUser.id);
+      if (error) {
+        logger.erro("GET /logs error:", error);
+        throw new ErroApi("Falha ao consultar logs");
+      }
 
-    const inicio = String(req.query?.inicio || "").trim();
-    const fim = String(req.query?.fim || "").trim();
+      const rows = data || [];
+      const pagina = rows.slice(0, limit);
+      const ultimo = pagina[pagina.length - 1];
+      const next_cursor =
+        rows.length > limit && ultimo
+          ? encodeCursor(ultimo.created_at, ultimo.id)
+          : null;
 
-    if (!inicio || !fim) {
-      return res.status(400).json({
-        ok: false,
-        error: "Informe inicio e fim no formato YYYY-MM-DD",
+      await registrarLog({
+        req,
+        usuario,
+        acao: "LIST",
+        tabela: "logs_sistema",
+        depois: {
+          usuario_id,
+          tabela,
+          registro_id,
+          acao,
+          rota,
+          request_id,
+          inicio,
+          fim,
+          total: pagina.length,
+        },
+        observacao: "Consultou logs do sistema",
       });
-    }
 
-    if (
-      !(isAdmin(usuario) || isFinanceiro(usuario) || isEncarregado(usuario))
-    ) {
-      return deny(
-        res,
-        "Apenas administrador, financeiro ou encarregado pode acessar relatório por obras",
-      );
-    }
+      return res.json({ ok: true, data: pagina, next_cursor });
+    }),
+  );
 
-    const { data: obras, error: errObras } = await supabaseAdmin
-      .from("cadastro_obra")
-      .select("id, nome, cidade, uf, situacao, responsavel")
-      .order("nome", { ascending: true });
+  app.get(
+    "/logs/registro/:tabela/:id",
+    requireAuth,
+    requirePermission("logs:read"),
+    validarRequisicao({ params: esquemaHistoricoRegistro }),
+    rotaAsync(async (req, res) => {
+      const usuario = req.usuario;
 
-    if (errObras) {
-      console.error("GET /relatorios/obras obras error:", errObras);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao listar obras do relatório",
-      });
-    }
+      const { tabela, id: registro_id } = req.validado.params;
 
-    const obrasVisiveis = await filtrarObrasVisiveis(usuario, obras || []);
+      const { data, error } = await supabaseAdmin
+        .from("logs_sistema")
+        .select(
+          "id, created_at, usuario_id, usuario_nome, nivel_acesso, acao, antes, depois, diferencas, rota, metodo, observacao, request_id",
+        )
+        .eq("tabela", tabela)
+        .eq("registro_id", registro_id)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true });
+
+      if (error) {
+        logger.erro("GET /logs/registro/:tabela/:id error:", error);
+        throw new ErroApi("Falha ao consultar histórico");
+      }
 
-    const obrasList = (obrasVisiveis || []).filter(
-      (o) => String(o.situacao || "ativo").toLowerCase() === "ativo",
-    );
+      // Reconstrói o estado do registro evento a evento a partir das
+      // diferencas gravadas. Consultas (VIEW/LIST) não alteram o estado.
+      let estado = null;
+
+      const eventos = (data || [])
+        .filter((log) => log.diferencas || log.acao === "DELETE")
+        .map((log) => {
+          if (log.acao === "DELETE" && !log.depois) {
+            estado = null;
+          } else {
+            estado = aplicarDiferencas(estado ?? log.antes, log.diferencas);
+          }
 
-    const obraIds = obrasList.map((o) => o.id);
+          return {
+            id: log.id,
+            created_at: log.created_at,
+            acao: log.acao,
+            usuario_id: log.usuario_id,
+            usuario_nome: log.usuario_nome,
+            nivel_acesso: log.nivel_acesso,
+            rota: log.rota,
+            metodo: log.metodo,
+            observacao: log.observacao,
+            diferencas: log.diferencas,
+            estado,
+          };
+        });
 
-    if (!obraIds.length) {
       await registrarLog({
         req,
         usuario,
         acao: "VIEW",
-        tabela: "relatorios_obras",
-        depois: { inicio, fim, total_obras: 0 },
-        observacao: "Consultou relatório por obras sem obras disponíveis",
+        tabela: "logs_sistema",
+        depois: { tabela, registro_id, total: eventos.length },
+        observacao: "Consultou histórico de registro",
       });
 
       return res.json({
         ok: true,
-        obras: [],
-        funcionarios: [],
-        diarias: [],
-        ajustes: [],
-        empreitas: [],
+        data: {
+          tabela,
+          registro_id,
+          estado_atual: estado,
+          eventos,
+        },
       });
-    }
+    }),
+  );
 
-    const { data: diarias, error: errDiarias } = await supabaseAdmin
-      .from("lanc_diarias")
-      .select("obra_id, funcionario_id, data, qtd, valor_diaria_aplicado")
-      .in("obra_id", obraIds)
-      .gte("data", inicio)
-      .lte("data", fim);
+  // ==================================================
+  // DOCUMENTAÇÃO (OPENAPI)
+  // - /openapi.json é montado das rotas registradas (ver
+  //   utils/openapi.js); aqui só o resumo de cada uma
+  // - toda rota nova precisa de uma linha aqui: na subida
+  //   a API avisa no console as que faltarem
+  // ==================================================
+  const ROTAS_DOCUMENTADAS = {
+    "GET /health": { resumo: "Situação da API" },
+    "GET /openapi.json": { resumo: "Esta especificação" },
+    "GET /docs": { resumo: "Documentação interativa" },
+    "GET /docs/iniciar.js": { resumo: "Script que abre o Swagger UI no /docs" },
+    "GET /me": { resumo: "Usuário logado e suas permissões" },
+
+    "GET /usuarios/responsaveis": { resumo: "Responsáveis que podem ter obra" },
+    "GET /usuarios": { resumo: "Listar usuários", listagem: LISTAGEM_USUARIOS },
+    "GET /usuarios/:id": { resumo: "Consultar usuário" },
+    "GET /usuarios/:id/permissoes": { resumo: "Permissões de um usuário" },
+    "GET /usuarios/:id/obras": { resumo: "Obras visíveis a um usuário" },
+    "POST /usuarios": { resumo: "Cadastrar usuário", erros: [409] },
+    "PATCH /usuarios/:id": { resumo: "Editar usuário", erros: [409] },
+    "DELETE /usuarios/:id": { resumo: "Excluir usuário", erros: [409] },
+    "POST /usuarios/:id/restaurar": {
+      resumo: "Restaurar usuário excluído",
+      erros: [409],
+    },
 
-    if (errDiarias) {
-      console.error("GET /relatorios/obras diarias error:", errDiarias);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao buscar diárias do relatório",
-      });
-    }
+    "GET /funcionarios": {
+      resumo: "Listar funcionários",
+      listagem: LISTAGEM_FUNCIONARIOS,
+    },
+    "GET /funcionarios/check-cpf/:cpf": {
+      resumo: "Verificar se o CPF já existe",
+    },
+    "GET /funcionarios/:id": { resumo: "Consultar funcionário" },
+    "GET /funcionarios/:id/holerite": { resumo: "Holerite em PDF" },
+    "POST /funcionarios": { resumo: "Cadastrar funcionário", erros: [409] },
+    "POST /funcionarios/importar": {
+      resumo: "Importar funcionários de planilha (CSV/XLSX)",
+    },
+    "PUT /funcionarios/:id": { resumo: "Editar funcionário", erros: [409] },
+    "PATCH /funcionarios/:id": {
+      resumo: "Editar campos do funcionário",
+      erros: [409],
+    },
+    "DELETE /funcionarios/:id": { resumo: "Excluir funcionário", erros: [409] },
+    "POST /funcionarios/:id/restaurar": {
+      resumo: "Restaurar funcionário excluído",
+      erros: [409],
+    },
+    "GET /funcionarios/:id/valor-diaria": {
+      resumo: "Histórico do valor da diária",
+    },
+    "POST /funcionarios/:id/valor-diaria": {
+      resumo: "Registrar valor da diária com vigência",
+      erros: [409, 423],
+    },
+    "DELETE /funcionarios/:id/valor-diaria/:vigencia_id": {
+      resumo: "Cancelar reajuste agendado",
+      erros: [409],
+    },
+    "GET /funcionarios-vinculados": { resumo: "Funcionários com obra" },
 
-    const { data: ajustes, error: errAjustes } = await supabaseAdmin
-      .from("lanc_diarias_ajustes")
-      .select("obra_id, funcionario_id, data_inicio, reembolso, adiantamento")
-      .in("obra_id", obraIds)
-      .gte("data_inicio", inicio)
-      .lte("data_inicio", fim);
+    "GET /equipe-obra": { resumo: "Equipe de uma obra" },
+    "GET /equipe-obra/todas": { resumo: "Equipes de todas as obras visíveis" },
+    "POST /equipe-obra": { resumo: "Vincular funcionário à obra" },
+    "DELETE /equipe-obra/:id": { resumo: "Remover vínculo com a obra" },
 
-    if (errAjustes) {
-      console.error("GET /relatorios/obras ajustes error:", errAjustes);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao buscar ajustes do relatório",
-      });
-    }
+    "GET /empreiteiros": {
+      resumo: "Listar empreiteiros",
+      listagem: LISTAGEM_EMPREITEIROS,
+    },
+    "GET /empreiteiros/:id": { resumo: "Consultar empreiteiro" },
+    "POST /empreiteiros": { resumo: "Cadastrar empreiteiro" },
+    "PUT /empreiteiros/:id": {
+      resumo: "Editar empreiteiro (lista vazia exclui)",
+    },
 
-    const { data: empreitas, error: errEmpreitas } = await supabaseAdmin
-      .from("empreitas")
-      .select("obra_id, funcionario_id, data_pagamento, valor")
-      .in("obra_id", obraIds)
-      .gte("data_pagamento", inicio)
-      .lte("data_pagamento", fim);
+    "GET /lanc-diarias": { resumo: "Diárias de uma obra no período" },
+    "POST /lanc-diarias": {
+      resumo: "Lançar diárias (upsert por obra, funcionário e dia)",
+      erros: [409, 423],
+    },
+    "DELETE /lanc-diarias": {
+      resumo: "Excluir diárias por chave ou período",
+      erros: [423],
+    },
+    "GET /diarias-ajustes": { resumo: "Ajustes da semana numa obra" },
+    "POST /diarias-ajustes": {
+      resumo: "Salvar ajustes (reembolso/adiantamento)",
+      erros: [423],
+    },
+    "GET /obras/:id/grade": { resumo: "Grade de diárias da obra na quinzena" },
 
-    if (errEmpreitas) {
-      console.error("GET /relatorios/obras empreitas error:", errEmpreitas);
-      return res.status(500).json({
-        ok: false,
-        error: "Falha ao buscar empreitas do relatório",
-      });
-    }
+    "GET /empreitas": {
+      resumo: "Listar empreitas",
+      listagem: LISTAGEM_EMPREITAS,
+    },
+    "GET /empreitas/:id": { resumo: "Consultar empreita" },
+    "POST /empreitas": { resumo: "Lançar empreita", erros: [423] },
+    "PUT /empreitas/:id": { resumo: "Editar empreita", erros: [423] },
+    "DELETE /empreitas/:id": { resumo: "Excluir empreita", erros: [423] },
+
+    "GET /obras": { resumo: "Obras visíveis", listagem: LISTAGEM_OBRAS },
+    "GET /obras/todas": { resumo: "Todas as obras", listagem: LISTAGEM_OBRAS },
+    "GET /obras/:id": { resumo: "Consultar obra" },
+    "POST /obras": { resumo: "Cadastrar obra" },
+    "PUT /obras/:id": { resumo: "Editar obra", erros: [409] },
+    "PATCH /obras/:id": { resumo: "Editar campos da obra", erros: [409] },
+    "DELETE /obras/:id": { resumo: "Excluir obra", erros: [409] },
+    "POST /obras/:id/restaurar": {
+      resumo: "Restaurar obra excluída",
+      erros: [409],
+    },
+    "GET /obras/:id/usuarios": {
+      resumo: "Usuários atribuídos à obra",
+      erros: [409],
+    },
+    "POST /obras/:id/usuarios": {
+      resumo: "Atribuir usuário à obra",
+      erros: [409],
+    },
+    "DELETE /obras/:id/usuarios/:usuario_id": {
+      resumo: "Remover usuário da obra",
+    },
 
-    const funcIdsSet = new Set();
-    (diarias || []).forEach(
-      (r) => r?.funcionario_id && funcIdsSet.add(r.funcionario_id),
-    );
-    (ajustes || []).forEach(
-      (r) => r?.funcionario_id && funcIdsSet.add(r.funcionario_id),
-    );
-    (empreitas || []).forEach(
-      (r) => r?.funcionario_id && funcIdsSet.add(r.funcionario_id),
-    );
+    "GET /quinzenas": {
+      resumo: "Listar quinzenas",
+      listagem: LISTAGEM_QUINZENAS,
+    },
+    "POST /quinzenas": { resumo: "Cadastrar quinzena", erros: [409] },
+    "PUT /quinzenas/:id": { resumo: "Editar quinzena", erros: [409, 423] },
+    "DELETE /quinzenas/:id": { resumo: "Excluir quinzena", erros: [409, 423] },
+    "POST /quinzenas/:id/restaurar": {
+      resumo: "Restaurar quinzena excluída",
+      erros: [409],
+    },
+    "POST /quinzenas/:id/fechar": { resumo: "Fechar quinzena", erros: [409] },
+    "POST /quinzenas/:id/reabrir": { resumo: "Reabrir quinzena", erros: [409] },
+    "GET /quinzenas/:id/remessa/validacao": {
+      resumo: "Conferir remessa de pagamento",
+    },
+    "POST /quinzenas/:id/remessa": {
+      resumo: "Gerar remessa CNAB 240",
+      erros: [409],
+    },
+    "GET /quinzenas/:id/holerites": { resumo: "Holerites da quinzena (ZIP)" },
+
+    "GET /relatorios/pagamento": { resumo: "Relatório de pagamento" },
+    "GET /relatorios/obras": { resumo: "Relatório por obras" },
+    "GET /logs": { resumo: "Consultar logs do sistema" },
+    "GET /logs/registro/:tabela/:id": { resumo: "Histórico de um registro" },
+  };
+
+  let especificacao = null;
+
+  app.get("/openapi.json", (req, res) => {
+    especificacao ||= gerarOpenApi(app, {
+      info: {
+        title: "CNX API",
+        version: process.env.npm_package_version || "1.0.0",
+        description:
+          "Erros vêm como { ok: false, error, code, request_id } (schema Erro; validação: também erros[]). Decida pelo code, não pelo texto de error. Valores em centavos têm o sufixo _centavos.",
+      },
+      rotas: ROTAS_DOCUMENTADAS,
+      requireAuth,
+      permissoes: PERMISSOES,
+      niveis: niveisComPermissao,
+    });
 
-    const funcIds = [...funcIdsSet];
-    let funcionarios = [];
+    res.json(especificacao);
+  });
 
-    if (funcIds.length > 0) {
-      const { data: funcs, error: errFuncs } = await supabaseAdmin
-        .from("cadastro_func")
-        .select(
-          "id, nome, funcao, razao_social, titular_conta, cpf, rg, banco, agencia, conta, chave_pix, situacao",
-        )
-        .in("id", funcIds)
-        .order("nome", { ascending: true });
+  // Swagger UI servido do pacote swagger-ui-dist, sem CDN nem script
+  // inline: a CSP padrão do helmet vale também aqui
+  app.use(
+    "/docs/ui",
+    express.static(caminhoSwaggerUi(), { index: false, maxAge: "1d" }),
+  );
 
-      if (errFuncs) {
-        console.error("GET /relatorios/obras funcionarios error:", errFuncs);
-        return res.status(500).json({
-          ok: false,
-          error: "Falha ao listar funcionários do relatório",
-        });
-      }
+  app.get("/docs/iniciar.js", (req, res) => {
+    res
+      .type("js")
+      .send('SwaggerUIBundle({ url: "/openapi.json", dom_id: "#docs" });');
+  });
 
-      funcionarios = funcs || [];
-    }
+  app.get("/docs", (req, res) => {
+    res.type("html").send(`<!doctype html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8" />
+  <title>CNX API</title>
+  <link rel="stylesheet" href="/docs/ui/swagger-ui.css" />
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="/docs/ui/swagger-ui-bundle.js"></script>
+  <script src="/docs/iniciar.js"></script>
+</body>
+</html>`);
+  });
 
-    await registrarLog({
-      req,
-      usuario,
-      acao: "VIEW",
-      tabela: "relatorios_obras",
-      depois: {
-        inicio,
-        fim,
-        total_obras: obrasList.length,
-        total_funcionarios: funcionarios.length,
-        total_diarias: (diarias || []).length,
-        total_ajustes: (ajustes || []).length,
-        total_empreitas: (empreitas || []).length,
-      },
-      observacao: "Consultou relatório por obras",
-    });
+  // ==================================================
+  // ERROS
+  // - depois de todas as rotas: caminho sem rota vira 404
+  //   e o que as rotas lançam (ou passam ao next) é
+  //   respondido pelo tratarErros
+  // ==================================================
+  app.use(rotaNaoEncontrada);
+  app.use(tratarErros);
 
-    return res.json({
-      ok: true,
-      obras: obrasList,
-      funcionarios,
-      diarias: diarias || [],
-      ajustes: ajustes || [],
-      empreitas: empreitas || [],
-    });
-  } catch (err) {
-    console.error("GET /relatorios/obras exception:", err);
-    return res.status(500).json({ ok: false, error: "Erro interno" });
-  }
-});
+  // lido pelo conferirRotasDocumentadas
+  app.locals.rotasDocumentadas = ROTAS_DOCUMENTADAS;
 
-// ==================================================
-// START
-// ==================================================
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`✅ API rodando na porta ${PORT}`));
+  return app;
+}
+
+export function conferirRotasDocumentadas(app) {
+  return conferirDocumentacao(app, app.locals.rotasDocumentadas);
+}
@@ -1,24 +1,59 @@
-import { supabaseAdmin } from "../supabaseAdmin.js";
+import {
+  ErroApi,
+  ErroNaoAutenticado,
+  ErroSemPermissao,
+} from "../utils/erros.js";
+import { logger } from "../utils/logger.js";
 
-export async function requireAuth(req, res, next) {
-  try {
-    const header = req.headers.authorization || "";
-    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+// Valida o token e carrega, uma vez por requisição, o perfil do
+// cadastro_user em req.usuario; usuário inativo ou excluído não passa.
+// Um por app (criarApp), com o cliente supabase dela.
+export function criarRequireAuth(supabaseAdmin) {
+  return async function requireAuth(req, res, next) {
+    try {
+      const header = req.headers.authorization || "";
+      const token = header.startsWith("Bearer ") ? header.slice(7) : null;
 
-    if (!token) {
-      return res.status(401).json({ error: "Token ausente" });
-    }
+      if (!token) {
+        return next(new ErroNaoAutenticado("Token ausente"));
+      }
 
-    const { data, error } = await supabaseAdmin.auth.getUser(token);
+      const { data, error } = await supabaseAdmin.auth.getUser(token);
 
-    if (error || !data?.user) {
-      return res.status(401).json({ error: "Token inválido" });
-    }
+      if (error || !data?.user) {
+        return next(new ErroNaoAutenticado("Token inválido"));
+      }
+
+      const { data: usuario, error: perfilErr } = await supabaseAdmin
+        .from("cadastro_user")
+        .select("id, nome, email, nivel_acesso, situacao, deleted_at")
+        .eq("id", data.user.id)
+        .maybeSingle();
+
+      if (perfilErr) {
+        logger.erro("requireAuth cadastro_user error:", perfilErr);
+        return next(new ErroApi("Erro interno no auth"));
+      }
 
-    req.authUser = data.user;
-    next();
-  } catch (err) {
-    console.error("requireAuth error:", err);
-    return res.status(500).json({ error: "Erro interno no auth" });
-  }
+      if (!usuario || usuario.deleted_at) {
+        return next(
+          new ErroSemPermissao("Perfil não encontrado no cadastro_user", {
+            code: "PERFIL_NAO_ENCONTRADO",
+          }),
+        );
+      }
+
+      if (String(usuario.situacao || "").toLowerCase() !== "ativo") {
+        return next(
+          new ErroSemPermissao("Usuário inativo", { code: "USUARIO_INATIVO" }),
+        );
+      }
+
+      req.authUser = data.user;
+      req.usuario = usuario;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
 }
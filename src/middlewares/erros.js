@@ -0,0 +1,69 @@
+import { ErroApi } from "../utils/erros.js";
+import { logger } from "../utils/logger.js";
+
+// Express 4 não repassa a rejeição de handler async ao next();
+// toda rota async passa por aqui.
+export function rotaAsync(handler) {
+  return (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Erros de parse do express.json / express.raw (body-parser).
+const ERROS_CORPO = {
+  "entity.parse.failed": {
+    status: 400,
+    code: "JSON_INVALIDO",
+    error: "JSON inválido no corpo da requisição",
+  },
+  "entity.too.large": {
+    status: 413,
+    code: "CORPO_GRANDE_DEMAIS",
+    error: "Corpo da requisição grande demais",
+  },
+  "encoding.unsupported": {
+    status: 415,
+    code: "CODIFICACAO_NAO_SUPORTADA",
+    error: "Codificação do corpo não suportada",
+  },
+};
+
+export function rotaNaoEncontrada(req, res) {
+  return res.status(404).json({
+    ok: false,
+    error: `Rota não encontrada: ${req.method} ${req.path}`,
+    code: "ROTA_NAO_ENCONTRADA",
+  });
+}
+
+// Último middleware do app: ErroApi vira a resposta com seu status e
+// code; o resto é erro inesperado, vai para o log e responde 500.
+export function tratarErros(err, req, res, next) {
+  const corpo = ERROS_CORPO[err?.type];
+
+  // ErroApi de 500 com mensagem própria já foi registrado por quem lançou
+  if (!(err instanceof ErroApi) && !corpo) {
+    const rota = req.route ? `${req.baseUrl}${req.route.path}` : req.path;
+    logger.erro(`${req.method} ${rota} exception:`, err);
+  }
+
+  // resposta já começou (ex.: zip em streaming): o express derruba a conexão
+  if (res.headersSent) return next(err);
+
+  if (err instanceof ErroApi) {
+    return res.status(err.status).json({
+      ok: false,
+      error: err.message,
+      code: err.code,
+      ...err.detalhes,
+    });
+  }
+
+  if (corpo) {
+    const { status, ...resto } = corpo;
+    return res.status(status).json({ ok: false, ...resto });
+  }
+
+  return res
+    .status(500)
+    .json({ ok: false, error: "Erro interno", code: "ERRO_INTERNO" });
+}
@@ -0,0 +1,200 @@
+import { createHash } from "node:crypto";
+import { ErroApi, ErroConflito, ErroValidacao } from "../utils/erros.js";
+import { logger } from "../utils/logger.js";
+
+// --------------------------------------------------
+// IDEMPOTENCY-KEY
+// - usar depois de requireAuth nos POST que criam
+//   registro: com o header, a primeira requisição
+//   reserva a chave (por usuário) e a resposta 2xx fica
+//   gravada em requisicao_idempotente
+// - reenvio com a mesma chave e o mesmo corpo devolve a
+//   resposta gravada (header Idempotent-Replayed: true);
+//   corpo ou rota diferente = 422, ainda em andamento =
+//   409
+// - resposta de erro libera a chave para nova tentativa;
+//   reserva em andamento há mais de EM_ANDAMENTO_MS
+//   (processo caiu antes de responder) é abandonada e
+//   pode ser refeita
+// - chaves valem IDEMPOTENCIA_HORAS (padrão 24h)
+// - um por app (criarApp), com o cliente supabase dela
+// --------------------------------------------------
+const TABELA = "requisicao_idempotente";
+const CHAVE_VALIDA = /^[\w.:-]{1,255}$/;
+const INTERVALO_LIMPEZA_MS = 60 * 60 * 1000;
+const EM_ANDAMENTO_MS = 5 * 60 * 1000;
+
+function validadeMs() {
+  const horas = Number(process.env.IDEMPOTENCIA_HORAS);
+  return (Number.isFinite(horas) && horas > 0 ? horas : 24) * 60 * 60 * 1000;
+}
+
+function hashCorpo(corpo) {
+  return createHash("sha256")
+    .update(JSON.stringify(corpo ?? null))
+    .digest("hex");
+}
+
+export function criarIdempotencia(supabaseAdmin) {
+  let proximaLimpeza = 0;
+
+  // apaga as chaves vencidas no máximo 1x por hora
+  async function limparVencidas() {
+    if (Date.now() < proximaLimpeza) return;
+    proximaLimpeza = Date.now() + INTERVALO_LIMPEZA_MS;
+
+    const { error } = await supabaseAdmin
+      .from(TABELA)
+      .delete()
+      .lt("expira_em", new Date().toISOString());
+
+    if (error) {
+      logger.erro("limparVencidas idempotencia error:", error);
+      proximaLimpeza = 0;
+    }
+  }
+
+  // { reservada: true } ou { existente } quando a chave já foi usada
+  async function reservarChave(linha) {
+    const { error } = await supabaseAdmin.from(TABELA).insert(linha);
+    if (!error) return { reservada: true };
+    if (error.code !== "23505") return { error };
+
+    const { data: existente, error: errExist } = await supabaseAdmin
+      .from(TABELA)
+      .select("rota, hash_corpo, status, resposta, created_at, expira_em")
+      .eq("usuario_id", linha.usuario_id)
+      .eq("chave", linha.chave)
+      .maybeSingle();
+
+    if (errExist) return { error: errExist };
+
+    // vencida (e ainda não limpa), em andamento abandonada ou apagada
+    // entre o insert e o select
+    const abandonada =
+      existente?.status === null &&
+      existente.rota === linha.rota &&
+      existente.hash_corpo === linha.hash_corpo &&
+      Date.now() - Date.parse(existente.created_at) > EM_ANDAMENTO_MS;
+
+    if (
+      !existente ||
+      abandonada ||
+      existente.expira_em < new Date().toISOString()
+    ) {
+      await supabaseAdmin
+        .from(TABELA)
+        .delete()
+        .eq("usuario_id", linha.usuario_id)
+        .eq("chave", linha.chave);
+
+      const { error: errNovo } = await supabaseAdmin.from(TABELA).insert(linha);
+
+      // outro reenvio reservou primeiro
+      if (errNovo?.code === "23505") {
+        return { existente: { ...linha, status: null } };
+      }
+      return errNovo ? { error: errNovo } : { reservada: true };
+    }
+
+    return { existente };
+  }
+
+  async function aceitarIdempotencia(req, res, next) {
+    try {
+      const chave = req.headers["idempotency-key"];
+      if (chave === undefined) return next();
+
+      if (!CHAVE_VALIDA.test(chave)) {
+        return next(
+          new ErroValidacao(
+            "Idempotency-Key inválida (até 255 letras, números, . _ : -)",
+          ),
+        );
+      }
+
+      limparVencidas().catch((err) =>
+        logger.erro("limparVencidas idempotencia exception:", err),
+      );
+
+      const linha = {
+        usuario_id: req.usuario.id,
+        chave,
+        rota: `${req.method} ${req.baseUrl}${req.path}`,
+        hash_corpo: hashCorpo(req.body),
+        expira_em: new Date(Date.now() + validadeMs()).toISOString(),
+      };
+
+      const { reservada, existente, error } = await reservarChave(linha);
+
+      if (error) {
+        logger.erro("aceitarIdempotencia reserva error:", error);
+        return next(new ErroApi("Falha ao registrar a Idempotency-Key"));
+      }
+
+      if (!reservada) {
+        if (
+          existente.rota !== linha.rota ||
+          existente.hash_corpo !== linha.hash_corpo
+        ) {
+          return next(
+            new ErroApi(
+              "Idempotency-Key já usada com outra requisição; gere uma nova chave",
+              { status: 422, code: "IDEMPOTENCIA_DIVERGENTE" },
+            ),
+          );
+        }
+
+        if (existente.status === null) {
+          return next(
+            new ErroConflito(
+              "Requisição com esta Idempotency-Key ainda em andamento",
+              { code: "IDEMPOTENCIA_EM_ANDAMENTO" },
+            ),
+          );
+        }
+
+        res.setHeader("Idempotent-Replayed", "true");
+        return res.status(existente.status).json(existente.resposta);
+      }
+
+      // grava a resposta (2xx) ou libera a chave antes de responder,
+      // para um reenvio logo em seguida já achar o resultado
+      const json = res.json.bind(res);
+      const filtro = (q) =>
+        q.eq("usuario_id", linha.usuario_id).eq("chave", linha.chave);
+
+      res.json = (corpo) => {
+        const sucesso = res.statusCode >= 200 && res.statusCode < 300;
+        const gravacao = sucesso
+          ? filtro(
+              supabaseAdmin
+                .from(TABELA)
+                .update({ status: res.statusCode, resposta: corpo }),
+            )
+          : filtro(supabaseAdmin.from(TABELA).delete());
+
+        Promise.resolve(gravacao)
+          .then(({ error: errGravar }) => {
+            if (errGravar) {
+              logger.erro("aceitarIdempotencia gravar error:", errGravar);
+            }
+          })
+          .catch((err) =>
+            logger.erro("aceitarIdempotencia gravar exception:", err),
+          )
+          .finally(() => json(corpo));
+
+        return res;
+      };
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // lido pela documentação (utils/openapi.js)
+  aceitarIdempotencia.idempotente = true;
+  return aceitarIdempotencia;
+}
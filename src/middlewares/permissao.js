@@ -0,0 +1,25 @@
+import { PERMISSOES, temPermissao } from "../utils/permissoes.js";
+import { ErroSemPermissao } from "../utils/erros.js";
+
+// Usar depois de requireAuth (que carrega req.usuario).
+export function requirePermission(permissao) {
+  if (!PERMISSOES[permissao]) {
+    throw new Error(`Permissão desconhecida: ${permissao}`);
+  }
+
+  const middleware = (req, res, next) => {
+    if (!temPermissao(req.usuario, permissao)) {
+      return next(
+        new ErroSemPermissao(`Sem permissão para ${PERMISSOES[permissao]}`, {
+          detalhes: { permissao },
+        }),
+      );
+    }
+
+    next();
+  };
+
+  // lida pela documentação (utils/openapi.js)
+  middleware.permissao = permissao;
+  return middleware;
+}
@@ -0,0 +1,48 @@
+import { randomUUID } from "node:crypto";
+import { contextoRequisicao, logger } from "../utils/logger.js";
+
+// aceita o id do proxy/cliente só se for curto e sem caracteres
+// que estraguem o log; senão gera um novo
+const ID_VALIDO = /^[\w.:-]{1,128}$/;
+
+// Primeiro middleware do app: dá um id à requisição (X-Request-Id
+// de entrada ou um uuid), devolve no header e no corpo das respostas
+// de erro, guarda o contexto para o logger e, no fim, grava uma
+// linha de acesso com usuário, rota, status e duração.
+export function identificarRequisicao(req, res, next) {
+  const recebido = String(req.headers["x-request-id"] || "").trim();
+  req.id = ID_VALIDO.test(recebido) ? recebido : randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+
+  const inicio = process.hrtime.bigint();
+
+  const json = res.json.bind(res);
+  res.json = (corpo) =>
+    json(
+      res.statusCode >= 400 &&
+        corpo &&
+        typeof corpo === "object" &&
+        !Array.isArray(corpo)
+        ? { ...corpo, request_id: req.id }
+        : corpo,
+    );
+
+  res.on("finish", () => {
+    const status = res.statusCode;
+    logger.evento(status >= 500 ? "error" : status >= 400 ? "warn" : "info", {
+      msg: "requisicao",
+      request_id: req.id,
+      metodo: req.method,
+      // padrão da rota (/obras/:id) agrupa melhor; url traz o real
+      rota: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      url: req.originalUrl,
+      status,
+      duracao_ms:
+        Math.round(Number(process.hrtime.bigint() - inicio) / 1e4) / 100,
+      usuario_id: req.usuario?.id || req.authUser?.id || null,
+      ip: req.ip,
+    });
+  });
+
+  contextoRequisicao.run(req, next);
+}
@@ -0,0 +1,31 @@
+import { ErroValidacao } from "../utils/erros.js";
+import { validar } from "../utils/validacao.js";
+
+// Valida params, query e body contra os esquemas informados e guarda os
+// valores normalizados em req.validado.{params,query,body}.
+// parcial: o body é um PATCH (só valida o que veio).
+// Os esquemas ficam em `.esquemas` para a documentação (utils/openapi.js).
+export function validarRequisicao({ params, query, body, parcial = false }) {
+  const middleware = (req, res, next) => {
+    const erros = [];
+    req.validado = {};
+
+    for (const [origem, esq] of Object.entries({ params, query, body })) {
+      if (!esq) continue;
+
+      const r = validar(esq, req[origem], {
+        parcial: origem === "body" && parcial,
+      });
+
+      req.validado[origem] = r.dados;
+      erros.push(...r.erros);
+    }
+
+    if (erros.length) return next(new ErroValidacao(erros));
+
+    next();
+  };
+
+  middleware.esquemas = { params, query, body, parcial };
+  return middleware;
+}
@@ -0,0 +1,13 @@
+import "dotenv/config";
+import { conferirRotasDocumentadas, criarApp } from "./app.js";
+import { logger } from "./utils/logger.js";
+
+const app = criarApp();
+
+const { semDescricao, semRota } = conferirRotasDocumentadas(app);
+if (semDescricao.length || semRota.length) {
+  logger.aviso("Documentação desatualizada", { semDescricao, semRota });
+}
+
+const PORT = process.env.PORT || 3000;
+app.listen(PORT, () => logger.info(`API rodando na porta ${PORT}`));
@@ -1,16 +1,18 @@
 import { createClient } from "@supabase/supabase-js";
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Cliente com a service role, das envs; criarApp usa este quando
+// não recebe outro (ex.: o de test/support/supabaseMemoria.js).
+export function criarClienteSupabase() {
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  throw new Error("Faltam SUPABASE_URL ou SUPABASE_SERVICE_ROLE_KEY nas envs.");
-}
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error(
+      "Faltam SUPABASE_URL ou SUPABASE_SERVICE_ROLE_KEY nas envs.",
+    );
+  }
 
-export const supabaseAdmin = createClient(
-  SUPABASE_URL,
-  SUPABASE_SERVICE_ROLE_KEY,
-  {
+  return createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
     auth: { persistSession: false },
-  },
-);
+  });
+}
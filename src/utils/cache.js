@@ -0,0 +1,41 @@
+// --------------------------------------------------
+// CACHE EM MEMÓRIA COM VALIDADE
+// - guarda consultas por poucos segundos entre
+//   requisições (cada instância tem o seu)
+// - ao passar de `max` itens, sai o mais antigo
+// - os valores são compartilhados: não alterar
+// --------------------------------------------------
+export function criarCache({ ttlMs = 30_000, max = 1000 } = {}) {
+  const itens = new Map();
+
+  return {
+    get(chave) {
+      const item = itens.get(chave);
+      if (!item) return undefined;
+
+      if (item.expira <= Date.now()) {
+        itens.delete(chave);
+        return undefined;
+      }
+
+      return item.valor;
+    },
+
+    set(chave, valor) {
+      itens.delete(chave);
+      itens.set(chave, { valor, expira: Date.now() + ttlMs });
+
+      if (itens.size > max) {
+        itens.delete(itens.keys().next().value);
+      }
+    },
+
+    apagar(chave) {
+      itens.delete(chave);
+    },
+
+    limpar() {
+      itens.clear();
+    },
+  };
+}
@@ -0,0 +1,285 @@
+// --------------------------------------------------
+// REMESSA CNAB 240 (FEBRABAN 10.11) — PAGAMENTOS
+// - lote PIX: forma de lançamento 45, câmara 009 (SPI),
+//   segmento B com a chave PIX
+// - lote TED: forma de lançamento 41, câmara 018,
+//   segmento B com endereço em branco
+// - todo registro tem exatamente 240 posições
+// --------------------------------------------------
+const FORMAS = {
+  PIX: { formaLancamento: "45", camara: "009" },
+  TED: { formaLancamento: "41", camara: "018" },
+};
+
+const TIPO_CHAVE_PIX = {
+  telefone: "01",
+  email: "02",
+  cpf: "03",
+  cnpj: "03",
+  evp: "04",
+};
+
+function num(v, tamanho) {
+  const s = String(v ?? "").replace(/\D/g, "");
+  if (s.length > tamanho) {
+    throw new Error(`CNAB: valor numérico "${s}" excede ${tamanho} posições`);
+  }
+  return s.padStart(tamanho, "0");
+}
+
+function alfa(v, tamanho) {
+  const s = String(v ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7E]/g, " ")
+    .toUpperCase();
+  return s.slice(0, tamanho).padEnd(tamanho, " ");
+}
+
+// Chave PIX vai como informada (e-mail/EVP minúsculos).
+function chave(v, tamanho) {
+  return String(v ?? "")
+    .slice(0, tamanho)
+    .padEnd(tamanho, " ");
+}
+
+function brancos(tamanho) {
+  return " ".repeat(tamanho);
+}
+
+function registro(campos) {
+  const linha = campos.join("");
+  if (linha.length !== 240) {
+    throw new Error(`CNAB: registro com ${linha.length} posições`);
+  }
+  return linha;
+}
+
+function dataCnab(d) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(d || ""));
+  if (!m) throw new Error(`CNAB: data inválida "${d}"`);
+  return `${m[3]}${m[2]}${m[1]}`;
+}
+
+function tipoInscricao(documento) {
+  return String(documento || "").replace(/\D/g, "").length === 14 ? "2" : "1";
+}
+
+function contaEmpresa(empresa) {
+  return [
+    num(empresa.agencia, 5),
+    alfa(empresa.agencia_dv, 1),
+    num(empresa.conta, 12),
+    alfa(empresa.conta_dv, 1),
+    brancos(1),
+  ].join("");
+}
+
+function headerArquivo(empresa, { nsa, geradoEm }) {
+  const iso = geradoEm.toISOString();
+  const data = dataCnab(iso.slice(0, 10));
+  const hora = iso.slice(11, 19).replace(/:/g, "");
+
+  return registro([
+    num(empresa.banco, 3),
+    "0000",
+    "0",
+    brancos(9),
+    "2",
+    num(empresa.cnpj, 14),
+    alfa(empresa.convenio, 20),
+    contaEmpresa(empresa),
+    alfa(empresa.nome, 30),
+    alfa(empresa.banco_nome, 30),
+    brancos(10),
+    "1",
+    data,
+    hora,
+    num(nsa, 6),
+    "103",
+    "00000",
+    brancos(20),
+    brancos(20),
+    brancos(29),
+  ]);
+}
+
+function headerLote(empresa, lote, forma) {
+  return registro([
+    num(empresa.banco, 3),
+    num(lote, 4),
+    "1",
+    "C",
+    "20",
+    FORMAS[forma].formaLancamento,
+    "046",
+    brancos(1),
+    "2",
+    num(empresa.cnpj, 14),
+    alfa(empresa.convenio, 20),
+    contaEmpresa(empresa),
+    alfa(empresa.nome, 30),
+    brancos(40),
+    brancos(30),
+    num(0, 5),
+    brancos(15),
+    brancos(20),
+    num(0, 5),
+    num(0, 3),
+    brancos(2),
+    "01",
+    brancos(6),
+    brancos(10),
+  ]);
+}
+
+function segmentoA(empresa, lote, seq, forma, pagamento, dataPagamento) {
+  const banco = pagamento.banco || {};
+  const isPix = forma === "PIX";
+
+  return registro([
+    num(empresa.banco, 3),
+    num(lote, 4),
+    "3",
+    num(seq, 5),
+    "A",
+    "0",
+    "00",
+    FORMAS[forma].camara,
+    num(isPix ? 0 : banco.codigo, 3),
+    num(isPix ? 0 : banco.agencia, 5),
+    alfa(isPix ? "" : banco.agencia_dv, 1),
+    num(isPix ? 0 : banco.conta, 12),
+    alfa(isPix ? "" : banco.conta_dv, 1),
+    brancos(1),
+    alfa(pagamento.nome, 30),
+    alfa(pagamento.seu_numero, 20),
+    dataCnab(dataPagamento),
+    "BRL",
+    num(0, 15),
+    num(pagamento.valor_centavos, 15),
+    brancos(20),
+    num(0, 8),
+    num(0, 15),
+    brancos(40),
+    brancos(2),
+    isPix ? brancos(5) : "00010",
+    brancos(2),
+    brancos(3),
+    "0",
+    brancos(10),
+  ]);
+}
+
+function segmentoB(empresa, lote, seq, forma, pagamento, dataPagamento) {
+  const comum = [num(empresa.banco, 3), num(lote, 4), "3", num(seq, 5), "B"];
+
+  if (forma === "PIX") {
+    return registro([
+      ...comum,
+      alfa(TIPO_CHAVE_PIX[pagamento.pix.tipo], 3),
+      tipoInscricao(pagamento.documento),
+      num(pagamento.documento, 14),
+      brancos(35),
+      brancos(60),
+      chave(pagamento.pix.chave, 99),
+      brancos(6),
+      num(0, 8),
+    ]);
+  }
+
+  return registro([
+    ...comum,
+    brancos(3),
+    tipoInscricao(pagamento.documento),
+    num(pagamento.documento, 14),
+    brancos(30),
+    num(0, 5),
+    brancos(15),
+    brancos(15),
+    brancos(20),
+    num(0, 5),
+    num(0, 3),
+    brancos(2),
+    dataCnab(dataPagamento),
+    num(pagamento.valor_centavos, 15),
+    num(0, 15),
+    num(0, 15),
+    num(0, 15),
+    num(0, 15),
+    brancos(15),
+    "0",
+    brancos(6),
+    num(0, 8),
+  ]);
+}
+
+function trailerLote(empresa, lote, qtdRegistros, somaCentavos) {
+  return registro([
+    num(empresa.banco, 3),
+    num(lote, 4),
+    "5",
+    brancos(9),
+    num(qtdRegistros, 6),
+    num(somaCentavos, 18),
+    num(0, 18),
+    num(0, 6),
+    brancos(165),
+    brancos(10),
+  ]);
+}
+
+function trailerArquivo(empresa, qtdLotes, qtdRegistros) {
+  return registro([
+    num(empresa.banco, 3),
+    "9999",
+    "9",
+    brancos(9),
+    num(qtdLotes, 6),
+    num(qtdRegistros, 6),
+    num(0, 6),
+    brancos(205),
+  ]);
+}
+
+// pagamentos: [{ forma: "PIX"|"TED", nome, documento, valor_centavos,
+//   seu_numero, pix: { tipo, chave }, banco: { codigo, agencia,
+//   agencia_dv, conta, conta_dv } }]
+export function gerarRemessaCnab240({
+  empresa,
+  pagamentos,
+  dataPagamento,
+  nsa,
+  geradoEm = new Date(),
+}) {
+  const linhas = [headerArquivo(empresa, { nsa, geradoEm })];
+  let lote = 0;
+
+  for (const forma of Object.keys(FORMAS)) {
+    const doLote = pagamentos.filter((p) => p.forma === forma);
+    if (!doLote.length) continue;
+
+    lote += 1;
+    linhas.push(headerLote(empresa, lote, forma));
+
+    let seq = 0;
+    let soma = 0;
+
+    for (const pagamento of doLote) {
+      linhas.push(
+        segmentoA(empresa, lote, ++seq, forma, pagamento, dataPagamento),
+      );
+      linhas.push(
+        segmentoB(empresa, lote, ++seq, forma, pagamento, dataPagamento),
+      );
+      soma += pagamento.valor_centavos;
+    }
+
+    // header + detalhes + trailer
+    linhas.push(trailerLote(empresa, lote, seq + 2, soma));
+  }
+
+  linhas.push(trailerArquivo(empresa, lote, linhas.length + 1));
+
+  return `${linhas.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,64 @@
+// --------------------------------------------------
+// CPF / CNPJ
+// - validação pelos dígitos verificadores
+// - sequências repetidas (111.111.111-11) são inválidas
+// --------------------------------------------------
+export function somenteDigitos(v) {
+  return String(v ?? "").replace(/\D/g, "");
+}
+
+export function isCpfValido(v) {
+  const cpf = somenteDigitos(v);
+
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) return false;
+
+  const digito = (base) => {
+    let soma = 0;
+    for (let i = 0; i < base.length; i++) {
+      soma += Number(base[i]) * (base.length + 1 - i);
+    }
+    const resto = (soma * 10) % 11;
+    return resto === 10 ? 0 : resto;
+  };
+
+  const d1 = digito(cpf.slice(0, 9));
+  const d2 = digito(cpf.slice(0, 10));
+
+  return d1 === Number(cpf[9]) && d2 === Number(cpf[10]);
+}
+
+export function isCnpjValido(v) {
+  const cnpj = somenteDigitos(v);
+
+  if (cnpj.length !== 14 || /^(\d)\1{13}$/.test(cnpj)) return false;
+
+  const digito = (base) => {
+    const pesos =
+      base.length === 12
+        ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+        : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+    const soma = pesos.reduce((acc, p, i) => acc + p * Number(base[i]), 0);
+    const resto = soma % 11;
+    return resto < 2 ? 0 : 11 - resto;
+  };
+
+  const d1 = digito(cnpj.slice(0, 12));
+  const d2 = digito(cnpj.slice(0, 13));
+
+  return d1 === Number(cnpj[12]) && d2 === Number(cnpj[13]);
+}
+
+export function formatarCpf(v) {
+  const cpf = somenteDigitos(v);
+  if (cpf.length !== 11) return cpf || null;
+  return cpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, "$1.$2.$3-$4");
+}
+
+export function formatarCnpj(v) {
+  const cnpj = somenteDigitos(v);
+  if (cnpj.length !== 14) return cnpj || null;
+  return cnpj.replace(
+    /^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/,
+    "$1.$2.$3/$4-$5",
+  );
+}
@@ -0,0 +1,78 @@
+// --------------------------------------------------
+// ERROS DA API
+// - as rotas lançam (throw) e o tratarErros
+//   (middlewares/erros.js) responde
+//   { ok:false, error, code, ...detalhes }
+// - `code` é estável: o cliente decide por ele, não
+//   pelo texto de `error` (que pode mudar)
+// - ErroApi direto serve para falhas já registradas no
+//   log (ex.: erro do banco) com mensagem própria
+// --------------------------------------------------
+export class ErroApi extends Error {
+  constructor(
+    mensagem = "Erro interno",
+    { status = 500, code = "ERRO_INTERNO", detalhes = {} } = {},
+  ) {
+    super(mensagem);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.detalhes = detalhes;
+  }
+}
+
+// aceita a mensagem ou a lista { campo, mensagem } do validar()
+export class ErroValidacao extends ErroApi {
+  constructor(mensagemOuErros, { code = "VALIDACAO", detalhes = {} } = {}) {
+    const erros = Array.isArray(mensagemOuErros) ? mensagemOuErros : null;
+
+    super(erros ? erros.map((e) => e.mensagem).join("; ") : mensagemOuErros, {
+      status: 400,
+      code,
+      detalhes: erros ? { ...detalhes, erros } : detalhes,
+    });
+  }
+}
+
+export class ErroNaoAutenticado extends ErroApi {
+  constructor(mensagem = "Token inválido", { code = "NAO_AUTENTICADO" } = {}) {
+    super(mensagem, { status: 401, code });
+  }
+}
+
+export class ErroSemPermissao extends ErroApi {
+  constructor(
+    mensagem = "Sem permissão para esta ação",
+    { code = "SEM_PERMISSAO", detalhes = {} } = {},
+  ) {
+    super(mensagem, { status: 403, code, detalhes });
+  }
+}
+
+export class ErroNaoEncontrado extends ErroApi {
+  constructor(
+    mensagem = "Registro não encontrado",
+    { code = "NAO_ENCONTRADO", detalhes = {} } = {},
+  ) {
+    super(mensagem, { status: 404, code, detalhes });
+  }
+}
+
+export class ErroConflito extends ErroApi {
+  constructor(mensagem, { code = "CONFLITO", detalhes = {} } = {}) {
+    super(mensagem, { status: 409, code, detalhes });
+  }
+}
+
+export class ErroPeriodoFechado extends ErroApi {
+  constructor(quinzena) {
+    super(
+      `A quinzena ${quinzena.nome} (${quinzena.data_inicio} a ${quinzena.data_fim}) está fechada. Peça a um administrador para reabrir antes de alterar lançamentos.`,
+      {
+        status: 423,
+        code: "PERIODO_FECHADO",
+        detalhes: { quinzena_id: quinzena.id },
+      },
+    );
+  }
+}
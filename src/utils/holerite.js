@@ -0,0 +1,211 @@
+import PDFDocument from "pdfkit";
+import {
+  formatarCentavosBR,
+  formatarDataBR,
+  formatarNumeroBR,
+} from "./planilha.js";
+import { formatarCpf } from "./documentos.js";
+
+// --------------------------------------------------
+// HOLERITE (RECIBO DE DIÁRIAS) EM PDF
+// - recebe os valores já calculados em centavos; aqui
+//   só desenha, nenhuma regra de cálculo
+// --------------------------------------------------
+const MARGEM = 40;
+const LARGURA = 595.28 - MARGEM * 2; // A4
+
+function titulo(doc, texto) {
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(11).text(texto, MARGEM);
+  doc.moveDown(0.3);
+}
+
+function tabela(doc, colunas, linhas, { vazio = "Nenhum lançamento" } = {}) {
+  const desenharLinha = (valores, { negrito = false } = {}) => {
+    if (doc.y > 760) doc.addPage();
+
+    const y = doc.y;
+    let x = MARGEM;
+
+    doc.font(negrito ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+
+    colunas.forEach((c, i) => {
+      doc.text(String(valores[i] ?? ""), x, y, {
+        width: c.largura - 4,
+        align: c.alinhar || "left",
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += c.largura;
+    });
+
+    doc.y = y + 14;
+  };
+
+  desenharLinha(
+    colunas.map((c) => c.titulo),
+    { negrito: true },
+  );
+  doc
+    .moveTo(MARGEM, doc.y - 3)
+    .lineTo(MARGEM + LARGURA, doc.y - 3)
+    .lineWidth(0.5)
+    .stroke();
+
+  if (!linhas.length) {
+    doc.font("Helvetica-Oblique").fontSize(9).text(vazio, MARGEM);
+    return;
+  }
+
+  linhas.forEach((l) => desenharLinha(l));
+}
+
+export function gerarHoleritePdf({
+  empresaNome,
+  funcionario,
+  inicio,
+  fim,
+  diarias,
+  ajustes,
+  empreitas,
+  totais,
+  geradoEm = new Date(),
+}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: MARGEM });
+    const partes = [];
+
+    doc.on("data", (chunk) => partes.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(partes)));
+    doc.on("error", reject);
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(14)
+      .text(empresaNome || "CNX", { align: "center" });
+    doc
+      .font("Helvetica")
+      .fontSize(11)
+      .text("Recibo de pagamento de diárias", { align: "center" });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.font("Helvetica-Bold").text("Funcionário: ", { continued: true });
+    doc.font("Helvetica").text(funcionario.nome || "");
+    doc.font("Helvetica-Bold").text("Função: ", { continued: true });
+    doc.font("Helvetica").text(funcionario.funcao || "-");
+    doc.font("Helvetica-Bold").text("CPF: ", { continued: true });
+    doc.font("Helvetica").text(formatarCpf(funcionario.cpf) || "-");
+    doc.font("Helvetica-Bold").text("Período: ", { continued: true });
+    doc
+      .font("Helvetica")
+      .text(`${formatarDataBR(inicio)} a ${formatarDataBR(fim)}`);
+
+    titulo(doc, "Diárias");
+    tabela(
+      doc,
+      [
+        { titulo: "Data", largura: 70 },
+        { titulo: "Obra", largura: 205 },
+        { titulo: "Qtd", largura: 50, alinhar: "right" },
+        { titulo: "Valor diária", largura: 95, alinhar: "right" },
+        { titulo: "Valor", largura: 95, alinhar: "right" },
+      ],
+      diarias.map((d) => [
+        formatarDataBR(d.data),
+        d.obra_nome || "-",
+        formatarNumeroBR(d.qtd, 1),
+        formatarCentavosBR(d.valor_diaria_centavos),
+        formatarCentavosBR(d.valor_centavos),
+      ]),
+    );
+
+    titulo(doc, "Reembolsos e adiantamentos");
+    tabela(
+      doc,
+      [
+        { titulo: "Semana", largura: 70 },
+        { titulo: "Obra", largura: 255 },
+        { titulo: "Reembolso", largura: 95, alinhar: "right" },
+        { titulo: "Adiantamento", largura: 95, alinhar: "right" },
+      ],
+      ajustes.map((a) => [
+        formatarDataBR(a.data_inicio),
+        a.obra_nome || "-",
+        formatarCentavosBR(a.reembolso_centavos),
+        formatarCentavosBR(a.adiantamento_centavos),
+      ]),
+    );
+
+    titulo(doc, "Empreitas");
+    tabela(
+      doc,
+      [
+        { titulo: "Data", largura: 70 },
+        { titulo: "Obra", largura: 350 },
+        { titulo: "Valor", largura: 95, alinhar: "right" },
+      ],
+      empreitas.map((e) => [
+        formatarDataBR(e.data_pagamento),
+        e.obra_nome || "-",
+        formatarCentavosBR(e.valor_centavos),
+      ]),
+    );
+
+    titulo(doc, "Resumo");
+    tabela(
+      doc,
+      [
+        { titulo: "", largura: 420 },
+        { titulo: "R$", largura: 95, alinhar: "right" },
+      ],
+      [
+        [
+          `Diárias (${formatarNumeroBR(totais.qtd_diarias, 1)})`,
+          formatarCentavosBR(totais.diarias_centavos),
+        ],
+        ["(+) Reembolso", formatarCentavosBR(totais.reembolso_centavos)],
+        ["(-) Adiantamento", formatarCentavosBR(totais.adiantamento_centavos)],
+        ["(+) Empreitas", formatarCentavosBR(totais.empreitas_centavos)],
+        ["Líquido a receber", formatarCentavosBR(totais.liquido_centavos)],
+      ],
+    );
+
+    doc.moveDown(4);
+    if (doc.y > 740) doc.addPage();
+    const yAssinatura = doc.y;
+    doc
+      .moveTo(MARGEM + 100, yAssinatura)
+      .lineTo(MARGEM + LARGURA - 100, yAssinatura)
+      .lineWidth(0.5)
+      .stroke();
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(
+        funcionario.titular_conta || funcionario.nome || "",
+        MARGEM,
+        yAssinatura + 4,
+        {
+          width: LARGURA,
+          align: "center",
+        },
+      );
+
+    // rodapé fica abaixo da margem; sem isso o pdfkit abre página nova
+    doc.page.margins.bottom = 0;
+    doc
+      .fontSize(7)
+      .fillColor("#666666")
+      .text(
+        `Gerado em ${geradoEm.toLocaleString("pt-BR", {
+          timeZone: "America/Sao_Paulo",
+        })}`,
+        MARGEM,
+        800,
+        { width: LARGURA, align: "right", lineBreak: false },
+      );
+
+    doc.end();
+  });
+}
@@ -0,0 +1,75 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// --------------------------------------------------
+// LOG ESTRUTURADO
+// - uma linha JSON por evento (stdout; erros no stderr)
+// - dentro de uma requisição, o contexto guardado por
+//   identificarRequisicao (middlewares/requisicao.js)
+//   entra em toda linha: request_id, método, rota e
+//   usuário, sem precisar passar req para os helpers
+// - logger.erro("GET /me error:", err) substitui o
+//   console.error com a mesma assinatura
+// --------------------------------------------------
+export const contextoRequisicao = new AsyncLocalStorage();
+
+function serializar(valor) {
+  if (valor instanceof Error) {
+    return {
+      name: valor.name,
+      message: valor.message,
+      ...(valor.code ? { code: valor.code } : {}),
+      stack: valor.stack,
+    };
+  }
+  return valor;
+}
+
+function escrever(nivel, mensagem, detalhes) {
+  const req = contextoRequisicao.getStore();
+
+  const linha = {
+    time: new Date().toISOString(),
+    nivel,
+    msg: String(mensagem).replace(/:\s*$/, ""),
+    ...(req
+      ? {
+          request_id: req.id,
+          metodo: req.method,
+          rota: req.originalUrl,
+          usuario_id: req.usuario?.id || req.authUser?.id || null,
+        }
+      : {}),
+  };
+
+  if (detalhes.length === 1) linha.detalhe = serializar(detalhes[0]);
+  if (detalhes.length > 1) linha.detalhes = detalhes.map(serializar);
+
+  let texto;
+  try {
+    texto = JSON.stringify(linha);
+  } catch {
+    texto = JSON.stringify({ ...linha, detalhe: String(detalhes[0]) });
+  }
+
+  (nivel === "error" ? process.stderr : process.stdout).write(`${texto}\n`);
+}
+
+export const logger = {
+  info: (mensagem, ...detalhes) => escrever("info", mensagem, detalhes),
+  aviso: (mensagem, ...detalhes) => escrever("warn", mensagem, detalhes),
+  erro: (mensagem, ...detalhes) => escrever("error", mensagem, detalhes),
+
+  // campos já montados (ex.: a linha de acesso de cada requisição)
+  evento(nivel, campos) {
+    const req = contextoRequisicao.getStore();
+    const linha = {
+      time: new Date().toISOString(),
+      nivel,
+      ...(req ? { request_id: req.id } : {}),
+      ...campos,
+    };
+    (nivel === "error" ? process.stderr : process.stdout).write(
+      `${JSON.stringify(linha)}\n`,
+    );
+  },
+};
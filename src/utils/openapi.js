@@ -0,0 +1,310 @@
+import { documentarEsquema } from "./validacao.js";
+
+// --------------------------------------------------
+// DOCUMENTAÇÃO OPENAPI 3.1
+// - gerada das rotas registradas no express: caminho,
+//   método, esquemas do validarRequisicao e permissão
+//   do requirePermission saem do próprio handler, então
+//   não dá para a documentação divergir deles
+// - `rotas` completa cada "MÉTODO /caminho" com resumo,
+//   parâmetros de listagem e erros além dos padrão
+// - conferirDocumentacao aponta rotas sem descrição e
+//   descrições que não têm mais rota
+// --------------------------------------------------
+const TIPOS_PLANILHA = {
+  "text/csv": {},
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": {},
+};
+
+const PARAMETRO_IDEMPOTENCIA = {
+  name: "Idempotency-Key",
+  in: "header",
+  required: false,
+  description:
+    "reenvio com a mesma chave e o mesmo corpo devolve a resposta gravada (header Idempotent-Replayed)",
+  schema: { type: "string", maxLength: 255 },
+};
+
+const RESPOSTAS = {
+  400: { $ref: "#/components/responses/ErroValidacao" },
+  401: { $ref: "#/components/responses/NaoAutenticado" },
+  403: { $ref: "#/components/responses/SemPermissao" },
+  404: { $ref: "#/components/responses/NaoEncontrado" },
+  409: { $ref: "#/components/responses/Conflito" },
+  422: { $ref: "#/components/responses/NaoProcessavel" },
+  423: { $ref: "#/components/responses/PeriodoFechado" },
+};
+
+function listarRotas(app) {
+  const rotas = [];
+
+  for (const layer of app._router?.stack || []) {
+    if (!layer.route) continue;
+
+    for (const metodo of Object.keys(layer.route.methods)) {
+      if (metodo === "_all") continue;
+      rotas.push({
+        metodo: metodo.toUpperCase(),
+        caminho: layer.route.path,
+        handles: layer.route.stack.map((l) => l.handle),
+      });
+    }
+  }
+
+  return rotas;
+}
+
+function parametros(esq, onde) {
+  if (!esq) return [];
+
+  const { properties, required = [] } = documentarEsquema(esq);
+  return Object.entries(properties).map(([nome, schema]) => ({
+    name: nome,
+    in: onde,
+    required: onde === "path" || required.includes(nome),
+    schema,
+  }));
+}
+
+function parametrosListagem({
+  filtros = [],
+  ordenacao = [],
+  padrao,
+  exclusaoLogica,
+}) {
+  const lista = [
+    {
+      name: "q",
+      in: "query",
+      description: "busca sem acento/caixa",
+      schema: { type: "string" },
+    },
+    {
+      name: "sort",
+      in: "query",
+      description: "campo de ordenação; prefixo - para decrescente",
+      schema: {
+        type: "string",
+        enum: ordenacao.flatMap((c) => [c, `-${c}`]),
+        default: padrao,
+      },
+    },
+    {
+      name: "limit",
+      in: "query",
+      description: "sem limit devolve a lista inteira",
+      schema: { type: "integer", minimum: 1 },
+    },
+    {
+      name: "cursor",
+      in: "query",
+      description: "next_cursor da página anterior",
+      schema: { type: "string" },
+    },
+    ...filtros.map((f) => ({
+      name: f,
+      in: "query",
+      description: "filtro exato, sem caixa",
+      schema: { type: "string" },
+    })),
+  ];
+
+  if (exclusaoLogica) {
+    lista.push({
+      name: "excluidos",
+      in: "query",
+      schema: { type: "string", enum: ["nao", "incluir", "somente"] },
+    });
+  }
+
+  return lista;
+}
+
+function montarOperacao(rota, descricao, { requireAuth, permissoes, niveis }) {
+  const autenticada = rota.handles.includes(requireAuth);
+  const permissao = rota.handles.find((h) => h.permissao)?.permissao;
+  const esquemas = rota.handles.find((h) => h.esquemas)?.esquemas || {};
+  const planilha = rota.handles.some((h) => h.name === "rawParser");
+  const idempotente = rota.handles.some((h) => h.idempotente);
+
+  const pathParams = [...rota.caminho.matchAll(/:(\w+)/g)].map((m) => m[1]);
+  const doPath = parametros(esquemas.params, "path");
+  const nomesPath = new Set(doPath.map((p) => p.name));
+
+  const operacao = {
+    tags: [rota.caminho.split("/")[1] || "api"],
+    summary: descricao?.resumo,
+    parameters: [
+      ...doPath,
+      ...pathParams
+        .filter((p) => !nomesPath.has(p))
+        .map((p) => ({
+          name: p,
+          in: "path",
+          required: true,
+          schema: { type: "string" },
+        })),
+      ...parametros(esquemas.query, "query"),
+      ...(descricao?.listagem ? parametrosListagem(descricao.listagem) : []),
+      ...(idempotente ? [PARAMETRO_IDEMPOTENCIA] : []),
+    ],
+    responses: {
+      "2XX": { $ref: "#/components/responses/Sucesso" },
+    },
+  };
+
+  if (permissao) {
+    operacao["x-permissao"] = permissao;
+    operacao["x-niveis"] = niveis(permissao);
+    operacao.description = `Permissão **${permissao}** (${
+      permissoes[permissao]
+    }). Níveis: ${niveis(permissao).join(", ") || "nenhum"}.`;
+  }
+
+  if (esquemas.body) {
+    operacao.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: documentarEsquema(esquemas.body, {
+            parcial: esquemas.parcial,
+          }),
+        },
+      },
+    };
+  } else if (planilha) {
+    operacao.requestBody = { required: true, content: TIPOS_PLANILHA };
+  }
+
+  const erros = new Set(descricao?.erros || []);
+  if (
+    esquemas.params ||
+    esquemas.query ||
+    esquemas.body ||
+    planilha ||
+    descricao?.listagem
+  ) {
+    erros.add(400);
+  }
+  if (autenticada) erros.add(401);
+  if (permissao) erros.add(403);
+  if (pathParams.length) erros.add(404);
+  if (idempotente) erros.add(409).add(422);
+
+  [...erros].sort().forEach((status) => {
+    operacao.responses[status] = RESPOSTAS[status];
+  });
+
+  operacao.security = autenticada ? [{ bearer: [] }] : [];
+
+  return operacao;
+}
+
+export function gerarOpenApi(app, { info, rotas = {}, ...opcoes }) {
+  const paths = {};
+
+  for (const rota of listarRotas(app)) {
+    const caminho = rota.caminho.replace(/:(\w+)/g, "{$1}");
+    paths[caminho] ||= {};
+    paths[caminho][rota.metodo.toLowerCase()] = montarOperacao(
+      rota,
+      rotas[`${rota.metodo} ${rota.caminho}`],
+      opcoes,
+    );
+  }
+
+  // toda resposta de erro é um Erro (tratarErros), às vezes com extras
+  const ERRO = { $ref: "#/components/schemas/Erro" };
+  const erro = (extra) =>
+    extra ? { allOf: [ERRO, { type: "object", properties: extra }] } : ERRO;
+
+  const resposta = (description, schema) => ({
+    description,
+    content: { "application/json": { schema } },
+  });
+
+  return {
+    openapi: "3.1.0",
+    info,
+    paths,
+    components: {
+      schemas: {
+        Erro: {
+          type: "object",
+          properties: {
+            ok: { const: false },
+            error: { type: "string", description: "mensagem para o usuário" },
+            code: {
+              type: "string",
+              description:
+                "código estável do erro (ex.: VALIDACAO, CONFLITO); o cliente decide por ele",
+            },
+            request_id: {
+              type: "string",
+              description: "mesmo do X-Request-Id; cite ao reportar o erro",
+            },
+          },
+          required: ["ok", "error", "code", "request_id"],
+        },
+      },
+      securitySchemes: {
+        bearer: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "access_token do Supabase Auth",
+        },
+      },
+      responses: {
+        Sucesso: resposta("Sucesso", {
+          type: "object",
+          properties: {
+            ok: { const: true },
+            data: {},
+            warning: {
+              type: "string",
+              description: "operação feita, com ressalva",
+            },
+          },
+        }),
+        ErroValidacao: resposta(
+          "Dados inválidos",
+          erro({
+            erros: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  campo: { type: "string" },
+                  mensagem: { type: "string" },
+                },
+              },
+            },
+          }),
+        ),
+        NaoAutenticado: resposta("Token ausente ou inválido", erro()),
+        SemPermissao: resposta(
+          "Sem permissão (ou usuário inativo)",
+          erro({ permissao: { type: "string" } }),
+        ),
+        NaoEncontrado: resposta("Registro não encontrado", erro()),
+        Conflito: resposta("Conflito com registro existente", erro()),
+        NaoProcessavel: resposta(
+          "Requisição recusada (ex.: Idempotency-Key reusada com outro corpo)",
+          erro(),
+        ),
+        PeriodoFechado: resposta("Quinzena fechada", erro()),
+      },
+    },
+  };
+}
+
+export function conferirDocumentacao(app, rotas) {
+  const registradas = listarRotas(app).map((r) => `${r.metodo} ${r.caminho}`);
+  const conjunto = new Set(registradas);
+
+  return {
+    semDescricao: registradas.filter((r) => !rotas[r]?.resumo),
+    semRota: Object.keys(rotas).filter((r) => !conjunto.has(r)),
+  };
+}
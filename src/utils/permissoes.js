@@ -0,0 +1,143 @@
+// --------------------------------------------------
+// MATRIZ DE PERMISSÕES POR NÍVEL DE ACESSO
+// - cada rota exige uma permissão (requirePermission)
+// - "*" concede todas as permissões do catálogo
+// - a matriz padrão pode ser trocada por nível com a
+//   env PERMISSOES_NIVEIS, ex.:
+//   {"financeiro":["diarias:read","relatorios:pagamento:read"]}
+// --------------------------------------------------
+export const PERMISSOES = {
+  "usuarios:read": "listar e consultar usuários",
+  "usuarios:write": "cadastrar, editar e excluir usuários",
+  "usuarios:responsaveis": "listar responsáveis por obra",
+  "permissoes:read": "consultar permissões de usuários",
+  "funcionarios:read": "listar e consultar funcionários",
+  "funcionarios:write": "cadastrar, editar e excluir funcionários",
+  "equipe:read": "acessar equipe por obra",
+  "equipe:write": "alterar equipe por obra",
+  "equipe:todas": "ver as equipes de todas as obras",
+  "empreiteiros:read": "listar e consultar empreiteiros",
+  "empreiteiros:write": "cadastrar e editar empreiteiros",
+  "diarias:read": "acessar diárias e ajustes",
+  "diarias:write": "lançar diárias e ajustes",
+  "empreitas:read": "acessar empreitas",
+  "empreitas:write": "lançar, editar e excluir empreitas",
+  "obras:read": "acessar obras",
+  "obras:todas": "listar todas as obras",
+  "obras:create": "cadastrar obra",
+  "obras:update": "editar obra",
+  "obras:delete": "excluir obra",
+  "obras:irrestrito":
+    "ver todas as obras e funcionários, inclusive EQUIPE ENGENHARIA",
+  "obras:nao_atribuidas": "acessar obras às quais não está atribuído",
+  "obras:atribuir": "atribuir usuários às obras",
+  "quinzenas:read": "listar quinzenas",
+  "quinzenas:write": "cadastrar e editar quinzena",
+  "quinzenas:delete": "excluir quinzena",
+  "quinzenas:fechar": "fechar quinzena",
+  "quinzenas:reabrir": "reabrir quinzena",
+  "remessa:gerar": "validar e gerar remessa de pagamento",
+  "holerites:read": "gerar holerites",
+  "relatorios:pagamento:read": "acessar relatório de pagamento",
+  "relatorios:obras:read": "acessar relatório por obras",
+  "logs:read": "consultar logs do sistema",
+  "registros:excluir_definitivo":
+    "excluir definitivamente funcionários, obras, quinzenas e usuários",
+};
+
+const MATRIZ_PADRAO = {
+  admin: ["*"],
+  financeiro: [
+    "usuarios:responsaveis",
+    "funcionarios:read",
+    "funcionarios:write",
+    "equipe:todas",
+    "empreiteiros:read",
+    "empreiteiros:write",
+    "obras:todas",
+    "obras:create",
+    "obras:nao_atribuidas",
+    "quinzenas:read",
+    "quinzenas:write",
+    "quinzenas:fechar",
+    "remessa:gerar",
+    "holerites:read",
+    "relatorios:pagamento:read",
+    "relatorios:obras:read",
+  ],
+  encarregado: [
+    "funcionarios:read",
+    "funcionarios:write",
+    "equipe:read",
+    "equipe:write",
+    "empreiteiros:read",
+    "empreiteiros:write",
+    "diarias:read",
+    "diarias:write",
+    "empreitas:read",
+    "empreitas:write",
+    "obras:read",
+    "quinzenas:read",
+    "holerites:read",
+    "relatorios:pagamento:read",
+    "relatorios:obras:read",
+  ],
+  consulta: ["funcionarios:read"],
+};
+
+export function carregarMatriz(config = process.env.PERMISSOES_NIVEIS) {
+  const matriz = { ...MATRIZ_PADRAO };
+  if (!config) return matriz;
+
+  let extra;
+  try {
+    extra = JSON.parse(config);
+  } catch {
+    throw new Error("PERMISSOES_NIVEIS precisa ser um JSON { nivel: [...] }");
+  }
+
+  for (const [nivel, lista] of Object.entries(extra || {})) {
+    if (!Array.isArray(lista)) {
+      throw new Error(`PERMISSOES_NIVEIS: "${nivel}" precisa ser uma lista`);
+    }
+
+    const desconhecidas = lista.filter((p) => p !== "*" && !PERMISSOES[p]);
+    if (desconhecidas.length) {
+      throw new Error(
+        `PERMISSOES_NIVEIS: permissão desconhecida ${desconhecidas.join(", ")}`,
+      );
+    }
+
+    matriz[String(nivel).trim().toLowerCase()] = lista;
+  }
+
+  return matriz;
+}
+
+const MATRIZ = carregarMatriz();
+
+function nivelDe(usuario) {
+  return String(usuario?.nivel_acesso || "")
+    .trim()
+    .toLowerCase();
+}
+
+export function permissoesDoUsuario(usuario, matriz = MATRIZ) {
+  const lista = matriz[nivelDe(usuario)] || [];
+  return lista.includes("*") ? Object.keys(PERMISSOES) : [...lista].sort();
+}
+
+export function temPermissao(usuario, permissao, matriz = MATRIZ) {
+  if (!PERMISSOES[permissao]) {
+    throw new Error(`Permissão desconhecida: ${permissao}`);
+  }
+
+  const lista = matriz[nivelDe(usuario)] || [];
+  return lista.includes("*") || lista.includes(permissao);
+}
+
+export function niveisComPermissao(permissao, matriz = MATRIZ) {
+  return Object.entries(matriz)
+    .filter(([, lista]) => lista.includes("*") || lista.includes(permissao))
+    .map(([nivel]) => nivel);
+}
@@ -0,0 +1,138 @@
+import { isCnpjValido, isCpfValido, somenteDigitos } from "./documentos.js";
+
+// --------------------------------------------------
+// CHAVE PIX
+// - chave_pix_tipo no cadastro é texto livre ("CPF",
+//   "E-mail", "Celular", "Aleatória"...); aqui vira um
+//   dos tipos do DICT: cpf, cnpj, email, telefone, evp
+// - sem tipo informado, o tipo é deduzido da chave
+// --------------------------------------------------
+const TIPOS_POR_NOME = {
+  CPF: "cpf",
+  CNPJ: "cnpj",
+  "CPF/CNPJ": "documento",
+  DOCUMENTO: "documento",
+  EMAIL: "email",
+  "E-MAIL": "email",
+  TELEFONE: "telefone",
+  CELULAR: "telefone",
+  FONE: "telefone",
+  EVP: "evp",
+  ALEATORIA: "evp",
+  "CHAVE ALEATORIA": "evp",
+};
+
+const RE_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RE_EVP =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function normTipo(tipo) {
+  const s = String(tipo || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toUpperCase();
+  return s ? TIPOS_POR_NOME[s] || "desconhecido" : null;
+}
+
+function deduzirTipo(chave) {
+  const s = String(chave).trim();
+  if (RE_EMAIL.test(s)) return "email";
+  if (RE_EVP.test(s)) return "evp";
+  if (s.startsWith("+")) return "telefone";
+
+  const dig = somenteDigitos(s);
+  if (dig.length === 11 && isCpfValido(dig)) return "cpf";
+  if (dig.length === 14 && isCnpjValido(dig)) return "cnpj";
+  if (dig.length === 10 || dig.length === 11 || dig.length === 13) {
+    return "telefone";
+  }
+
+  return null;
+}
+
+function normTelefone(chave) {
+  let dig = somenteDigitos(chave);
+  if ((dig.length === 12 || dig.length === 13) && dig.startsWith("55")) {
+    dig = dig.slice(2);
+  }
+  // DDD + 8 (fixo) ou 9 dígitos (celular começando com 9)
+  if (!/^[1-9]{2}(9\d{8}|[2-8]\d{7})$/.test(dig)) return null;
+  return `+55${dig}`;
+}
+
+// Retorna { ok, tipo, chave, erro } com a chave no formato do DICT:
+// documento só dígitos, telefone +55DDDNUMERO, e-mail/EVP minúsculos.
+export function validarChavePix(tipoInformado, chaveInformada) {
+  const bruta = String(chaveInformada ?? "").trim();
+
+  if (!bruta) {
+    return { ok: false, tipo: null, chave: null, erro: "Chave PIX ausente" };
+  }
+
+  let tipo = normTipo(tipoInformado);
+
+  if (tipo === "desconhecido") {
+    return {
+      ok: false,
+      tipo: null,
+      chave: null,
+      erro: `Tipo de chave PIX não reconhecido: ${tipoInformado}`,
+    };
+  }
+
+  if (!tipo) tipo = deduzirTipo(bruta);
+  if (tipo === "documento") {
+    tipo = somenteDigitos(bruta).length === 14 ? "cnpj" : "cpf";
+  }
+
+  switch (tipo) {
+    case "cpf": {
+      const chave = somenteDigitos(bruta);
+      return isCpfValido(chave)
+        ? { ok: true, tipo, chave, erro: null }
+        : { ok: false, tipo, chave: null, erro: "Chave PIX CPF inválida" };
+    }
+    case "cnpj": {
+      const chave = somenteDigitos(bruta);
+      return isCnpjValido(chave)
+        ? { ok: true, tipo, chave, erro: null }
+        : { ok: false, tipo, chave: null, erro: "Chave PIX CNPJ inválida" };
+    }
+    case "email": {
+      const chave = bruta.toLowerCase();
+      return RE_EMAIL.test(chave) && chave.length <= 77
+        ? { ok: true, tipo, chave, erro: null }
+        : { ok: false, tipo, chave: null, erro: "Chave PIX e-mail inválida" };
+    }
+    case "telefone": {
+      const chave = normTelefone(bruta);
+      return chave
+        ? { ok: true, tipo, chave, erro: null }
+        : {
+            ok: false,
+            tipo,
+            chave: null,
+            erro: "Chave PIX telefone inválida (use DDD + número)",
+          };
+    }
+    case "evp": {
+      const chave = bruta.toLowerCase();
+      return RE_EVP.test(chave)
+        ? { ok: true, tipo, chave, erro: null }
+        : {
+            ok: false,
+            tipo,
+            chave: null,
+            erro: "Chave PIX aleatória (EVP) inválida",
+          };
+    }
+    default:
+      return {
+        ok: false,
+        tipo: null,
+        chave: null,
+        erro: "Não foi possível identificar o tipo da chave PIX",
+      };
+  }
+}
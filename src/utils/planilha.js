@@ -0,0 +1,245 @@
+import ExcelJS from "exceljs";
+
+// --------------------------------------------------
+// FORMATAÇÃO BRASILEIRA
+// - moeda: 1.234,56 (valores chegam em centavos)
+// - data: dd/mm/aaaa
+// --------------------------------------------------
+export function formatarCentavosBR(centavos) {
+  const n = Number(centavos || 0);
+  const sinal = n < 0 ? "-" : "";
+  const abs = Math.abs(Math.round(n));
+  const reais = Math.floor(abs / 100)
+    .toString()
+    .replace(/\B(?=(\d{3})+(?!\d))/g, ".");
+  const cent = String(abs % 100).padStart(2, "0");
+  return `${sinal}${reais},${cent}`;
+}
+
+export function formatarNumeroBR(v, casas = 2) {
+  const n = Number(v || 0);
+  return n.toFixed(casas).replace(".", ",");
+}
+
+export function formatarDataBR(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(v || ""));
+  if (!m) return "";
+  return `${m[3]}/${m[2]}/${m[1]}`;
+}
+
+function valorCsv(coluna, valor) {
+  if (valor === undefined || valor === null) return "";
+
+  switch (coluna.tipo) {
+    case "moeda":
+      return formatarCentavosBR(valor);
+    case "numero":
+      return formatarNumeroBR(valor, coluna.casas ?? 2);
+    case "data":
+      return formatarDataBR(valor);
+    default: {
+      let s = String(valor);
+      // evita que o Excel interprete o texto como fórmula
+      if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+      return s;
+    }
+  }
+}
+
+function escaparCsv(s) {
+  if (/[";\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// --------------------------------------------------
+// CSV
+// - separador ";" e BOM UTF-8 para abrir direto no
+//   Excel configurado em pt-BR
+// --------------------------------------------------
+export function gerarCsv(colunas, linhas) {
+  const cabecalho = colunas.map((c) => escaparCsv(c.titulo)).join(";");
+
+  const corpo = (linhas || []).map((linha) =>
+    colunas.map((c) => escaparCsv(valorCsv(c, linha[c.key]))).join(";"),
+  );
+
+  return `\uFEFF${[cabecalho, ...corpo].join("\r\n")}\r\n`;
+}
+
+// --------------------------------------------------
+// XLSX
+// - moeda e números ficam como número na célula, só o
+//   formato de exibição muda
+// --------------------------------------------------
+export async function gerarXlsx(
+  colunas,
+  linhas,
+  { planilha = "Relatório" } = {},
+) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "CNX API";
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(planilha.slice(0, 31));
+
+  sheet.columns = colunas.map((c) => ({
+    header: c.titulo,
+    key: c.key,
+    width: c.largura || Math.max(12, c.titulo.length + 2),
+  }));
+
+  (linhas || []).forEach((linha) => {
+    const row = {};
+
+    colunas.forEach((c) => {
+      const valor = linha[c.key];
+
+      if (valor === undefined || valor === null) {
+        row[c.key] = null;
+      } else if (c.tipo === "moeda") {
+        row[c.key] = Number(valor) / 100;
+      } else if (c.tipo === "numero") {
+        row[c.key] = Number(valor);
+      } else if (c.tipo === "data") {
+        const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(valor));
+        row[c.key] = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+      } else {
+        row[c.key] = String(valor);
+      }
+    });
+
+    sheet.addRow(row);
+  });
+
+  colunas.forEach((c) => {
+    const col = sheet.getColumn(c.key);
+    if (c.tipo === "moeda") col.numFmt = "#,##0.00";
+    if (c.tipo === "numero") {
+      const casas = c.casas ?? 2;
+      col.numFmt = casas > 0 ? `0.${"0".repeat(casas)}` : "0";
+    }
+    if (c.tipo === "data") col.numFmt = "dd/mm/yyyy";
+  });
+
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// --------------------------------------------------
+// LEITURA (IMPORTAÇÃO)
+// - XLSX (detectado pelo cabeçalho zip): primeira aba
+// - CSV: separador ";" ou ",", o que mais aparecer no
+//   cabeçalho; aceita aspas duplas e BOM
+// - linha 1 é o cabeçalho; linhas vazias são ignoradas
+// - devolve { cabecalho, linhas: [{ numero, valores }] }
+//   com os valores crus (texto, número ou data ISO)
+// --------------------------------------------------
+export async function lerPlanilha(buffer) {
+  const ehXlsx =
+    buffer.length > 4 &&
+    buffer[0] === 0x50 &&
+    buffer[1] === 0x4b &&
+    buffer[2] === 0x03 &&
+    buffer[3] === 0x04;
+
+  const linhas = ehXlsx
+    ? await linhasXlsx(buffer)
+    : linhasCsv(buffer.toString("utf8"));
+
+  const [cabecalho, ...resto] = linhas;
+
+  return {
+    cabecalho: (cabecalho?.valores || []).map((c) => String(c ?? "").trim()),
+    linhas: resto.filter((l) =>
+      l.valores.some((v) => v !== null && String(v).trim() !== ""),
+    ),
+  };
+}
+
+function valorCelula(valor) {
+  if (valor === null || valor === undefined) return null;
+  if (valor instanceof Date) return valor.toISOString().slice(0, 10);
+  if (typeof valor !== "object") return valor;
+  if (Array.isArray(valor.richText)) {
+    return valor.richText.map((t) => t.text).join("");
+  }
+  if ("result" in valor) return valorCelula(valor.result);
+  if ("text" in valor) return valor.text;
+  return null;
+}
+
+async function linhasXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const total = sheet.columnCount;
+  const linhas = [];
+
+  sheet.eachRow({ includeEmpty: false }, (row, numero) => {
+    const valores = [];
+    for (let c = 1; c <= total; c++) {
+      valores.push(valorCelula(row.getCell(c).value));
+    }
+    linhas.push({ numero, valores });
+  });
+
+  return linhas;
+}
+
+function linhasCsv(texto) {
+  const s = texto.replace(/^\uFEFF/, "");
+  const primeira = s.split(/\r?\n/, 1)[0];
+  const sep =
+    (primeira.match(/;/g) || []).length >= (primeira.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const linhas = [];
+  let valores = [];
+  let campo = "";
+  let aspas = false;
+  let numero = 1;
+
+  const fecharLinha = () => {
+    valores.push(campo);
+    linhas.push({ numero, valores });
+    valores = [];
+    campo = "";
+  };
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+
+    if (aspas) {
+      if (ch === '"' && s[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (ch === '"') {
+        aspas = false;
+      } else {
+        if (ch === "\n") numero++;
+        campo += ch;
+      }
+    } else if (ch === '"') {
+      aspas = true;
+    } else if (ch === sep) {
+      valores.push(campo);
+      campo = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      fecharLinha();
+      numero++;
+    } else {
+      campo += ch;
+    }
+  }
+
+  if (campo !== "" || valores.length) fecharLinha();
+
+  return linhas;
+}
@@ -0,0 +1,58 @@
+import { logger } from "./logger.js";
+
+// --------------------------------------------------
+// ETAPAS COM COMPENSAÇÃO
+// - para escritas que passam pelo Auth e pelo banco e
+//   não cabem numa transação do Postgres (as que são só
+//   do banco vão numa função chamada por rpc)
+// - etapa = { nome, executar(anteriores), desfazer(dado) }
+//   executar devolve { data, error } como o supabase-js
+//   e recebe os dados das etapas já feitas
+// - na primeira etapa com erro, desfaz as anteriores em
+//   ordem inversa; as que não desfizeram voltam em
+//   `pendentes` (precisam de correção manual)
+// --------------------------------------------------
+export async function executarEtapas(etapas) {
+  const feitas = [];
+
+  for (const etapa of etapas) {
+    let r;
+    try {
+      r = await etapa.executar(feitas.map((f) => f.dado));
+    } catch (err) {
+      r = { data: null, error: err };
+    }
+
+    if (r?.error) {
+      const pendentes = await desfazerEtapas(feitas);
+      return { data: null, error: r.error, etapa: etapa.nome, pendentes };
+    }
+
+    feitas.push({ etapa, dado: r?.data ?? null });
+  }
+
+  return {
+    data: feitas.map((f) => f.dado),
+    error: null,
+    etapa: null,
+    pendentes: [],
+  };
+}
+
+async function desfazerEtapas(feitas) {
+  const pendentes = [];
+
+  for (const { etapa, dado } of [...feitas].reverse()) {
+    if (!etapa.desfazer) continue;
+
+    try {
+      const r = await etapa.desfazer(dado);
+      if (r?.error) throw r.error;
+    } catch (err) {
+      logger.erro(`executarEtapas: falha ao desfazer ${etapa.nome}:`, err);
+      pendentes.push(etapa.nome);
+    }
+  }
+
+  return pendentes;
+}
@@ -0,0 +1,378 @@
+// --------------------------------------------------
+// VALIDAÇÃO DECLARATIVA
+// - cada regra recebe (valor bruto, caminho do campo) e
+//   devolve { valor } já normalizado ou { erros }
+// - valor "vazio" = undefined, null ou texto em branco
+// - erros sempre no formato { campo, mensagem }
+// --------------------------------------------------
+const RE_UUID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const RE_DATA = /^(\d{4})-(\d{2})-(\d{2})$/;
+const RE_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isVazio(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+function erro(campo, mensagem) {
+  return { erros: [{ campo, mensagem }] };
+}
+
+// Envolve a checagem de obrigatoriedade / valor padrão comum a todas
+// as regras; `fn` só é chamada com valor preenchido.
+// `doc` é o JSON Schema da regra, lido por utils/openapi.js.
+function regra(
+  fn,
+  { obrigatorio = false, padrao = null, mensagem } = {},
+  doc = {},
+) {
+  const r = (bruto, campo) => {
+    if (isVazio(bruto)) {
+      if (obrigatorio) {
+        return erro(campo, mensagem || `${campo} é obrigatório`);
+      }
+      return { valor: typeof padrao === "function" ? padrao() : padrao };
+    }
+    return fn(bruto, campo);
+  };
+
+  r.obrigatorio = obrigatorio;
+  r.doc =
+    padrao !== null && typeof padrao !== "function"
+      ? { ...doc, default: padrao }
+      : doc;
+  return r;
+}
+
+function semNulos(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, valor]) => valor !== null),
+  );
+}
+
+function nomeSimples(campo) {
+  return String(campo).replace(/^.*[.\]]/, "");
+}
+
+export const v = {
+  // Texto com trim; acima de `max` é cortado, sem erro.
+  texto({ min = null, max = null, maiusculo = false, ...opts } = {}) {
+    return regra(
+      (bruto, campo) => {
+        if (typeof bruto === "object") {
+          return erro(campo, `${nomeSimples(campo)} precisa ser texto`);
+        }
+        let s = String(bruto).trim();
+        if (min && s.length < min) {
+          return erro(
+            campo,
+            `${nomeSimples(campo)} precisa ter pelo menos ${min} caracteres`,
+          );
+        }
+        if (max && s.length > max) s = s.slice(0, max);
+        if (maiusculo) s = s.toUpperCase();
+        return { valor: s };
+      },
+      opts,
+      semNulos({ type: "string", minLength: min, maxLength: max }),
+    );
+  },
+
+  uuid(opts = {}) {
+    return regra(
+      (bruto, campo) => {
+        const s = String(bruto).trim();
+        return RE_UUID.test(s)
+          ? { valor: s }
+          : erro(campo, `${nomeSimples(campo)} inválido (UUID)`);
+      },
+      opts,
+      { type: "string", format: "uuid" },
+    );
+  },
+
+  // Data ISO (YYYY-MM-DD) que existe no calendário.
+  data(opts = {}) {
+    return regra(
+      (bruto, campo) => {
+        const s = String(bruto).trim();
+        const m = RE_DATA.exec(s);
+        const d = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+
+        if (
+          !d ||
+          d.getUTCFullYear() !== +m[1] ||
+          d.getUTCMonth() !== +m[2] - 1 ||
+          d.getUTCDate() !== +m[3]
+        ) {
+          return erro(
+            campo,
+            `${nomeSimples(campo)} precisa estar no formato YYYY-MM-DD`,
+          );
+        }
+
+        return { valor: s };
+      },
+      opts,
+      { type: "string", format: "date" },
+    );
+  },
+
+  // Data ISO ou data/hora ISO 8601 (filtros por created_at).
+  dataHora(opts = {}) {
+    return regra(
+      (bruto, campo) => {
+        const s = String(bruto).trim();
+        if (RE_DATA.test(s)) return v.data()(s, campo);
+
+        return /^\d{4}-\d{2}-\d{2}T/.test(s) && !Number.isNaN(Date.parse(s))
+          ? { valor: s }
+          : erro(
+              campo,
+              `${nomeSimples(
+                campo,
+              )} precisa ser data YYYY-MM-DD ou data/hora ISO`,
+            );
+      },
+      opts,
+      { type: "string", description: "YYYY-MM-DD ou data/hora ISO 8601" },
+    );
+  },
+
+  // Número; aceita "150,50". min/max inclusivos, maiorQue exclusivo.
+  numero({
+    min = null,
+    max = null,
+    maiorQue = null,
+    inteiro = false,
+    ...opts
+  } = {}) {
+    return regra(
+      (bruto, campo) => {
+        const n = Number(String(bruto).trim().replace(",", "."));
+        const nome = nomeSimples(campo);
+
+        if (typeof bruto === "object" || !Number.isFinite(n)) {
+          return erro(campo, opts.mensagem || `${nome} precisa ser número`);
+        }
+        if (inteiro && !Number.isInteger(n)) {
+          return erro(campo, opts.mensagem || `${nome} precisa ser inteiro`);
+        }
+        if (min !== null && n < min) {
+          return erro(
+            campo,
+            opts.mensagem || `${nome} precisa ser maior ou igual a ${min}`,
+          );
+        }
+        if (max !== null && n > max) {
+          return erro(
+            campo,
+            opts.mensagem || `${nome} precisa ser menor ou igual a ${max}`,
+          );
+        }
+        if (maiorQue !== null && n <= maiorQue) {
+          return erro(
+            campo,
+            opts.mensagem || `${nome} precisa ser maior que ${maiorQue}`,
+          );
+        }
+
+        return { valor: n };
+      },
+      opts,
+      semNulos({
+        type: inteiro ? "integer" : "number",
+        minimum: min,
+        maximum: max,
+        exclusiveMinimum: maiorQue,
+      }),
+    );
+  },
+
+  booleano(opts = {}) {
+    return regra(
+      (bruto, campo) => {
+        if (
+          bruto === true ||
+          bruto === "true" ||
+          bruto === "1" ||
+          bruto === 1
+        ) {
+          return { valor: true };
+        }
+        if (
+          bruto === false ||
+          bruto === "false" ||
+          bruto === "0" ||
+          bruto === 0
+        ) {
+          return { valor: false };
+        }
+        return erro(campo, `${nomeSimples(campo)} precisa ser true ou false`);
+      },
+      opts,
+      { type: "boolean" },
+    );
+  },
+
+  // Valor dentro de uma lista fixa (comparação sem caixa).
+  opcao(valores, opts = {}) {
+    return regra(
+      (bruto, campo) => {
+        const s = String(bruto).trim().toLowerCase();
+        const achado = valores.find((x) => String(x).toLowerCase() === s);
+        return achado !== undefined
+          ? { valor: achado }
+          : erro(
+              campo,
+              opts.mensagem ||
+                `${nomeSimples(campo)} inválido (use: ${valores.join(", ")})`,
+            );
+      },
+      opts,
+      { type: "string", enum: valores },
+    );
+  },
+
+  email({ max = 160, ...opts } = {}) {
+    return regra(
+      (bruto, campo) => {
+        const s = String(bruto).trim();
+        return RE_EMAIL.test(s) && s.length <= max
+          ? { valor: s }
+          : erro(campo, `${nomeSimples(campo)} inválido`);
+      },
+      opts,
+      { type: "string", format: "email", maxLength: max },
+    );
+  },
+
+  // Só os dígitos do valor; `checar` valida o resultado (ex.: CPF).
+  digitos({ max = null, checar = null, mensagem, ...opts } = {}) {
+    return regra(
+      (bruto, campo) => {
+        let s = String(bruto).replace(/\D/g, "");
+        if (max) s = s.slice(0, max);
+        if (!s) return { valor: null };
+        if (checar && !checar(s)) {
+          return erro(campo, mensagem || `${nomeSimples(campo)} inválido`);
+        }
+        return { valor: s };
+      },
+      opts,
+      {
+        type: "string",
+        description: "aceita pontuação; só os dígitos são guardados",
+      },
+    );
+  },
+
+  lista(item, { min = 0, max = null, unicos = false, ...opts } = {}) {
+    return regra(
+      (bruto, campo) => {
+        if (!Array.isArray(bruto)) {
+          return erro(campo, opts.mensagem || `${campo} precisa ser uma lista`);
+        }
+        if (bruto.length < min) {
+          return erro(
+            campo,
+            opts.mensagem || `${campo} precisa ter ao menos ${min} item(ns)`,
+          );
+        }
+        if (max !== null && bruto.length > max) {
+          return erro(campo, `${campo} aceita no máximo ${max} item(ns)`);
+        }
+
+        const valor = [];
+        const erros = [];
+
+        bruto.forEach((b, i) => {
+          const r = item(b, `${campo}[${i}]`);
+          if (r.erros) erros.push(...r.erros);
+          else valor.push(r.valor);
+        });
+
+        if (erros.length) return { erros };
+
+        return {
+          valor: unicos
+            ? [...new Set(valor.filter((x) => x !== null && x !== undefined))]
+            : valor,
+        };
+      },
+      { obrigatorio: true, ...opts },
+      semNulos({
+        type: "array",
+        items: item.doc,
+        minItems: min || null,
+        maxItems: max,
+        uniqueItems: unicos || null,
+      }),
+    );
+  },
+
+  objeto(esq, opts = {}) {
+    return regra(
+      (bruto, campo) => {
+        if (typeof bruto !== "object" || Array.isArray(bruto)) {
+          return erro(campo, `${campo} precisa ser um objeto`);
+        }
+        const r = validar(esq, bruto, { prefixo: campo });
+        return r.erros.length ? { erros: r.erros } : { valor: r.dados };
+      },
+      { obrigatorio: true, ...opts },
+      documentarEsquema(esq),
+    );
+  },
+};
+
+// Esquema = campos + verificação opcional entre campos, que recebe
+// os dados já normalizados e devolve uma lista de erros.
+export function esquema(campos, verificar = null) {
+  return { campos, verificar };
+}
+
+// JSON Schema do esquema (para a documentação OpenAPI); parcial
+// (PATCH) não tem campos obrigatórios.
+export function documentarEsquema(esq, { parcial = false } = {}) {
+  const properties = {};
+  const required = [];
+
+  for (const [campo, fn] of Object.entries(esq.campos)) {
+    properties[campo] = fn.doc || {};
+    if (fn.obrigatorio && !parcial) required.push(campo);
+  }
+
+  return required.length
+    ? { type: "object", properties, required }
+    : { type: "object", properties };
+}
+
+// parcial (PATCH): campos ausentes são ignorados e ficam fora de `dados`.
+export function validar(esq, entrada, { parcial = false, prefixo = "" } = {}) {
+  const dados = {};
+  const erros = [];
+  const src = entrada && typeof entrada === "object" ? entrada : {};
+
+  for (const [campo, fn] of Object.entries(esq.campos)) {
+    if (parcial && src[campo] === undefined) continue;
+
+    const caminho = prefixo ? `${prefixo}.${campo}` : campo;
+    const r = fn(src[campo], caminho);
+
+    if (r.erros) erros.push(...r.erros);
+    else dados[campo] = r.valor;
+  }
+
+  if (!erros.length && esq.verificar) {
+    const extras = esq.verificar(dados, { parcial }) || [];
+    extras.forEach((e) =>
+      erros.push({
+        campo: prefixo && e.campo ? `${prefixo}.${e.campo}` : e.campo,
+        mensagem: e.mensagem,
+      }),
+    );
+  }
+
+  return { dados, erros };
+}
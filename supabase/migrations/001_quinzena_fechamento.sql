@@ -0,0 +1,10 @@
+-- Fechamento de quinzena: lançamentos com data dentro de uma
+-- quinzena fechada ficam bloqueados até um admin reabrir.
+alter table cadastro_quinzena
+  add column if not exists status text not null default 'aberta'
+    check (status in ('aberta', 'fechada')),
+  add column if not exists fechada_em timestamptz,
+  add column if not exists fechada_por uuid references cadastro_user (id);
+
+create index if not exists cadastro_quinzena_status_periodo_idx
+  on cadastro_quinzena (status, data_inicio, data_fim);
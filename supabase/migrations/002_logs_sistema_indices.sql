@@ -0,0 +1,10 @@
+-- Índices para a consulta de auditoria (GET /logs e
+-- GET /logs/registro/:tabela/:id).
+create index if not exists logs_sistema_created_at_idx
+  on logs_sistema (created_at desc, id desc);
+
+create index if not exists logs_sistema_registro_idx
+  on logs_sistema (tabela, registro_id, created_at);
+
+create index if not exists logs_sistema_usuario_idx
+  on logs_sistema (usuario_id, created_at desc);
@@ -0,0 +1,23 @@
+-- Remessas CNAB 240 geradas a partir de quinzenas fechadas.
+-- O nsa (número sequencial do arquivo) precisa ser único e crescente
+-- por convênio, por isso vem de uma sequence.
+-- Uma remessa vigente por quinzena (evita pagar duas vezes); reemitir
+-- marca a anterior como substituída antes de gravar a nova.
+create table if not exists remessa_pagamento (
+  id uuid primary key default gen_random_uuid(),
+  nsa bigserial not null unique,
+  quinzena_id uuid not null references cadastro_quinzena (id),
+  data_pagamento date not null,
+  total_funcionarios integer not null,
+  valor_total_centavos bigint not null,
+  created_by uuid references cadastro_user (id),
+  created_at timestamptz not null default now(),
+  substituida_em timestamptz
+);
+
+alter table remessa_pagamento
+  add column if not exists substituida_em timestamptz;
+
+create unique index if not exists remessa_pagamento_quinzena_vigente_idx
+  on remessa_pagamento (quinzena_id)
+  where substituida_em is null;
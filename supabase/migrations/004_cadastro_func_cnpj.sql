@@ -0,0 +1,5 @@
+-- CNPJ opcional para funcionários contratados como PJ (razão social).
+-- cpf e cnpj são guardados só com dígitos.
+alter table cadastro_func
+  add column if not exists cnpj text
+    check (cnpj is null or cnpj ~ '^[0-9]{14}$');
@@ -0,0 +1,17 @@
+-- Atribuição de usuários a obras. Quem não tem acesso irrestrito
+-- (nem obras:nao_atribuidas) só enxerga as obras em que é o
+-- responsável (cadastro_obra.responsavel) ou está atribuído aqui.
+create table if not exists obra_usuario (
+  id uuid primary key default gen_random_uuid(),
+  obra_id uuid not null references cadastro_obra (id) on delete cascade,
+  usuario_id uuid not null references cadastro_user (id) on delete cascade,
+  created_by uuid references cadastro_user (id),
+  created_at timestamptz not null default now(),
+  unique (obra_id, usuario_id)
+);
+
+create index if not exists obra_usuario_usuario_idx
+  on obra_usuario (usuario_id);
+
+create index if not exists cadastro_obra_responsavel_idx
+  on cadastro_obra (responsavel);
@@ -0,0 +1,29 @@
+-- Exclusão lógica: DELETE marca deleted_at/deleted_by e o registro
+-- some das listagens e relatórios até ser restaurado. A exclusão
+-- definitiva só é feita sem lançamentos dependentes.
+alter table cadastro_func
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references cadastro_user (id);
+
+alter table cadastro_obra
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references cadastro_user (id);
+
+alter table cadastro_quinzena
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references cadastro_user (id);
+
+alter table cadastro_user
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references cadastro_user (id);
+
+create index if not exists lanc_diarias_funcionario_idx
+  on lanc_diarias (funcionario_id);
+create index if not exists lanc_diarias_ajustes_funcionario_idx
+  on lanc_diarias_ajustes (funcionario_id);
+create index if not exists lanc_diarias_ajustes_obra_idx
+  on lanc_diarias_ajustes (obra_id);
+create index if not exists empreitas_funcionario_idx
+  on empreitas (funcionario_id);
+create index if not exists empreitas_obra_idx
+  on empreitas (obra_id);
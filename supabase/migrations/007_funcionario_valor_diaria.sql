@@ -0,0 +1,44 @@
+-- Histórico do valor da diária por funcionário. Cada linha vale a
+-- partir de vigencia_inicio até a próxima vigência do mesmo
+-- funcionário; cadastro_func.valor_diaria guarda só o valor de hoje.
+create table if not exists funcionario_valor_diaria (
+  id uuid primary key default gen_random_uuid(),
+  funcionario_id uuid not null references cadastro_func (id) on delete cascade,
+  valor_diaria numeric(12, 2) not null check (valor_diaria >= 0),
+  vigencia_inicio date not null,
+  observacao text,
+  created_by uuid references cadastro_user (id),
+  created_at timestamptz not null default now(),
+  unique (funcionario_id, vigencia_inicio)
+);
+
+-- Valor atual de quem já tem diária cadastrada passa a valer
+-- "desde sempre", para lançamentos antigos continuarem com ele.
+insert into funcionario_valor_diaria (funcionario_id, valor_diaria, vigencia_inicio, observacao)
+select id, valor_diaria, date '1900-01-01', 'Valor inicial (migração)'
+from cadastro_func
+where coalesce(valor_diaria, 0) > 0
+on conflict (funcionario_id, vigencia_inicio) do nothing;
+
+-- Copia para cadastro_func.valor_diaria o valor vigente hoje
+-- (reajustes agendados passam a valer sozinhos na data).
+create or replace function aplicar_valores_diaria_vigentes()
+returns integer
+language sql
+as $$
+  with vigente as (
+    select distinct on (funcionario_id) funcionario_id, valor_diaria
+    from funcionario_valor_diaria
+    where vigencia_inicio <= (now() at time zone 'America/Sao_Paulo')::date
+    order by funcionario_id, vigencia_inicio desc
+  ),
+  atualizados as (
+    update cadastro_func f
+    set valor_diaria = v.valor_diaria
+    from vigente v
+    where f.id = v.funcionario_id
+      and f.valor_diaria is distinct from v.valor_diaria
+    returning f.id
+  )
+  select count(*)::integer from atualizados;
+$$;
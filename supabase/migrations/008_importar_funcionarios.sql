@@ -0,0 +1,48 @@
+-- Importação em lote de funcionários (POST /funcionarios/importar).
+-- Tudo numa transação: cadastro, histórico do valor da diária e,
+-- se p_obra_id vier, o vínculo em equipe_obra. Qualquer erro
+-- (ex.: CPF duplicado) desfaz a importação inteira.
+create or replace function importar_funcionarios(
+  p_funcionarios jsonb,
+  p_obra_id uuid default null,
+  p_usuario_id uuid default null
+)
+returns setof uuid
+language plpgsql
+as $$
+declare
+  v_hoje date := (now() at time zone 'America/Sao_Paulo')::date;
+begin
+  create temporary table tmp_importados (id uuid, valor_diaria numeric)
+    on commit drop;
+
+  with novos as (
+    insert into cadastro_func (
+      nome, funcao, razao_social, titular_conta, banco, agencia, conta,
+      chave_pix, chave_pix_tipo, observacao, valor_diaria, cpf, cnpj, rg,
+      situacao
+    )
+    select
+      nome, funcao, razao_social, titular_conta, banco, agencia, conta,
+      chave_pix, chave_pix_tipo, observacao, coalesce(valor_diaria, 0), cpf,
+      cnpj, rg, coalesce(situacao, 'ativo')
+    from jsonb_populate_recordset(null::cadastro_func, p_funcionarios)
+    returning id, valor_diaria
+  )
+  insert into tmp_importados select id, valor_diaria from novos;
+
+  insert into funcionario_valor_diaria (
+    funcionario_id, valor_diaria, vigencia_inicio, observacao, created_by
+  )
+  select id, valor_diaria, v_hoje, 'Importação de funcionários', p_usuario_id
+  from tmp_importados
+  where valor_diaria > 0;
+
+  if p_obra_id is not null then
+    insert into equipe_obra (obra_id, funcionario_id, situacao)
+    select p_obra_id, id, 'ativo' from tmp_importados;
+  end if;
+
+  return query select id from tmp_importados;
+end;
+$$;
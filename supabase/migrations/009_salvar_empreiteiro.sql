@@ -0,0 +1,65 @@
+-- Cadastro/edição de empreiteiro numa transação só (POST e
+-- PUT /empreiteiros). Trava a linha, confere os funcionários
+-- (existentes e não excluídos) e grava; lista vazia na edição
+-- exclui o empreiteiro. Erros:
+--   P0002 empreiteiro não encontrado
+--   P0001 'funcionarios_invalidos'
+-- funcionarios_ids passa por jsonb_populate_record para valer
+-- qualquer que seja o tipo da coluna (uuid[] ou jsonb).
+create or replace function salvar_empreiteiro(
+  p_id uuid,
+  p_nome text,
+  p_funcionarios_ids jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_ids uuid[];
+  v_validos integer;
+  v_novo cadastro_empreiteiro;
+begin
+  select coalesce(array_agg(distinct x::uuid), '{}')
+  into v_ids
+  from jsonb_array_elements_text(coalesce(p_funcionarios_ids, '[]')) x;
+
+  if p_id is not null then
+    perform 1 from cadastro_empreiteiro where id = p_id for update;
+    if not found then
+      raise exception 'empreiteiro_nao_encontrado' using errcode = 'P0002';
+    end if;
+
+    if cardinality(v_ids) = 0 then
+      delete from cadastro_empreiteiro where id = p_id;
+      return jsonb_build_object('id', p_id, 'excluido', true);
+    end if;
+  end if;
+
+  perform 1
+  from cadastro_func
+  where id = any (v_ids) and deleted_at is null
+  for share;
+  get diagnostics v_validos = row_count;
+
+  if cardinality(v_ids) = 0 or v_validos <> cardinality(v_ids) then
+    raise exception 'funcionarios_invalidos' using errcode = 'P0001';
+  end if;
+
+  v_novo := jsonb_populate_record(
+    null::cadastro_empreiteiro,
+    jsonb_build_object('funcionarios_ids', to_jsonb(v_ids))
+  );
+
+  if p_id is null then
+    insert into cadastro_empreiteiro (nome, funcionarios_ids)
+    values (p_nome, v_novo.funcionarios_ids)
+    returning id into p_id;
+  else
+    update cadastro_empreiteiro
+    set nome = p_nome, funcionarios_ids = v_novo.funcionarios_ids
+    where id = p_id;
+  end if;
+
+  return jsonb_build_object('id', p_id, 'excluido', false);
+end;
+$$;
@@ -0,0 +1,7 @@
+-- Id da requisição (X-Request-Id) em cada log de auditoria, para
+-- cruzar com as linhas do log de acesso/erros da API.
+alter table logs_sistema add column if not exists request_id text;
+
+create index if not exists logs_sistema_request_id_idx
+  on logs_sistema (request_id)
+  where request_id is not null;
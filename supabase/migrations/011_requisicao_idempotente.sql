@@ -0,0 +1,17 @@
+-- Respostas guardadas por Idempotency-Key: o reenvio do mesmo POST
+-- (rede instável no canteiro) devolve a resposta gravada em vez de
+-- criar de novo. status/resposta nulos = requisição em andamento.
+create table if not exists requisicao_idempotente (
+  usuario_id uuid not null references cadastro_user (id) on delete cascade,
+  chave text not null,
+  rota text not null,
+  hash_corpo text not null,
+  status integer,
+  resposta jsonb,
+  created_at timestamptz not null default now(),
+  expira_em timestamptz not null,
+  primary key (usuario_id, chave)
+);
+
+create index if not exists requisicao_idempotente_expira_idx
+  on requisicao_idempotente (expira_em);
@@ -0,0 +1,63 @@
+-- Busca das listagens (?q=) feita no banco, sem acento e sem caixa.
+-- Cada cadastro listado ganha a coluna gerada "busca" com os campos
+-- de busca da rota (LISTAGEM_* em src/app.js) em maiúsculas e sem
+-- acento; a API normaliza o termo do mesmo jeito e filtra com
+-- ilike '%termo%', atendido pelo índice trigram.
+create extension if not exists unaccent with schema extensions;
+create extension if not exists pg_trgm with schema extensions;
+
+-- unaccent() é só stable (depende do dicionário carregado); coluna
+-- gerada exige função immutable, daí o dicionário fixo aqui.
+create or replace function busca_normalizada(variadic p_textos text[])
+returns text
+language sql
+immutable
+parallel safe
+as $$
+  select upper(
+    regexp_replace(
+      extensions.unaccent(
+        'extensions.unaccent'::regdictionary,
+        concat_ws(' ', variadic p_textos)
+      ),
+      '\s+', ' ', 'g'
+    )
+  )
+$$;
+
+alter table cadastro_func
+  add column if not exists busca text
+  generated always as (busca_normalizada(nome, funcao, cpf)) stored;
+
+alter table cadastro_user
+  add column if not exists busca text
+  generated always as (busca_normalizada(nome, email)) stored;
+
+alter table cadastro_obra
+  add column if not exists busca text
+  generated always as (busca_normalizada(nome, cidade)) stored;
+
+alter table cadastro_empreiteiro
+  add column if not exists busca text
+  generated always as (busca_normalizada(nome)) stored;
+
+alter table cadastro_quinzena
+  add column if not exists busca text
+  generated always as (busca_normalizada(nome)) stored;
+
+alter table empreitas
+  add column if not exists busca text
+  generated always as (busca_normalizada(descricao)) stored;
+
+create index if not exists cadastro_func_busca_idx
+  on cadastro_func using gin (busca extensions.gin_trgm_ops);
+create index if not exists cadastro_user_busca_idx
+  on cadastro_user using gin (busca extensions.gin_trgm_ops);
+create index if not exists cadastro_obra_busca_idx
+  on cadastro_obra using gin (busca extensions.gin_trgm_ops);
+create index if not exists cadastro_empreiteiro_busca_idx
+  on cadastro_empreiteiro using gin (busca extensions.gin_trgm_ops);
+create index if not exists cadastro_quinzena_busca_idx
+  on cadastro_quinzena using gin (busca extensions.gin_trgm_ops);
+create index if not exists empreitas_busca_idx
+  on empreitas using gin (busca extensions.gin_trgm_ops);
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { IDS, subirApp } from "./support/cenario.js";
+
+const DIA = "2026-03-04";
+
+function diaria(obraId, qtd, funcionarioId = IDS.pedreiro) {
+  return { obra_id: obraId, funcionario_id: funcionarioId, data: DIA, qtd };
+}
+
+describe("POST /lanc-diarias", () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await subirApp();
+  });
+
+  afterEach(() => api.fechar());
+
+  const lancar = (registros, como = "admin") =>
+    api.requisitar("POST", "/lanc-diarias", { como, corpo: { registros } });
+
+  it("usa o valor do cadastro quando o funcionário não tem histórico", async () => {
+    const r = await lancar([diaria(IDS.obraA, 1)]);
+
+    assert.equal(r.status, 200);
+    const [salva] = api.supabase.tabela("lanc_diarias");
+    assert.equal(salva.valor_diaria_aplicado, 200);
+  });
+
+  it("recusa passar de 1,0 diária no dia somando as obras", async () => {
+    assert.equal((await lancar([diaria(IDS.obraB, 0.6)])).status, 200);
+
+    const r = await lancar([diaria(IDS.obraA, 0.5)]);
+
+    assert.equal(r.status, 409);
+    assert.equal(r.corpo.code, "DIARIA_EXCEDE_LIMITE");
+    assert.match(r.corpo.error, /Obra B/);
+    assert.equal(api.supabase.tabela("lanc_diarias").length, 1);
+  });
+
+  it("aceita completar exatamente 1,0 em outra obra", async () => {
+    await lancar([diaria(IDS.obraB, 0.5)]);
+
+    const r = await lancar([diaria(IDS.obraA, 0.5)]);
+
+    assert.equal(r.status, 200);
+    assert.equal(api.supabase.tabela("lanc_diarias").length, 2);
+  });
+
+  it("regravar o mesmo lançamento substitui a quantidade em vez de somar", async () => {
+    await lancar([diaria(IDS.obraA, 0.8)]);
+
+    const r = await lancar([diaria(IDS.obraA, 1)]);
+
+    assert.equal(r.status, 200);
+    const linhas = api.supabase.tabela("lanc_diarias");
+    assert.equal(linhas.length, 1);
+    assert.equal(linhas[0].qtd, 1);
+  });
+
+  it("recusa o limite também dentro do mesmo envio", async () => {
+    const r = await lancar([diaria(IDS.obraA, 0.7), diaria(IDS.obraB, 0.7)]);
+
+    assert.equal(r.status, 409);
+    assert.equal(r.corpo.code, "DIARIA_EXCEDE_LIMITE");
+    assert.equal(api.supabase.tabela("lanc_diarias").length, 0);
+  });
+
+  it("encarregado não lança em obra à qual não está atribuído", async () => {
+    const r = await lancar([diaria(IDS.obraB, 1)], "encarregado");
+
+    assert.equal(r.status, 403);
+    assert.equal(api.supabase.tabela("lanc_diarias").length, 0);
+  });
+});
+
+describe("DELETE /lanc-diarias", () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await subirApp();
+  });
+
+  afterEach(() => api.fechar());
+
+  it("exclui as chaves de vários grupos e registra as linhas excluídas", async () => {
+    await api.requisitar("POST", "/lanc-diarias", {
+      como: "admin",
+      corpo: {
+        registros: [
+          diaria(IDS.obraA, 0.5),
+          diaria(IDS.obraB, 0.5),
+          diaria(IDS.obraA, 1, IDS.servente),
+        ],
+      },
+    });
+
+    const r = await api.requisitar("DELETE", "/lanc-diarias", {
+      como: "admin",
+      corpo: {
+        registros: [
+          { obra_id: IDS.obraA, funcionario_id: IDS.pedreiro, data: DIA },
+          { obra_id: IDS.obraB, funcionario_id: IDS.pedreiro, data: DIA },
+          { obra_id: IDS.obraB, funcionario_id: IDS.servente, data: DIA },
+        ],
+      },
+    });
+
+    assert.equal(r.status, 200);
+    assert.equal(r.corpo.data.excluidos, 2);
+    assert.deepEqual(r.corpo.data.nao_encontrados, [
+      { obra_id: IDS.obraB, funcionario_id: IDS.servente, data: DIA },
+    ]);
+    assert.deepEqual(
+      api.supabase
+        .tabela("lanc_diarias")
+        .map((d) => [d.obra_id, d.funcionario_id]),
+      [[IDS.obraA, IDS.servente]],
+    );
+
+    const log = api.supabase
+      .tabela("logs_sistema")
+      .find((l) => l.metodo === "DELETE");
+    assert.equal(log.antes.length, 2);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { conferirRotasDocumentadas } from "../src/app.js";
+import { subirApp } from "./support/cenario.js";
+
+describe("documentação", () => {
+  let api;
+
+  before(async () => {
+    api = await subirApp();
+  });
+
+  after(() => api.fechar());
+
+  it("toda rota tem descrição e toda descrição tem rota", () => {
+    const { semDescricao, semRota } = conferirRotasDocumentadas(api.app);
+
+    assert.deepEqual(semDescricao, []);
+    assert.deepEqual(semRota, []);
+  });
+
+  it("/openapi.json descreve os erros com code e request_id", async () => {
+    const r = await api.requisitar("GET", "/openapi.json");
+
+    assert.equal(r.status, 200);
+    const { Erro } = r.corpo.components.schemas;
+    assert.ok(Erro.properties.code);
+    assert.ok(Erro.properties.request_id);
+    assert.deepEqual(
+      r.corpo.components.responses.NaoEncontrado.content["application/json"]
+        .schema,
+      { $ref: "#/components/schemas/Erro" },
+    );
+  });
+
+  it("/docs usa o Swagger UI local, sob a CSP padrão", async () => {
+    const pagina = await api.requisitar("GET", "/docs");
+    const bundle = await api.requisitar("GET", "/docs/ui/swagger-ui-bundle.js");
+
+    assert.equal(pagina.status, 200);
+    assert.doesNotMatch(pagina.corpo, /https?:\/\//);
+    assert.match(
+      pagina.headers.get("content-security-policy"),
+      /script-src 'self';/,
+    );
+    assert.equal(bundle.status, 200);
+  });
+
+  it("/docs/ aponta para os mesmos arquivos que /docs", async () => {
+    const pagina = await api.requisitar("GET", "/docs/");
+    const arquivos = [...pagina.corpo.matchAll(/(?:src|href)="([^"]+)"/g)];
+
+    assert.equal(pagina.status, 200);
+    assert.ok(arquivos.length);
+    for (const [, caminho] of arquivos) {
+      assert.equal((await api.requisitar("GET", caminho)).status, 200);
+    }
+  });
+});
@@ -0,0 +1,227 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { IDS, dadosBase, subirApp } from "./support/cenario.js";
+
+function hoje() {
+  return new Date().toLocaleDateString("sv-SE", {
+    timeZone: "America/Sao_Paulo",
+  });
+}
+
+describe("funcionários", () => {
+  let api;
+
+  afterEach(() => api.fechar());
+
+  it("PUT sem valor_diaria mantém o valor e não grava vigência", async () => {
+    api = await subirApp();
+
+    const r = await api.requisitar("PUT", `/funcionarios/${IDS.pedreiro}`, {
+      como: "admin",
+      corpo: { nome: "Pedreiro Chefe", funcao: "PEDREIRO" },
+    });
+
+    assert.equal(r.status, 200);
+    const [pedreiro] = api.supabase.tabela("cadastro_func");
+    assert.equal(pedreiro.nome, "Pedreiro Chefe");
+    assert.equal(pedreiro.valor_diaria, 200);
+    assert.equal(api.supabase.tabela("funcionario_valor_diaria").length, 0);
+  });
+
+  it("PUT desfaz o cadastro quando o histórico do valor novo falha", async () => {
+    // uma vigência por dia no banco inteiro: a do servente, de hoje,
+    // faz o histórico do pedreiro falhar depois do cadastro
+    api = await subirApp({
+      tabelas: {
+        ...dadosBase(),
+        funcionario_valor_diaria: [
+          {
+            funcionario_id: IDS.servente,
+            valor_diaria: 120,
+            vigencia_inicio: hoje(),
+          },
+        ],
+      },
+      unicos: { funcionario_valor_diaria: [["vigencia_inicio"]] },
+    });
+
+    const r = await api.requisitar("PUT", `/funcionarios/${IDS.pedreiro}`, {
+      como: "admin",
+      corpo: { nome: "Pedreiro Chefe", funcao: "PEDREIRO", valor_diaria: 250 },
+    });
+
+    assert.equal(r.status, 500);
+    const [pedreiro] = api.supabase.tabela("cadastro_func");
+    assert.equal(pedreiro.nome, "Pedreiro");
+    assert.equal(pedreiro.valor_diaria, 200);
+  });
+
+  it("funcionário excluído não recebe vigência nova", async () => {
+    api = await subirApp();
+    api.supabase.tabela("cadastro_func")[0].deleted_at =
+      "2026-03-01T12:00:00.000Z";
+
+    const r = await api.requisitar(
+      "POST",
+      `/funcionarios/${IDS.pedreiro}/valor-diaria`,
+      {
+        como: "admin",
+        corpo: { valor_diaria: 250, vigencia_inicio: "2099-01-01" },
+      },
+    );
+
+    assert.equal(r.status, 409);
+    assert.equal(r.corpo.code, "REGISTRO_EXCLUIDO");
+    assert.equal(api.supabase.tabela("funcionario_valor_diaria").length, 0);
+  });
+
+  it("GET mostra o reajuste que já vigora sem gravar no cadastro", async () => {
+    api = await subirApp({
+      tabelas: {
+        ...dadosBase(),
+        funcionario_valor_diaria: [
+          {
+            funcionario_id: IDS.pedreiro,
+            valor_diaria: 230,
+            vigencia_inicio: "2026-01-01",
+          },
+        ],
+      },
+    });
+
+    const r = await api.requisitar("GET", `/funcionarios/${IDS.pedreiro}`, {
+      como: "admin",
+    });
+
+    assert.equal(r.status, 200);
+    assert.equal(r.corpo.data.valor_diaria, 230);
+    assert.equal(api.supabase.tabela("cadastro_func")[0].valor_diaria, 200);
+  });
+
+  it("CPF repetido responde 409", async () => {
+    api = await subirApp();
+    const corpo = { nome: "Novo", cpf: "529.982.247-25" };
+
+    const primeiro = await api.requisitar("POST", "/funcionarios", {
+      como: "admin",
+      corpo,
+    });
+    const segundo = await api.requisitar("POST", "/funcionarios", {
+      como: "admin",
+      corpo: { ...corpo, nome: "Outro" },
+    });
+
+    assert.equal(primeiro.status, 201);
+    assert.equal(segundo.status, 409);
+    assert.equal(segundo.corpo.code, "CPF_DUPLICADO");
+  });
+
+  it("importação desfaz os cadastros quando o histórico falha", async () => {
+    // uma vigência por dia no banco inteiro: a do servente, de hoje,
+    // faz o histórico da importação falhar depois dos cadastros
+    api = await subirApp({
+      tabelas: {
+        ...dadosBase(),
+        funcionario_valor_diaria: [
+          {
+            funcionario_id: IDS.servente,
+            valor_diaria: 120,
+            vigencia_inicio: hoje(),
+          },
+        ],
+      },
+      unicos: { funcionario_valor_diaria: [["vigencia_inicio"]] },
+    });
+
+    const r = await api.requisitar(
+      "POST",
+      "/funcionarios/importar?dry_run=false",
+      {
+        como: "admin",
+        tipo: "text/csv",
+        corpo: "nome;valor_diaria\nAna;150\nBruno;160\n",
+      },
+    );
+
+    assert.notEqual(r.status, 200);
+    assert.deepEqual(
+      api.supabase.tabela("cadastro_func").map((f) => f.nome),
+      ["Pedreiro", "Servente", "Engenheira"],
+    );
+  });
+});
+
+describe("GET /funcionarios (listagem)", () => {
+  let api;
+
+  beforeEach(async () => {
+    const base = dadosBase();
+
+    api = await subirApp({
+      tabelas: {
+        ...base,
+        cadastro_func: [
+          ...base.cadastro_func,
+          {
+            id: "c0000000-0000-4000-8000-000000000004",
+            nome: "José Ângelo",
+            funcao: null,
+            cpf: "52998224725",
+            situacao: "ativo",
+            valor_diaria: 150,
+            deleted_at: null,
+          },
+        ],
+      },
+    });
+  });
+
+  afterEach(() => api.fechar());
+
+  const listar = (query, como = "consulta") =>
+    api.requisitar("GET", `/funcionarios?${query}`, { como });
+
+  it("busca sem acento/caixa e pelo CPF formatado", async () => {
+    const nome = await listar("q=jose angelo");
+    const cpf = await listar("q=529.982");
+
+    assert.equal(nome.status, 200);
+    assert.deepEqual(
+      nome.corpo.data.map((f) => f.nome),
+      ["José Ângelo"],
+    );
+    assert.deepEqual(
+      cpf.corpo.data.map((f) => f.nome),
+      ["José Ângelo"],
+    );
+  });
+
+  it("pagina pelo cursor com o total do que o usuário vê", async () => {
+    const nomes = [];
+    let cursor = null;
+
+    do {
+      const r = await listar(
+        `sort=-funcao&limit=1${cursor ? `&cursor=${cursor}` : ""}`,
+      );
+
+      assert.equal(r.status, 200);
+      assert.equal(r.corpo.total, 3);
+      nomes.push(...r.corpo.data.map((f) => f.nome));
+      cursor = r.corpo.next_cursor;
+    } while (cursor);
+
+    // decrescente: funcao nula primeiro; EQUIPE ENGENHARIA oculta
+    assert.deepEqual(nomes, ["José Ângelo", "Servente", "Pedreiro"]);
+  });
+
+  it("recusa cursor adulterado", async () => {
+    const cursor = Buffer.from(
+      JSON.stringify({ v: "x", id: 'x",id.neq."' }),
+    ).toString("base64url");
+
+    const r = await listar(`limit=1&cursor=${cursor}`);
+
+    assert.equal(r.status, 400);
+  });
+});
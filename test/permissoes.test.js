@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { IDS, subirApp } from "./support/cenario.js";
+
+describe("permissões", () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await subirApp();
+  });
+
+  afterEach(() => api.fechar());
+
+  it("sem token responde 401", async () => {
+    const r = await api.requisitar("GET", "/funcionarios");
+
+    assert.equal(r.status, 401);
+    assert.equal(r.corpo.code, "NAO_AUTENTICADO");
+    assert.ok(r.corpo.request_id);
+  });
+
+  it("nível sem a permissão da rota responde 403 com a permissão", async () => {
+    const r = await api.requisitar("POST", "/funcionarios", {
+      como: "consulta",
+      corpo: { nome: "Novo" },
+    });
+
+    assert.equal(r.status, 403);
+    assert.equal(r.corpo.code, "SEM_PERMISSAO");
+    assert.equal(r.corpo.permissao, "funcionarios:write");
+    assert.equal(api.supabase.tabela("cadastro_func").length, 3);
+  });
+
+  it("encarregado só acessa as obras atribuídas", async () => {
+    const periodo = "data_inicio=2026-03-02&data_fim=2026-03-08";
+
+    const atribuida = await api.requisitar(
+      "GET",
+      `/lanc-diarias?obra_id=${IDS.obraA}&${periodo}`,
+      { como: "encarregado" },
+    );
+    const outra = await api.requisitar(
+      "GET",
+      `/lanc-diarias?obra_id=${IDS.obraB}&${periodo}`,
+      { como: "encarregado" },
+    );
+
+    assert.equal(atribuida.status, 200);
+    assert.equal(outra.status, 403);
+  });
+
+  it("EQUIPE ENGENHARIA fica oculta para quem não tem acesso irrestrito", async () => {
+    const lista = await api.requisitar("GET", "/funcionarios", {
+      como: "consulta",
+    });
+    const ficha = await api.requisitar(
+      "GET",
+      `/funcionarios/${IDS.engenheiro}`,
+      { como: "consulta" },
+    );
+    const admin = await api.requisitar(
+      "GET",
+      `/funcionarios/${IDS.engenheiro}`,
+      { como: "admin" },
+    );
+
+    assert.equal(lista.status, 200);
+    assert.deepEqual(lista.corpo.data.map((f) => f.nome).sort(), [
+      "Pedreiro",
+      "Servente",
+    ]);
+    assert.equal(ficha.status, 403);
+    assert.equal(admin.status, 200);
+  });
+
+  it("obra excluída responde 404, inclusive para o admin", async () => {
+    api.supabase.tabela("cadastro_obra")[1].deleted_at =
+      "2026-03-01T12:00:00.000Z";
+
+    const consulta = await api.requisitar("GET", `/obras/${IDS.obraB}`, {
+      como: "admin",
+    });
+    const edicao = await api.requisitar("PATCH", `/obras/${IDS.obraB}`, {
+      como: "admin",
+      corpo: { nome: "Obra B2" },
+    });
+
+    const atribuicao = await api.requisitar(
+      "POST",
+      `/obras/${IDS.obraB}/usuarios`,
+      { como: "admin", corpo: { usuario_id: IDS.encarregado } },
+    );
+
+    assert.equal(consulta.status, 404);
+    assert.equal(edicao.status, 409);
+    assert.equal(edicao.corpo.code, "REGISTRO_EXCLUIDO");
+    assert.equal(atribuicao.status, 409);
+    assert.equal(atribuicao.corpo.code, "REGISTRO_EXCLUIDO");
+    assert.equal(api.supabase.tabela("obra_usuario").length, 1);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { IDS, dadosBase, subirApp } from "./support/cenario.js";
+
+const QUINZENA = "d0000000-0000-4000-8000-000000000001";
+
+function quinzena(extra = {}) {
+  return {
+    id: QUINZENA,
+    nome: "1ª março",
+    data_inicio: "2026-03-01",
+    data_fim: "2026-03-15",
+    status: "aberta",
+    deleted_at: null,
+    ...extra,
+  };
+}
+
+describe("fechar e reabrir quinzena", () => {
+  let api;
+
+  afterEach(() => api.fechar());
+
+  describe("quinzena excluída", () => {
+    beforeEach(async () => {
+      api = await subirApp({
+        tabelas: {
+          ...dadosBase(),
+          cadastro_quinzena: [
+            quinzena({ deleted_at: "2026-03-20T12:00:00.000Z" }),
+          ],
+        },
+      });
+    });
+
+    it("não fecha: 404", async () => {
+      const r = await api.requisitar("POST", `/quinzenas/${QUINZENA}/fechar`, {
+        como: "admin",
+        corpo: {},
+      });
+
+      assert.equal(r.status, 404);
+      assert.equal(
+        api.supabase.tabela("cadastro_quinzena")[0].status,
+        "aberta",
+      );
+    });
+
+    it("não reabre: 404", async () => {
+      api.supabase.tabela("cadastro_quinzena")[0].status = "fechada";
+
+      const r = await api.requisitar("POST", `/quinzenas/${QUINZENA}/reabrir`, {
+        como: "admin",
+        corpo: { motivo: "Correção de diárias" },
+      });
+
+      assert.equal(r.status, 404);
+      assert.equal(
+        api.supabase.tabela("cadastro_quinzena")[0].status,
+        "fechada",
+      );
+    });
+  });
+
+  it("fecha a quinzena ativa", async () => {
+    api = await subirApp({
+      tabelas: { ...dadosBase(), cadastro_quinzena: [quinzena()] },
+    });
+
+    const r = await api.requisitar("POST", `/quinzenas/${QUINZENA}/fechar`, {
+      como: "admin",
+      corpo: {},
+    });
+
+    assert.equal(r.status, 200);
+    assert.equal(api.supabase.tabela("cadastro_quinzena")[0].status, "fechada");
+  });
+});
+
+describe("GET /quinzenas/:id/remessa/validacao", () => {
+  let api;
+
+  beforeEach(async () => {
+    const diaria = (funcionarioId, valor) => ({
+      obra_id: IDS.obraA,
+      funcionario_id: funcionarioId,
+      data: "2026-03-02",
+      qtd: 1,
+      valor_diaria_aplicado: valor,
+    });
+
+    api = await subirApp({
+      tabelas: {
+        ...dadosBase(),
+        cadastro_quinzena: [quinzena({ status: "fechada" })],
+        lanc_diarias: [
+          diaria(IDS.pedreiro, 200),
+          diaria(IDS.servente, 120),
+          diaria(IDS.engenheiro, 500),
+        ],
+      },
+    });
+  });
+
+  afterEach(() => api.fechar());
+
+  const validar = (como) =>
+    api.requisitar("GET", `/quinzenas/${QUINZENA}/remessa/validacao`, {
+      como,
+    });
+
+  it("financeiro confere o total, mas não vê a EQUIPE ENGENHARIA", async () => {
+    const r = await validar("financeiro");
+
+    assert.equal(r.status, 200);
+    assert.equal(r.corpo.data.total_funcionarios, 3);
+    assert.equal(r.corpo.data.total_ocultos, 1);
+    assert.deepEqual(
+      r.corpo.data.funcionarios.map((f) => f.funcionario_id).sort(),
+      [IDS.pedreiro, IDS.servente],
+    );
+  });
+
+  it("admin vê todos os funcionários", async () => {
+    const r = await validar("admin");
+
+    assert.equal(r.status, 200);
+    assert.equal(r.corpo.data.total_ocultos, 0);
+    assert.equal(r.corpo.data.funcionarios.length, 3);
+  });
+});
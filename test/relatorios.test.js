@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { IDS, dadosBase, subirApp } from "./support/cenario.js";
+
+const PERIODO = "inicio=2026-03-01&fim=2026-03-15";
+const OBRA_ENGENHARIA = "b0000000-0000-4000-8000-000000000099";
+
+function diaria(obraId, funcionarioId, data, qtd, valor) {
+  return {
+    obra_id: obraId,
+    funcionario_id: funcionarioId,
+    data,
+    qtd,
+    valor_diaria_aplicado: valor,
+  };
+}
+
+describe("GET /relatorios/pagamento", () => {
+  let api;
+
+  beforeEach(async () => {
+    const base = dadosBase();
+
+    api = await subirApp({
+      tabelas: {
+        ...base,
+        cadastro_obra: [
+          ...base.cadastro_obra,
+          { id: OBRA_ENGENHARIA, nome: "Equipe Engenharia", deleted_at: null },
+        ],
+        lanc_diarias: [
+          diaria(IDS.obraA, IDS.pedreiro, "2026-03-02", 1, 200),
+          diaria(IDS.obraA, IDS.pedreiro, "2026-03-03", 0.5, 200),
+          diaria(IDS.obraB, IDS.servente, "2026-03-02", 1, 120),
+          diaria(OBRA_ENGENHARIA, IDS.engenheiro, "2026-03-02", 1, 500),
+          // fora do período
+          diaria(IDS.obraA, IDS.servente, "2026-03-20", 1, 120),
+        ],
+      },
+    });
+  });
+
+  afterEach(() => api.fechar());
+
+  const relatorio = (como, extra = "") =>
+    api.requisitar("GET", `/relatorios/pagamento?${PERIODO}${extra}`, {
+      como,
+    });
+
+  it("encarregado vê só o movimento das obras atribuídas", async () => {
+    const r = await relatorio("encarregado");
+
+    assert.equal(r.status, 200);
+    assert.deepEqual(
+      r.corpo.funcionarios.map((f) => f.id),
+      [IDS.pedreiro],
+    );
+    assert.ok(r.corpo.diarias.every((d) => d.obra_id === IDS.obraA));
+    assert.equal(r.corpo.diarias.length, 2);
+  });
+
+  it("financeiro vê as obras não atribuídas, menos a EQUIPE ENGENHARIA", async () => {
+    const r = await relatorio("financeiro");
+
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.corpo.funcionarios.map((f) => f.id).sort(), [
+      IDS.pedreiro,
+      IDS.servente,
+    ]);
+    assert.equal(r.corpo.diarias.length, 3);
+    assert.ok(r.corpo.diarias.every((d) => d.obra_id !== OBRA_ENGENHARIA));
+  });
+
+  it("admin vê tudo e o calculado soma em centavos", async () => {
+    const r = await relatorio("admin", "&modo=calculado");
+
+    assert.equal(r.status, 200);
+    assert.equal(r.corpo.resumo.funcionarios.length, 3);
+    assert.equal(r.corpo.resumo.totais.diarias_centavos, 30000 + 12000 + 50000);
+    assert.equal(r.corpo.resumo.totais.liquido_centavos, 92000);
+  });
+
+  it("nível sem a permissão do relatório recebe 403", async () => {
+    const r = await relatorio("consulta");
+
+    assert.equal(r.status, 403);
+    assert.equal(r.corpo.permissao, "relatorios:pagamento:read");
+  });
+});
@@ -0,0 +1,119 @@
+import { criarApp } from "../../src/app.js";
+import { criarSupabaseMemoria } from "./supabaseMemoria.js";
+
+// --------------------------------------------------
+// CENÁRIO DOS TESTES DE ROTA
+// - um usuário por nível de acesso; o encarregado está
+//   atribuído só à obra A
+// - subirApp cria uma app nova (criarApp) sobre o
+//   supabase em memória e sobe numa porta livre; cada
+//   teste começa do zero
+// --------------------------------------------------
+export const IDS = {
+  admin: "a0000000-0000-4000-8000-000000000001",
+  financeiro: "a0000000-0000-4000-8000-000000000002",
+  encarregado: "a0000000-0000-4000-8000-000000000003",
+  consulta: "a0000000-0000-4000-8000-000000000004",
+  obraA: "b0000000-0000-4000-8000-000000000001",
+  obraB: "b0000000-0000-4000-8000-000000000002",
+  pedreiro: "c0000000-0000-4000-8000-000000000001",
+  servente: "c0000000-0000-4000-8000-000000000002",
+  engenheiro: "c0000000-0000-4000-8000-000000000003",
+};
+
+function usuario(nivel) {
+  return {
+    id: IDS[nivel],
+    nome: `Usuário ${nivel}`,
+    email: `${nivel}@cnx.test`,
+    nivel_acesso: nivel,
+    situacao: "ativo",
+    deleted_at: null,
+  };
+}
+
+function funcionario(chave, nome, funcao, valorDiaria) {
+  return {
+    id: IDS[chave],
+    nome,
+    funcao,
+    situacao: "ativo",
+    valor_diaria: valorDiaria,
+    deleted_at: null,
+  };
+}
+
+export function dadosBase() {
+  return {
+    cadastro_user: ["admin", "financeiro", "encarregado", "consulta"].map(
+      usuario,
+    ),
+    cadastro_obra: [
+      { id: IDS.obraA, nome: "Obra A", responsavel: null, deleted_at: null },
+      { id: IDS.obraB, nome: "Obra B", responsavel: null, deleted_at: null },
+    ],
+    obra_usuario: [{ obra_id: IDS.obraA, usuario_id: IDS.encarregado }],
+    cadastro_func: [
+      funcionario("pedreiro", "Pedreiro", "PEDREIRO", 200),
+      funcionario("servente", "Servente", "SERVENTE", 120),
+      funcionario("engenheiro", "Engenheira", "EQUIPE ENGENHARIA", 500),
+    ],
+  };
+}
+
+export async function subirApp({ tabelas = dadosBase(), unicos } = {}) {
+  const supabase = criarSupabaseMemoria({
+    tabelas,
+    unicos,
+    usuariosAuth: (tabelas.cadastro_user || []).map((u) => ({
+      id: u.id,
+      email: u.email,
+    })),
+  });
+
+  const app = criarApp({ supabase });
+  const servidor = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${servidor.address().port}`;
+
+  const tokens = new Map();
+  const tokenDe = (nivel) => {
+    if (!tokens.has(nivel)) tokens.set(nivel, supabase.criarToken(IDS[nivel]));
+    return tokens.get(nivel);
+  };
+
+  // { status, headers, corpo }; corpo é o JSON ou o texto da resposta
+  async function requisitar(
+    metodo,
+    caminho,
+    { como, corpo, tipo = "application/json", headers = {} } = {},
+  ) {
+    const res = await fetch(`${base}${caminho}`, {
+      method: metodo,
+      headers: {
+        ...(como ? { authorization: `Bearer ${tokenDe(como)}` } : {}),
+        ...(corpo !== undefined ? { "content-type": tipo } : {}),
+        ...headers,
+      },
+      body:
+        corpo === undefined || typeof corpo === "string"
+          ? corpo
+          : JSON.stringify(corpo),
+    });
+
+    const json = (res.headers.get("content-type") || "").includes("json");
+    return {
+      status: res.status,
+      headers: res.headers,
+      corpo: json ? await res.json() : await res.text(),
+    };
+  }
+
+  return {
+    app,
+    supabase,
+    requisitar,
+    fechar: () => new Promise((resolve) => servidor.close(resolve)),
+  };
+}
@@ -0,0 +1,759 @@
+import { randomUUID } from "node:crypto";
+
+// --------------------------------------------------
+// SUPABASE EM MEMÓRIA (TESTES)
+// - substitui o supabaseAdmin em criarApp({ supabase })
+//   para testar as rotas sem banco nem rede
+// - cobre só o que a API usa: from() com select/insert/
+//   update/upsert/delete, eq/neq/in/gt/gte/lt/lte/is/
+//   ilike/not/or, order/limit, single/maybeSingle e
+//   { count: "exact", head }; rpc; auth.getUser e
+//   auth.admin
+// - colunas geradas (a "busca" da migration 012) são
+//   calculadas na hora de filtrar, como o banco faria
+// - tabelas = { nome: [linhas] }; id e created_at são
+//   preenchidos no insert quando faltam
+// - unicos = { tabela: [["coluna", ...]] } faz o insert
+//   falhar com 23505, como as constraints do banco
+// - tokens = { token: usuarioId } para o auth.getUser;
+//   criarToken(usuarioId) gera um novo
+// - rpc = { nome: (args, db) => ({ data, error }) } soma
+//   às funções das migrations já implementadas aqui
+// - geradas = { tabela: { coluna: (linha) => valor } }
+//   soma às colunas geradas das migrations
+// --------------------------------------------------
+const UNICOS_PADRAO = {
+  cadastro_func: [["cpf"]],
+  lanc_diarias: [["obra_id", "funcionario_id", "data"]],
+  lanc_diarias_ajustes: [["obra_id", "funcionario_id", "data_inicio"]],
+  obra_usuario: [["obra_id", "usuario_id"]],
+  funcionario_valor_diaria: [["funcionario_id", "vigencia_inicio"]],
+  requisicao_idempotente: [["usuario_id", "chave"]],
+};
+
+// "busca" da 012: os campos da busca em maiúsculas, sem acento
+function buscaNormalizada(...textos) {
+  return textos
+    .filter((t) => t !== null && t !== undefined)
+    .join(" ")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .toUpperCase();
+}
+
+const GERADAS_PADRAO = {
+  cadastro_func: { busca: (r) => buscaNormalizada(r.nome, r.funcao, r.cpf) },
+  cadastro_user: { busca: (r) => buscaNormalizada(r.nome, r.email) },
+  cadastro_obra: { busca: (r) => buscaNormalizada(r.nome, r.cidade) },
+  cadastro_empreiteiro: { busca: (r) => buscaNormalizada(r.nome) },
+  cadastro_quinzena: { busca: (r) => buscaNormalizada(r.nome) },
+  empreitas: { busca: (r) => buscaNormalizada(r.descricao) },
+};
+
+function erroPostgrest(code, message) {
+  return { code, message, details: null, hint: null };
+}
+
+function hojeISO() {
+  return new Date().toLocaleDateString("sv-SE", {
+    timeZone: "America/Sao_Paulo",
+  });
+}
+
+function copiar(valor) {
+  return valor === undefined ? undefined : structuredClone(valor);
+}
+
+// --------------------------------------------------
+// COMPARAÇÕES (PostgREST compara com o tipo da coluna;
+// aqui número com número e o resto como texto, o que
+// serve para uuid e datas ISO)
+// --------------------------------------------------
+function comparar(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (
+    a !== "" &&
+    b !== "" &&
+    typeof a !== "boolean" &&
+    Number.isFinite(na) &&
+    Number.isFinite(nb)
+  ) {
+    return na - nb;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+function igual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return false;
+  }
+  return comparar(a, b) === 0;
+}
+
+const OPERADORES = {
+  eq: (v, x) => igual(v, x),
+  neq: (v, x) => v !== null && v !== undefined && !igual(v, x),
+  gt: (v, x) => v !== null && v !== undefined && comparar(v, x) > 0,
+  gte: (v, x) => v !== null && v !== undefined && comparar(v, x) >= 0,
+  lt: (v, x) => v !== null && v !== undefined && comparar(v, x) < 0,
+  lte: (v, x) => v !== null && v !== undefined && comparar(v, x) <= 0,
+  in: (v, lista) => lista.some((x) => igual(v, x)),
+  is: (v, x) => (x === null ? v === null || v === undefined : v === x),
+  ilike: (v, padrao) =>
+    v !== null &&
+    v !== undefined &&
+    new RegExp(`^${padraoLike(padrao)}$`, "i").test(String(v)),
+};
+
+// LIKE -> RegExp: % e _ curingas, \ escapa o caractere seguinte
+function padraoLike(padrao) {
+  return String(padrao).replace(
+    /\\(.)|(%)|(_)|(.)/gs,
+    (_, esc, pct, sub, ch) => {
+      if (pct) return ".*";
+      if (sub) return ".";
+      return (esc ?? ch).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    },
+  );
+}
+
+// not.<op>: como no SQL, coluna nula não passa (a não ser no is)
+function negar(op, valor) {
+  return (v) =>
+    (op === "is" || (v !== null && v !== undefined)) &&
+    !OPERADORES[op](v, valor);
+}
+
+// Divide "a,b(c,d),e" só nas vírgulas de fora dos parênteses/aspas.
+function dividirNivel(texto) {
+  const partes = [];
+  let atual = "";
+  let nivel = 0;
+  let aspas = false;
+
+  let escape = false;
+
+  for (const ch of texto) {
+    if (escape) {
+      escape = false;
+    } else if (aspas && ch === "\\") {
+      escape = true;
+    } else if (ch === '"') {
+      aspas = !aspas;
+    }
+    if (!aspas && ch === "(") nivel++;
+    if (!aspas && ch === ")") nivel--;
+    if (!aspas && nivel === 0 && ch === ",") {
+      partes.push(atual);
+      atual = "";
+    } else {
+      atual += ch;
+    }
+  }
+
+  if (atual) partes.push(atual);
+  return partes;
+}
+
+function valorFiltro(bruto) {
+  const aspas = /^"(.*)"$/s.exec(bruto);
+  if (aspas) return aspas[1].replace(/\\(.)/gs, "$1");
+
+  const s = bruto;
+  if (s === "null") return null;
+  if (s === "true") return true;
+  if (s === "false") return false;
+  return s;
+}
+
+// Filtro no formato do .or(): "col.op.valor,and(...),or(...)"
+function predicadoTexto(texto) {
+  const grupo = /^(and|or)\((.*)\)$/.exec(texto);
+  if (grupo) {
+    const itens = dividirNivel(grupo[2]).map(predicadoTexto);
+    return grupo[1] === "and"
+      ? (r) => itens.every((p) => p(r))
+      : (r) => itens.some((p) => p(r));
+  }
+
+  const [, coluna, op, bruto] = /^([^.]+)\.(\w+)\.(.*)$/s.exec(texto) || [];
+  if (op === "not") {
+    const [, opNegado, resto] = /^(\w+)\.(.*)$/s.exec(bruto) || [];
+    const p = predicadoTexto(`${coluna}.${opNegado}.${resto}`);
+    return (r) =>
+      (opNegado === "is" || (r[coluna] !== null && r[coluna] !== undefined)) &&
+      !p(r);
+  }
+  if (!OPERADORES[op]) {
+    throw new Error(`supabaseMemoria: filtro não suportado: ${texto}`);
+  }
+
+  const valor =
+    op === "in"
+      ? dividirNivel(bruto.replace(/^\((.*)\)$/, "$1")).map(valorFiltro)
+      : valorFiltro(bruto);
+
+  return (r) => OPERADORES[op](r[coluna], valor);
+}
+
+// --------------------------------------------------
+// CONSULTA (builder "thenable", como o do supabase-js)
+// --------------------------------------------------
+class Consulta {
+  constructor(banco, tabela) {
+    this.banco = banco;
+    this.tabela = tabela;
+    this.operacao = null;
+    this.filtros = [];
+    this.ordens = [];
+    this.limite = null;
+    this.colunas = null;
+    this.contar = false;
+    this.cabecalho = false;
+    this.unico = null;
+  }
+
+  select(colunas = "*", { count, head = false } = {}) {
+    if (!this.operacao) this.operacao = "select";
+    this.colunas = colunas;
+    this.contar = count === "exact";
+    this.cabecalho = head;
+    return this;
+  }
+
+  insert(linhas) {
+    this.operacao = "insert";
+    this.linhas = Array.isArray(linhas) ? linhas : [linhas];
+    return this;
+  }
+
+  upsert(linhas, { onConflict = "id" } = {}) {
+    this.operacao = "upsert";
+    this.linhas = Array.isArray(linhas) ? linhas : [linhas];
+    this.conflito = onConflict.split(",").map((c) => c.trim());
+    return this;
+  }
+
+  update(valores) {
+    this.operacao = "update";
+    this.valores = valores;
+    return this;
+  }
+
+  delete() {
+    this.operacao = "delete";
+    return this;
+  }
+
+  filtrar(coluna, op, valor) {
+    this.filtros.push((r) => OPERADORES[op](r[coluna], valor));
+    return this;
+  }
+
+  eq(coluna, valor) {
+    return this.filtrar(coluna, "eq", valor);
+  }
+
+  neq(coluna, valor) {
+    return this.filtrar(coluna, "neq", valor);
+  }
+
+  gt(coluna, valor) {
+    return this.filtrar(coluna, "gt", valor);
+  }
+
+  gte(coluna, valor) {
+    return this.filtrar(coluna, "gte", valor);
+  }
+
+  lt(coluna, valor) {
+    return this.filtrar(coluna, "lt", valor);
+  }
+
+  lte(coluna, valor) {
+    return this.filtrar(coluna, "lte", valor);
+  }
+
+  in(coluna, lista) {
+    return this.filtrar(coluna, "in", lista || []);
+  }
+
+  is(coluna, valor) {
+    return this.filtrar(coluna, "is", valor);
+  }
+
+  ilike(coluna, padrao) {
+    return this.filtrar(coluna, "ilike", padrao);
+  }
+
+  not(coluna, op, valor) {
+    const p = negar(op, valor);
+    this.filtros.push((r) => p(r[coluna]));
+    return this;
+  }
+
+  or(texto) {
+    this.filtros.push(predicadoTexto(`or(${texto})`));
+    return this;
+  }
+
+  // nulos por último no crescente e primeiro no decrescente,
+  // o padrão do Postgres
+  order(coluna, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.ordens.push({ coluna, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(n) {
+    this.limite = n;
+    return this;
+  }
+
+  single() {
+    this.unico = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.unico = "maybe";
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.executar())
+      .then(resolve, reject);
+  }
+
+  // --------------------------------------------------
+  linhasDaTabela() {
+    return this.banco.tabela(this.tabela);
+  }
+
+  encontradas() {
+    const geradas = this.banco.geradas(this.tabela);
+    return this.linhasDaTabela().filter((r) => {
+      const linha = geradas ? { ...r, ...geradas(r) } : r;
+      return this.filtros.every((p) => p(linha));
+    });
+  }
+
+  projetar(linhas) {
+    if (!this.colunas || this.colunas.trim() === "*") {
+      return linhas.map(copiar);
+    }
+
+    const colunas = this.colunas.split(",").map((c) => c.trim());
+    return linhas.map((r) =>
+      Object.fromEntries(colunas.map((c) => [c, copiar(r[c] ?? null)])),
+    );
+  }
+
+  resultado(linhas, { count = null } = {}) {
+    const data =
+      this.colunas === null || this.cabecalho ? null : this.projetar(linhas);
+
+    if (this.unico && data) {
+      if (data.length > 1 || (data.length === 0 && this.unico === "single")) {
+        return {
+          data: null,
+          error: erroPostgrest(
+            "PGRST116",
+            "JSON object requested, multiple (or no) rows returned",
+          ),
+          count,
+        };
+      }
+      return { data: data[0] ?? null, error: null, count };
+    }
+
+    return { data, error: null, count };
+  }
+
+  executar() {
+    switch (this.operacao) {
+      case "insert": {
+        const { error, novas } = this.banco.inserir(this.tabela, this.linhas);
+        return error ? { data: null, error } : this.resultado(novas);
+      }
+
+      case "upsert": {
+        const { error, linhas } = this.banco.upsert(
+          this.tabela,
+          this.linhas,
+          this.conflito,
+        );
+        return error ? { data: null, error } : this.resultado(linhas);
+      }
+
+      case "update": {
+        const alvo = this.encontradas();
+        alvo.forEach((r) => Object.assign(r, copiar(this.valores)));
+        return this.resultado(alvo);
+      }
+
+      case "delete": {
+        const alvo = new Set(this.encontradas());
+        const tabela = this.linhasDaTabela();
+        const restantes = tabela.filter((r) => !alvo.has(r));
+        tabela.splice(0, tabela.length, ...restantes);
+        return this.resultado([...alvo]);
+      }
+
+      default: {
+        let linhas = this.encontradas();
+
+        for (const { coluna, ascending, nullsFirst } of [
+          ...this.ordens,
+        ].reverse()) {
+          const nulo = nullsFirst ? -1 : 1;
+          linhas = [...linhas].sort((a, b) => {
+            if (a[coluna] === b[coluna]) return 0;
+            if (a[coluna] === null || a[coluna] === undefined) return nulo;
+            if (b[coluna] === null || b[coluna] === undefined) return -nulo;
+            const c = comparar(a[coluna], b[coluna]);
+            return ascending ? c : -c;
+          });
+        }
+
+        const count = this.contar ? linhas.length : null;
+        if (this.limite !== null) linhas = linhas.slice(0, this.limite);
+
+        return this.resultado(linhas, { count });
+      }
+    }
+  }
+}
+
+// --------------------------------------------------
+// FUNÇÕES DAS MIGRATIONS (mesma regra do SQL)
+// --------------------------------------------------
+const RPC_PADRAO = {
+  aplicar_valores_diaria_vigentes(_, banco) {
+    const hoje = hojeISO();
+    const vigente = new Map();
+
+    [...banco.tabela("funcionario_valor_diaria")]
+      .filter((h) => h.vigencia_inicio <= hoje)
+      .sort((a, b) => comparar(a.vigencia_inicio, b.vigencia_inicio))
+      .forEach((h) => vigente.set(h.funcionario_id, h.valor_diaria));
+
+    let atualizados = 0;
+    banco.tabela("cadastro_func").forEach((f) => {
+      if (vigente.has(f.id) && !igual(f.valor_diaria, vigente.get(f.id))) {
+        f.valor_diaria = vigente.get(f.id);
+        atualizados++;
+      }
+    });
+
+    return { data: atualizados, error: null };
+  },
+
+  importar_funcionarios({ p_funcionarios, p_obra_id, p_usuario_id }, banco) {
+    return banco.transacao(() => {
+      const { error, novas } = banco.inserir(
+        "cadastro_func",
+        p_funcionarios.map((f) => ({
+          ...f,
+          valor_diaria: f.valor_diaria ?? 0,
+          situacao: f.situacao ?? "ativo",
+          deleted_at: null,
+        })),
+      );
+      if (error) return { data: null, error };
+
+      const historico = banco.inserir(
+        "funcionario_valor_diaria",
+        novas
+          .filter((f) => Number(f.valor_diaria) > 0)
+          .map((f) => ({
+            funcionario_id: f.id,
+            valor_diaria: f.valor_diaria,
+            vigencia_inicio: hojeISO(),
+            observacao: "Importação de funcionários",
+            created_by: p_usuario_id,
+          })),
+      );
+      if (historico.error) return { data: null, error: historico.error };
+
+      if (p_obra_id) {
+        const equipe = banco.inserir(
+          "equipe_obra",
+          novas.map((f) => ({
+            obra_id: p_obra_id,
+            funcionario_id: f.id,
+            situacao: "ativo",
+          })),
+        );
+        if (equipe.error) return { data: null, error: equipe.error };
+      }
+
+      return { data: novas.map((f) => f.id), error: null };
+    });
+  },
+
+  salvar_empreiteiro({ p_id, p_nome, p_funcionarios_ids }, banco) {
+    const ids = [...new Set(p_funcionarios_ids || [])];
+    const empreiteiros = banco.tabela("cadastro_empreiteiro");
+
+    if (p_id) {
+      const atual = empreiteiros.find((e) => e.id === p_id);
+      if (!atual) {
+        return {
+          data: null,
+          error: erroPostgrest("P0002", "empreiteiro_nao_encontrado"),
+        };
+      }
+
+      if (!ids.length) {
+        empreiteiros.splice(empreiteiros.indexOf(atual), 1);
+        return { data: { id: p_id, excluido: true }, error: null };
+      }
+    }
+
+    const validos = banco
+      .tabela("cadastro_func")
+      .filter((f) => ids.includes(f.id) && !f.deleted_at);
+
+    if (!ids.length || validos.length !== ids.length) {
+      return {
+        data: null,
+        error: erroPostgrest("P0001", "funcionarios_invalidos"),
+      };
+    }
+
+    if (p_id) {
+      Object.assign(
+        empreiteiros.find((e) => e.id === p_id),
+        { nome: p_nome, funcionarios_ids: ids },
+      );
+      return { data: { id: p_id, excluido: false }, error: null };
+    }
+
+    const { novas } = banco.inserir("cadastro_empreiteiro", [
+      { nome: p_nome, funcionarios_ids: ids },
+    ]);
+    return { data: { id: novas[0].id, excluido: false }, error: null };
+  },
+};
+
+// --------------------------------------------------
+// AUTH
+// --------------------------------------------------
+function criarAuth(usuariosAuth, tokens) {
+  const usuarios = new Map(
+    usuariosAuth.map((u) => [u.id, { banned_until: null, ...u }]),
+  );
+
+  const publico = (u) => ({
+    id: u.id,
+    email: u.email,
+    banned_until: u.banned_until,
+  });
+
+  const emailEmUso = (email, excetoId = null) =>
+    [...usuarios.values()].some((u) => u.id !== excetoId && u.email === email);
+
+  const erroAuth = (status, code, message) => ({
+    data: { user: null },
+    error: { status, code, message },
+  });
+
+  const bloqueio = (duracao) =>
+    !duracao || duracao === "none" ? null : "9999-12-31T00:00:00Z";
+
+  return {
+    usuarios,
+
+    async getUser(token) {
+      const u = usuarios.get(tokens.get(token));
+      if (!u || u.banned_until) {
+        return erroAuth(401, "bad_jwt", "invalid JWT");
+      }
+      return { data: { user: publico(u) }, error: null };
+    },
+
+    admin: {
+      async createUser({ email, password, ban_duration }) {
+        if (emailEmUso(email)) {
+          return erroAuth(422, "email_exists", "Email já cadastrado");
+        }
+
+        const u = {
+          id: randomUUID(),
+          email,
+          password,
+          banned_until: bloqueio(ban_duration),
+        };
+        usuarios.set(u.id, u);
+        return { data: { user: publico(u) }, error: null };
+      },
+
+      async updateUserById(id, { email, password, ban_duration }) {
+        const u = usuarios.get(id);
+        if (!u) return erroAuth(404, "user_not_found", "User not found");
+        if (email && emailEmUso(email, id)) {
+          return erroAuth(422, "email_exists", "Email já cadastrado");
+        }
+
+        if (email) u.email = email;
+        if (password) u.password = password;
+        if (ban_duration !== undefined) u.banned_until = bloqueio(ban_duration);
+        return { data: { user: publico(u) }, error: null };
+      },
+
+      async deleteUser(id) {
+        if (!usuarios.delete(id)) {
+          return erroAuth(404, "user_not_found", "User not found");
+        }
+        return { data: { user: null }, error: null };
+      },
+    },
+  };
+}
+
+// --------------------------------------------------
+// CLIENTE
+// --------------------------------------------------
+export function criarSupabaseMemoria({
+  tabelas = {},
+  unicos = {},
+  tokens = {},
+  usuariosAuth = [],
+  rpc = {},
+  geradas = {},
+} = {}) {
+  let dados = Object.fromEntries(
+    Object.entries(tabelas).map(([nome, linhas]) => [nome, copiar(linhas)]),
+  );
+  const restricoes = { ...UNICOS_PADRAO, ...unicos };
+  const mapaTokens = new Map(Object.entries(tokens));
+  const funcoes = { ...RPC_PADRAO, ...rpc };
+  const colunasGeradas = { ...GERADAS_PADRAO, ...geradas };
+
+  const banco = {
+    tabela(nome) {
+      dados[nome] ||= [];
+      return dados[nome];
+    },
+
+    // fn(linha) -> { coluna: valor } das colunas geradas da tabela
+    geradas(nome) {
+      const colunas = colunasGeradas[nome];
+      if (!colunas) return null;
+      return (r) =>
+        Object.fromEntries(
+          Object.entries(colunas).map(([c, fn]) => [c, fn(r)]),
+        );
+    },
+
+    violaUnico(nome, linha, ignorar = null) {
+      return (restricoes[nome] || []).some((colunas) =>
+        banco
+          .tabela(nome)
+          .some(
+            (r) =>
+              r !== ignorar &&
+              colunas.every(
+                (c) => linha[c] !== null && linha[c] !== undefined,
+              ) &&
+              colunas.every((c) => igual(r[c], linha[c])),
+          ),
+      );
+    },
+
+    inserir(nome, linhas) {
+      const tabela = banco.tabela(nome);
+      const novas = [];
+
+      for (const linha of linhas) {
+        const nova = {
+          id: randomUUID(),
+          created_at: new Date().toISOString(),
+          ...copiar(linha),
+        };
+
+        if (
+          tabela.some((r) => r.id === nova.id) ||
+          banco.violaUnico(nome, nova)
+        ) {
+          novas.forEach((n) => tabela.splice(tabela.indexOf(n), 1));
+          return {
+            error: erroPostgrest(
+              "23505",
+              `duplicate key value violates unique constraint on ${nome}`,
+            ),
+            novas: [],
+          };
+        }
+
+        tabela.push(nova);
+        novas.push(nova);
+      }
+
+      return { error: null, novas };
+    },
+
+    upsert(nome, linhas, conflito) {
+      return banco.transacao(() => {
+        const resultado = [];
+
+        for (const linha of linhas) {
+          const existente = banco
+            .tabela(nome)
+            .find((r) => conflito.every((c) => igual(r[c], linha[c])));
+
+          if (existente) {
+            Object.assign(existente, copiar(linha));
+            resultado.push(existente);
+            continue;
+          }
+
+          const { error, novas } = banco.inserir(nome, [linha]);
+          if (error) return { error };
+          resultado.push(...novas);
+        }
+
+        return { error: null, linhas: resultado };
+      });
+    },
+
+    // desfaz todas as tabelas se `fn` devolver erro
+    transacao(fn) {
+      const copia = copiar(dados);
+      const r = fn();
+      if (r?.error) dados = copia;
+      return r;
+    },
+  };
+
+  return {
+    from(tabela) {
+      return new Consulta(banco, tabela);
+    },
+
+    async rpc(nome, args = {}) {
+      const fn = funcoes[nome];
+      if (!fn) {
+        return {
+          data: null,
+          error: erroPostgrest("PGRST202", `função ${nome} não encontrada`),
+        };
+      }
+      return fn(copiar(args), banco);
+    },
+
+    auth: criarAuth(usuariosAuth, mapaTokens),
+
+    // para os testes
+    tabela: (nome) => banco.tabela(nome),
+
+    criarToken(usuarioId) {
+      const token = randomUUID();
+      mapaTokens.set(token, usuarioId);
+      return token;
+    },
+  };
+}